@@ -2,12 +2,20 @@ import React, { useEffect, useRef } from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { StatusBar } from 'expo-status-bar';
+import { Alert, AppState } from 'react-native';
 import * as Notifications from 'expo-notifications';
 
 import AlarmListScreen from './src/screens/AlarmListScreen';
 import CreateAlarmScreen from './src/screens/CreateAlarmScreen';
 import DismissAlarmScreen from './src/screens/DismissAlarmScreen';
+import HistoryScreen from './src/screens/HistoryScreen';
+import RingtonePickerScreen from './src/screens/RingtonePickerScreen';
+import RingtoneEditorScreen from './src/screens/RingtoneEditorScreen';
+import CalendarImportScreen from './src/screens/CalendarImportScreen';
 import { NotificationService } from './src/services/NotificationService';
+import { AlarmStorage } from './src/services/AlarmStorage';
+import { RingtoneLibrary } from './src/services/RingtoneLibrary';
+import { BackgroundRefresh } from './src/services/BackgroundRefresh';
 
 const Stack = createNativeStackNavigator();
 
@@ -20,22 +28,101 @@ Notifications.setNotificationHandler({
   }),
 });
 
+const reconcileAlarms = async () => {
+  try {
+    const { orphansCancelled, rescheduled, expired, failed } = await AlarmStorage.reconcileNotifications();
+
+    const lines = [];
+    if (rescheduled.length > 0) lines.push(`Rescheduled: ${rescheduled.join(', ')}`);
+    if (expired.length > 0) lines.push(`Turned off (already passed): ${expired.join(', ')}`);
+    if (failed.length > 0) lines.push(`Could not reschedule: ${failed.join(', ')}`);
+    if (orphansCancelled > 0) lines.push(`Removed ${orphansCancelled} leftover notification${orphansCancelled === 1 ? '' : 's'}`);
+
+    if (lines.length > 0) {
+      Alert.alert('Alarms Repaired', lines.join('\n'));
+    }
+  } catch (error) {
+    console.error('Alarm reconciliation failed:', error);
+  }
+};
+
+// Recurring alarms get their next week of notifications, and alarms built for
+// another time zone or UTC offset are moved to the right time
+const refreshAlarmSchedules = async () => {
+  try {
+    const rescheduled = await AlarmStorage.refreshSchedules();
+    if (rescheduled.length > 0) {
+      console.log('Refreshed alarm schedules:', rescheduled);
+    }
+  } catch (error) {
+    console.error('Refreshing alarm schedules failed:', error);
+  }
+};
+
+// Ringtones picked before imports were copied into app storage still point at
+// the picker's cache, which the OS may clear at any time
+const adoptRingtones = async () => {
+  const { missing, unusable } = await RingtoneLibrary.adoptAlarmRingtones();
+  if (missing.length > 0) {
+    Alert.alert(
+      'Ringtone Files Missing',
+      `The imported ringtone for ${missing.join(', ')} is no longer on this device. `
+        + 'The built-in tone will ring instead until you pick a new one.'
+    );
+  }
+  if (unusable.length > 0) {
+    Alert.alert(
+      'Ringtones Not Copied',
+      unusable.map(({ label, reason }) => `${label}: ${reason}`).join('\n')
+        + '\n\nThese alarms still use the file where it was picked from, which the system may clear. '
+        + 'Pick a new ringtone to keep them ringing.'
+    );
+  }
+};
+
+// A tap on an alarm notification may be what launched the app; the response
+// listener isn't registered in time to see it
+const openLaunchNotification = async (navigation) => {
+  try {
+    const response = await Notifications.getLastNotificationResponseAsync();
+    if (response) {
+      await NotificationService.openFromLaunchResponse(navigation, response);
+    }
+  } catch (error) {
+    console.error('Reading the launch notification failed:', error);
+  }
+};
+
 export default function App() {
   const navigationRef = useRef();
   const notificationListenerRef = useRef(null);
 
   useEffect(() => {
-    // Request notification permissions on app start
+    // Request notification permissions on app start, then make sure every
+    // active alarm actually has a scheduled notification
     const requestPermissions = async () => {
       const { status } = await Notifications.requestPermissionsAsync();
       if (status !== 'granted') {
         alert('Permission to receive notifications was denied!');
+        return;
       }
+      await reconcileAlarms();
+      await refreshAlarmSchedules();
+      await BackgroundRefresh.register();
     };
-    requestPermissions();
+    // Ringtone warnings come after "Alarms Repaired" instead of on top of it
+    requestPermissions().finally(adoptRingtones);
+
+    // The device time zone can change and rings pass while the app is in the background
+    const appStateSubscription = AppState.addEventListener('change', nextState => {
+      if (nextState === 'active') {
+        refreshAlarmSchedules();
+      }
+    });
 
     // Cleanup notification listeners on unmount
     return () => {
+      appStateSubscription.remove();
       if (notificationListenerRef.current) {
         notificationListenerRef.current();
         notificationListenerRef.current = null;
@@ -48,6 +135,7 @@ export default function App() {
     if (!notificationListenerRef.current) {
       const unsubscribe = NotificationService.setupNotificationListener(navigationRef.current);
       notificationListenerRef.current = unsubscribe;
+      openLaunchNotification(navigationRef.current);
     }
   };
 
@@ -67,6 +155,31 @@ export default function App() {
           component={CreateAlarmScreen} 
           options={{ title: 'Create Alarm' }}
         />
+        <Stack.Screen 
+          name="EditAlarm" 
+          component={CreateAlarmScreen} 
+          options={{ title: 'Edit Alarm' }}
+        />
+        <Stack.Screen 
+          name="RingtonePicker" 
+          component={RingtonePickerScreen} 
+          options={{ title: 'Ringtone' }}
+        />
+        <Stack.Screen 
+          name="RingtoneEditor" 
+          component={RingtoneEditorScreen} 
+          options={{ title: 'Trim Ringtone' }}
+        />
+        <Stack.Screen 
+          name="CalendarImport" 
+          component={CalendarImportScreen} 
+          options={{ title: 'Import from Calendar' }}
+        />
+        <Stack.Screen 
+          name="History" 
+          component={HistoryScreen} 
+          options={{ title: 'Alarm History' }}
+        />
         <Stack.Screen 
           name="DismissAlarm" 
           component={DismissAlarmScreen} 
@@ -0,0 +1,2 @@
+// The package ships an in-memory mock; call AsyncStorage.clear() between tests
+module.exports = require('@react-native-async-storage/async-storage/jest/async-storage-mock');
@@ -0,0 +1,21 @@
+// expo-av without native audio: every sound loads and reports success
+const createSound = () => ({
+  playAsync: jest.fn(async () => ({})),
+  pauseAsync: jest.fn(async () => ({})),
+  stopAsync: jest.fn(async () => ({})),
+  unloadAsync: jest.fn(async () => ({})),
+  setVolumeAsync: jest.fn(async () => ({})),
+  setPositionAsync: jest.fn(async () => ({})),
+  setIsLoopingAsync: jest.fn(async () => ({})),
+  setProgressUpdateIntervalAsync: jest.fn(async () => ({})),
+  setOnPlaybackStatusUpdate: jest.fn(),
+});
+
+module.exports = {
+  Audio: {
+    setAudioModeAsync: jest.fn(async () => {}),
+    Sound: {
+      createAsync: jest.fn(async () => ({ sound: createSound(), status: { isLoaded: true, durationMillis: 30000 } })),
+    },
+  },
+};
@@ -0,0 +1,13 @@
+const TaskManager = require('expo-task-manager');
+
+// expo-background-task without the OS scheduler: registering marks the task as
+// registered with the expo-task-manager mock
+module.exports = {
+  BackgroundTaskStatus: { Restricted: 1, Available: 2 },
+  BackgroundTaskResult: { Success: 1, Failed: 2 },
+  getStatusAsync: jest.fn(async () => 2),
+  registerTaskAsync: jest.fn(async (name) => {
+    TaskManager.__register(name);
+  }),
+  unregisterTaskAsync: jest.fn(async () => {}),
+};
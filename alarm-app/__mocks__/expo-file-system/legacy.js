@@ -0,0 +1,35 @@
+// In-memory stand-in for expo-file-system/legacy. Files are tracked by URI with a
+// size and optional text contents; call __reset between tests.
+const files = new Map();
+
+const info = (uri) => (files.has(uri)
+  ? { exists: true, isDirectory: false, uri, size: files.get(uri).size }
+  : { exists: false, isDirectory: false, uri });
+
+module.exports = {
+  documentDirectory: 'file:///documents/',
+  cacheDirectory: 'file:///cache/',
+  getInfoAsync: jest.fn(async (uri) => info(uri)),
+  makeDirectoryAsync: jest.fn(async () => {}),
+  copyAsync: jest.fn(async ({ from, to }) => {
+    if (!files.has(from)) throw new Error(`File ${from} does not exist`);
+    files.set(to, { ...files.get(from) });
+  }),
+  deleteAsync: jest.fn(async (uri, { idempotent = false } = {}) => {
+    if (!files.has(uri) && !idempotent) throw new Error(`File ${uri} does not exist`);
+    files.delete(uri);
+  }),
+  writeAsStringAsync: jest.fn(async (uri, contents) => {
+    files.set(uri, { size: contents.length, contents });
+  }),
+  readAsStringAsync: jest.fn(async (uri) => {
+    if (!files.has(uri)) throw new Error(`File ${uri} does not exist`);
+    return files.get(uri).contents || '';
+  }),
+  __addFile: (uri, size = 1024) => {
+    files.set(uri, { size });
+  },
+  __reset: () => {
+    files.clear();
+  },
+};
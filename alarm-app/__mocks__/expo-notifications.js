@@ -0,0 +1,41 @@
+// In-memory stand-in for expo-notifications. Scheduled requests are kept like the
+// OS would keep them, so tests can inspect and cancel them; call __reset between tests.
+const scheduled = new Map();
+let nextId = 1;
+
+module.exports = {
+  SchedulableTriggerInputTypes: {
+    DATE: 'date',
+    DAILY: 'daily',
+    WEEKLY: 'weekly',
+    TIME_INTERVAL: 'timeInterval',
+  },
+  AndroidImportance: { MAX: 5, HIGH: 4, DEFAULT: 3 },
+  AndroidNotificationPriority: { MAX: 'max', HIGH: 'high', DEFAULT: 'default' },
+  DEFAULT_ACTION_IDENTIFIER: 'expo.modules.notifications.actions.DEFAULT',
+  setNotificationHandler: jest.fn(),
+  setNotificationChannelAsync: jest.fn(async () => null),
+  setNotificationCategoryAsync: jest.fn(async (identifier, actions) => ({ identifier, actions })),
+  requestPermissionsAsync: jest.fn(async () => ({ status: 'granted' })),
+  scheduleNotificationAsync: jest.fn(async ({ content, trigger }) => {
+    const identifier = `notification-${nextId++}`;
+    scheduled.set(identifier, { identifier, content, trigger });
+    return identifier;
+  }),
+  cancelScheduledNotificationAsync: jest.fn(async (identifier) => {
+    scheduled.delete(identifier);
+  }),
+  dismissNotificationAsync: jest.fn(async () => {}),
+  cancelAllScheduledNotificationsAsync: jest.fn(async () => {
+    scheduled.clear();
+  }),
+  getAllScheduledNotificationsAsync: jest.fn(async () => Array.from(scheduled.values())),
+  addNotificationReceivedListener: jest.fn(() => ({ remove: jest.fn() })),
+  addNotificationResponseReceivedListener: jest.fn(() => ({ remove: jest.fn() })),
+  getLastNotificationResponseAsync: jest.fn(async () => null),
+  clearLastNotificationResponseAsync: jest.fn(async () => {}),
+  __reset: () => {
+    scheduled.clear();
+    nextId = 1;
+  },
+};
@@ -0,0 +1,15 @@
+// expo-task-manager without a native scheduler: defined tasks are kept so tests
+// can run them with __runTask
+const tasks = new Map();
+const registered = new Set();
+
+module.exports = {
+  defineTask: jest.fn((name, task) => {
+    tasks.set(name, task);
+  }),
+  isTaskDefined: jest.fn(name => tasks.has(name)),
+  isTaskRegisteredAsync: jest.fn(async name => registered.has(name)),
+  __register: (name) => registered.add(name),
+  __runTask: (name, body = { data: null, error: null }) => tasks.get(name)(body),
+  __reset: () => registered.clear(),
+};
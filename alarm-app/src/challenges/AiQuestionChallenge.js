@@ -0,0 +1,77 @@
+import React from 'react';
+import { View, Text } from 'react-native';
+import { MistralService } from '../services/MistralService';
+import ChallengeInput, { challengeStyles } from './ChallengeInput';
+import { normalizeAnswer } from './challengeUtils';
+
+const KIND_SETTINGS = {
+  riddle: {
+    label: 'AI riddle',
+    description: 'Solve a riddle generated by Mistral AI (needs the challenge backend)',
+    instruction: 'Solve this riddle to dismiss the alarm:',
+  },
+  trivia: {
+    label: 'AI trivia',
+    description: 'Answer a trivia question generated by Mistral AI (needs the challenge backend)',
+    instruction: 'Answer this question to dismiss the alarm:',
+  },
+};
+
+function AiQuestionView({ data, onSubmit, disabled, instruction }) {
+  // Without a question the backend was unavailable and a local code was generated
+  const hasQuestion = !!data.question;
+
+  return (
+    <View>
+      <View style={challengeStyles.promptSection}>
+        <Text style={challengeStyles.instructionText}>
+          {hasQuestion ? instruction : 'Enter this code to dismiss the alarm:'}
+        </Text>
+        
+        <View style={challengeStyles.promptDisplay}>
+          <Text
+            style={hasQuestion ? challengeStyles.questionText : challengeStyles.promptText}
+            selectable={false}
+          >
+            {hasQuestion ? data.question : data.code}
+          </Text>
+        </View>
+        
+        <Text style={challengeStyles.warningText}>
+          {hasQuestion
+            ? 'Answer with a single word or number.'
+            : '⚠️ AI challenge unavailable, so a code was generated instead.'}
+        </Text>
+      </View>
+
+      <ChallengeInput
+        onSubmit={onSubmit}
+        disabled={disabled}
+        placeholder={hasQuestion ? 'Enter your answer' : 'Enter the code here'}
+        maxLength={hasQuestion ? 24 : data.code.length}
+      />
+    </View>
+  );
+}
+
+export const createAiQuestionChallenge = (kind) => {
+  const settings = KIND_SETTINGS[kind];
+
+  return {
+    type: kind,
+    label: settings.label,
+    description: settings.description,
+
+    async generate({ alarmId }) {
+      return MistralService.generateCodeWithBackend(alarmId, kind);
+    },
+
+    verify(data, answer) {
+      // Answers are compared ignoring case, spaces and punctuation
+      const solved = normalizeAnswer(answer).replace(/[^A-Z0-9]/g, '') === data.code;
+      return { solved, progressed: false, data };
+    },
+
+    render: (props) => <AiQuestionView {...props} instruction={settings.instruction} />,
+  };
+};
@@ -0,0 +1,104 @@
+import React from 'react';
+import { View, Text } from 'react-native';
+import ChallengeInput, { challengeStyles } from './ChallengeInput';
+import { getExpiry, randomInt, normalizeAnswer } from './challengeUtils';
+
+const DIFFICULTY_SETTINGS = {
+  easy: { problems: 1 },
+  medium: { problems: 3 },
+  hard: { problems: 5 },
+};
+
+const generateProblem = (difficulty) => {
+  if (difficulty === 'easy') {
+    const a = randomInt(2, 20);
+    const b = randomInt(2, 20);
+    return randomInt(0, 1) === 0
+      ? { question: `${a} + ${b}`, answer: a + b }
+      : { question: `${Math.max(a, b)} - ${Math.min(a, b)}`, answer: Math.max(a, b) - Math.min(a, b) };
+  }
+
+  if (difficulty === 'medium') {
+    const a = randomInt(11, 49);
+    const b = randomInt(3, 12);
+    return { question: `${a} × ${b}`, answer: a * b };
+  }
+
+  const a = randomInt(12, 39);
+  const b = randomInt(6, 19);
+  const c = randomInt(10, 99);
+  return { question: `${a} × ${b} + ${c}`, answer: a * b + c };
+};
+
+function ArithmeticView({ data, onSubmit, disabled }) {
+  const problem = data.problems[data.current];
+
+  return (
+    <View>
+      <View style={challengeStyles.promptSection}>
+        {data.problems.length > 1 && (
+          <Text style={challengeStyles.progressText}>
+            Problem {data.current + 1} of {data.problems.length}
+          </Text>
+        )}
+        <Text style={challengeStyles.instructionText}>
+          Solve this to dismiss the alarm:
+        </Text>
+        
+        <View style={challengeStyles.promptDisplay}>
+          <Text style={challengeStyles.promptText} selectable={false}>
+            {problem.question} = ?
+          </Text>
+        </View>
+      </View>
+
+      <ChallengeInput
+        onSubmit={onSubmit}
+        disabled={disabled}
+        placeholder="Enter the answer"
+        keyboardType="numeric"
+        maxLength={6}
+      />
+    </View>
+  );
+}
+
+const ArithmeticChallenge = {
+  type: 'math',
+  label: 'Arithmetic',
+  description: 'Solve one or more math problems',
+  difficulties: [
+    { value: 'easy', label: 'Easy (1 problem)' },
+    { value: 'medium', label: 'Medium (3 problems)' },
+    { value: 'hard', label: 'Hard (5 problems)' },
+  ],
+  defaultDifficulty: 'medium',
+
+  async generate({ difficulty = 'medium' }) {
+    const settings = DIFFICULTY_SETTINGS[difficulty] || DIFFICULTY_SETTINGS.medium;
+    const problems = Array.from({ length: settings.problems }, () => generateProblem(difficulty));
+    return {
+      problems,
+      current: 0,
+      timestamp: Date.now(),
+      expiresAt: getExpiry(),
+    };
+  },
+
+  verify(data, answer) {
+    const problem = data.problems[data.current];
+    if (normalizeAnswer(answer) !== String(problem.answer)) {
+      return { solved: false, progressed: false, data };
+    }
+
+    const next = data.current + 1;
+    if (next >= data.problems.length) {
+      return { solved: true, progressed: false, data };
+    }
+    return { solved: false, progressed: true, data: { ...data, current: next } };
+  },
+
+  render: (props) => <ArithmeticView {...props} />,
+};
+
+export default ArithmeticChallenge;
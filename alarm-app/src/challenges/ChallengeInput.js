@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+} from 'react-native';
+
+// Answer field shared by all challenges. Pasting is rejected so answers have to be typed.
+export default function ChallengeInput({
+  onSubmit,
+  disabled,
+  placeholder = 'Enter your answer here',
+  maxLength,
+  keyboardType = 'default',
+  autoCapitalize = 'characters',
+}) {
+  const [userInput, setUserInput] = useState('');
+
+  const submit = () => {
+    const answer = userInput;
+    setUserInput('');
+    onSubmit(answer);
+  };
+
+  return (
+    <View style={styles.inputSection}>
+      <TextInput
+        style={styles.answerInput}
+        value={userInput}
+        onChangeText={(text) => {
+          // Prevent paste operations by rejecting multi-character insertions
+          if (text.length > userInput.length + 1) {
+            return; // Reject paste
+          }
+          setUserInput(text);
+        }}
+        placeholder={placeholder}
+        placeholderTextColor="#999"
+        autoCapitalize={autoCapitalize}
+        autoCorrect={false}
+        autoComplete="off"
+        textContentType="none"
+        keyboardType={keyboardType}
+        selectTextOnFocus={false}
+        contextMenuHidden={true}
+        selection={{start: userInput.length, end: userInput.length}}
+        onSelectionChange={() => {}}
+        maxLength={maxLength}
+        editable={!disabled}
+      />
+      
+      <TouchableOpacity
+        style={[styles.submitButton, (!userInput.trim() || disabled) && styles.submitButtonDisabled]}
+        onPress={submit}
+        disabled={!userInput.trim() || disabled}
+      >
+        <Text style={styles.submitButtonText}>Dismiss Alarm</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+export const challengeStyles = StyleSheet.create({
+  promptSection: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 20,
+    marginBottom: 30,
+    alignItems: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  instructionText: {
+    fontSize: 18,
+    color: '#333',
+    textAlign: 'center',
+    marginBottom: 20,
+  },
+  promptDisplay: {
+    backgroundColor: '#f0f0f0',
+    borderRadius: 8,
+    padding: 20,
+    marginBottom: 15,
+  },
+  promptText: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: '#007AFF',
+    letterSpacing: 4,
+    fontFamily: 'monospace',
+    userSelect: 'none',
+    textAlign: 'center',
+  },
+  questionText: {
+    fontSize: 20,
+    fontWeight: '500',
+    color: '#333',
+    textAlign: 'center',
+    userSelect: 'none',
+  },
+  warningText: {
+    fontSize: 14,
+    color: '#ff6600',
+    textAlign: 'center',
+    fontStyle: 'italic',
+  },
+  progressText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 10,
+  },
+});
+
+const styles = StyleSheet.create({
+  inputSection: {
+    marginBottom: 30,
+  },
+  answerInput: {
+    borderWidth: 2,
+    borderColor: '#007AFF',
+    borderRadius: 8,
+    padding: 15,
+    fontSize: 24,
+    textAlign: 'center',
+    backgroundColor: 'white',
+    letterSpacing: 2,
+    fontFamily: 'monospace',
+    marginBottom: 20,
+  },
+  submitButton: {
+    backgroundColor: '#007AFF',
+    borderRadius: 12,
+    padding: 16,
+    alignItems: 'center',
+  },
+  submitButtonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  submitButtonText: {
+    color: 'white',
+    fontSize: 18,
+    fontWeight: '600',
+  },
+});
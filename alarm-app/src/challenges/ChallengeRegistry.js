@@ -0,0 +1,73 @@
+import TypedCodeChallenge from './TypedCodeChallenge';
+import ArithmeticChallenge from './ArithmeticChallenge';
+import MemorySequenceChallenge from './MemorySequenceChallenge';
+import MultiRoundChallenge from './MultiRoundChallenge';
+import { createAiQuestionChallenge } from './AiQuestionChallenge';
+
+export const DEFAULT_CHALLENGE_TYPE = 'code';
+
+/*
+ * Every dismissal challenge implements the same interface:
+ *
+ *   type          unique string stored on the alarm as `challengeType`
+ *   label         name shown in CreateAlarmScreen
+ *   description   one-line explanation shown under the picker
+ *   difficulties  optional [{ value, label }]; the alarm stores `challengeDifficulty`
+ *   generate({ alarmId, difficulty })  -> Promise<data>
+ *       data must be JSON-serializable (it is persisted with the dismissal code)
+ *       and include `expiresAt`
+ *   verify(data, answer)  -> { solved, progressed, data }
+ *       `progressed` means a correct answer for one step of a multi-step
+ *       challenge; `data` is the (possibly updated) state to persist
+ *   render({ data, onSubmit, disabled })  -> React element
+ *
+ * DismissAlarmScreen only talks to this interface, so adding a challenge means
+ * writing one module and registering it below.
+ */
+export class ChallengeRegistry {
+  static challenges = new Map();
+
+  static register(challenge) {
+    const required = ['type', 'label', 'generate', 'verify', 'render'];
+    const missing = required.filter(key => !challenge[key]);
+    if (missing.length > 0) {
+      throw new Error(`Challenge is missing required fields: ${missing.join(', ')}`);
+    }
+    this.challenges.set(challenge.type, challenge);
+  }
+
+  static get(type) {
+    return this.challenges.get(type) || this.challenges.get(DEFAULT_CHALLENGE_TYPE);
+  }
+
+  static list() {
+    return Array.from(this.challenges.values());
+  }
+
+  static getDefaultDifficulty(challenge) {
+    if (!challenge.difficulties || challenge.difficulties.length === 0) return null;
+    return challenge.defaultDifficulty || challenge.difficulties[0].value;
+  }
+
+  // Generates challenge data for an alarm and tags it with the challenge type
+  static async generateForAlarm(alarm, alarmId) {
+    const challenge = this.get(alarm?.challengeType);
+    const difficulty = alarm?.challengeDifficulty || this.getDefaultDifficulty(challenge);
+    const data = await challenge.generate({ alarmId, difficulty });
+    return { ...data, type: challenge.type, difficulty };
+  }
+
+  // Dismissal codes saved before challenges existed have no type
+  static getTypeOf(data) {
+    return (data && data.type) || DEFAULT_CHALLENGE_TYPE;
+  }
+}
+
+[
+  TypedCodeChallenge,
+  ArithmeticChallenge,
+  MemorySequenceChallenge,
+  MultiRoundChallenge,
+  createAiQuestionChallenge('riddle'),
+  createAiQuestionChallenge('trivia'),
+].forEach(challenge => ChallengeRegistry.register(challenge));
@@ -0,0 +1,104 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text } from 'react-native';
+import ChallengeInput, { challengeStyles } from './ChallengeInput';
+import { getExpiry, randomInt, normalizeAnswer } from './challengeUtils';
+
+const DIFFICULTY_SETTINGS = {
+  easy: { length: 5, displaySeconds: 5 },
+  medium: { length: 7, displaySeconds: 5 },
+  hard: { length: 9, displaySeconds: 4 },
+};
+
+const getSettings = (difficulty) => DIFFICULTY_SETTINGS[difficulty] || DIFFICULTY_SETTINGS.medium;
+
+const generateSequence = (length) =>
+  Array.from({ length }, () => randomInt(0, 9)).join('');
+
+function MemorySequenceView({ data, onSubmit, disabled }) {
+  const [secondsVisible, setSecondsVisible] = useState(data.displaySeconds);
+
+  // Show each new sequence for a few seconds, then hide it
+  useEffect(() => {
+    setSecondsVisible(data.displaySeconds);
+    const interval = setInterval(() => {
+      setSecondsVisible((prev) => {
+        if (prev <= 1) {
+          clearInterval(interval);
+          return 0;
+        }
+        return prev - 1;
+      });
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [data.sequence]);
+
+  const isVisible = secondsVisible > 0;
+
+  return (
+    <View>
+      <View style={challengeStyles.promptSection}>
+        <Text style={challengeStyles.instructionText}>
+          {isVisible
+            ? `Memorize this sequence (${secondsVisible}s):`
+            : 'Enter the sequence from memory:'}
+        </Text>
+        
+        <View style={challengeStyles.promptDisplay}>
+          <Text style={challengeStyles.promptText} selectable={false}>
+            {isVisible ? data.sequence : '•'.repeat(data.sequence.length)}
+          </Text>
+        </View>
+        
+        <Text style={challengeStyles.warningText}>
+          ⚠️ A wrong answer shows a new sequence.
+        </Text>
+      </View>
+
+      <ChallengeInput
+        onSubmit={onSubmit}
+        disabled={disabled || isVisible}
+        placeholder="Enter the sequence"
+        keyboardType="numeric"
+        maxLength={data.sequence.length}
+      />
+    </View>
+  );
+}
+
+const MemorySequenceChallenge = {
+  type: 'memory',
+  label: 'Memory sequence',
+  description: 'Memorize a sequence of digits, then type it once it is hidden',
+  difficulties: [
+    { value: 'easy', label: 'Easy (5 digits)' },
+    { value: 'medium', label: 'Medium (7 digits)' },
+    { value: 'hard', label: 'Hard (9 digits)' },
+  ],
+  defaultDifficulty: 'medium',
+
+  async generate({ difficulty = 'medium' }) {
+    const settings = getSettings(difficulty);
+    return {
+      sequence: generateSequence(settings.length),
+      displaySeconds: settings.displaySeconds,
+      timestamp: Date.now(),
+      expiresAt: getExpiry(),
+    };
+  },
+
+  verify(data, answer) {
+    if (normalizeAnswer(answer) === data.sequence) {
+      return { solved: true, progressed: false, data };
+    }
+    // A failed attempt gets a fresh sequence so it can't be pieced together by guessing
+    return {
+      solved: false,
+      progressed: false,
+      data: { ...data, sequence: generateSequence(data.sequence.length) },
+    };
+  },
+
+  render: (props) => <MemorySequenceView {...props} />,
+};
+
+export default MemorySequenceChallenge;
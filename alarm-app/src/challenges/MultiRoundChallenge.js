@@ -0,0 +1,83 @@
+import React from 'react';
+import { View, Text } from 'react-native';
+import { MistralService } from '../services/MistralService';
+import ChallengeInput, { challengeStyles } from './ChallengeInput';
+import { getExpiry, normalizeAnswer } from './challengeUtils';
+
+const DIFFICULTY_SETTINGS = {
+  easy: { rounds: 2 },
+  medium: { rounds: 3 },
+  hard: { rounds: 5 },
+};
+
+function MultiRoundView({ data, onSubmit, disabled }) {
+  const code = data.codes[data.current];
+
+  return (
+    <View>
+      <View style={challengeStyles.promptSection}>
+        <Text style={challengeStyles.progressText}>
+          Round {data.current + 1} of {data.codes.length}
+        </Text>
+        <Text style={challengeStyles.instructionText}>
+          Enter this code to continue:
+        </Text>
+        
+        <View style={challengeStyles.promptDisplay}>
+          <Text style={challengeStyles.promptText} selectable={false}>
+            {code}
+          </Text>
+        </View>
+        
+        <Text style={challengeStyles.warningText}>
+          ⚠️ This code cannot be copied. You must type it manually.
+        </Text>
+      </View>
+
+      <ChallengeInput
+        onSubmit={onSubmit}
+        disabled={disabled}
+        placeholder="Enter the code here"
+        maxLength={code.length}
+      />
+    </View>
+  );
+}
+
+const MultiRoundChallenge = {
+  type: 'rounds',
+  label: 'Multi-round retyping',
+  description: 'Retype several codes in a row',
+  difficulties: [
+    { value: 'easy', label: 'Easy (2 rounds)' },
+    { value: 'medium', label: 'Medium (3 rounds)' },
+    { value: 'hard', label: 'Hard (5 rounds)' },
+  ],
+  defaultDifficulty: 'medium',
+
+  async generate({ difficulty = 'medium' }) {
+    const settings = DIFFICULTY_SETTINGS[difficulty] || DIFFICULTY_SETTINGS.medium;
+    return {
+      codes: Array.from({ length: settings.rounds }, () => MistralService.generateSecureCode()),
+      current: 0,
+      timestamp: Date.now(),
+      expiresAt: getExpiry(),
+    };
+  },
+
+  verify(data, answer) {
+    if (normalizeAnswer(answer) !== data.codes[data.current]) {
+      return { solved: false, progressed: false, data };
+    }
+
+    const next = data.current + 1;
+    if (next >= data.codes.length) {
+      return { solved: true, progressed: false, data };
+    }
+    return { solved: false, progressed: true, data: { ...data, current: next } };
+  },
+
+  render: (props) => <MultiRoundView {...props} />,
+};
+
+export default MultiRoundChallenge;
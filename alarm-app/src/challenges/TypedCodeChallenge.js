@@ -0,0 +1,54 @@
+import React from 'react';
+import { View, Text } from 'react-native';
+import { MistralService } from '../services/MistralService';
+import ChallengeInput, { challengeStyles } from './ChallengeInput';
+import { normalizeAnswer } from './challengeUtils';
+
+function TypedCodeView({ data, onSubmit, disabled }) {
+  return (
+    <View>
+      <View style={challengeStyles.promptSection}>
+        <Text style={challengeStyles.instructionText}>
+          Enter this code to dismiss the alarm:
+        </Text>
+        
+        <View style={challengeStyles.promptDisplay}>
+          <Text style={challengeStyles.promptText} selectable={false}>
+            {data?.code || 'Loading...'}
+          </Text>
+        </View>
+        
+        <Text style={challengeStyles.warningText}>
+          ⚠️ This code cannot be copied. You must type it manually.
+        </Text>
+      </View>
+
+      <ChallengeInput
+        onSubmit={onSubmit}
+        disabled={disabled}
+        placeholder="Enter the code here"
+        maxLength={data?.code?.length || 8}
+      />
+    </View>
+  );
+}
+
+const TypedCodeChallenge = {
+  type: 'code',
+  label: 'Typed code',
+  description: 'Retype an 8-character code',
+
+  async generate({ alarmId }) {
+    // Uses the backend when configured, otherwise generates the code locally
+    return MistralService.generateCodeWithBackend(alarmId, 'code');
+  },
+
+  verify(data, answer) {
+    const solved = normalizeAnswer(answer) === data.code;
+    return { solved, progressed: false, data };
+  },
+
+  render: (props) => <TypedCodeView {...props} />,
+};
+
+export default TypedCodeChallenge;
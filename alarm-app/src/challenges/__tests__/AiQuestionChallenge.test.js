@@ -0,0 +1,24 @@
+import { createAiQuestionChallenge } from '../AiQuestionChallenge';
+
+describe('createAiQuestionChallenge', () => {
+  const riddle = createAiQuestionChallenge('riddle');
+
+  it('falls back to a typed code when the backend is not available', async () => {
+    const data = await riddle.generate({ alarmId: 'alarm-1' });
+
+    expect(data.question).toBeUndefined();
+    expect(data.code).toMatch(/^[A-Z2-9]{8}$/);
+    expect(riddle.verify(data, data.code.toLowerCase()).solved).toBe(true);
+  });
+
+  it('compares answers ignoring case, spaces and punctuation', () => {
+    const data = { question: 'What has hands but cannot clap?', code: 'CLOCK' };
+
+    expect(riddle.verify(data, ' Clock! ')).toEqual({ solved: true, progressed: false, data });
+    expect(riddle.verify(data, 'watch').solved).toBe(false);
+  });
+
+  it('describes each kind', () => {
+    expect(createAiQuestionChallenge('trivia')).toMatchObject({ type: 'trivia', label: 'AI trivia' });
+  });
+});
@@ -0,0 +1,45 @@
+import ArithmeticChallenge from '../ArithmeticChallenge';
+
+// Works a generated question out independently of the challenge
+const evaluate = (question) => {
+  const [, a, operator, b, c = '0'] = /^(\d+) ([+\-×]) (\d+)(?: \+ (\d+))?$/.exec(question);
+  const value = { '+': Number(a) + Number(b), '-': Number(a) - Number(b), '×': Number(a) * Number(b) }[operator];
+  return value + Number(c);
+};
+
+const problems = (...answers) => ({
+  problems: answers.map(answer => ({ question: '?', answer })),
+  current: 0,
+  expiresAt: 0,
+});
+
+describe('ArithmeticChallenge', () => {
+  it.each([
+    ['easy', 1],
+    ['medium', 3],
+    ['hard', 5],
+  ])('generates %s problems with the right answers', async (difficulty, count) => {
+    for (let i = 0; i < 20; i++) {
+      const data = await ArithmeticChallenge.generate({ difficulty });
+      expect(data.problems).toHaveLength(count);
+      expect(data.current).toBe(0);
+      data.problems.forEach(problem => {
+        expect(evaluate(problem.question)).toBe(problem.answer);
+        expect(problem.answer).toBeGreaterThanOrEqual(0);
+      });
+    }
+  });
+
+  it('steps through the problems and is solved by the last one', () => {
+    let result = ArithmeticChallenge.verify(problems(17, 42), ' 17 ');
+    expect(result).toMatchObject({ solved: false, progressed: true, data: { current: 1 } });
+
+    result = ArithmeticChallenge.verify(result.data, '42');
+    expect(result).toMatchObject({ solved: true, progressed: false });
+  });
+
+  it('stays on the problem after a wrong answer', () => {
+    const data = problems(17, 42);
+    expect(ArithmeticChallenge.verify(data, '42')).toEqual({ solved: false, progressed: false, data });
+  });
+});
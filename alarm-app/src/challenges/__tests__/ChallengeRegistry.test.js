@@ -0,0 +1,58 @@
+import { ChallengeRegistry, DEFAULT_CHALLENGE_TYPE } from '../ChallengeRegistry';
+
+const testChallenge = (overrides = {}) => ({
+  type: 'test',
+  label: 'Test',
+  difficulties: [{ value: 'low', label: 'Low' }, { value: 'high', label: 'High' }],
+  generate: jest.fn(async ({ difficulty }) => ({ answer: difficulty, expiresAt: 0 })),
+  verify: jest.fn(),
+  render: jest.fn(),
+  ...overrides,
+});
+
+describe('ChallengeRegistry', () => {
+  afterEach(() => {
+    ChallengeRegistry.challenges.delete('test');
+  });
+
+  it('registers every built-in challenge', () => {
+    expect(ChallengeRegistry.list().map(challenge => challenge.type))
+      .toEqual(['code', 'math', 'memory', 'rounds', 'riddle', 'trivia']);
+  });
+
+  it('refuses a challenge missing part of the interface', () => {
+    expect(() => ChallengeRegistry.register(testChallenge({ verify: undefined, render: undefined })))
+      .toThrow('Challenge is missing required fields: verify, render');
+    expect(ChallengeRegistry.challenges.has('test')).toBe(false);
+  });
+
+  it('falls back to the typed code for unknown types', () => {
+    expect(ChallengeRegistry.get('math').type).toBe('math');
+    expect(ChallengeRegistry.get('removed-type').type).toBe(DEFAULT_CHALLENGE_TYPE);
+    expect(ChallengeRegistry.get(undefined).type).toBe(DEFAULT_CHALLENGE_TYPE);
+  });
+
+  it('picks the declared default difficulty, else the first', () => {
+    expect(ChallengeRegistry.getDefaultDifficulty(ChallengeRegistry.get('math'))).toBe('medium');
+    expect(ChallengeRegistry.getDefaultDifficulty(testChallenge())).toBe('low');
+    expect(ChallengeRegistry.getDefaultDifficulty(ChallengeRegistry.get('code'))).toBeNull();
+  });
+
+  it('generates with the alarm difficulty and tags the data', async () => {
+    const challenge = testChallenge();
+    ChallengeRegistry.register(challenge);
+
+    expect(await ChallengeRegistry.generateForAlarm({ challengeType: 'test', challengeDifficulty: 'high' }, 'alarm-1'))
+      .toEqual({ answer: 'high', expiresAt: 0, type: 'test', difficulty: 'high' });
+    expect(challenge.generate).toHaveBeenCalledWith({ alarmId: 'alarm-1', difficulty: 'high' });
+
+    expect(await ChallengeRegistry.generateForAlarm({ challengeType: 'test' }, 'alarm-1'))
+      .toMatchObject({ type: 'test', difficulty: 'low' });
+  });
+
+  it('treats dismissal codes without a type as typed codes', () => {
+    expect(ChallengeRegistry.getTypeOf({ code: 'ABCD2345' })).toBe('code');
+    expect(ChallengeRegistry.getTypeOf(null)).toBe('code');
+    expect(ChallengeRegistry.getTypeOf({ type: 'memory' })).toBe('memory');
+  });
+});
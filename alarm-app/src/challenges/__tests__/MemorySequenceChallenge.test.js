@@ -0,0 +1,27 @@
+import MemorySequenceChallenge from '../MemorySequenceChallenge';
+
+describe('MemorySequenceChallenge', () => {
+  it('generates a digit sequence for the difficulty', async () => {
+    expect((await MemorySequenceChallenge.generate({ difficulty: 'easy' })).sequence).toMatch(/^\d{5}$/);
+    expect(await MemorySequenceChallenge.generate({ difficulty: 'hard' }))
+      .toMatchObject({ sequence: expect.stringMatching(/^\d{9}$/), displaySeconds: 4 });
+    expect((await MemorySequenceChallenge.generate({ difficulty: 'unknown' })).sequence).toMatch(/^\d{7}$/);
+  });
+
+  it('is solved by the sequence', () => {
+    const data = { sequence: '0412957', displaySeconds: 5 };
+    expect(MemorySequenceChallenge.verify(data, ' 0412957')).toEqual({ solved: true, progressed: false, data });
+  });
+
+  it('shows a new sequence of the same length after a wrong answer', () => {
+    const data = { sequence: '0412957', displaySeconds: 5 };
+    const results = Array.from({ length: 5 }, () => MemorySequenceChallenge.verify(data, '0412950'));
+
+    results.forEach(result => {
+      expect(result.solved).toBe(false);
+      expect(result.data.sequence).toMatch(/^\d{7}$/);
+    });
+    expect(results.some(result => result.data.sequence !== data.sequence)).toBe(true);
+    expect(data.sequence).toBe('0412957');
+  });
+});
@@ -0,0 +1,19 @@
+import MultiRoundChallenge from '../MultiRoundChallenge';
+
+describe('MultiRoundChallenge', () => {
+  it('generates a code per round', async () => {
+    const data = await MultiRoundChallenge.generate({ difficulty: 'hard' });
+    expect(data.codes).toHaveLength(5);
+    data.codes.forEach(code => expect(code).toMatch(/^[A-Z2-9]{8}$/));
+    expect((await MultiRoundChallenge.generate({})).codes).toHaveLength(3);
+  });
+
+  it('moves to the next round on each code and is solved by the last', () => {
+    const data = { codes: ['ABCD2345', 'EFGH6789'], current: 0, expiresAt: 0 };
+
+    const first = MultiRoundChallenge.verify(data, 'abcd2345');
+    expect(first).toMatchObject({ solved: false, progressed: true, data: { current: 1 } });
+    expect(MultiRoundChallenge.verify(first.data, 'ABCD2345')).toEqual({ solved: false, progressed: false, data: first.data });
+    expect(MultiRoundChallenge.verify(first.data, 'EFGH6789')).toMatchObject({ solved: true, progressed: false });
+  });
+});
@@ -0,0 +1,15 @@
+import TypedCodeChallenge from '../TypedCodeChallenge';
+
+describe('TypedCodeChallenge', () => {
+  it('generates a code locally when no backend is configured', async () => {
+    const data = await TypedCodeChallenge.generate({ alarmId: 'alarm-1' });
+    expect(data.code).toMatch(/^[A-Z2-9]{8}$/);
+    expect(data.expiresAt).toBeGreaterThan(Date.now());
+  });
+
+  it('accepts the code in any case with surrounding spaces', () => {
+    const data = { code: 'ABCD2345' };
+    expect(TypedCodeChallenge.verify(data, ' abcd2345 ')).toEqual({ solved: true, progressed: false, data });
+    expect(TypedCodeChallenge.verify(data, 'ABCD2346').solved).toBe(false);
+  });
+});
@@ -0,0 +1,11 @@
+import { secureRandomIntBetween } from '../utils/secureRandom';
+
+// Challenges expire after the same 10 minutes as typed dismissal codes
+export const CHALLENGE_TTL_MS = 10 * 60 * 1000;
+
+export const getExpiry = () => Date.now() + CHALLENGE_TTL_MS;
+
+// Inclusive on both ends
+export const randomInt = (min, max) => secureRandomIntBetween(min, max);
+
+export const normalizeAnswer = (answer) => String(answer).trim().toUpperCase();
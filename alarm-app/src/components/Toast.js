@@ -0,0 +1,54 @@
+import React, { useEffect, useRef } from 'react';
+import { Animated, StyleSheet, Text } from 'react-native';
+
+const VISIBLE_MS = 3000;
+const FADE_MS = 250;
+
+// Short message that fades in at the bottom of the screen and hides itself.
+// Shows again whenever `message` changes; onHide runs once it has faded out.
+export default function Toast({ message, onHide }) {
+  const opacity = useRef(new Animated.Value(0)).current;
+
+  useEffect(() => {
+    if (!message) return undefined;
+
+    const animation = Animated.sequence([
+      Animated.timing(opacity, { toValue: 1, duration: FADE_MS, useNativeDriver: true }),
+      Animated.delay(VISIBLE_MS),
+      Animated.timing(opacity, { toValue: 0, duration: FADE_MS, useNativeDriver: true }),
+    ]);
+    animation.start(({ finished }) => {
+      if (finished && onHide) onHide();
+    });
+
+    return () => animation.stop();
+  }, [message]);
+
+  if (!message) return null;
+
+  return (
+    <Animated.View style={[styles.toast, { opacity }]} pointerEvents="none">
+      <Text style={styles.toastText}>{message}</Text>
+    </Animated.View>
+  );
+}
+
+const styles = StyleSheet.create({
+  toast: {
+    position: 'absolute',
+    left: 20,
+    right: 20,
+    // Clear of the list screen's add button
+    bottom: 90,
+    backgroundColor: 'rgba(51, 51, 51, 0.92)',
+    borderRadius: 12,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    alignItems: 'center',
+  },
+  toastText: {
+    color: 'white',
+    fontSize: 15,
+    textAlign: 'center',
+  },
+});
@@ -1,9 +1,10 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useLayoutEffect } from 'react';
 import {
   View,
   Text,
   StyleSheet,
-  FlatList,
+  SectionList,
+  ScrollView,
   TouchableOpacity,
   Alert,
   Switch,
@@ -11,10 +12,24 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { AlarmStorage } from '../services/AlarmStorage';
 import { NotificationService } from '../services/NotificationService';
+import { BackupService } from '../services/BackupService';
+import { formatDays } from '../utils/weekdays';
+import { wallClockToDate } from '../utils/alarmTime';
+import { formatTimeUntil, getNextFireTime, getNextSkippedDate } from '../utils/scheduling';
+import { formatSkipDate } from '../utils/skipDates';
+import { groupAlarms, summarizeGroup } from '../utils/alarmGroups';
+import Toast from '../components/Toast';
 
-export default function AlarmListScreen({ navigation }) {
+// How often the "rings in" labels are refreshed
+const COUNTDOWN_REFRESH_MS = 30 * 1000;
+
+export default function AlarmListScreen({ route, navigation }) {
   const [alarms, setAlarms] = useState([]);
+  const [groups, setGroups] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [now, setNow] = useState(new Date());
+  const [toastMessage, setToastMessage] = useState(null);
+  const toast = route.params?.toast;
 
   useEffect(() => {
     loadAlarms();
@@ -27,10 +42,47 @@ export default function AlarmListScreen({ navigation }) {
     };
   }, [navigation]);
 
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), COUNTDOWN_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  // CreateAlarmScreen passes a message back after saving
+  useEffect(() => {
+    if (toast) {
+      setToastMessage(toast);
+      navigation.setParams({ toast: undefined });
+    }
+  }, [toast]);
+
+  useLayoutEffect(() => {
+    navigation.setOptions({
+      headerRight: () => (
+        <View style={styles.headerButtons}>
+          <TouchableOpacity onPress={showBackupOptions} style={styles.headerButton}>
+            <Ionicons name="swap-vertical" size={22} color="#007AFF" />
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => navigation.navigate('CalendarImport')}
+            style={styles.headerButton}
+            accessibilityLabel="Import from calendar"
+          >
+            <Ionicons name="calendar-outline" size={22} color="#007AFF" />
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => navigation.navigate('History')} style={styles.headerButton}>
+            <Ionicons name="stats-chart" size={22} color="#007AFF" />
+          </TouchableOpacity>
+        </View>
+      ),
+    });
+  }, [navigation]);
+
   const loadAlarms = async () => {
     try {
       const loadedAlarms = await AlarmStorage.loadAlarms();
       setAlarms(loadedAlarms);
+      setGroups(await AlarmStorage.loadGroups());
+      setNow(new Date());
     } catch (error) {
       Alert.alert('Error', 'Failed to load alarms');
     } finally {
@@ -47,6 +99,55 @@ export default function AlarmListScreen({ navigation }) {
     }
   };
 
+  const skipNextRing = async (alarm) => {
+    try {
+      await AlarmStorage.skipNextOccurrence(alarm.id);
+      loadAlarms();
+    } catch (error) {
+      Alert.alert('Error', 'Failed to skip the next ring');
+    }
+  };
+
+  const unskipDate = async (alarm, date) => {
+    try {
+      await AlarmStorage.unskipDate(alarm.id, date);
+      loadAlarms();
+    } catch (error) {
+      Alert.alert('Error', 'Failed to undo the skip');
+    }
+  };
+
+  const setGroupActive = async (group, isActive) => {
+    try {
+      await AlarmStorage.setGroupActive(group.id, isActive);
+      loadAlarms();
+    } catch (error) {
+      Alert.alert('Error', `Failed to turn ${isActive ? 'on' : 'off'} ${group.name}`);
+    }
+  };
+
+  const deleteGroup = (group) => {
+    Alert.alert(
+      'Delete Group',
+      `Delete "${group.name}"? Its alarms are kept and become ungrouped.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await AlarmStorage.deleteGroup(group.id);
+              loadAlarms();
+            } catch (error) {
+              Alert.alert('Error', 'Failed to delete group');
+            }
+          },
+        },
+      ]
+    );
+  };
+
   const deleteAlarm = async (alarmId) => {
     Alert.alert(
       'Delete Alarm',
@@ -69,8 +170,52 @@ export default function AlarmListScreen({ navigation }) {
     );
   };
 
-  const formatTime = (timeString) => {
-    const time = new Date(timeString);
+  const showBackupOptions = () => {
+    Alert.alert(
+      'Backup',
+      'Export your alarms to a file or import them from a backup.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Export', onPress: exportAlarms },
+        { text: 'Import', onPress: importAlarms },
+      ]
+    );
+  };
+
+  const exportAlarms = async () => {
+    try {
+      await BackupService.exportAlarms();
+    } catch (error) {
+      Alert.alert('Error', 'Failed to export alarms');
+    }
+  };
+
+  const importAlarms = async () => {
+    try {
+      const report = await BackupService.importFromFile();
+      if (!report) return; // Picker cancelled
+
+      if (report.errors.length > 0) {
+        Alert.alert('Import Failed', report.errors.slice(0, 5).join('\n'));
+        return;
+      }
+
+      const lines = [`Imported ${report.imported} alarm${report.imported === 1 ? '' : 's'}.`];
+      if (report.duplicates > 0) {
+        lines.push(`Skipped ${report.duplicates} already on this device.`);
+      }
+      report.conflicts.forEach(conflict => lines.push(`Conflict: "${conflict.label}" – ${conflict.reason}`));
+      report.warnings.forEach(warning => lines.push(warning));
+
+      Alert.alert('Import Complete', lines.join('\n'));
+      loadAlarms();
+    } catch (error) {
+      Alert.alert('Error', 'Failed to import alarms');
+    }
+  };
+
+  const formatTime = (alarm) => {
+    const time = wallClockToDate(alarm);
     return time.toLocaleTimeString([], { 
       hour: '2-digit', 
       minute: '2-digit',
@@ -78,38 +223,167 @@ export default function AlarmListScreen({ navigation }) {
     });
   };
 
-  const renderAlarmItem = ({ item }) => (
-    <View style={styles.alarmItem}>
-      <View style={styles.alarmInfo}>
-        <Text style={[styles.timeText, !item.isActive && styles.disabledText]}>
-          {formatTime(item.time)}
-        </Text>
-        <Text style={[styles.labelText, !item.isActive && styles.disabledText]}>
-          {item.label || 'Alarm'}
-        </Text>
-        <Text style={[styles.frequencyText, !item.isActive && styles.disabledText]}>
-          {item.frequency.charAt(0).toUpperCase() + item.frequency.slice(1)}
-        </Text>
-        <Text style={[styles.durationText, !item.isActive && styles.disabledText]}>
-          Duration: {item.duration} minutes
-        </Text>
+  const formatFrequency = (alarm) => {
+    const frequency = alarm.frequency === 'weekly'
+      ? formatDays(NotificationService.getAlarmDays(alarm))
+      : alarm.frequency.charAt(0).toUpperCase() + alarm.frequency.slice(1);
+    // Pinned alarms show whose clock they follow
+    return alarm.timeZone ? `${frequency} · ${alarm.timeZone.replace(/_/g, ' ')}` : frequency;
+  };
+
+  const formatCountdown = (alarm) => {
+    if (!alarm.isActive) return null;
+    const fireTime = getNextFireTime(alarm, now);
+    return fireTime ? `Rings in ${formatTimeUntil(fireTime, now)}` : null;
+  };
+
+  // Recurring alarms can skip their next ring and stay on
+  const renderSkip = (alarm) => {
+    const skippedDate = getNextSkippedDate(alarm, now);
+    if (skippedDate) {
+      return (
+        <View style={styles.skipRow}>
+          <Text style={styles.skipText}>Skipping {formatSkipDate(skippedDate)}</Text>
+          <TouchableOpacity
+            onPress={() => unskipDate(alarm, skippedDate)}
+            accessibilityLabel={`Ring on ${formatSkipDate(skippedDate)}`}
+          >
+            <Text style={styles.skipLink}>Undo</Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+    return (
+      <TouchableOpacity style={styles.skipRow} onPress={() => skipNextRing(alarm)}>
+        <Text style={styles.skipLink}>Skip next</Text>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderAlarmItem = ({ item }) => {
+    const countdown = formatCountdown(item);
+    return (
+      <View style={styles.alarmItem}>
+        <TouchableOpacity
+          style={styles.alarmInfo}
+          onPress={() => navigation.navigate('EditAlarm', { alarmId: item.id })}
+        >
+          <Text style={[styles.timeText, !item.isActive && styles.disabledText]}>
+            {formatTime(item)}
+          </Text>
+          <Text style={[styles.labelText, !item.isActive && styles.disabledText]}>
+            {item.label || 'Alarm'}
+          </Text>
+          <Text style={[styles.frequencyText, !item.isActive && styles.disabledText]}>
+            {formatFrequency(item)}
+          </Text>
+          <Text style={[styles.durationText, !item.isActive && styles.disabledText]}>
+            Duration: {item.duration} minutes
+          </Text>
+          {countdown && (
+            <Text style={styles.countdownText}>{countdown}</Text>
+          )}
+          {item.isActive && item.frequency !== 'once' && renderSkip(item)}
+        </TouchableOpacity>
+        <View style={styles.alarmControls}>
+          <Switch
+            value={item.isActive}
+            accessibilityLabel={item.label || 'Alarm'}
+            onValueChange={() => toggleAlarm(item.id)}
+            trackColor={{ false: '#767577', true: '#81b0ff' }}
+            thumbColor={item.isActive ? '#f5dd4b' : '#f4f3f4'}
+          />
+          <TouchableOpacity
+            style={styles.editButton}
+            accessibilityLabel="Edit alarm"
+            onPress={() => navigation.navigate('EditAlarm', { alarmId: item.id })}
+          >
+            <Ionicons name="create-outline" size={24} color="#007AFF" />
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.deleteButton}
+            accessibilityLabel="Delete alarm"
+            onPress={() => deleteAlarm(item.id)}
+          >
+            <Ionicons name="trash" size={24} color="#ff4444" />
+          </TouchableOpacity>
+        </View>
       </View>
-      <View style={styles.alarmControls}>
+    );
+  };
+
+  const renderSectionHeader = ({ section }) => {
+    // Without any groups the list looks as it always did
+    if (groups.length === 0) return null;
+    if (!section.group) {
+      return <Text style={[styles.sectionTitle, styles.sectionHeader]}>Other alarms</Text>;
+    }
+
+    const { active, total, isActive } = summarizeGroup(section.data);
+    return (
+      <View style={styles.sectionHeader}>
+        <View style={styles.sectionTitleGroup}>
+          <Text style={styles.sectionTitle}>{section.group.name}</Text>
+          <Text style={styles.sectionSubtitle}>
+            {total === 0 ? 'No alarms' : `${active} of ${total} on`}
+          </Text>
+        </View>
         <Switch
-          value={item.isActive}
-          onValueChange={() => toggleAlarm(item.id)}
+          value={isActive}
+          disabled={total === 0}
+          accessibilityLabel={`${section.group.name} group`}
+          onValueChange={value => setGroupActive(section.group, value)}
           trackColor={{ false: '#767577', true: '#81b0ff' }}
-          thumbColor={item.isActive ? '#f5dd4b' : '#f4f3f4'}
+          thumbColor={isActive ? '#f5dd4b' : '#f4f3f4'}
         />
         <TouchableOpacity
           style={styles.deleteButton}
-          onPress={() => deleteAlarm(item.id)}
+          accessibilityLabel={`Delete ${section.group.name} group`}
+          onPress={() => deleteGroup(section.group)}
         >
-          <Ionicons name="trash" size={24} color="#ff4444" />
+          <Ionicons name="trash-outline" size={20} color="#ff4444" />
         </TouchableOpacity>
       </View>
-    </View>
-  );
+    );
+  };
+
+  // One tap per profile, e.g. Vacation on and Workdays off
+  const renderQuickSwitcher = (sections) => {
+    const groupSections = sections.filter(section => section.group && section.data.length > 0);
+    if (groupSections.length === 0) return null;
+
+    return (
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.switcher}
+        contentContainerStyle={styles.switcherContent}
+      >
+        {groupSections.map(({ group, data }) => {
+          const { isActive } = summarizeGroup(data);
+          return (
+            <TouchableOpacity
+              key={group.id}
+              style={[styles.switcherChip, isActive && styles.switcherChipActive]}
+              onPress={() => setGroupActive(group, !isActive)}
+              accessibilityRole="switch"
+              accessibilityState={{ checked: isActive }}
+              accessibilityLabel={`Quick switch ${group.name}`}
+            >
+              <Ionicons
+                name={isActive ? 'notifications' : 'notifications-off-outline'}
+                size={16}
+                color={isActive ? 'white' : '#007AFF'}
+              />
+              <Text style={[styles.switcherChipText, isActive && styles.switcherChipTextActive]}>
+                {group.name}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+    );
+  };
 
   if (loading) {
     return (
@@ -119,8 +393,21 @@ export default function AlarmListScreen({ navigation }) {
     );
   }
 
+  const sections = groupAlarms(alarms, groups);
+  // Past the pending-notification budget the OS silently drops rings
+  const { fits } = NotificationService.getScheduleWindow(alarms, now);
+
   return (
     <View style={styles.container}>
+      {!fits && (
+        <View style={styles.budgetWarning}>
+          <Ionicons name="warning-outline" size={18} color="#b26a00" />
+          <Text style={styles.budgetWarningText}>
+            Too many alarms are on for this device to schedule a full day ahead, so some may not ring. Turn some off or combine them.
+          </Text>
+        </View>
+      )}
+      {alarms.length > 0 && renderQuickSwitcher(sections)}
       {alarms.length === 0 ? (
         <View style={styles.centerContainer}>
           <Ionicons name="alarm-outline" size={64} color="#ccc" />
@@ -128,20 +415,26 @@ export default function AlarmListScreen({ navigation }) {
           <Text style={styles.emptySubtext}>Tap the + button to create your first alarm</Text>
         </View>
       ) : (
-        <FlatList
-          data={alarms}
+        <SectionList
+          sections={sections}
           renderItem={renderAlarmItem}
+          renderSectionHeader={renderSectionHeader}
           keyExtractor={(item) => item.id}
+          extraData={now}
+          stickySectionHeadersEnabled={false}
           style={styles.list}
         />
       )}
       
       <TouchableOpacity
         style={styles.fab}
+        accessibilityLabel="Add alarm"
         onPress={() => navigation.navigate('CreateAlarm')}
       >
         <Ionicons name="add" size={28} color="white" />
       </TouchableOpacity>
+
+      <Toast message={toastMessage} onHide={() => setToastMessage(null)} />
     </View>
   );
 }
@@ -151,6 +444,18 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: '#f5f5f5',
   },
+  budgetWarning: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff4e0',
+    padding: 12,
+    gap: 8,
+  },
+  budgetWarningText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#b26a00',
+  },
   centerContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -161,6 +466,55 @@ const styles = StyleSheet.create({
     flex: 1,
     padding: 16,
   },
+  switcher: {
+    flexGrow: 0,
+  },
+  switcherContent: {
+    paddingHorizontal: 16,
+    paddingTop: 12,
+    gap: 8,
+  },
+  switcherChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    backgroundColor: 'white',
+  },
+  switcherChipActive: {
+    backgroundColor: '#007AFF',
+  },
+  switcherChipText: {
+    fontSize: 14,
+    color: '#007AFF',
+    marginLeft: 6,
+  },
+  switcherChipTextActive: {
+    color: 'white',
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+    marginBottom: 8,
+    gap: 8,
+  },
+  sectionTitleGroup: {
+    flex: 1,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+  },
+  sectionSubtitle: {
+    fontSize: 13,
+    color: '#888',
+    marginTop: 2,
+  },
   alarmItem: {
     backgroundColor: 'white',
     borderRadius: 12,
@@ -206,9 +560,39 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     gap: 16,
   },
+  headerButtons: {
+    flexDirection: 'row',
+    gap: 16,
+  },
+  headerButton: {
+    padding: 4,
+  },
+  editButton: {
+    padding: 8,
+  },
   deleteButton: {
     padding: 8,
   },
+  countdownText: {
+    fontSize: 14,
+    color: '#007AFF',
+    marginTop: 4,
+  },
+  skipRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  skipText: {
+    fontSize: 14,
+    color: '#b26a00',
+    marginRight: 8,
+  },
+  skipLink: {
+    fontSize: 14,
+    color: '#007AFF',
+    fontWeight: '600',
+  },
   fab: {
     position: 'absolute',
     bottom: 20,
@@ -0,0 +1,413 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { AlarmStorage, DEFAULT_SNOOZE_INTERVAL, DEFAULT_MAX_SNOOZES } from '../services/AlarmStorage';
+import { CalendarService } from '../services/CalendarService';
+import { DEFAULT_CHALLENGE_TYPE } from '../challenges/ChallengeRegistry';
+import {
+  CALENDAR_IMPORT_DAYS,
+  CALENDAR_OFFSETS,
+  DEFAULT_CALENDAR_OFFSET,
+  buildCalendarAlarm,
+  formatOffset,
+  getAlarmTime,
+  planCalendarAlarms,
+} from '../utils/calendarAlarms';
+
+const STATUS_TEXT = {
+  allDay: 'All-day event',
+  existing: 'Already has an alarm',
+  passed: 'Alarm time has passed',
+};
+
+const formatTime = (date) => date.toLocaleTimeString([], {
+  hour: '2-digit',
+  minute: '2-digit',
+  hour12: true,
+});
+
+const formatDay = (date) => date.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' });
+
+export default function CalendarImportScreen({ navigation }) {
+  const [events, setEvents] = useState(null);
+  const [alarms, setAlarms] = useState([]);
+  const [offsetMinutes, setOffsetMinutes] = useState(DEFAULT_CALENDAR_OFFSET);
+  const [selected, setSelected] = useState(new Set());
+  const [picking, setPicking] = useState(false);
+  const [creating, setCreating] = useState(false);
+
+  const pickCalendar = async () => {
+    setPicking(true);
+    try {
+      const picked = await CalendarService.pickEvents();
+      if (!picked) return;
+      if (picked.length === 0) {
+        Alert.alert('Import Failed', 'This calendar has no events');
+        return;
+      }
+      setAlarms(await AlarmStorage.loadAlarms());
+      setEvents(picked);
+      setSelected(new Set());
+    } catch (error) {
+      console.error('Error reading calendar:', error);
+      Alert.alert('Import Failed', error.message);
+    } finally {
+      setPicking(false);
+    }
+  };
+
+  const rows = events
+    ? planCalendarAlarms(events, { now: new Date(), offsetMinutes, existingAlarms: alarms })
+    : [];
+  // Changing the offset can push an alarm time into the past
+  const chosenRows = rows.filter(row => row.status === 'new' && selected.has(row.key));
+  const availableRows = rows.filter(row => row.status === 'new');
+
+  const toggleRow = (key) => {
+    setSelected(current => {
+      const next = new Set(current);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+  };
+
+  const selectAll = () => {
+    const allSelected = availableRows.every(row => selected.has(row.key));
+    setSelected(allSelected ? new Set() : new Set(availableRows.map(row => row.key)));
+  };
+
+  const createAlarms = async () => {
+    setCreating(true);
+    const failed = [];
+    const passed = [];
+    let created = 0;
+    // One at a time, so each alarm is scheduled before the next is added
+    for (const row of chosenRows) {
+      // The list may have been open for a while; an alarm time that has gone by
+      // since is left out rather than moved to another day
+      if (getAlarmTime(row.start, offsetMinutes) <= new Date()) {
+        passed.push(row.summary);
+        continue;
+      }
+      try {
+        await AlarmStorage.addAlarm({
+          ...buildCalendarAlarm(row, offsetMinutes),
+          duration: 5,
+          snoozeInterval: DEFAULT_SNOOZE_INTERVAL,
+          maxSnoozes: DEFAULT_MAX_SNOOZES,
+          challengeType: DEFAULT_CHALLENGE_TYPE,
+        });
+        created += 1;
+      } catch (error) {
+        failed.push(row.summary);
+      }
+    }
+    setCreating(false);
+
+    if (passed.length > 0) {
+      Alert.alert(
+        'Alarm Times Passed',
+        `These events are too soon for an alarm ${formatOffset(offsetMinutes)} before: ${passed.join(', ')}`
+      );
+    }
+    if (failed.length > 0) {
+      Alert.alert(
+        'Some Alarms Not Created',
+        `Alarms could not be set for: ${failed.join(', ')}`
+      );
+    }
+    if (created > 0) {
+      navigation.popTo('AlarmList', {
+        toast: `Created ${created} alarm${created === 1 ? '' : 's'} from your calendar`,
+      });
+    }
+  };
+
+  const renderRow = (row) => {
+    const available = row.status === 'new';
+    const checked = available && selected.has(row.key);
+    return (
+      <TouchableOpacity
+        key={row.key}
+        style={styles.eventRow}
+        onPress={() => toggleRow(row.key)}
+        disabled={!available}
+        accessibilityRole="checkbox"
+        accessibilityLabel={`${row.summary}, ${formatDay(row.start)}`}
+        accessibilityState={{ checked, disabled: !available }}
+      >
+        <Ionicons
+          name={checked ? 'checkbox' : 'square-outline'}
+          size={24}
+          color={available ? '#007AFF' : '#ccc'}
+        />
+        <View style={styles.eventInfo}>
+          <Text style={[styles.eventTitle, !available && styles.eventTitleDisabled]}>
+            {row.summary || 'Untitled event'}
+          </Text>
+          <Text style={styles.eventTime}>
+            {row.status === 'allDay'
+              ? formatDay(row.start)
+              : `${formatDay(row.start)} · ${formatTime(row.start)}`}
+          </Text>
+          <Text style={available ? styles.alarmTime : styles.statusText}>
+            {available ? `Alarm at ${formatTime(row.alarmAt)}` : STATUS_TEXT[row.status]}
+          </Text>
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  if (!events) {
+    return (
+      <View style={styles.centerContainer}>
+        <Ionicons name="calendar-outline" size={64} color="#ccc" />
+        <Text style={styles.emptyText}>Wake up before your events</Text>
+        <Text style={styles.emptySubtext}>
+          Choose an .ics calendar file to set one-time alarms before meetings, flights and other events
+        </Text>
+        <TouchableOpacity
+          style={[styles.primaryButton, picking && styles.primaryButtonDisabled]}
+          onPress={pickCalendar}
+          disabled={picking}
+        >
+          <Text style={styles.primaryButtonText}>Choose Calendar File</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  const hasApproximate = rows.some(row => row.approximate);
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.content}>
+
+        {/* Offset */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Ring Before Each Event</Text>
+          <View style={styles.offsetChips}>
+            {CALENDAR_OFFSETS.map(minutes => {
+              const chosen = minutes === offsetMinutes;
+              return (
+                <TouchableOpacity
+                  key={minutes}
+                  style={[styles.offsetChip, chosen && styles.offsetChipSelected]}
+                  onPress={() => setOffsetMinutes(minutes)}
+                  accessibilityRole="radio"
+                  accessibilityState={{ selected: chosen }}
+                >
+                  <Text style={[styles.offsetChipText, chosen && styles.offsetChipTextSelected]}>
+                    {formatOffset(minutes)}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </View>
+
+        {/* Events */}
+        <View style={styles.section}>
+          <View style={styles.sectionHeader}>
+            <Text style={styles.sectionTitleInline}>Events</Text>
+            {availableRows.length > 0 && (
+              <TouchableOpacity onPress={selectAll}>
+                <Text style={styles.linkText}>
+                  {availableRows.every(row => selected.has(row.key)) ? 'Select none' : 'Select all'}
+                </Text>
+              </TouchableOpacity>
+            )}
+          </View>
+          {rows.length === 0 ? (
+            <Text style={styles.helperText}>
+              No events in the next {CALENDAR_IMPORT_DAYS} days
+            </Text>
+          ) : (
+            rows.map(renderRow)
+          )}
+          {hasApproximate && (
+            <Text style={styles.helperText}>
+              Some events repeat in a way the app can't follow; only their first date is listed
+            </Text>
+          )}
+          <Text style={styles.helperText}>
+            Each selected event gets a one-time alarm. Events in the next {CALENDAR_IMPORT_DAYS} days are listed.
+          </Text>
+        </View>
+
+        <TouchableOpacity
+          style={[styles.primaryButton, (chosenRows.length === 0 || creating) && styles.primaryButtonDisabled]}
+          onPress={createAlarms}
+          disabled={chosenRows.length === 0 || creating}
+        >
+          <Text style={styles.primaryButtonText}>
+            {creating
+              ? 'Creating...'
+              : `Create ${chosenRows.length} Alarm${chosenRows.length === 1 ? '' : 's'}`}
+          </Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.secondaryButton} onPress={pickCalendar} disabled={picking}>
+          <Text style={styles.linkText}>Choose another file</Text>
+        </TouchableOpacity>
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: '#f5f5f5',
+  },
+  content: {
+    padding: 20,
+  },
+  emptyText: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 16,
+  },
+  emptySubtext: {
+    fontSize: 16,
+    color: '#666',
+    marginTop: 8,
+    textAlign: 'center',
+  },
+  section: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 12,
+  },
+  sectionTitleInline: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+  },
+  offsetChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  offsetChip: {
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    backgroundColor: '#fafafa',
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+  },
+  offsetChipSelected: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF',
+  },
+  offsetChipText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  offsetChipTextSelected: {
+    color: 'white',
+  },
+  eventRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  eventInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  eventTitle: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#333',
+  },
+  eventTitleDisabled: {
+    color: '#999',
+  },
+  eventTime: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 2,
+  },
+  alarmTime: {
+    fontSize: 14,
+    color: '#007AFF',
+    marginTop: 2,
+  },
+  statusText: {
+    fontSize: 14,
+    color: '#999',
+    marginTop: 2,
+  },
+  linkText: {
+    fontSize: 14,
+    color: '#007AFF',
+  },
+  helperText: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 8,
+    fontStyle: 'italic',
+  },
+  primaryButton: {
+    backgroundColor: '#007AFF',
+    borderRadius: 12,
+    padding: 16,
+    alignItems: 'center',
+    alignSelf: 'stretch',
+    marginTop: 20,
+  },
+  primaryButtonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  primaryButtonText: {
+    color: 'white',
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  secondaryButton: {
+    alignItems: 'center',
+    padding: 12,
+    marginBottom: 40,
+  },
+});
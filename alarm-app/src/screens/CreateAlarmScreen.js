@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -8,22 +8,141 @@ import {
   Alert,
   ScrollView,
   Platform,
+  Switch,
 } from 'react-native';
 import { Picker } from '@react-native-picker/picker';
 import DateTimePicker from '@react-native-community/datetimepicker';
-import * as DocumentPicker from 'expo-document-picker';
 import { Ionicons } from '@expo/vector-icons';
-import { AlarmStorage } from '../services/AlarmStorage';
+import { AlarmStorage, DEFAULT_SNOOZE_INTERVAL, DEFAULT_MAX_SNOOZES } from '../services/AlarmStorage';
 import { NotificationService } from '../services/NotificationService';
+import { RingtoneLibrary } from '../services/RingtoneLibrary';
+import { CalendarService } from '../services/CalendarService';
+import { describeTrim, getTrim } from '../utils/ringtoneTrim';
+import { GROUP_SUGGESTIONS, MAX_GROUP_NAME_LENGTH, getGroupId, validateGroupName } from '../utils/alarmGroups';
+import { WEEKDAYS, WEEKDAY_PRESETS, normalizeDays } from '../utils/weekdays';
+import { ChallengeRegistry, DEFAULT_CHALLENGE_TYPE } from '../challenges/ChallengeRegistry';
+import { GENTLE_WAKE_DEFAULTS } from '../utils/wakeIntensity';
+import {
+  DEFAULT_TONE_ID,
+  DEFAULT_VIBRATION_PRESET,
+  VIBRATION_PRESETS,
+  getAlarmTone,
+  getVibrationPreset,
+} from '../utils/alarmSounds';
+import { COMMON_TIME_ZONES, getDeviceTimeZone, toWallClock, wallClockToDate } from '../utils/alarmTime';
+import { formatTimeUntil, getNextFireTime } from '../utils/scheduling';
+import { formatSkipDate, getOccurrenceDate, mergeSkipDates, removeSkipDate } from '../utils/skipDates';
+
+const RAMP_OPTIONS = [15, 30, 60, 120];
+const ESCALATE_OPTIONS = [60, 120, 180, 300];
+
+const getTimeZoneOptions = (selected) => {
+  const zones = [getDeviceTimeZone(), selected, ...COMMON_TIME_ZONES].filter(Boolean);
+  return Array.from(new Set(zones));
+};
 
-export default function CreateAlarmScreen({ navigation }) {
+export default function CreateAlarmScreen({ route, navigation }) {
+  const { alarmId, pickedRingtone } = route.params || {};
+  const isEditing = !!alarmId;
   const [time, setTime] = useState(new Date());
   const [showTimePicker, setShowTimePicker] = useState(false);
+  // null follows the device; a zone name pins the alarm to that zone's clock
+  const [timeZone, setTimeZone] = useState(null);
   const [label, setLabel] = useState('');
   const [frequency, setFrequency] = useState('once');
+  const [days, setDays] = useState([1, 2, 3, 4, 5]);
   const [duration, setDuration] = useState('5');
+  const [snoozeInterval, setSnoozeInterval] = useState(String(DEFAULT_SNOOZE_INTERVAL));
+  const [maxSnoozes, setMaxSnoozes] = useState(String(DEFAULT_MAX_SNOOZES));
+  const [challengeType, setChallengeType] = useState(DEFAULT_CHALLENGE_TYPE);
+  const [challengeDifficulty, setChallengeDifficulty] = useState(null);
+  const [gentleWake, setGentleWake] = useState(false);
+  const [rampSeconds, setRampSeconds] = useState(GENTLE_WAKE_DEFAULTS.rampSeconds);
+  const [escalateAfterSeconds, setEscalateAfterSeconds] = useState(GENTLE_WAKE_DEFAULTS.escalateAfterSeconds);
+  const [toneId, setToneId] = useState(DEFAULT_TONE_ID);
+  const [vibrationPreset, setVibrationPreset] = useState(DEFAULT_VIBRATION_PRESET);
   const [saving, setSaving] = useState(false);
   const [customRingtone, setCustomRingtone] = useState(null);
+  const [ringtoneMissing, setRingtoneMissing] = useState(false);
+  // null until loaded
+  const [groups, setGroups] = useState(null);
+  const [groupId, setGroupId] = useState(null);
+  const [newGroupName, setNewGroupName] = useState('');
+  const [skipDates, setSkipDates] = useState([]);
+  const [calendarEvent, setCalendarEvent] = useState(null);
+  const [loading, setLoading] = useState(isEditing);
+
+  useEffect(() => {
+    if (isEditing) {
+      loadAlarmForEditing();
+    }
+  }, [alarmId]);
+
+  useEffect(() => {
+    AlarmStorage.loadGroups().then(setGroups);
+  }, []);
+
+  // Handed back by RingtonePicker
+  useEffect(() => {
+    if (pickedRingtone) {
+      setToneId(pickedRingtone.toneId);
+      setCustomRingtone(pickedRingtone.customRingtone);
+      navigation.setParams({ pickedRingtone: undefined });
+    }
+  }, [pickedRingtone]);
+
+  // Warn before saving an alarm whose imported file has been deleted
+  useEffect(() => {
+    let cancelled = false;
+    setRingtoneMissing(false);
+    if (customRingtone) {
+      RingtoneLibrary.isAvailable(customRingtone).then(available => {
+        if (!cancelled) setRingtoneMissing(!available);
+      });
+    }
+    return () => { cancelled = true; };
+  }, [customRingtone]);
+
+  const loadAlarmForEditing = async () => {
+    try {
+      const alarm = await AlarmStorage.getAlarm(alarmId);
+      if (!alarm) {
+        Alert.alert('Error', 'This alarm no longer exists.', [
+          { text: 'OK', onPress: () => navigation.goBack() },
+        ]);
+        return;
+      }
+
+      // The picker only shows hour and minute; saving picks the next date again,
+      // except for alarms made for a calendar event, which keep the event's day
+      setTime(wallClockToDate(alarm));
+      setTimeZone(alarm.timeZone || null);
+      setLabel(alarm.label || '');
+      setFrequency(alarm.frequency || 'once');
+      setCalendarEvent(alarm.calendarEvent || null);
+      if (alarm.frequency === 'weekly') {
+        setDays(NotificationService.getAlarmDays(alarm));
+      }
+      setDuration(String(alarm.duration || 5));
+      setSnoozeInterval(String(alarm.snoozeInterval ?? DEFAULT_SNOOZE_INTERVAL));
+      setMaxSnoozes(String(alarm.maxSnoozes ?? DEFAULT_MAX_SNOOZES));
+      setChallengeType(ChallengeRegistry.get(alarm.challengeType).type);
+      setChallengeDifficulty(alarm.challengeDifficulty || null);
+      setGentleWake(!!alarm.gentleWake);
+      setRampSeconds(alarm.rampSeconds ?? GENTLE_WAKE_DEFAULTS.rampSeconds);
+      setEscalateAfterSeconds(alarm.escalateAfterSeconds ?? GENTLE_WAKE_DEFAULTS.escalateAfterSeconds);
+      setToneId(getAlarmTone(alarm.toneId).id);
+      setVibrationPreset(getVibrationPreset(alarm.vibrationPreset).id);
+      setCustomRingtone(alarm.customRingtone || null);
+      setGroupId(alarm.groupId || null);
+      setSkipDates(alarm.skipDates || []);
+    } catch (error) {
+      console.error('Error loading alarm for editing:', error);
+      Alert.alert('Error', 'Failed to load alarm');
+    } finally {
+      setLoading(false);
+    }
+  };
 
   const handleTimeChange = (event, selectedTime) => {
     const currentTime = selectedTime || time;
@@ -39,6 +158,21 @@ export default function CreateAlarmScreen({ navigation }) {
     });
   };
 
+  const selectedChallenge = ChallengeRegistry.get(challengeType);
+  const selectedDifficulty = challengeDifficulty || ChallengeRegistry.getDefaultDifficulty(selectedChallenge);
+
+  const changeChallengeType = (type) => {
+    setChallengeType(type);
+    // Difficulty levels differ between challenges
+    setChallengeDifficulty(null);
+  };
+
+  const toggleDay = (day) => {
+    setDays(prev =>
+      prev.includes(day) ? prev.filter(d => d !== day) : normalizeDays([...prev, day])
+    );
+  };
+
   const validateForm = () => {
     if (!label.trim()) {
       Alert.alert('Error', 'Please enter an alarm label');
@@ -50,24 +184,92 @@ export default function CreateAlarmScreen({ navigation }) {
       Alert.alert('Error', 'Duration must be between 1 and 60 minutes');
       return false;
     }
+
+    const snoozeIntervalNum = parseInt(snoozeInterval);
+    if (isNaN(snoozeIntervalNum) || snoozeIntervalNum < 1 || snoozeIntervalNum > 30) {
+      Alert.alert('Error', 'Snooze interval must be between 1 and 30 minutes');
+      return false;
+    }
+
+    const maxSnoozesNum = parseInt(maxSnoozes);
+    if (isNaN(maxSnoozesNum) || maxSnoozesNum < 0 || maxSnoozesNum > 10) {
+      Alert.alert('Error', 'Maximum snoozes must be between 0 and 10');
+      return false;
+    }
+
+    if (frequency === 'weekly' && days.length === 0) {
+      Alert.alert('Error', 'Please select at least one day');
+      return false;
+    }
     
     return true;
   };
 
-  const pickCustomRingtone = async () => {
+  const openRingtonePicker = () => {
+    navigation.navigate('RingtonePicker', {
+      toneId,
+      customRingtone,
+      returnTo: isEditing ? 'EditAlarm' : 'CreateAlarm',
+    });
+  };
+
+  // Creates the group and puts this alarm in it
+  const addGroup = async (name) => {
+    const problem = validateGroupName(name, groups);
+    if (problem) {
+      Alert.alert('Group', problem);
+      return;
+    }
     try {
-      const result = await DocumentPicker.getDocumentAsync({
-        type: 'audio/*',
-        copyToCacheDirectory: true,
-      });
-      
-      if (!result.canceled && result.assets && result.assets.length > 0) {
-        setCustomRingtone(result.assets[0]);
-        Alert.alert('Success', 'Custom ringtone selected!');
+      const group = await AlarmStorage.addGroup(name);
+      setGroups(current => [...current, group]);
+      setGroupId(group.id);
+      setNewGroupName('');
+    } catch (error) {
+      Alert.alert('Error', 'Failed to create group. Please try again.');
+    }
+  };
+
+  // The alarm as currently filled in, for working out which dates it rings on
+  const getDraftSchedule = () => ({
+    ...toWallClock(time),
+    timeZone,
+    frequency,
+    days: normalizeDays(days),
+    skipDates,
+  });
+
+  // Today in the alarm's zone; earlier skip dates no longer matter
+  const getToday = () => getOccurrenceDate({ timeZone }, new Date());
+
+  const skipNextRing = () => {
+    const draft = getDraftSchedule();
+    const fireTime = getNextFireTime(draft);
+    if (!fireTime) return;
+    setSkipDates(mergeSkipDates(skipDates, [{ date: getOccurrenceDate(draft, fireTime), name: null }], getToday()));
+  };
+
+  const importHolidays = async () => {
+    try {
+      const result = await CalendarService.importHolidays(getToday());
+      if (!result) return; // Picker cancelled
+
+      if (result.errors.length > 0) {
+        Alert.alert('Import Failed', result.errors.join('\n'));
+        return;
       }
+      const merged = mergeSkipDates(skipDates, result.holidays, getToday());
+      const added = merged.length - skipDates.length;
+      setSkipDates(merged);
+      Alert.alert(
+        'Holidays Added',
+        added > 0
+          ? `This alarm will skip ${added} more date${added === 1 ? '' : 's'} once saved.`
+          : 'This alarm already skips every date in this calendar.'
+      );
     } catch (error) {
-      console.error('Error picking ringtone:', error);
-      Alert.alert('Error', 'Failed to select ringtone. Please try again.');
+      console.error('Error importing holidays:', error);
+      Alert.alert('Error', 'Failed to import holidays');
     }
   };
 
@@ -76,38 +278,63 @@ export default function CreateAlarmScreen({ navigation }) {
     
     setSaving(true);
     try {
-      // Add debugging log for alarm time
-      console.log('Creating alarm for time:', time.toISOString());
+      const { hour, minute } = toWallClock(time);
+      console.log('Creating alarm for:', `${hour}:${minute}`, timeZone || '(device time zone)');
       console.log('Current time:', new Date().toISOString());
       
       const alarmData = {
-        time: time.toISOString(),
+        hour,
+        minute,
+        timeZone,
         label: label.trim(),
         frequency,
+        days: frequency === 'weekly' ? normalizeDays(days) : undefined,
         duration: parseInt(duration),
+        snoozeInterval: parseInt(snoozeInterval),
+        maxSnoozes: parseInt(maxSnoozes),
+        challengeType,
+        challengeDifficulty: selectedDifficulty,
+        gentleWake,
+        rampSeconds,
+        escalateAfterSeconds,
+        toneId,
+        vibrationPreset,
+        customRingtone,
+        groupId: getGroupId({ groupId }, groups || []),
+        skipDates: frequency === 'once' ? undefined : mergeSkipDates(skipDates, [], getToday()),
+        calendarEvent: frequency === 'once' && calendarEvent ? calendarEvent : undefined,
       };
       
-      // AlarmStorage.addAlarm already handles notification scheduling
-      const newAlarm = await AlarmStorage.addAlarm(alarmData);
+      // AlarmStorage.addAlarm and editAlarm already handle notification scheduling
+      const savedAlarm = isEditing
+        ? await AlarmStorage.editAlarm(alarmId, alarmData)
+        : await AlarmStorage.addAlarm(alarmData);
       
-      // Save custom ringtone if selected
-      if (customRingtone) {
-        await AlarmStorage.setCustomRingtone(newAlarm.id, customRingtone.uri);
-      }
-      
-      Alert.alert(
-        'Alarm Created',
-        `Your alarm has been set for ${formatTimeDisplay(time)}`,
-        [{ text: 'OK', onPress: () => navigation.goBack() }]
-      );
+      // Say exactly when it rings, since a one-time alarm may have moved to tomorrow
+      const fireTime = getNextFireTime(savedAlarm);
+      const toast = fireTime
+        ? `Alarm set for ${formatTimeUntil(fireTime)} from now`
+        : `Alarm set for ${formatTimeDisplay(time)}`;
+      navigation.popTo('AlarmList', { toast });
     } catch (error) {
       console.error('Error saving alarm:', error);
-      Alert.alert('Error', 'Failed to create alarm. Please try again.');
+      Alert.alert('Error', `Failed to ${isEditing ? 'update' : 'create'} alarm. Please try again.`);
     } finally {
       setSaving(false);
     }
   };
 
+  if (loading) {
+    return (
+      <View style={styles.centerContainer}>
+        <Text>Loading alarm...</Text>
+      </View>
+    );
+  }
+
+  // Suggested names not already taken
+  const groupSuggestions = groups ? GROUP_SUGGESTIONS.filter(name => !validateGroupName(name, groups)) : [];
+
   return (
     <ScrollView style={styles.container}>
       <View style={styles.content}>
@@ -123,6 +350,15 @@ export default function CreateAlarmScreen({ navigation }) {
               {formatTimeDisplay(time)}
             </Text>
           </TouchableOpacity>
+          {calendarEvent && frequency === 'once' && (
+            <Text style={styles.helperText}>
+              For "{calendarEvent.summary || 'Calendar event'}" on {new Date(calendarEvent.start).toLocaleDateString([], {
+                weekday: 'short',
+                month: 'short',
+                day: 'numeric',
+              })}
+            </Text>
+          )}
           
           {showTimePicker && (
             <DateTimePicker
@@ -133,6 +369,34 @@ export default function CreateAlarmScreen({ navigation }) {
               onChange={handleTimeChange}
             />
           )}
+
+          <View style={[styles.switchRow, styles.timeZoneRow]}>
+            <Text style={styles.fieldLabel}>Pin to a time zone</Text>
+            <Switch
+              value={!!timeZone}
+              onValueChange={(pinned) => setTimeZone(pinned ? getDeviceTimeZone() || 'UTC' : null)}
+              trackColor={{ false: '#767577', true: '#81b0ff' }}
+              thumbColor={timeZone ? '#f5dd4b' : '#f4f3f4'}
+            />
+          </View>
+          {timeZone && (
+            <View style={styles.pickerContainer}>
+              <Picker
+                selectedValue={timeZone}
+                onValueChange={setTimeZone}
+                style={styles.picker}
+              >
+                {getTimeZoneOptions(timeZone).map(zone => (
+                  <Picker.Item key={zone} label={zone.replace(/_/g, ' ')} value={zone} />
+                ))}
+              </Picker>
+            </View>
+          )}
+          <Text style={styles.helperText}>
+            {timeZone
+              ? `Rings at this time in ${timeZone.replace(/_/g, ' ')}, wherever you are.`
+              : 'Follows your current time zone, so it keeps the same local time when you travel.'}
+          </Text>
         </View>
 
         {/* Label Input */}
@@ -148,6 +412,60 @@ export default function CreateAlarmScreen({ navigation }) {
           />
         </View>
 
+        {/* Group */}
+        {groups && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Group</Text>
+            <View style={styles.groupChips}>
+              {[{ id: null, name: 'None' }, ...groups].map(group => {
+                const selected = groupId === group.id;
+                return (
+                  <TouchableOpacity
+                    key={group.id || 'none'}
+                    style={[styles.groupChip, selected && styles.dayChipSelected]}
+                    onPress={() => setGroupId(group.id)}
+                    accessibilityRole="radio"
+                    accessibilityState={{ selected }}
+                  >
+                    <Text style={[styles.groupChipText, selected && styles.dayChipTextSelected]}>
+                      {group.name}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+            <View style={styles.newGroupRow}>
+              <TextInput
+                style={[styles.textInput, styles.newGroupInput]}
+                value={newGroupName}
+                onChangeText={setNewGroupName}
+                placeholder="New group name"
+                placeholderTextColor="#999"
+                maxLength={MAX_GROUP_NAME_LENGTH}
+              />
+              <TouchableOpacity
+                style={styles.newGroupButton}
+                onPress={() => addGroup(newGroupName)}
+                accessibilityLabel="Add group"
+              >
+                <Ionicons name="add-circle" size={32} color="#007AFF" />
+              </TouchableOpacity>
+            </View>
+            {groupSuggestions.length > 0 && (
+              <View style={styles.dayPresets}>
+                {groupSuggestions.map(name => (
+                  <TouchableOpacity key={name} style={styles.dayPresetButton} onPress={() => addGroup(name)}>
+                    <Text style={styles.dayPresetText}>+ {name}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
+            <Text style={styles.helperText}>
+              A group's alarms can be turned on and off together from the alarm list
+            </Text>
+          </View>
+        )}
+
         {/* Frequency Selection */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Frequency</Text>
@@ -156,14 +474,80 @@ export default function CreateAlarmScreen({ navigation }) {
               selectedValue={frequency}
               onValueChange={setFrequency}
               style={styles.picker}
+              accessibilityLabel="Frequency"
             >
               <Picker.Item label="Once" value="once" />
               <Picker.Item label="Daily" value="daily" />
-              <Picker.Item label="Weekly" value="weekly" />
+              <Picker.Item label="Weekly (selected days)" value="weekly" />
             </Picker>
           </View>
+
+          {frequency === 'weekly' && (
+            <View>
+              <View style={styles.dayChips}>
+                {WEEKDAYS.map(day => {
+                  const selected = days.includes(day.value);
+                  return (
+                    <TouchableOpacity
+                      key={day.value}
+                      style={[styles.dayChip, selected && styles.dayChipSelected]}
+                      onPress={() => toggleDay(day.value)}
+                      accessibilityLabel={day.short}
+                      accessibilityState={{ selected }}
+                    >
+                      <Text style={[styles.dayChipText, selected && styles.dayChipTextSelected]}>
+                        {day.initial}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+              <View style={styles.dayPresets}>
+                {WEEKDAY_PRESETS.map(preset => (
+                  <TouchableOpacity
+                    key={preset.label}
+                    style={styles.dayPresetButton}
+                    onPress={() => setDays(preset.days)}
+                  >
+                    <Text style={styles.dayPresetText}>{preset.label}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+          )}
         </View>
 
+        {/* Skip Dates */}
+        {frequency !== 'once' && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Skip Dates</Text>
+            {skipDates.map(skip => (
+              <View key={skip.date} style={styles.skipDateRow}>
+                <Text style={styles.skipDateText}>
+                  {formatSkipDate(skip.date)}{skip.name ? ` · ${skip.name}` : ''}
+                </Text>
+                <TouchableOpacity
+                  onPress={() => setSkipDates(removeSkipDate(skipDates, skip.date))}
+                  accessibilityLabel={`Ring on ${formatSkipDate(skip.date)}`}
+                >
+                  <Ionicons name="close-circle" size={22} color="#999" />
+                </TouchableOpacity>
+              </View>
+            ))}
+            <View style={styles.dayPresets}>
+              <TouchableOpacity style={styles.dayPresetButton} onPress={skipNextRing}>
+                <Text style={styles.dayPresetText}>Skip next ring</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.dayPresetButton} onPress={importHolidays}>
+                <Text style={styles.dayPresetText}>Import holidays (.ics)</Text>
+              </TouchableOpacity>
+            </View>
+            <Text style={styles.helperText}>
+              The alarm stays on and doesn't ring on these dates
+            </Text>
+          </View>
+        )}
+
         {/* Duration Selection */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Duration (minutes)</Text>
@@ -181,24 +565,158 @@ export default function CreateAlarmScreen({ navigation }) {
           </Text>
         </View>
 
-        {/* Custom Ringtone Selection */}
+        {/* Snooze Settings */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Snooze</Text>
+          <View style={styles.row}>
+            <View style={styles.rowItem}>
+              <Text style={styles.fieldLabel}>Interval (minutes)</Text>
+              <TextInput
+                style={styles.textInput}
+                value={snoozeInterval}
+                onChangeText={setSnoozeInterval}
+                placeholder="1-30"
+                placeholderTextColor="#999"
+                keyboardType="numeric"
+                maxLength={2}
+              />
+            </View>
+            <View style={styles.rowItem}>
+              <Text style={styles.fieldLabel}>Max snoozes</Text>
+              <TextInput
+                style={styles.textInput}
+                value={maxSnoozes}
+                onChangeText={setMaxSnoozes}
+                placeholder="0-10"
+                placeholderTextColor="#999"
+                keyboardType="numeric"
+                maxLength={2}
+              />
+            </View>
+          </View>
+          <Text style={styles.helperText}>
+            Set max snoozes to 0 to disable snoozing for this alarm
+          </Text>
+        </View>
+
+        {/* Dismissal Challenge Selection */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Dismissal Challenge</Text>
+          <View style={styles.pickerContainer}>
+            <Picker
+              selectedValue={challengeType}
+              onValueChange={changeChallengeType}
+              style={styles.picker}
+            >
+              {ChallengeRegistry.list().map(challenge => (
+                <Picker.Item key={challenge.type} label={challenge.label} value={challenge.type} />
+              ))}
+            </Picker>
+          </View>
+          {selectedChallenge.difficulties && (
+            <View style={[styles.pickerContainer, styles.difficultyPicker]}>
+              <Picker
+                selectedValue={selectedDifficulty}
+                onValueChange={setChallengeDifficulty}
+                style={styles.picker}
+              >
+                {selectedChallenge.difficulties.map(difficulty => (
+                  <Picker.Item key={difficulty.value} label={difficulty.label} value={difficulty.value} />
+                ))}
+              </Picker>
+            </View>
+          )}
+          <Text style={styles.helperText}>
+            {selectedChallenge.description}
+          </Text>
+        </View>
+
+        {/* Gentle Wake */}
+        <View style={styles.section}>
+          <View style={styles.switchRow}>
+            <Text style={styles.sectionTitleInline}>Gentle Wake</Text>
+            <Switch
+              value={gentleWake}
+              onValueChange={setGentleWake}
+              trackColor={{ false: '#767577', true: '#81b0ff' }}
+              thumbColor={gentleWake ? '#f5dd4b' : '#f4f3f4'}
+            />
+          </View>
+          {gentleWake && (
+            <View>
+              <Text style={styles.fieldLabel}>Fade in over</Text>
+              <View style={styles.pickerContainer}>
+                <Picker
+                  selectedValue={rampSeconds}
+                  onValueChange={setRampSeconds}
+                  style={styles.picker}
+                >
+                  {RAMP_OPTIONS.map(seconds => (
+                    <Picker.Item key={seconds} label={`${seconds} seconds`} value={seconds} />
+                  ))}
+                </Picker>
+              </View>
+              <Text style={[styles.fieldLabel, styles.fieldLabelSpaced]}>Get louder if still ringing after</Text>
+              <View style={styles.pickerContainer}>
+                <Picker
+                  selectedValue={escalateAfterSeconds}
+                  onValueChange={setEscalateAfterSeconds}
+                  style={styles.picker}
+                >
+                  {ESCALATE_OPTIONS.map(seconds => (
+                    <Picker.Item key={seconds} label={`${seconds / 60} minute${seconds === 60 ? '' : 's'}`} value={seconds} />
+                  ))}
+                </Picker>
+              </View>
+            </View>
+          )}
+          <Text style={styles.helperText}>
+            {gentleWake
+              ? 'Starts quietly, then switches to a louder tone and stronger vibration if not dismissed'
+              : 'The alarm rings at full volume from the start'}
+          </Text>
+        </View>
+
+        {/* Tone and Vibration */}
         <View style={styles.section}>
-          <Text style={styles.sectionTitle}>Ringtone</Text>
+          <Text style={styles.sectionTitle}>Sound & Vibration</Text>
           <TouchableOpacity
             style={styles.ringtoneButton}
-            onPress={pickCustomRingtone}
+            onPress={openRingtonePicker}
+            accessibilityLabel="Ringtone"
           >
             <Ionicons name="musical-note" size={24} color="#007AFF" />
-            <Text style={styles.ringtoneButtonText}>
-              {customRingtone ? customRingtone.name : 'Select Custom Ringtone'}
+            <Text style={styles.ringtoneButtonText} numberOfLines={1}>
+              {customRingtone ? customRingtone.name : getAlarmTone(toneId).label}
             </Text>
             <Ionicons name="chevron-forward" size={20} color="#999" />
           </TouchableOpacity>
+          {customRingtone && describeTrim(getTrim(customRingtone)) !== '' && (
+            <Text style={styles.helperText}>Plays {describeTrim(getTrim(customRingtone))}, then loops</Text>
+          )}
+          {ringtoneMissing && (
+            <Text style={styles.warningText}>
+              This file is no longer on the device, so the {getAlarmTone(toneId).label} tone will ring
+              instead. Pick the ringtone again to fix it.
+            </Text>
+          )}
+          <Text style={[styles.fieldLabel, styles.fieldLabelSpaced]}>Vibration</Text>
+          <View style={styles.pickerContainer}>
+            <Picker
+              selectedValue={vibrationPreset}
+              onValueChange={setVibrationPreset}
+              style={styles.picker}
+              accessibilityLabel="Vibration"
+            >
+              {VIBRATION_PRESETS.map(preset => (
+                <Picker.Item key={preset.id} label={preset.label} value={preset.id} />
+              ))}
+            </Picker>
+          </View>
           <Text style={styles.helperText}>
-            {customRingtone 
-              ? 'Custom ringtone selected. Default will be used if file is unavailable.'
-              : 'Choose a custom ringtone from your device or use default alarm sound'
-            }
+            {customRingtone
+              ? `The file plays once the alarm screen is open; the notification plays the ${getAlarmTone(toneId).label} tone`
+              : 'Used by the notification and while the alarm rings'}
           </Text>
         </View>
 
@@ -209,7 +727,9 @@ export default function CreateAlarmScreen({ navigation }) {
           disabled={saving}
         >
           <Text style={styles.saveButtonText}>
-            {saving ? 'Creating Alarm...' : 'Create Alarm'}
+            {isEditing
+              ? (saving ? 'Saving Changes...' : 'Save Changes')
+              : (saving ? 'Creating Alarm...' : 'Create Alarm')}
           </Text>
         </TouchableOpacity>
       </View>
@@ -222,6 +742,12 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: '#f5f5f5',
   },
+  centerContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
   content: {
     padding: 20,
   },
@@ -262,6 +788,35 @@ const styles = StyleSheet.create({
     color: '#333',
     backgroundColor: '#fafafa',
   },
+  row: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  rowItem: {
+    flex: 1,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 6,
+  },
+  fieldLabelSpaced: {
+    marginTop: 12,
+  },
+  timeZoneRow: {
+    marginTop: 15,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  sectionTitleInline: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+  },
   ringtoneButton: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -285,12 +840,103 @@ const styles = StyleSheet.create({
   picker: {
     height: 50,
   },
+  difficultyPicker: {
+    marginTop: 12,
+  },
+  dayChips: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 12,
+  },
+  dayChip: {
+    width: 38,
+    height: 38,
+    borderRadius: 19,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    backgroundColor: '#fafafa',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  dayChipSelected: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF',
+  },
+  dayChipText: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#333',
+  },
+  dayChipTextSelected: {
+    color: 'white',
+  },
+  groupChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  groupChip: {
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    backgroundColor: '#fafafa',
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+  },
+  groupChipText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  newGroupRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  newGroupInput: {
+    flex: 1,
+  },
+  newGroupButton: {
+    marginLeft: 8,
+  },
+  skipDateRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  skipDateText: {
+    fontSize: 16,
+    color: '#333',
+    flex: 1,
+  },
+  dayPresets: {
+    flexDirection: 'row',
+    marginTop: 12,
+    gap: 8,
+  },
+  dayPresetButton: {
+    backgroundColor: '#f0f0f0',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  dayPresetText: {
+    fontSize: 14,
+    color: '#007AFF',
+  },
   helperText: {
     fontSize: 14,
     color: '#666',
     marginTop: 8,
     fontStyle: 'italic',
   },
+  warningText: {
+    fontSize: 14,
+    color: '#b26a00',
+    marginTop: 8,
+  },
   saveButton: {
     backgroundColor: '#007AFF',
     borderRadius: 12,
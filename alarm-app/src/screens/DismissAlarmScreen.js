@@ -3,32 +3,56 @@ import {
   View,
   Text,
   StyleSheet,
-  TextInput,
   TouchableOpacity,
   Alert,
   Vibration,
   BackHandler,
 } from 'react-native';
 import { Audio } from 'expo-av';
-import * as DocumentPicker from 'expo-document-picker';
 import { Ionicons } from '@expo/vector-icons';
-import { AlarmStorage } from '../services/AlarmStorage';
-import { MistralService } from '../services/MistralService';
+import { AlarmStorage, DEFAULT_SNOOZE_INTERVAL, DEFAULT_MAX_SNOOZES } from '../services/AlarmStorage';
 import { NotificationService } from '../services/NotificationService';
+import { ChallengeRegistry, DEFAULT_CHALLENGE_TYPE } from '../challenges/ChallengeRegistry';
+import {
+  GENTLE_WAKE_START_VOLUME,
+  getEscalationLevel,
+  getGentleWakeSettings,
+  getRampVolume,
+  getVibrationPattern,
+} from '../utils/wakeIntensity';
+import { ESCALATION_TONE_ID, getAlarmTone, getSoundProfile } from '../utils/alarmSounds';
+import { RingtoneLibrary } from '../services/RingtoneLibrary';
+import { getTrim, isTrimmed } from '../utils/ringtoneTrim';
+
+const MAX_ATTEMPTS = 5;
 
 export default function DismissAlarmScreen({ route, navigation }) {
-  const { alarmId, duration: notificationDuration } = route.params || {};
+  const { alarmId, duration: notificationDuration, firedAt } = route.params || {};
   const [alarm, setAlarm] = useState(null);
-  const [dismissalCodeData, setDismissalCodeData] = useState(null);
-  const [userInput, setUserInput] = useState('');
-  const [isGeneratingCode, setIsGeneratingCode] = useState(true);
+  const [challengeData, setChallengeData] = useState(null);
+  const [isGeneratingChallenge, setIsGeneratingChallenge] = useState(true);
   const [timeRemaining, setTimeRemaining] = useState(300); // Default 5 minutes
   const [isPlaying, setIsPlaying] = useState(false);
   const [attempts, setAttempts] = useState(0);
+  const [snoozeCount, setSnoozeCount] = useState(0);
+  const [isSnoozing, setIsSnoozing] = useState(false);
   const [audioPlayer, setAudioPlayer] = useState(null);
+  const [ringtoneWarning, setRingtoneWarning] = useState(null);
   
   const timerRef = useRef(null);
   const audioPlayerRef = useRef(null);
+  // Read from the timer callback, so kept in refs rather than state
+  const wakeSettingsRef = useRef(getGentleWakeSettings(null));
+  const soundProfileRef = useRef(getSoundProfile(null));
+  const ringStartRef = useRef(null);
+  const escalationLevelRef = useRef(0);
+  // Outcome details for the alarm history log
+  const alarmRef = useRef(null);
+  // When the notification was delivered; the screen can open well after that
+  const firedAtRef = useRef(firedAt || Date.now());
+  const attemptsUsedRef = useRef(0);
+  const regenerationsRef = useRef(0);
+  const outcomeLoggedRef = useRef(false);
 
   useEffect(() => {
     // Prevent going back
@@ -56,21 +80,27 @@ export default function DismissAlarmScreen({ route, navigation }) {
     try {
       // Load the alarm data
       const alarmData = await AlarmStorage.getAlarm(alarmId);
+      const expectedType = ChallengeRegistry.get(alarmData?.challengeType).type;
       if (alarmData) {
         setAlarm(alarmData);
+        alarmRef.current = alarmData;
+        wakeSettingsRef.current = getGentleWakeSettings(alarmData);
+        soundProfileRef.current = getSoundProfile(alarmData);
         const alarmDuration = alarmData.duration || 5; // Default to 5 minutes
         setTimeRemaining(alarmDuration * 60);
       }
 
-      // Check for existing dismissal code or generate new one
+      const snoozeState = await AlarmStorage.getSnoozeState(alarmId);
+      setSnoozeCount(snoozeState.count);
+
+      // Reuse an unexpired challenge of the alarm's type or generate a new one
       let codeData = await AlarmStorage.getDismissalCode(alarmId);
-      if (!codeData || isCodeExpired(codeData)) {
-        // Generate new code
-        codeData = await MistralService.generateDismissalCode();
+      if (!codeData || isChallengeExpired(codeData) || ChallengeRegistry.getTypeOf(codeData) !== expectedType) {
+        codeData = await ChallengeRegistry.generateForAlarm(alarmData, alarmId);
         await AlarmStorage.saveDismissalCode(alarmId, codeData);
       }
       
-      setDismissalCodeData(codeData);
+      setChallengeData(codeData);
       setAttempts(codeData.attempts || 0);
       
       // Start alarm sound and countdown
@@ -82,12 +112,12 @@ export default function DismissAlarmScreen({ route, navigation }) {
       console.error('Error initializing alarm dismissal:', error);
       Alert.alert('Error', 'Failed to load alarm. Please try again.');
     } finally {
-      setIsGeneratingCode(false);
+      setIsGeneratingChallenge(false);
     }
   };
 
-  const isCodeExpired = (codeData) => {
-    return Date.now() > codeData.expiresAt;
+  const isChallengeExpired = (codeData) => {
+    return !!codeData && Date.now() > codeData.expiresAt;
   };
 
   const playAlarmSound = async () => {
@@ -101,16 +131,23 @@ export default function DismissAlarmScreen({ route, navigation }) {
         staysActiveInBackground: true,
       });
 
-      // Load default audio source
-      let audioSource = require('../../assets/alarm-sound.wav');
-      
-      // Check if user has a custom ringtone
-      const customRingtone = await AlarmStorage.getCustomRingtone(alarmId);
+      // Gentle wake starts quietly and is ramped up from the timer
+      ringStartRef.current = Date.now();
+      escalationLevelRef.current = 0;
+      const initialVolume = wakeSettingsRef.current.enabled ? GENTLE_WAKE_START_VOLUME : 1.0;
+
+      // The alarm's built-in tone, unless the user has picked a custom ringtone.
+      // A deleted or unplayable file must never leave the alarm silent.
+      const customRingtone = alarmRef.current?.customRingtone;
+      const tone = soundProfileRef.current.tone;
       if (customRingtone) {
-        audioSource = { uri: customRingtone };
+        const played = await RingtoneLibrary.isAvailable(customRingtone)
+          && await playAudio({ uri: customRingtone.uri }, initialVolume, getTrim(customRingtone));
+        if (played) return;
+        setRingtoneWarning(`"${customRingtone.name}" could not be played, so the ${tone.label} tone is ringing instead.`);
       }
 
-      await playAudio(audioSource);
+      await playAudio(tone.source, initialVolume);
     } catch (error) {
       console.error('Error playing alarm sound:', error);
       // Continue without sound rather than failing
@@ -118,7 +155,8 @@ export default function DismissAlarmScreen({ route, navigation }) {
     }
   };
 
-  const playAudio = async (audioSource) => {
+  // A trimmed custom ringtone starts at its offset and loops its own window
+  const playAudio = async (audioSource, volume = 1.0, trim = null) => {
     try {
       // Clean up any existing sound
       if (audioPlayerRef.current) {
@@ -131,32 +169,70 @@ export default function DismissAlarmScreen({ route, navigation }) {
       }
 
       // Create new sound object
+      const trimmed = !!trim && isTrimmed(trim);
       const { sound } = await Audio.Sound.createAsync(
         audioSource,
         {
-          shouldPlay: true,
-          isLooping: true,
-          volume: 1.0,
+          shouldPlay: !trimmed,
+          isLooping: !trimmed,
+          volume,
         }
       );
-      
       audioPlayerRef.current = sound;
+      if (trimmed) {
+        await RingtoneLibrary.playLoopWindow(sound, trim);
+      }
+      
       setAudioPlayer(sound);
       setIsPlaying(true);
       
       console.log('Audio player started successfully with looping');
+      return true;
     } catch (error) {
       console.error('Error playing audio:', error);
       setIsPlaying(false);
+      return false;
+    }
+  };
+
+  const startVibration = (level = 0) => {
+    const pattern = getVibrationPattern(level, soundProfileRef.current.vibration.pattern);
+    if (pattern) {
+      Vibration.vibrate(pattern, true);
+    }
+  };
+
+  const updateWakeIntensity = () => {
+    const settings = wakeSettingsRef.current;
+    if (!settings.enabled || !ringStartRef.current) return;
+
+    const elapsedSeconds = (Date.now() - ringStartRef.current) / 1000;
+
+    // Ramp the volume until the ramp window ends or the alarm escalates
+    if (audioPlayerRef.current && escalationLevelRef.current === 0 && elapsedSeconds <= settings.rampSeconds + 1) {
+      audioPlayerRef.current
+        .setVolumeAsync(getRampVolume(elapsedSeconds, settings.rampSeconds))
+        .catch(error => console.log('Error ramping volume:', error));
+    }
+
+    const level = getEscalationLevel(elapsedSeconds, settings.escalateAfterSeconds);
+    if (level > escalationLevelRef.current) {
+      escalationLevelRef.current = level;
+      escalateAlarm(level);
     }
   };
 
-  const startVibration = () => {
-    const vibrationPattern = [1000, 1000]; // 1 second on, 1 second off
-    Vibration.vibrate(vibrationPattern, true);
+  const escalateAlarm = async (level) => {
+    console.log('Alarm not dismissed, escalating to level', level);
+    startVibration(level);
+    if (level === 1) {
+      // Switch to the louder built-in tone at full volume
+      await playAudio(getAlarmTone(ESCALATION_TONE_ID).source, 1.0);
+    }
   };
 
   const stopAlarm = async () => {
+    ringStartRef.current = null;
     try {
       if (audioPlayerRef.current) {
         await audioPlayerRef.current.pauseAsync();
@@ -175,6 +251,7 @@ export default function DismissAlarmScreen({ route, navigation }) {
 
   const startTimer = () => {
     timerRef.current = setInterval(() => {
+      updateWakeIntensity();
       setTimeRemaining((prev) => {
         if (prev <= 1) {
           handleTimeout();
@@ -185,13 +262,32 @@ export default function DismissAlarmScreen({ route, navigation }) {
     }, 1000);
   };
 
+  const recordOutcome = (outcome) => {
+    if (outcomeLoggedRef.current) return;
+    outcomeLoggedRef.current = true;
+
+    const firedAt = firedAtRef.current;
+    AlarmStorage.logAlarmEvent({
+      alarmId,
+      label: alarmRef.current?.label || null,
+      firedAt: new Date(firedAt).toISOString(),
+      outcome,
+      secondsToDismiss: outcome === 'dismissed' ? Math.round((Date.now() - firedAt) / 1000) : null,
+      attempts: attemptsUsedRef.current,
+      codesRegenerated: regenerationsRef.current,
+      challengeType: alarmRef.current?.challengeType || DEFAULT_CHALLENGE_TYPE,
+    });
+  };
+
   const handleTimeout = () => {
     stopAlarm(); // Stop immediately
+    recordOutcome('timed_out');
     Alert.alert(
       'Alarm Timeout',
-      `The alarm has been automatically dismissed after ${alarm?.duration || 5} minutes.`,
+      `The alarm has been automatically dismissed after ${alarmRef.current?.duration || 5} minutes.`,
       [{ text: 'OK', onPress: () => {
         AlarmStorage.removeDismissalCode(alarmId);
+        AlarmStorage.clearSnooze(alarmId);
         navigation.navigate('AlarmList');
       }}]
     );
@@ -203,12 +299,9 @@ export default function DismissAlarmScreen({ route, navigation }) {
     return `${mins}:${secs.toString().padStart(2, '0')}`;
   };
 
-  const handleSubmit = async () => {
-    const newAttempts = await AlarmStorage.incrementCodeAttempts(alarmId);
-    setAttempts(newAttempts);
-    
+  const handleSubmit = async (answer) => {
     // Check attempt limit before processing
-    if (newAttempts > 5) {
+    if (attempts >= MAX_ATTEMPTS) {
       Alert.alert(
         'Maximum Attempts Exceeded',
         'Too many failed attempts. The alarm will continue until timeout.',
@@ -217,77 +310,139 @@ export default function DismissAlarmScreen({ route, navigation }) {
       return;
     }
     
-    if (userInput.trim().toUpperCase() === dismissalCodeData.code) {
-      // Correct code entered
+    const result = challenge.verify(challengeData, answer);
+
+    if (result.solved) {
+      // Challenge completed
       stopAlarm();
-      await AlarmStorage.removeDismissalCode(alarmId);
-      
-      // For one-time alarms, cancel notification and mark as inactive
-      if (alarm && alarm.frequency === 'once') {
-        if (alarm.notificationId) {
-          await NotificationService.cancelAlarm(alarm.notificationId);
-        }
-        await AlarmStorage.updateAlarm(alarmId, { 
-          isActive: false, 
-          notificationId: null 
-        });
-      }
+      recordOutcome('dismissed');
+      await AlarmStorage.markDismissed(alarmId);
       
       Alert.alert(
         'Alarm Dismissed',
         'Great! You successfully dismissed the alarm.',
         [{ text: 'OK', onPress: () => navigation.navigate('AlarmList') }]
       );
+      return;
+    }
+
+    // Persist the challenge state so progress (or a reshuffled prompt) survives a restart
+    if (result.data !== challengeData) {
+      await AlarmStorage.updateDismissalCode(alarmId, result.data);
+      setChallengeData(result.data);
+    }
+
+    if (result.progressed) {
+      // Correct answer for one step of a multi-step challenge
+      return;
+    }
+
+    // Incorrect answer
+    attemptsUsedRef.current += 1;
+    const newAttempts = await AlarmStorage.incrementCodeAttempts(alarmId);
+    setAttempts(newAttempts);
+    
+    if (newAttempts >= MAX_ATTEMPTS) {
+      Alert.alert(
+        'Too Many Failed Attempts',
+        'Maximum attempts exceeded. The alarm will continue until time runs out.',
+        [{ text: 'Continue' }]
+      );
     } else {
-      // Incorrect code
-      setUserInput('');
-      
-      if (newAttempts >= 5) {
-        Alert.alert(
-          'Too Many Failed Attempts',
-          'Maximum attempts exceeded. The alarm will continue until time runs out or the correct code is entered.',
-          [{ text: 'Continue' }]
-        );
-      } else {
-        Alert.alert(
-          'Incorrect Code',
-          `The code you entered is incorrect. ${5 - newAttempts} attempts remaining.`,
-          [{ text: 'Try Again' }]
-        );
+      Alert.alert(
+        'Incorrect Answer',
+        `The answer you entered is incorrect. ${MAX_ATTEMPTS - newAttempts} attempts remaining.`,
+        [{ text: 'Try Again' }]
+      );
+    }
+  };
+
+  const getSnoozeSettings = () => ({
+    interval: alarm?.snoozeInterval ?? DEFAULT_SNOOZE_INTERVAL,
+    maxSnoozes: alarm?.maxSnoozes ?? DEFAULT_MAX_SNOOZES,
+  });
+
+  const handleSnooze = async () => {
+    const { interval, maxSnoozes } = getSnoozeSettings();
+
+    // Check the persisted count rather than component state
+    const snoozeState = await AlarmStorage.getSnoozeState(alarmId);
+    if (snoozeState.count >= maxSnoozes) {
+      setSnoozeCount(snoozeState.count);
+      Alert.alert(
+        'No Snoozes Left',
+        'You have used all snoozes for this alarm. Complete the challenge to dismiss it.',
+        [{ text: 'OK' }]
+      );
+      return;
+    }
+
+    setIsSnoozing(true);
+    try {
+      if (timerRef.current) {
+        clearInterval(timerRef.current);
+        timerRef.current = null;
       }
+      await stopAlarm();
+
+      const { notificationId, snoozedUntil } = await NotificationService.scheduleSnooze(alarm, interval);
+      const newState = await AlarmStorage.recordSnooze(alarmId, snoozedUntil, notificationId);
+      recordOutcome('snoozed');
+      setSnoozeCount(newState.count);
+
+      const remaining = maxSnoozes - newState.count;
+      Alert.alert(
+        'Alarm Snoozed',
+        `The alarm will ring again in ${interval} minutes. ${remaining} snooze${remaining === 1 ? '' : 's'} remaining.`,
+        [{ text: 'OK', onPress: () => navigation.navigate('AlarmList') }]
+      );
+    } catch (error) {
+      console.error('Error snoozing alarm:', error);
+      Alert.alert('Error', 'Failed to snooze alarm.');
+      // Keep ringing if the follow-up could not be scheduled
+      await playAlarmSound();
+      startVibration();
+      startTimer();
+    } finally {
+      setIsSnoozing(false);
     }
   };
 
-  const regenerateCode = async () => {
-    setUserInput('');
-    setIsGeneratingCode(true);
+  const regenerateChallenge = async () => {
+    setIsGeneratingChallenge(true);
     try {
-      const newCodeData = await MistralService.generateDismissalCode();
-      await AlarmStorage.saveDismissalCode(alarmId, newCodeData);
-      setDismissalCodeData(newCodeData);
+      const newChallengeData = await ChallengeRegistry.generateForAlarm(alarm, alarmId);
+      await AlarmStorage.saveDismissalCode(alarmId, newChallengeData);
+      setChallengeData(newChallengeData);
       setAttempts(0);
+      regenerationsRef.current += 1;
       Alert.alert(
-        'New Code Generated',
-        'A new dismissal code has been generated.',
+        'New Challenge Generated',
+        'A new dismissal challenge has been generated.',
         [{ text: 'OK' }]
       );
     } catch (error) {
-      Alert.alert('Error', 'Failed to generate new code. Please try again.');
+      Alert.alert('Error', 'Failed to generate new challenge. Please try again.');
     } finally {
-      setIsGeneratingCode(false);
+      setIsGeneratingChallenge(false);
     }
   };
 
-  if (isGeneratingCode) {
+  if (isGeneratingChallenge) {
     return (
       <View style={styles.centerContainer}>
         <Ionicons name="hourglass-outline" size={64} color="#007AFF" />
-        <Text style={styles.loadingText}>Generating dismissal code...</Text>
-        <Text style={styles.loadingSubtext}>Please wait while we create your unique code</Text>
+        <Text style={styles.loadingText}>Preparing dismissal challenge...</Text>
+        <Text style={styles.loadingSubtext}>Please wait while we create your unique challenge</Text>
       </View>
     );
   }
 
+  const challenge = ChallengeRegistry.get(ChallengeRegistry.getTypeOf(challengeData));
+
+  const { interval: snoozeInterval, maxSnoozes } = getSnoozeSettings();
+  const snoozesLeft = Math.max(maxSnoozes - snoozeCount, 0);
+
   return (
     <View style={styles.container}>
       <View style={styles.header}>
@@ -296,75 +451,50 @@ export default function DismissAlarmScreen({ route, navigation }) {
         <Text style={styles.timeRemainingText}>
           Time remaining: {formatTime(timeRemaining)}
         </Text>
+        {ringtoneWarning && (
+          <View style={styles.warningBanner}>
+            <Ionicons name="warning-outline" size={18} color="#b26a00" />
+            <Text style={styles.warningText}>{ringtoneWarning}</Text>
+          </View>
+        )}
       </View>
 
-      <View style={styles.codeSection}>
-        <Text style={styles.instructionText}>
-          Enter this code to dismiss the alarm:
-        </Text>
-        
-        <View style={styles.codeDisplay}>
-          <Text style={styles.codeText} selectable={false}>
-            {dismissalCodeData?.code || 'Loading...'}
-          </Text>
-        </View>
-        
-        <Text style={styles.warningText}>
-          ⚠️ This code cannot be copied. You must type it manually.
-        </Text>
-      </View>
-
-      <View style={styles.inputSection}>
-        <TextInput
-          style={styles.codeInput}
-          value={userInput}
-          onChangeText={(text) => {
-            // Prevent paste operations by rejecting multi-character insertions
-            if (text.length > userInput.length + 1) {
-              return; // Reject paste
-            }
-            setUserInput(text);
-          }}
-          placeholder="Enter the code here"
-          placeholderTextColor="#999"
-          autoCapitalize="characters"
-          autoCorrect={false}
-          autoComplete="off"
-          textContentType="none"
-          selectTextOnFocus={false}
-          contextMenuHidden={true}
-          selection={{start: userInput.length, end: userInput.length}}
-          onSelectionChange={() => {}}
-          maxLength={8}
-          editable={!isGeneratingCode}
-        />
-        
-        <TouchableOpacity
-          style={[styles.submitButton, (!userInput.trim() || isGeneratingCode) && styles.submitButtonDisabled]}
-          onPress={handleSubmit}
-          disabled={!userInput.trim() || isGeneratingCode}
-        >
-          <Text style={styles.submitButtonText}>Dismiss Alarm</Text>
-        </TouchableOpacity>
-      </View>
+      {challengeData && challenge.render({
+        data: challengeData,
+        onSubmit: handleSubmit,
+        disabled: isGeneratingChallenge || attempts >= MAX_ATTEMPTS,
+      })}
 
       <View style={styles.bottomSection}>
+        {alarm && maxSnoozes > 0 && (
+          <TouchableOpacity
+            style={[styles.snoozeButton, (isSnoozing || snoozesLeft === 0) && styles.snoozeButtonDisabled]}
+            onPress={handleSnooze}
+            disabled={isSnoozing || snoozesLeft === 0}
+          >
+            <Ionicons name="moon" size={20} color="white" />
+            <Text style={styles.snoozeButtonText}>
+              Snooze {snoozeInterval} min ({snoozesLeft} left)
+            </Text>
+          </TouchableOpacity>
+        )}
+
         <TouchableOpacity
           style={styles.regenerateButton}
-          onPress={regenerateCode}
-          disabled={isGeneratingCode}
+          onPress={regenerateChallenge}
+          disabled={isGeneratingChallenge}
         >
           <Ionicons name="refresh" size={20} color="#007AFF" />
-          <Text style={styles.regenerateButtonText}>Generate New Code</Text>
+          <Text style={styles.regenerateButtonText}>New Challenge</Text>
         </TouchableOpacity>
         
         <Text style={styles.attemptsText}>
-          Attempts: {attempts}/5
+          Attempts: {attempts}/{MAX_ATTEMPTS}
         </Text>
 
-        {isCodeExpired(dismissalCodeData) && (
+        {isChallengeExpired(challengeData) && (
           <Text style={styles.expiredText}>
-            ⚠️ Code expired - generating new one...
+            ⚠️ Challenge expired - tap New Challenge for a fresh one
           </Text>
         )}
       </View>
@@ -389,6 +519,20 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginBottom: 30,
   },
+  warningBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff4e0',
+    borderRadius: 8,
+    padding: 10,
+    marginTop: 12,
+  },
+  warningText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#b26a00',
+    marginLeft: 8,
+  },
   alarmTitle: {
     fontSize: 28,
     fontWeight: 'bold',
@@ -401,75 +545,24 @@ const styles = StyleSheet.create({
     color: '#666',
     marginTop: 10,
   },
-  codeSection: {
-    backgroundColor: 'white',
-    borderRadius: 12,
-    padding: 20,
-    marginBottom: 30,
+  bottomSection: {
     alignItems: 'center',
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: 2 },
-    shadowOpacity: 0.1,
-    shadowRadius: 4,
-    elevation: 3,
-  },
-  instructionText: {
-    fontSize: 18,
-    color: '#333',
-    textAlign: 'center',
-    marginBottom: 20,
-  },
-  codeDisplay: {
-    backgroundColor: '#f0f0f0',
-    borderRadius: 8,
-    padding: 20,
-    marginBottom: 15,
-  },
-  codeText: {
-    fontSize: 32,
-    fontWeight: 'bold',
-    color: '#007AFF',
-    letterSpacing: 4,
-    fontFamily: 'monospace',
-    userSelect: 'none',
-  },
-  warningText: {
-    fontSize: 14,
-    color: '#ff6600',
-    textAlign: 'center',
-    fontStyle: 'italic',
   },
-  inputSection: {
-    marginBottom: 30,
-  },
-  codeInput: {
-    borderWidth: 2,
-    borderColor: '#007AFF',
-    borderRadius: 8,
-    padding: 15,
-    fontSize: 24,
-    textAlign: 'center',
-    backgroundColor: 'white',
-    letterSpacing: 2,
-    fontFamily: 'monospace',
-    marginBottom: 20,
-  },
-  submitButton: {
-    backgroundColor: '#007AFF',
-    borderRadius: 12,
-    padding: 16,
+  snoozeButton: {
+    flexDirection: 'row',
     alignItems: 'center',
+    backgroundColor: '#5856D6',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 12,
   },
-  submitButtonDisabled: {
+  snoozeButtonDisabled: {
     backgroundColor: '#ccc',
   },
-  submitButtonText: {
+  snoozeButtonText: {
     color: 'white',
-    fontSize: 18,
-    fontWeight: '600',
-  },
-  bottomSection: {
-    alignItems: 'center',
+    fontSize: 16,
+    marginLeft: 8,
   },
   regenerateButton: {
     flexDirection: 'row',
@@ -0,0 +1,429 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { AlarmStorage } from '../services/AlarmStorage';
+import {
+  summarizeEvents,
+  summarizeByAlarm,
+  summarizeByWeek,
+  formatSeconds,
+} from '../utils/alarmStats';
+
+const RECENT_EVENT_COUNT = 20;
+
+const OUTCOME_DISPLAY = {
+  dismissed: { label: 'Dismissed', icon: 'checkmark-circle', color: '#34C759' },
+  timed_out: { label: 'Missed', icon: 'close-circle', color: '#ff4444' },
+  missed: { label: 'Missed, app not opened', icon: 'alert-circle', color: '#ff4444' },
+  snoozed: { label: 'Snoozed', icon: 'moon', color: '#5856D6' },
+};
+
+// Why NotificationService didn't treat a delivered alarm notification as the alarm ringing
+const REJECTION_REASONS = {
+  not_found: 'The alarm no longer exists',
+  inactive: 'The alarm was off',
+  no_snooze_pending: 'No snooze was pending',
+  outside_window: 'Arrived away from the alarm time',
+  stale_launch_response: 'Opened after the alarm stopped ringing',
+};
+
+export default function HistoryScreen({ navigation }) {
+  const [events, setEvents] = useState([]);
+  // Diagnostics: ignored alarm notifications and alarm records that couldn't be read
+  const [rejectedTriggers, setRejectedTriggers] = useState([]);
+  const [quarantined, setQuarantined] = useState([]);
+  const [alarmLabels, setAlarmLabels] = useState({});
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadHistory();
+
+    // Reload history when screen is focused
+    const unsubscribeFocus = navigation.addListener('focus', loadHistory);
+
+    return () => {
+      unsubscribeFocus();
+    };
+  }, [navigation]);
+
+  const loadHistory = async () => {
+    try {
+      const [history, rejected, damaged, alarms] = await Promise.all([
+        AlarmStorage.loadHistory(),
+        AlarmStorage.loadRejectedTriggers(),
+        AlarmStorage.loadQuarantinedAlarms(),
+        AlarmStorage.loadAlarms(),
+      ]);
+      setEvents(history);
+      setRejectedTriggers(rejected);
+      setQuarantined(damaged);
+      setAlarmLabels(Object.fromEntries(alarms.map(alarm => [alarm.id, alarm.label || 'Alarm'])));
+    } catch (error) {
+      Alert.alert('Error', 'Failed to load alarm history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const clearHistory = () => {
+    Alert.alert(
+      'Clear History',
+      'This removes all recorded alarm events. Continue?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Clear',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await AlarmStorage.clearHistory();
+              setEvents([]);
+            } catch (error) {
+              Alert.alert('Error', 'Failed to clear history');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const clearRejectedTriggers = async () => {
+    try {
+      await AlarmStorage.clearRejectedTriggers();
+      setRejectedTriggers([]);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to clear ignored notifications');
+    }
+  };
+
+  const clearQuarantined = () => {
+    Alert.alert(
+      'Remove Damaged Alarms',
+      'These alarms can\'t be restored. Remove them for good?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await AlarmStorage.clearQuarantinedAlarms();
+              setQuarantined([]);
+            } catch (error) {
+              Alert.alert('Error', 'Failed to remove damaged alarms');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const formatDateTime = (isoString) => {
+    const date = new Date(isoString);
+    return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], {
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: true,
+    })}`;
+  };
+
+  const renderStat = (label, value) => (
+    <View style={styles.stat}>
+      <Text style={styles.statValue}>{value}</Text>
+      <Text style={styles.statLabel}>{label}</Text>
+    </View>
+  );
+
+  if (loading) {
+    return (
+      <View style={styles.centerContainer}>
+        <Text>Loading history...</Text>
+      </View>
+    );
+  }
+
+  const renderDiagnostics = () => (
+    <>
+      {/* Alarm notifications that arrived but didn't open the alarm */}
+      {rejectedTriggers.length > 0 && (
+        <View style={styles.section}>
+          <View style={styles.sectionHeader}>
+            <Text style={styles.sectionTitle}>Ignored Notifications</Text>
+            <TouchableOpacity onPress={clearRejectedTriggers}>
+              <Text style={styles.sectionAction}>Clear</Text>
+            </TouchableOpacity>
+          </View>
+          {[...rejectedTriggers].reverse().slice(0, RECENT_EVENT_COUNT).map(entry => (
+            <View key={entry.id} style={styles.eventRow}>
+              <Ionicons name="notifications-off-outline" size={22} color="#FF9500" />
+              <View style={styles.eventInfo}>
+                <Text style={styles.summaryTitle}>
+                  {alarmLabels[entry.alarmId] || 'Deleted alarm'}
+                  {entry.type === 'snooze' ? ' (snooze)' : ''}
+                </Text>
+                <Text style={styles.summaryText}>
+                  {formatDateTime(entry.receivedAt)} · {REJECTION_REASONS[entry.reason] || entry.reason}
+                </Text>
+              </View>
+            </View>
+          ))}
+        </View>
+      )}
+
+      {/* Alarm records set aside when they couldn't be loaded */}
+      {quarantined.length > 0 && (
+        <View style={styles.section}>
+          <View style={styles.sectionHeader}>
+            <Text style={styles.sectionTitle}>Damaged Alarms</Text>
+            <TouchableOpacity onPress={clearQuarantined}>
+              <Text style={styles.sectionAction}>Remove</Text>
+            </TouchableOpacity>
+          </View>
+          <Text style={styles.summaryText}>
+            These alarms couldn't be read, so they no longer ring.
+          </Text>
+          {quarantined.map((entry, index) => (
+            <View key={`${entry.quarantinedAt}-${index}`} style={styles.summaryRow}>
+              <Text style={styles.summaryTitle}>{entry.alarm?.label || 'Alarm'}</Text>
+              <Text style={styles.summaryText}>
+                {formatDateTime(entry.quarantinedAt)} · {(entry.problems || []).join('; ')}
+              </Text>
+            </View>
+          ))}
+        </View>
+      )}
+    </>
+  );
+
+  if (events.length === 0) {
+    const emptyState = (
+      <View style={styles.centerContainer}>
+        <Ionicons name="stats-chart-outline" size={64} color="#ccc" />
+        <Text style={styles.emptyText}>No alarm history yet</Text>
+        <Text style={styles.emptySubtext}>Events appear here after your alarms ring</Text>
+      </View>
+    );
+    if (rejectedTriggers.length === 0 && quarantined.length === 0) {
+      return emptyState;
+    }
+    return (
+      <ScrollView style={styles.container}>
+        <View style={styles.content}>
+          {emptyState}
+          {renderDiagnostics()}
+        </View>
+      </ScrollView>
+    );
+  }
+
+  const overall = summarizeEvents(events);
+  const weeks = summarizeByWeek(events);
+  const alarms = summarizeByAlarm(events);
+  const recentEvents = [...events]
+    .sort((a, b) => new Date(b.firedAt) - new Date(a.firedAt))
+    .slice(0, RECENT_EVENT_COUNT);
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.content}>
+
+        {/* Overall Summary */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Overview</Text>
+          <View style={styles.statRow}>
+            {renderStat('Avg. wake-up', formatSeconds(overall.averageSecondsToDismiss))}
+            {renderStat('Dismissed', overall.dismissed)}
+            {renderStat('Missed', overall.timedOut)}
+            {renderStat('Snoozed', overall.snoozed)}
+          </View>
+          <Text style={styles.helperText}>
+            Missed streak: {overall.currentMissedStreak} now, {overall.longestMissedStreak} longest
+          </Text>
+        </View>
+
+        {/* Weekly Summaries */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Weekly</Text>
+          {weeks.map(({ weekStart, summary }) => (
+            <View key={weekStart.toISOString()} style={styles.summaryRow}>
+              <Text style={styles.summaryTitle}>
+                Week of {weekStart.toLocaleDateString([], { month: 'short', day: 'numeric' })}
+              </Text>
+              <Text style={styles.summaryText}>
+                {summary.total === 0
+                  ? 'No alarms'
+                  : `${summary.dismissed} dismissed · ${summary.timedOut} missed · avg ${formatSeconds(summary.averageSecondsToDismiss)}`}
+              </Text>
+            </View>
+          ))}
+        </View>
+
+        {/* Per-alarm Summaries */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>By Alarm</Text>
+          {alarms.map(({ alarmId, label, summary }) => (
+            <View key={alarmId} style={styles.summaryRow}>
+              <Text style={styles.summaryTitle}>{label}</Text>
+              <Text style={styles.summaryText}>
+                {summary.dismissed} dismissed · {summary.timedOut} missed · {summary.snoozed} snoozed
+              </Text>
+              <Text style={styles.summaryText}>
+                Avg. wake-up {formatSeconds(summary.averageSecondsToDismiss)} · missed streak {summary.currentMissedStreak}
+              </Text>
+            </View>
+          ))}
+        </View>
+
+        {/* Recent Events */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Recent</Text>
+          {recentEvents.map(event => {
+            const display = OUTCOME_DISPLAY[event.outcome] || OUTCOME_DISPLAY.timed_out;
+            return (
+              <View key={event.id} style={styles.eventRow}>
+                <Ionicons name={display.icon} size={22} color={display.color} />
+                <View style={styles.eventInfo}>
+                  <Text style={styles.summaryTitle}>
+                    {event.label || 'Alarm'} · {display.label}
+                  </Text>
+                  <Text style={styles.summaryText}>
+                    {formatDateTime(event.firedAt)}
+                    {event.outcome === 'dismissed' ? ` · ${formatSeconds(event.secondsToDismiss)}` : ''}
+                    {` · ${event.attempts || 0} wrong attempt${event.attempts === 1 ? '' : 's'}`}
+                    {event.codesRegenerated ? ` · ${event.codesRegenerated} regenerated` : ''}
+                  </Text>
+                </View>
+              </View>
+            );
+          })}
+        </View>
+
+        {renderDiagnostics()}
+
+        <TouchableOpacity style={styles.clearButton} onPress={clearHistory}>
+          <Text style={styles.clearButtonText}>Clear History</Text>
+        </TouchableOpacity>
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  content: {
+    padding: 20,
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  section: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 12,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'baseline',
+  },
+  sectionAction: {
+    color: '#007AFF',
+    fontSize: 16,
+  },
+  statRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  stat: {
+    alignItems: 'center',
+    flex: 1,
+  },
+  statValue: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#007AFF',
+  },
+  statLabel: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 4,
+  },
+  summaryRow: {
+    paddingVertical: 8,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#eee',
+  },
+  summaryTitle: {
+    fontSize: 16,
+    color: '#333',
+    fontWeight: '500',
+  },
+  summaryText: {
+    fontSize: 14,
+    color: '#888',
+    marginTop: 2,
+  },
+  eventRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#eee',
+  },
+  eventInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  helperText: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 12,
+    fontStyle: 'italic',
+  },
+  clearButton: {
+    alignItems: 'center',
+    padding: 16,
+    marginBottom: 40,
+  },
+  clearButtonText: {
+    color: '#ff4444',
+    fontSize: 16,
+  },
+  emptyText: {
+    fontSize: 20,
+    color: '#999',
+    marginTop: 16,
+    fontWeight: '500',
+  },
+  emptySubtext: {
+    fontSize: 16,
+    color: '#bbb',
+    marginTop: 8,
+    textAlign: 'center',
+  },
+});
@@ -0,0 +1,300 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { Audio } from 'expo-av';
+import { Ionicons } from '@expo/vector-icons';
+import { RingtoneLibrary } from '../services/RingtoneLibrary';
+import { formatDuration } from '../utils/ringtoneFiles';
+import {
+  TRIM_STEPS_MS,
+  describeTrim,
+  getTrim,
+  normalizeTrim,
+  withTrim,
+} from '../utils/ringtoneTrim';
+
+const stepLabel = (step) => `${step < 0 ? '−' : '+'}${Math.abs(step) / 1000}s`;
+
+// Opened from RingtonePicker for an imported file; Done hands the ringtone back
+// with its startMs/endMs as the `trimmedRingtone` param
+export default function RingtoneEditorScreen({ route, navigation }) {
+  const { ringtone } = route.params;
+  const [durationMs, setDurationMs] = useState(route.params.durationMs ?? null);
+  const [trim, setTrim] = useState(() => normalizeTrim(getTrim(ringtone), route.params.durationMs ?? null));
+  const [durationUnknown, setDurationUnknown] = useState(false);
+  const [previewing, setPreviewing] = useState(false);
+
+  const previewRef = useRef(null);
+
+  useEffect(() => {
+    if (durationMs == null) {
+      loadDuration();
+    }
+
+    return () => {
+      if (previewRef.current) {
+        previewRef.current.unloadAsync().catch(() => {});
+        previewRef.current = null;
+      }
+    };
+  }, []);
+
+  // Files picked before the library recorded durations
+  const loadDuration = async () => {
+    try {
+      const duration = await RingtoneLibrary.readDuration(ringtone.uri);
+      setDurationMs(duration);
+      setDurationUnknown(duration == null);
+      setTrim(current => normalizeTrim(current, duration));
+    } catch (error) {
+      console.log('Error reading ringtone duration:', error);
+      setDurationUnknown(true);
+    }
+  };
+
+  const stopPreview = async () => {
+    const sound = previewRef.current;
+    previewRef.current = null;
+    setPreviewing(false);
+    if (sound) {
+      try {
+        await sound.stopAsync();
+        await sound.unloadAsync();
+      } catch (error) {
+        console.log('Error stopping preview:', error);
+      }
+    }
+  };
+
+  // Plays the loop as the alarm would, until stopped
+  const togglePreview = async () => {
+    const wasPlaying = previewing;
+    await stopPreview();
+    if (wasPlaying) return;
+
+    try {
+      await Audio.setAudioModeAsync({ playsInSilentModeIOS: true });
+      const { sound } = await Audio.Sound.createAsync({ uri: ringtone.uri }, { shouldPlay: false });
+      previewRef.current = sound;
+      setPreviewing(true);
+      await RingtoneLibrary.playLoopWindow(sound, trim);
+    } catch (error) {
+      console.error('Error previewing ringtone:', error);
+      await stopPreview();
+      Alert.alert('Error', 'This ringtone could not be played.');
+    }
+  };
+
+  // The preview keeps the segment it started with, so changing it stops playback
+  const updateTrim = (next) => {
+    if (previewing) stopPreview();
+    setTrim(normalizeTrim(next, durationMs));
+  };
+
+  const moveStart = (step) => updateTrim({ ...trim, startMs: trim.startMs + step });
+
+  const moveEnd = (step) => updateTrim({ ...trim, endMs: (trim.endMs ?? durationMs) + step });
+
+  const done = async () => {
+    await stopPreview();
+    navigation.popTo('RingtonePicker', { trimmedRingtone: withTrim(ringtone, trim) }, { merge: true });
+  };
+
+  const renderSteps = (name, onStep, disabled) => (
+    <View style={styles.steps}>
+      {TRIM_STEPS_MS.map(step => (
+        <TouchableOpacity
+          key={step}
+          style={[styles.stepButton, disabled && styles.stepButtonDisabled]}
+          onPress={() => onStep(step)}
+          disabled={disabled}
+          accessibilityLabel={`${name} ${stepLabel(step)}`}
+        >
+          <Text style={styles.stepButtonText}>{stepLabel(step)}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const endMs = trim.endMs ?? durationMs;
+  const segment = durationMs
+    ? { before: trim.startMs, loop: endMs - trim.startMs, after: durationMs - endMs }
+    : null;
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.content}>
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle} numberOfLines={1}>{ringtone.name}</Text>
+          <Text style={styles.detailText}>
+            {durationMs != null ? `Length ${formatDuration(durationMs)}` : 'Reading length…'}
+          </Text>
+          {segment && (
+            <View style={styles.segmentBar}>
+              <View style={{ flex: segment.before }} />
+              <View style={[styles.segmentLoop, { flex: segment.loop }]} />
+              <View style={{ flex: segment.after }} />
+            </View>
+          )}
+          <Text style={styles.loopText}>
+            {describeTrim(trim) ? `Loops ${describeTrim(trim)}` : 'Plays the whole file'}
+          </Text>
+          <TouchableOpacity style={styles.previewButton} onPress={togglePreview}>
+            <Ionicons name={previewing ? 'stop-circle' : 'play-circle'} size={28} color="#007AFF" />
+            <Text style={styles.previewButtonText}>{previewing ? 'Stop Preview' : 'Preview'}</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.section}>
+          <View style={styles.valueRow}>
+            <Text style={styles.sectionTitle}>Start</Text>
+            <Text style={styles.valueText}>{formatDuration(trim.startMs)}</Text>
+          </View>
+          {renderSteps('Start', moveStart, false)}
+          <Text style={styles.helperText}>
+            Skip a quiet intro so the alarm is loud from the first second
+          </Text>
+        </View>
+
+        <View style={styles.section}>
+          <View style={styles.valueRow}>
+            <Text style={styles.sectionTitle}>Loop End</Text>
+            <Text style={styles.valueText}>
+              {trim.endMs != null ? formatDuration(trim.endMs) : 'End of file'}
+            </Text>
+          </View>
+          {renderSteps('Loop end', moveEnd, durationMs == null)}
+          {trim.endMs != null && (
+            <TouchableOpacity onPress={() => updateTrim({ ...trim, endMs: null })}>
+              <Text style={styles.linkText}>Play to the end of the file</Text>
+            </TouchableOpacity>
+          )}
+          <Text style={styles.helperText}>
+            {durationUnknown
+              ? "This file's length couldn't be read, so it always plays to the end"
+              : 'The alarm jumps back to the start when it reaches this point'}
+          </Text>
+        </View>
+
+        <TouchableOpacity style={styles.doneButton} onPress={done}>
+          <Text style={styles.doneButtonText}>Done</Text>
+        </TouchableOpacity>
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  content: {
+    padding: 20,
+  },
+  section: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 12,
+  },
+  detailText: {
+    fontSize: 14,
+    color: '#999',
+  },
+  segmentBar: {
+    flexDirection: 'row',
+    height: 10,
+    borderRadius: 5,
+    backgroundColor: '#e0e0e0',
+    overflow: 'hidden',
+    marginTop: 12,
+  },
+  segmentLoop: {
+    backgroundColor: '#007AFF',
+  },
+  loopText: {
+    fontSize: 16,
+    color: '#333',
+    marginTop: 12,
+  },
+  previewButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 12,
+  },
+  previewButtonText: {
+    fontSize: 16,
+    color: '#007AFF',
+    marginLeft: 8,
+  },
+  valueRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  valueText: {
+    fontSize: 18,
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+  steps: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  stepButton: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    borderRadius: 8,
+    paddingVertical: 8,
+    marginHorizontal: 4,
+    alignItems: 'center',
+  },
+  stepButtonDisabled: {
+    opacity: 0.4,
+  },
+  stepButtonText: {
+    fontSize: 14,
+    color: '#007AFF',
+  },
+  linkText: {
+    fontSize: 14,
+    color: '#007AFF',
+    marginTop: 12,
+  },
+  helperText: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 8,
+    fontStyle: 'italic',
+  },
+  doneButton: {
+    backgroundColor: '#007AFF',
+    borderRadius: 12,
+    padding: 16,
+    alignItems: 'center',
+    marginBottom: 40,
+  },
+  doneButtonText: {
+    color: 'white',
+    fontSize: 18,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,319 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { Audio } from 'expo-av';
+import * as DocumentPicker from 'expo-document-picker';
+import { Ionicons } from '@expo/vector-icons';
+import { AlarmStorage } from '../services/AlarmStorage';
+import { RingtoneLibrary, RingtoneImportError } from '../services/RingtoneLibrary';
+import { ALARM_TONES, getAlarmTone } from '../utils/alarmSounds';
+import { describeRingtone } from '../utils/ringtoneFiles';
+import { describeTrim, getTrim } from '../utils/ringtoneTrim';
+
+// Opened from CreateAlarm/EditAlarm with the alarm's current choice; Done hands
+// { toneId, customRingtone } back to `returnTo` as the `pickedRingtone` param
+export default function RingtonePickerScreen({ route, navigation }) {
+  const { returnTo = 'CreateAlarm', trimmedRingtone } = route.params || {};
+  const [toneId, setToneId] = useState(getAlarmTone(route.params?.toneId).id);
+  const [customRingtone, setCustomRingtone] = useState(route.params?.customRingtone || null);
+  const [importedRingtones, setImportedRingtones] = useState([]);
+  const [previewingKey, setPreviewingKey] = useState(null);
+
+  const previewRef = useRef(null);
+
+  useEffect(() => {
+    loadImportedRingtones();
+
+    return () => {
+      // Never leave a preview playing after the screen closes
+      if (previewRef.current) {
+        previewRef.current.unloadAsync().catch(() => {});
+        previewRef.current = null;
+      }
+    };
+  }, []);
+
+  // Handed back by RingtoneEditor
+  useEffect(() => {
+    if (trimmedRingtone) {
+      setCustomRingtone(trimmedRingtone);
+      navigation.setParams({ trimmedRingtone: undefined });
+    }
+  }, [trimmedRingtone]);
+
+  const loadImportedRingtones = async () => {
+    const ringtones = await AlarmStorage.loadRingtoneLibrary();
+    // Alarms set up before imports were copied may point outside the library
+    const current = route.params?.customRingtone;
+    if (current && !ringtones.some(ringtone => ringtone.uri === current.uri)) {
+      ringtones.unshift(current);
+    }
+    setImportedRingtones(ringtones);
+  };
+
+  const stopPreview = async () => {
+    const sound = previewRef.current;
+    previewRef.current = null;
+    setPreviewingKey(null);
+    if (sound) {
+      try {
+        await sound.stopAsync();
+        await sound.unloadAsync();
+      } catch (error) {
+        console.log('Error stopping preview:', error);
+      }
+    }
+  };
+
+  // Plays the tone once; pressing the same tone again stops it
+  const togglePreview = async (key, source) => {
+    const wasPlaying = previewingKey === key;
+    await stopPreview();
+    if (wasPlaying) return;
+
+    try {
+      await Audio.setAudioModeAsync({ playsInSilentModeIOS: true });
+      const { sound } = await Audio.Sound.createAsync(source, { shouldPlay: true });
+      previewRef.current = sound;
+      setPreviewingKey(key);
+      sound.setOnPlaybackStatusUpdate(status => {
+        if (status.didJustFinish && previewRef.current === sound) {
+          stopPreview();
+        }
+      });
+    } catch (error) {
+      console.error('Error previewing ringtone:', error);
+      Alert.alert('Error', 'This ringtone could not be played.');
+    }
+  };
+
+  const selectTone = (id) => {
+    setToneId(id);
+    setCustomRingtone(null);
+  };
+
+  const importRingtone = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: 'audio/*',
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled || !result.assets || result.assets.length === 0) return;
+
+      const entry = await RingtoneLibrary.importRingtone(result.assets[0]);
+      setImportedRingtones(current => [...current, entry]);
+      setCustomRingtone({ uri: entry.uri, name: entry.name });
+    } catch (error) {
+      if (error instanceof RingtoneImportError) {
+        Alert.alert('Cannot Use This File', error.problems.join('\n'));
+        return;
+      }
+      console.error('Error importing ringtone:', error);
+      Alert.alert('Error', 'Failed to import ringtone. Please try again.');
+    }
+  };
+
+  // Picking another file drops the trim; picking the same one keeps it
+  const selectFile = (ringtone) => {
+    setCustomRingtone(current => (
+      current?.uri === ringtone.uri ? current : { uri: ringtone.uri, name: ringtone.name }
+    ));
+  };
+
+  const openEditor = async (ringtone) => {
+    await stopPreview();
+    navigation.navigate('RingtoneEditor', {
+      ringtone: customRingtone?.uri === ringtone.uri ? customRingtone : { uri: ringtone.uri, name: ringtone.name },
+      durationMs: ringtone.durationMs ?? null,
+    });
+  };
+
+  const detailFor = (ringtone) => {
+    const trim = customRingtone?.uri === ringtone.uri ? describeTrim(getTrim(customRingtone)) : '';
+    return [describeRingtone(ringtone), trim && `plays ${trim}`].filter(Boolean).join(' · ');
+  };
+
+  const done = async () => {
+    await stopPreview();
+    navigation.popTo(returnTo, { pickedRingtone: { toneId, customRingtone } }, { merge: true });
+  };
+
+  const renderRow = ({ key, label, detail, source, selected, onSelect, onEdit }) => {
+    const previewing = previewingKey === key;
+    return (
+      <View key={key} style={styles.row}>
+        <TouchableOpacity
+          style={styles.previewButton}
+          onPress={() => togglePreview(key, source)}
+          accessibilityLabel={`${previewing ? 'Stop' : 'Play'} ${label}`}
+        >
+          <Ionicons name={previewing ? 'stop-circle' : 'play-circle'} size={32} color="#007AFF" />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.rowLabel}
+          onPress={onSelect}
+          accessibilityRole="radio"
+          accessibilityState={{ selected }}
+        >
+          <View style={styles.rowTextGroup}>
+            <Text style={styles.rowText} numberOfLines={1}>{label}</Text>
+            {detail ? <Text style={styles.rowDetail}>{detail}</Text> : null}
+          </View>
+          {selected && <Ionicons name="checkmark" size={22} color="#007AFF" />}
+        </TouchableOpacity>
+        {onEdit && (
+          <TouchableOpacity
+            style={styles.editButton}
+            onPress={onEdit}
+            accessibilityLabel={`Trim ${label}`}
+          >
+            <Ionicons name="cut-outline" size={22} color="#007AFF" />
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.content}>
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Built-in Tones</Text>
+          {ALARM_TONES.map(tone => renderRow({
+            key: `tone-${tone.id}`,
+            label: tone.label,
+            source: tone.source,
+            selected: !customRingtone && toneId === tone.id,
+            onSelect: () => selectTone(tone.id),
+          }))}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Imported</Text>
+          {importedRingtones.length === 0 && (
+            <Text style={styles.emptyText}>No imported ringtones yet</Text>
+          )}
+          {importedRingtones.map(ringtone => renderRow({
+            key: `file-${ringtone.uri}`,
+            label: ringtone.name,
+            detail: detailFor(ringtone),
+            source: { uri: ringtone.uri },
+            selected: customRingtone?.uri === ringtone.uri,
+            onSelect: () => selectFile(ringtone),
+            onEdit: () => openEditor(ringtone),
+          }))}
+          <TouchableOpacity style={styles.importButton} onPress={importRingtone}>
+            <Ionicons name="add-circle-outline" size={22} color="#007AFF" />
+            <Text style={styles.importButtonText}>Import from device</Text>
+          </TouchableOpacity>
+          <Text style={styles.helperText}>
+            MP3, M4A, AAC or WAV files up to 20 MB. Imported files play once the alarm screen is open. The notification itself plays
+            the {getAlarmTone(toneId).label} tone.
+          </Text>
+        </View>
+
+        <TouchableOpacity style={styles.doneButton} onPress={done}>
+          <Text style={styles.doneButtonText}>Done</Text>
+        </TouchableOpacity>
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  content: {
+    padding: 20,
+  },
+  section: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 12,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#eee',
+  },
+  previewButton: {
+    paddingRight: 12,
+  },
+  editButton: {
+    paddingLeft: 12,
+  },
+  rowLabel: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+  },
+  rowTextGroup: {
+    flex: 1,
+  },
+  rowText: {
+    fontSize: 16,
+    color: '#333',
+  },
+  rowDetail: {
+    fontSize: 13,
+    color: '#999',
+    marginTop: 2,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    marginBottom: 8,
+  },
+  importButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+  },
+  importButtonText: {
+    fontSize: 16,
+    color: '#007AFF',
+    marginLeft: 8,
+  },
+  helperText: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 8,
+    fontStyle: 'italic',
+  },
+  doneButton: {
+    backgroundColor: '#007AFF',
+    borderRadius: 12,
+    padding: 16,
+    alignItems: 'center',
+    marginBottom: 40,
+  },
+  doneButtonText: {
+    color: 'white',
+    fontSize: 18,
+    fontWeight: '600',
+  },
+});
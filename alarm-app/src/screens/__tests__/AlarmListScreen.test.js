@@ -0,0 +1,221 @@
+import React from 'react';
+import { Alert } from 'react-native';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import AlarmListScreen from '../AlarmListScreen';
+import { AlarmStorage } from '../../services/AlarmStorage';
+
+// Thursday, just before 09:00 UTC (the test environment runs in UTC). The half
+// minute keeps countdowns steady while findBy* queries advance the fake clock.
+const NOW = new Date('2026-01-15T08:59:30.000Z');
+
+const createNavigation = () => ({
+  addListener: jest.fn(() => jest.fn()),
+  navigate: jest.fn(),
+  setOptions: jest.fn(),
+  setParams: jest.fn(),
+});
+
+const renderScreen = (params = {}) => {
+  const navigation = createNavigation();
+  render(<AlarmListScreen route={{ params }} navigation={navigation} />);
+  return navigation;
+};
+
+const addAlarm = (overrides = {}) => AlarmStorage.addAlarm({
+  id: 'alarm-1',
+  label: 'Wake up',
+  hour: 16,
+  minute: 12,
+  timeZone: null,
+  frequency: 'daily',
+  duration: 5,
+  ...overrides,
+});
+
+describe('AlarmListScreen', () => {
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await AsyncStorage.clear();
+    Notifications.__reset();
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('shows the empty state when there are no alarms', async () => {
+    renderScreen();
+
+    expect(await screen.findByText('No alarms yet')).toBeTruthy();
+  });
+
+  it('lists alarms with when they next ring', async () => {
+    await addAlarm();
+    await addAlarm({ id: 'alarm-2', label: 'Standup', frequency: 'weekly', days: [1, 3, 5] });
+
+    renderScreen();
+
+    expect(await screen.findByText('Wake up')).toBeTruthy();
+    expect(screen.getByText('Standup')).toBeTruthy();
+    expect(screen.getByText('Daily')).toBeTruthy();
+    expect(screen.getByText('Rings in 7h 12m')).toBeTruthy();
+    expect(screen.getByText('Rings in 1d 7h')).toBeTruthy();
+  });
+
+  it('warns when more alarms are on than the device can schedule', async () => {
+    await addAlarm();
+    renderScreen();
+    expect(await screen.findByText('Wake up')).toBeTruthy();
+    expect(screen.queryByText(/Too many alarms are on/)).toBeNull();
+
+    // Saved directly: scheduling this many would itself go past the budget
+    const alarms = Array.from({ length: 61 }, (_, i) => ({
+      id: `alarm-${i}`, label: `Alarm ${i}`, hour: 16, minute: 12, timeZone: null,
+      frequency: 'daily', duration: 5, isActive: true, notificationIds: [],
+    }));
+    await AlarmStorage.saveAlarms(alarms);
+    screen.unmount();
+    renderScreen();
+
+    expect(await screen.findByText(/Too many alarms are on for this device/)).toBeTruthy();
+  });
+
+  it('turns an alarm off from its switch', async () => {
+    await addAlarm();
+    renderScreen();
+
+    fireEvent(await screen.findByRole('switch', { name: 'Wake up' }), 'valueChange', false);
+
+    await waitFor(() => expect(screen.queryByText('Rings in 7h 12m')).toBeNull());
+    const [alarm] = await AlarmStorage.loadAlarms();
+    expect(alarm.isActive).toBe(false);
+    expect(await Notifications.getAllScheduledNotificationsAsync()).toEqual([]);
+  });
+
+  it('deletes an alarm once confirmed', async () => {
+    jest.spyOn(Alert, 'alert').mockImplementation((title, message, buttons) => {
+      buttons.find(button => button.text === 'Delete').onPress();
+    });
+    await addAlarm();
+    renderScreen();
+
+    fireEvent.press(await screen.findByLabelText('Delete alarm'));
+
+    expect(await screen.findByText('No alarms yet')).toBeTruthy();
+    expect(await AlarmStorage.loadAlarms()).toEqual([]);
+  });
+
+  it('opens the create and edit screens', async () => {
+    await addAlarm();
+    const navigation = renderScreen();
+
+    fireEvent.press(await screen.findByLabelText('Edit alarm'));
+    fireEvent.press(screen.getByLabelText('Add alarm'));
+
+    expect(navigation.navigate).toHaveBeenCalledWith('EditAlarm', { alarmId: 'alarm-1' });
+    expect(navigation.navigate).toHaveBeenCalledWith('CreateAlarm');
+  });
+
+  it('skips the next ring of a recurring alarm and undoes it', async () => {
+    await addAlarm();
+    renderScreen();
+
+    fireEvent.press(await screen.findByText('Skip next'));
+
+    expect(await screen.findByText('Skipping Thu, Jan 15')).toBeTruthy();
+    expect(screen.getByText('Rings in 1d 7h')).toBeTruthy();
+    let [alarm] = await AlarmStorage.loadAlarms();
+    expect(alarm.skipDates).toEqual([{ date: '2026-01-15', name: null }]);
+
+    fireEvent.press(screen.getByLabelText('Ring on Thu, Jan 15'));
+
+    expect(await screen.findByText('Rings in 7h 12m')).toBeTruthy();
+    [alarm] = await AlarmStorage.loadAlarms();
+    expect(alarm.skipDates).toEqual([]);
+  });
+
+  it('offers no skip for one-time alarms', async () => {
+    await addAlarm({ frequency: 'once' });
+    renderScreen();
+
+    expect(await screen.findByText('Wake up')).toBeTruthy();
+    expect(screen.queryByText('Skip next')).toBeNull();
+  });
+
+  it('lists grouped alarms under their group', async () => {
+    const group = await AlarmStorage.addGroup('Workdays');
+    await addAlarm({ groupId: group.id });
+    await addAlarm({ id: 'alarm-2', label: 'Gym' });
+
+    renderScreen();
+
+    expect(await screen.findByText('1 of 1 on')).toBeTruthy();
+    expect(screen.getByRole('switch', { name: 'Workdays group' })).toBeTruthy();
+    expect(screen.getByText('Other alarms')).toBeTruthy();
+    expect(screen.getByText('Gym')).toBeTruthy();
+  });
+
+  it('turns a whole group off from its switch', async () => {
+    const group = await AlarmStorage.addGroup('Workdays');
+    await addAlarm({ groupId: group.id });
+    await addAlarm({ id: 'alarm-2', label: 'Standup', groupId: group.id });
+    renderScreen();
+
+    fireEvent(await screen.findByRole('switch', { name: 'Workdays group' }), 'valueChange', false);
+
+    expect(await screen.findByText('0 of 2 on')).toBeTruthy();
+    const alarms = await AlarmStorage.loadAlarms();
+    expect(alarms.map(alarm => alarm.isActive)).toEqual([false, false]);
+    expect(await Notifications.getAllScheduledNotificationsAsync()).toEqual([]);
+  });
+
+  it('swaps profiles from the quick switcher', async () => {
+    const workdays = await AlarmStorage.addGroup('Workdays');
+    jest.advanceTimersByTime(1);
+    const vacation = await AlarmStorage.addGroup('Vacation');
+    await addAlarm({ groupId: workdays.id });
+    await addAlarm({ id: 'alarm-2', label: 'Sleep in', groupId: vacation.id });
+    await AlarmStorage.setGroupActive(vacation.id, false);
+    renderScreen();
+
+    fireEvent.press(await screen.findByRole('switch', { name: 'Quick switch Vacation' }));
+
+    await waitFor(() => {
+      expect(screen.getByRole('switch', { name: 'Quick switch Vacation' })).toBeChecked();
+    });
+    const alarms = await AlarmStorage.loadAlarms();
+    expect(alarms.map(alarm => [alarm.id, alarm.isActive])).toEqual([['alarm-1', true], ['alarm-2', true]]);
+  });
+
+  it('deletes a group but keeps its alarms', async () => {
+    jest.spyOn(Alert, 'alert').mockImplementation((title, message, buttons) => {
+      buttons.find(button => button.text === 'Delete').onPress();
+    });
+    const group = await AlarmStorage.addGroup('Workdays');
+    await addAlarm({ groupId: group.id });
+    renderScreen();
+
+    fireEvent.press(await screen.findByLabelText('Delete Workdays group'));
+
+    await waitFor(() => expect(screen.queryByText('Workdays')).toBeNull());
+    expect(screen.getByText('Wake up')).toBeTruthy();
+    expect(await AlarmStorage.loadGroups()).toEqual([]);
+  });
+
+  it('shows a toast passed back after saving', async () => {
+    const navigation = renderScreen({ toast: 'Alarm set for 7h 12m from now' });
+
+    expect(await screen.findByText('Alarm set for 7h 12m from now')).toBeTruthy();
+    expect(navigation.setParams).toHaveBeenCalledWith({ toast: undefined });
+
+    await act(async () => {
+      jest.advanceTimersByTime(4000);
+    });
+    expect(screen.queryByText('Alarm set for 7h 12m from now')).toBeNull();
+  });
+});
@@ -0,0 +1,160 @@
+import React from 'react';
+import { Alert } from 'react-native';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import * as FileSystem from 'expo-file-system/legacy';
+import * as DocumentPicker from 'expo-document-picker';
+import CalendarImportScreen from '../CalendarImportScreen';
+import { AlarmStorage } from '../../services/AlarmStorage';
+
+jest.mock('expo-document-picker', () => ({
+  getDocumentAsync: jest.fn(),
+}));
+
+const CALENDAR = [
+  'BEGIN:VCALENDAR',
+  'BEGIN:VEVENT',
+  'UID:flight@example.com',
+  'DTSTART:20260117T073000Z',
+  'SUMMARY:Flight to Berlin',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:standup@example.com',
+  'DTSTART:20260115T093000Z',
+  'RRULE:FREQ=DAILY;COUNT=2',
+  'SUMMARY:Standup',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:offsite@example.com',
+  'DTSTART;VALUE=DATE:20260120',
+  'SUMMARY:Offsite',
+  'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
+
+// Thursday, just before 09:00 UTC (the test environment runs in UTC)
+const NOW = new Date('2026-01-15T08:59:30.000Z');
+
+const createNavigation = () => ({
+  navigate: jest.fn(),
+  popTo: jest.fn(),
+});
+
+const renderScreen = () => {
+  const navigation = createNavigation();
+  render(<CalendarImportScreen navigation={navigation} />);
+  return navigation;
+};
+
+const pickCalendar = async (text = CALENDAR) => {
+  await FileSystem.writeAsStringAsync('file:///cache/work.ics', text);
+  DocumentPicker.getDocumentAsync.mockResolvedValue({ canceled: false, assets: [{ uri: 'file:///cache/work.ics' }] });
+  fireEvent.press(screen.getByText('Choose Calendar File'));
+};
+
+describe('CalendarImportScreen', () => {
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+    await AsyncStorage.clear();
+    Notifications.__reset();
+    FileSystem.__reset();
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('lists upcoming events with the alarm each would get', async () => {
+    renderScreen();
+    await pickCalendar();
+
+    expect(await screen.findByText('Flight to Berlin')).toBeTruthy();
+    expect(screen.getAllByText('Standup')).toHaveLength(2);
+    // An hour before by default; today's standup is too close for that
+    expect(screen.getByText('Alarm at 06:30 AM')).toBeTruthy();
+    expect(screen.getByText('Alarm time has passed')).toBeTruthy();
+    expect(screen.getByText('All-day event')).toBeTruthy();
+
+    fireEvent.press(screen.getByText('15 min'));
+
+    expect(screen.getAllByText('Alarm at 09:15 AM')).toHaveLength(2);
+    expect(screen.queryByText('Alarm time has passed')).toBeNull();
+  });
+
+  it('creates a one-time alarm before each selected event', async () => {
+    const navigation = renderScreen();
+    await pickCalendar();
+
+    fireEvent.press(await screen.findByRole('checkbox', { name: 'Flight to Berlin, Sat, Jan 17' }));
+    fireEvent.press(screen.getByRole('checkbox', { name: 'Standup, Fri, Jan 16' }));
+    fireEvent.press(screen.getByText('1 hr 30 min'));
+    fireEvent.press(screen.getByText('Create 2 Alarms'));
+
+    await waitFor(() => expect(navigation.popTo).toHaveBeenCalledWith('AlarmList', {
+      toast: 'Created 2 alarms from your calendar',
+    }));
+    const alarms = await AlarmStorage.loadAlarms();
+    // Added in the order the events happen
+    expect(alarms.map(alarm => [alarm.label, alarm.date, alarm.hour, alarm.minute])).toEqual([
+      ['Standup', '2026-01-16', 8, 0],
+      ['Flight to Berlin', '2026-01-17', 6, 0],
+    ]);
+    expect(alarms[1]).toMatchObject({
+      frequency: 'once',
+      isActive: true,
+      calendarEvent: { uid: 'flight@example.com', start: '2026-01-17T07:30:00.000Z', offsetMinutes: 90 },
+    });
+    expect(await Notifications.getAllScheduledNotificationsAsync()).toHaveLength(2);
+  });
+
+  it('leaves out events whose alarm time passes before Create is pressed', async () => {
+    const navigation = renderScreen();
+    await pickCalendar();
+    fireEvent.press(await screen.findByText('15 min'));
+    fireEvent.press(screen.getByRole('checkbox', { name: 'Standup, Thu, Jan 15' }));
+    fireEvent.press(screen.getByRole('checkbox', { name: 'Flight to Berlin, Sat, Jan 17' }));
+
+    jest.setSystemTime(new Date('2026-01-15T09:20:00.000Z'));
+    fireEvent.press(screen.getByText('Create 2 Alarms'));
+
+    await waitFor(() => expect(navigation.popTo).toHaveBeenCalledWith('AlarmList', {
+      toast: 'Created 1 alarm from your calendar',
+    }));
+    expect(Alert.alert).toHaveBeenCalledWith(
+      'Alarm Times Passed',
+      'These events are too soon for an alarm 15 min before: Standup'
+    );
+    const alarms = await AlarmStorage.loadAlarms();
+    expect(alarms.map(alarm => alarm.label)).toEqual(['Flight to Berlin']);
+  });
+
+  it('does not offer events that already have an alarm', async () => {
+    renderScreen();
+    await pickCalendar();
+    fireEvent.press(await screen.findByText('Select all'));
+    fireEvent.press(screen.getByText('Create 2 Alarms'));
+    await waitFor(async () => expect(await AlarmStorage.loadAlarms()).toHaveLength(2));
+
+    fireEvent.press(screen.getByText('Choose another file'));
+
+    await waitFor(() => expect(screen.getAllByText('Already has an alarm')).toHaveLength(2));
+    expect(screen.queryByText('Select all')).toBeNull();
+  });
+
+  it('reports a file that is not a calendar', async () => {
+    renderScreen();
+    await pickCalendar('{"alarms": []}');
+
+    await waitFor(() => expect(Alert.alert).toHaveBeenCalledWith(
+      'Import Failed',
+      'File is not an iCalendar (.ics) file'
+    ));
+    expect(screen.getByText('Choose Calendar File')).toBeTruthy();
+  });
+});
@@ -0,0 +1,316 @@
+import React from 'react';
+import { Alert } from 'react-native';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react-native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import * as FileSystem from 'expo-file-system/legacy';
+import * as DocumentPicker from 'expo-document-picker';
+import CreateAlarmScreen from '../CreateAlarmScreen';
+import { AlarmStorage } from '../../services/AlarmStorage';
+
+jest.mock('expo-document-picker', () => ({
+  getDocumentAsync: jest.fn(),
+}));
+
+const HOLIDAYS = [
+  'BEGIN:VCALENDAR',
+  'BEGIN:VEVENT',
+  'DTSTART;VALUE=DATE:20261225',
+  'SUMMARY:Christmas Day',
+  'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
+
+// Thursday, just before 09:00 UTC (the test environment runs in UTC)
+const NOW = new Date('2026-01-15T08:59:30.000Z');
+
+const createNavigation = () => ({
+  goBack: jest.fn(),
+  navigate: jest.fn(),
+  popTo: jest.fn(),
+  setParams: jest.fn(),
+});
+
+// Waits for the groups, which load alongside the alarm being edited
+const renderScreen = async (params) => {
+  const navigation = createNavigation();
+  render(<CreateAlarmScreen route={{ params }} navigation={navigation} />);
+  await screen.findByRole('radio', { name: 'None' });
+  return navigation;
+};
+
+const pickTime = (iso) => {
+  fireEvent.press(screen.getByText('08:59 AM'));
+  fireEvent(screen.UNSAFE_getByType(DateTimePicker), 'change', { type: 'set' }, new Date(iso));
+};
+
+describe('CreateAlarmScreen', () => {
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+    await AsyncStorage.clear();
+    Notifications.__reset();
+    FileSystem.__reset();
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('asks for a label before saving', async () => {
+    const navigation = await renderScreen();
+
+    fireEvent.press(screen.getByText('Create Alarm'));
+
+    expect(Alert.alert).toHaveBeenCalledWith('Error', 'Please enter an alarm label');
+    expect(navigation.popTo).not.toHaveBeenCalled();
+    expect(await AlarmStorage.loadAlarms()).toEqual([]);
+  });
+
+  it('creates a one-time alarm and reports when it rings', async () => {
+    const navigation = await renderScreen();
+
+    pickTime('2026-01-15T16:12:00.000Z');
+    fireEvent.changeText(screen.getByPlaceholderText(/Enter alarm label/), 'Dentist');
+    fireEvent.press(screen.getByText('Create Alarm'));
+
+    await waitFor(() => expect(navigation.popTo).toHaveBeenCalledWith('AlarmList', {
+      toast: 'Alarm set for 7h 12m from now',
+    }));
+    const [alarm] = await AlarmStorage.loadAlarms();
+    expect(alarm).toMatchObject({
+      label: 'Dentist',
+      hour: 16,
+      minute: 12,
+      timeZone: null,
+      frequency: 'once',
+      date: '2026-01-15',
+      isActive: true,
+    });
+    expect(alarm.notificationIds).toHaveLength(1);
+  });
+
+  it('creates a weekly alarm on the chosen days', async () => {
+    const navigation = await renderScreen();
+
+    fireEvent.changeText(screen.getByPlaceholderText(/Enter alarm label/), 'Gym');
+    fireEvent(screen.getByLabelText('Frequency'), 'valueChange', 'weekly');
+    fireEvent.press(screen.getByText('Weekends'));
+    fireEvent.press(screen.getByLabelText('Sun'));
+    fireEvent.press(screen.getByText('Create Alarm'));
+
+    await waitFor(() => expect(navigation.popTo).toHaveBeenCalled());
+    const [alarm] = await AlarmStorage.loadAlarms();
+    expect(alarm).toMatchObject({ label: 'Gym', frequency: 'weekly', days: [6] });
+    expect(alarm.notificationIds).toHaveLength(1);
+  });
+
+  it('opens the ringtone picker with the current choice', async () => {
+    const navigation = await renderScreen();
+
+    fireEvent.press(screen.getByLabelText('Ringtone'));
+
+    expect(navigation.navigate).toHaveBeenCalledWith('RingtonePicker', {
+      toneId: 'classic',
+      customRingtone: null,
+      returnTo: 'CreateAlarm',
+    });
+  });
+
+  it('saves the ringtone handed back by the picker and the vibration preset', async () => {
+    const customRingtone = { uri: 'file:///tones/birds.mp3', name: 'birds.mp3' };
+    FileSystem.__addFile(customRingtone.uri);
+    const navigation = await renderScreen({ pickedRingtone: { toneId: 'chime', customRingtone } });
+
+    expect(screen.getByText('birds.mp3')).toBeTruthy();
+    expect(navigation.setParams).toHaveBeenCalledWith({ pickedRingtone: undefined });
+    fireEvent.changeText(screen.getByPlaceholderText(/Enter alarm label/), 'Nap');
+    fireEvent(screen.getByLabelText('Vibration'), 'valueChange', 'heartbeat');
+    fireEvent.press(screen.getByText('Create Alarm'));
+
+    await waitFor(() => expect(navigation.popTo).toHaveBeenCalled());
+    const [alarm] = await AlarmStorage.loadAlarms();
+    expect(alarm).toMatchObject({ toneId: 'chime', vibrationPreset: 'heartbeat', customRingtone });
+    const [request] = Notifications.scheduleNotificationAsync.mock.calls[0];
+    expect(request.content).toMatchObject({ sound: 'alarm_chime.wav', vibrate: [0, 150, 150, 400, 1000] });
+    expect(screen.queryByText(/no longer on the device/)).toBeNull();
+  });
+
+  it('warns when the alarm\'s ringtone file is missing', async () => {
+    await AlarmStorage.addAlarm({
+      id: 'alarm-1',
+      label: 'Wake up',
+      hour: 7,
+      minute: 30,
+      timeZone: null,
+      frequency: 'daily',
+      duration: 10,
+      toneId: 'digital',
+      customRingtone: { uri: 'file:///tones/birds.mp3', name: 'birds.mp3' },
+    });
+    await renderScreen({ alarmId: 'alarm-1' });
+
+    expect(await screen.findByText(/This file is no longer on the device, so the Digital tone will ring/)).toBeTruthy();
+  });
+
+  it('creates a group and puts the alarm in it', async () => {
+    const navigation = await renderScreen();
+
+    fireEvent.changeText(screen.getByPlaceholderText(/Enter alarm label/), 'Early shift');
+    fireEvent.press(screen.getByText('+ Night shift'));
+    expect(await screen.findByRole('radio', { name: 'Night shift', selected: true })).toBeTruthy();
+    expect(screen.queryByText('+ Night shift')).toBeNull();
+    fireEvent.press(screen.getByText('Create Alarm'));
+
+    await waitFor(() => expect(navigation.popTo).toHaveBeenCalled());
+    const [group] = await AlarmStorage.loadGroups();
+    const [alarm] = await AlarmStorage.loadAlarms();
+    expect(group.name).toBe('Night shift');
+    expect(alarm.groupId).toBe(group.id);
+  });
+
+  it('refuses a group name that is already taken', async () => {
+    await AlarmStorage.addGroup('Vacation');
+    await renderScreen();
+
+    fireEvent.changeText(screen.getByPlaceholderText('New group name'), ' vacation ');
+    fireEvent.press(screen.getByLabelText('Add group'));
+
+    expect(Alert.alert).toHaveBeenCalledWith('Group', 'There is already a group called "vacation"');
+    expect(await AlarmStorage.loadGroups()).toHaveLength(1);
+  });
+
+  it('refuses a weekly alarm with no days', async () => {
+    const navigation = await renderScreen();
+
+    fireEvent.changeText(screen.getByPlaceholderText(/Enter alarm label/), 'Gym');
+    fireEvent(screen.getByLabelText('Frequency'), 'valueChange', 'weekly');
+    fireEvent.press(screen.getByText('Weekends'));
+    fireEvent.press(screen.getByLabelText('Sun'));
+    fireEvent.press(screen.getByLabelText('Sat'));
+    fireEvent.press(screen.getByText('Create Alarm'));
+
+    expect(Alert.alert).toHaveBeenCalledWith('Error', 'Please select at least one day');
+    expect(navigation.popTo).not.toHaveBeenCalled();
+  });
+
+  it('skips the next ring and imported holidays', async () => {
+    FileSystem.writeAsStringAsync('file:///cache/holidays.ics', HOLIDAYS);
+    DocumentPicker.getDocumentAsync.mockResolvedValue({ canceled: false, assets: [{ uri: 'file:///cache/holidays.ics' }] });
+    const navigation = await renderScreen();
+
+    pickTime('2026-01-15T16:12:00.000Z');
+    fireEvent.changeText(screen.getByPlaceholderText(/Enter alarm label/), 'Gym');
+    fireEvent(screen.getByLabelText('Frequency'), 'valueChange', 'daily');
+    fireEvent.press(screen.getByText('Skip next ring'));
+    fireEvent.press(screen.getByText('Import holidays (.ics)'));
+
+    expect(await screen.findByText('Fri, Dec 25 · Christmas Day')).toBeTruthy();
+    expect(screen.getByText('Thu, Jan 15')).toBeTruthy();
+    expect(Alert.alert).toHaveBeenCalledWith('Holidays Added', 'This alarm will skip 1 more date once saved.');
+
+    fireEvent.press(screen.getByText('Create Alarm'));
+
+    await waitFor(() => expect(navigation.popTo).toHaveBeenCalledWith('AlarmList', {
+      toast: 'Alarm set for 1d 7h from now',
+    }));
+    const [alarm] = await AlarmStorage.loadAlarms();
+    expect(alarm.skipDates).toEqual([
+      { date: '2026-01-15', name: null },
+      { date: '2026-12-25', name: 'Christmas Day' },
+    ]);
+  });
+
+  it('stops skipping a date that is removed', async () => {
+    await AlarmStorage.addAlarm({
+      id: 'alarm-1',
+      label: 'Wake up',
+      hour: 7,
+      minute: 30,
+      timeZone: null,
+      frequency: 'daily',
+      duration: 5,
+      skipDates: [{ date: '2026-01-16', name: null }],
+    });
+    const navigation = await renderScreen({ alarmId: 'alarm-1' });
+
+    fireEvent.press(await screen.findByLabelText('Ring on Fri, Jan 16'));
+    expect(screen.queryByText('Fri, Jan 16')).toBeNull();
+    fireEvent.press(screen.getByText('Save Changes'));
+
+    await waitFor(() => expect(navigation.popTo).toHaveBeenCalled());
+    const [alarm] = await AlarmStorage.loadAlarms();
+    expect(alarm.skipDates).toEqual([]);
+  });
+
+  it('hides skip dates for one-time alarms', async () => {
+    await renderScreen();
+
+    expect(screen.queryByText('Skip Dates')).toBeNull();
+  });
+
+  it('keeps the day of an alarm made for a calendar event', async () => {
+    await AlarmStorage.addAlarm({
+      id: 'alarm-1',
+      label: 'Flight to Berlin',
+      hour: 6,
+      minute: 0,
+      timeZone: null,
+      frequency: 'once',
+      date: '2026-01-17',
+      duration: 5,
+      calendarEvent: { uid: 'flight', summary: 'Flight to Berlin', start: '2026-01-17T07:30:00.000Z', offsetMinutes: 90 },
+    });
+    const navigation = await renderScreen({ alarmId: 'alarm-1' });
+
+    expect(await screen.findByText('For "Flight to Berlin" on Sat, Jan 17')).toBeTruthy();
+    fireEvent.changeText(screen.getByPlaceholderText(/Enter alarm label/), 'Flight');
+    fireEvent.press(screen.getByText('Save Changes'));
+
+    await waitFor(() => expect(navigation.popTo).toHaveBeenCalled());
+    const [alarm] = await AlarmStorage.loadAlarms();
+    expect(alarm).toMatchObject({ label: 'Flight', date: '2026-01-17', calendarEvent: { uid: 'flight' } });
+  });
+
+  it('loads an existing alarm and saves the changes', async () => {
+    const workdays = await AlarmStorage.addGroup('Workdays');
+    await AlarmStorage.addAlarm({
+      groupId: workdays.id,
+      id: 'alarm-1',
+      label: 'Wake up',
+      hour: 7,
+      minute: 30,
+      timeZone: null,
+      frequency: 'daily',
+      duration: 10,
+    });
+    const navigation = await renderScreen({ alarmId: 'alarm-1' });
+
+    expect(await screen.findByDisplayValue('Wake up')).toBeTruthy();
+    expect(screen.getByText('07:30 AM')).toBeTruthy();
+    expect(screen.getByRole('radio', { name: 'Workdays', selected: true })).toBeTruthy();
+    expect(screen.getByDisplayValue('10')).toBeTruthy();
+
+    fireEvent.changeText(screen.getByDisplayValue('Wake up'), 'Wake up earlier');
+    fireEvent.press(screen.getByText('Save Changes'));
+
+    await waitFor(() => expect(navigation.popTo).toHaveBeenCalledWith('AlarmList', {
+      toast: 'Alarm set for 22h 30m from now',
+    }));
+    const [alarm] = await AlarmStorage.loadAlarms();
+    expect(alarm).toMatchObject({ id: 'alarm-1', label: 'Wake up earlier', duration: 10, groupId: workdays.id });
+    // The old week of notifications is replaced by a new one
+    expect(await Notifications.getAllScheduledNotificationsAsync()).toHaveLength(7);
+  });
+
+  it('goes back when the alarm being edited no longer exists', async () => {
+    Alert.alert.mockImplementation((title, message, buttons) => buttons[0].onPress());
+    const navigation = await renderScreen({ alarmId: 'missing' });
+
+    await waitFor(() => expect(navigation.goBack).toHaveBeenCalled());
+  });
+});
@@ -0,0 +1,270 @@
+import React from 'react';
+import { Alert, Vibration } from 'react-native';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import * as FileSystem from 'expo-file-system/legacy';
+import { Audio } from 'expo-av';
+import DismissAlarmScreen from '../DismissAlarmScreen';
+import { AlarmStorage } from '../../services/AlarmStorage';
+
+// Thursday, 09:00 UTC (the test environment runs in UTC)
+const NOW = new Date('2026-01-15T09:00:00.000Z');
+
+const createNavigation = () => ({
+  navigate: jest.fn(),
+});
+
+const renderScreen = (params = {}) => {
+  const navigation = createNavigation();
+  render(<DismissAlarmScreen route={{ params: { alarmId: 'alarm-1', duration: 1, ...params } }} navigation={navigation} />);
+  return navigation;
+};
+
+// Known arithmetic challenge so the answer is predictable
+const seedAlarm = async (overrides = {}) => {
+  await AlarmStorage.addAlarm({
+    id: 'alarm-1',
+    label: 'Wake up',
+    hour: 10,
+    minute: 0,
+    timeZone: null,
+    frequency: 'once',
+    duration: 1,
+    snoozeInterval: 5,
+    maxSnoozes: 3,
+    challengeType: 'math',
+    challengeDifficulty: 'easy',
+    ...overrides,
+  });
+  await AlarmStorage.saveDismissalCode('alarm-1', {
+    type: 'math',
+    difficulty: 'easy',
+    problems: [{ question: '12 + 5', answer: 17 }],
+    current: 0,
+    timestamp: NOW.getTime(),
+    expiresAt: NOW.getTime() + 10 * 60 * 1000,
+  });
+};
+
+const answer = (text) => {
+  const input = screen.getByPlaceholderText('Enter the answer');
+  // The input rejects pasted text, so type one character at a time
+  for (let length = 1; length <= text.length; length++) {
+    fireEvent.changeText(input, text.slice(0, length));
+  }
+  fireEvent.press(screen.getByText('Dismiss Alarm'));
+};
+
+const pressAlertButton = (title, buttonText) => {
+  const call = Alert.alert.mock.calls.find(([callTitle]) => callTitle === title);
+  call[2].find(button => button.text === buttonText).onPress();
+};
+
+describe('DismissAlarmScreen', () => {
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+    jest.spyOn(Vibration, 'vibrate').mockImplementation(() => {});
+    jest.spyOn(Vibration, 'cancel').mockImplementation(() => {});
+    await AsyncStorage.clear();
+    Notifications.__reset();
+    FileSystem.__reset();
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('rings with the saved challenge', async () => {
+    await seedAlarm();
+    renderScreen();
+
+    expect(await screen.findByText('12 + 5 = ?')).toBeTruthy();
+    expect(screen.getByText('🚨 Wake up 🚨')).toBeTruthy();
+    expect(screen.getByText('Time remaining: 1:00')).toBeTruthy();
+    expect(Audio.Sound.createAsync).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({ shouldPlay: true, isLooping: true })
+    );
+    expect(Vibration.vibrate).toHaveBeenCalled();
+  });
+
+  it('plays the alarm\'s custom ringtone', async () => {
+    FileSystem.__addFile('file:///tones/birds.mp3');
+    await seedAlarm({ customRingtone: { uri: 'file:///tones/birds.mp3', name: 'birds.mp3' } });
+    renderScreen();
+
+    await screen.findByText('12 + 5 = ?');
+    expect(Audio.Sound.createAsync).toHaveBeenCalledWith(
+      { uri: 'file:///tones/birds.mp3' },
+      expect.objectContaining({ shouldPlay: true })
+    );
+    expect(screen.queryByText(/could not be played/)).toBeNull();
+  });
+
+  it('starts a trimmed ringtone at its offset and loops its window', async () => {
+    FileSystem.__addFile('file:///tones/birds.mp3');
+    await seedAlarm({ customRingtone: { uri: 'file:///tones/birds.mp3', name: 'birds.mp3', startMs: 12000, endMs: 40000 } });
+    renderScreen();
+
+    await screen.findByText('12 + 5 = ?');
+    expect(Audio.Sound.createAsync).toHaveBeenCalledWith(
+      { uri: 'file:///tones/birds.mp3' },
+      expect.objectContaining({ shouldPlay: false, isLooping: false })
+    );
+    const { sound } = await Audio.Sound.createAsync.mock.results[0].value;
+    expect(sound.setPositionAsync).toHaveBeenCalledWith(12000);
+    expect(sound.playAsync).toHaveBeenCalled();
+
+    sound.setOnPlaybackStatusUpdate.mock.calls[0][0]({ isLoaded: true, positionMillis: 40100 });
+    expect(sound.setPositionAsync).toHaveBeenLastCalledWith(12000);
+    expect(sound.setPositionAsync).toHaveBeenCalledTimes(2);
+  });
+
+  it('falls back to the built-in tone when the ringtone file is gone', async () => {
+    await seedAlarm({ toneId: 'chime', customRingtone: { uri: 'file:///tones/birds.mp3', name: 'birds.mp3' } });
+    renderScreen();
+
+    expect(await screen.findByText('"birds.mp3" could not be played, so the Chime tone is ringing instead.')).toBeTruthy();
+    expect(Audio.Sound.createAsync).toHaveBeenCalledTimes(1);
+    expect(Audio.Sound.createAsync).not.toHaveBeenCalledWith({ uri: 'file:///tones/birds.mp3' }, expect.anything());
+  });
+
+  it('falls back to the built-in tone when the ringtone file will not play', async () => {
+    FileSystem.__addFile('file:///tones/birds.mp3');
+    Audio.Sound.createAsync.mockRejectedValueOnce(new Error('Unsupported format'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await seedAlarm({ customRingtone: { uri: 'file:///tones/birds.mp3', name: 'birds.mp3' } });
+    renderScreen();
+
+    expect(await screen.findByText('"birds.mp3" could not be played, so the Classic tone is ringing instead.')).toBeTruthy();
+    expect(Audio.Sound.createAsync).toHaveBeenCalledTimes(2);
+  });
+
+  it('vibrates with the alarm\'s preset', async () => {
+    await seedAlarm({ vibrationPreset: 'heartbeat' });
+    renderScreen();
+
+    await screen.findByText('12 + 5 = ?');
+    expect(Vibration.vibrate).toHaveBeenCalledWith([0, 150, 150, 400, 1000], true);
+  });
+
+  it('does not vibrate when the alarm has vibration off', async () => {
+    await seedAlarm({ vibrationPreset: 'none' });
+    renderScreen();
+
+    await screen.findByText('12 + 5 = ?');
+    expect(Audio.Sound.createAsync).toHaveBeenCalled();
+    expect(Vibration.vibrate).not.toHaveBeenCalled();
+  });
+
+  it('counts a wrong answer against the attempts', async () => {
+    await seedAlarm();
+    renderScreen();
+    await screen.findByText('12 + 5 = ?');
+
+    answer('16');
+
+    await waitFor(() => expect(Alert.alert).toHaveBeenCalledWith(
+      'Incorrect Answer',
+      'The answer you entered is incorrect. 4 attempts remaining.',
+      expect.any(Array)
+    ));
+    expect((await AlarmStorage.getDismissalCode('alarm-1')).attempts).toBe(1);
+  });
+
+  it('dismisses the alarm when the challenge is solved', async () => {
+    await seedAlarm();
+    const navigation = renderScreen();
+    await screen.findByText('12 + 5 = ?');
+    const { sound } = await Audio.Sound.createAsync.mock.results[0].value;
+
+    answer('17');
+
+    await waitFor(() => expect(Alert.alert).toHaveBeenCalledWith(
+      'Alarm Dismissed',
+      expect.any(String),
+      expect.any(Array)
+    ));
+    expect(sound.unloadAsync).toHaveBeenCalled();
+    expect(Vibration.cancel).toHaveBeenCalled();
+
+    const alarm = await AlarmStorage.getAlarm('alarm-1');
+    expect(alarm.isActive).toBe(false);
+    expect(await AlarmStorage.getDismissalCode('alarm-1')).toBeNull();
+    await waitFor(async () => {
+      const [event] = await AlarmStorage.loadHistory();
+      expect(event).toMatchObject({ alarmId: 'alarm-1', outcome: 'dismissed', attempts: 0 });
+    });
+
+    pressAlertButton('Alarm Dismissed', 'OK');
+    expect(navigation.navigate).toHaveBeenCalledWith('AlarmList');
+  });
+
+  it('times the wake-up from when the notification was delivered', async () => {
+    await seedAlarm();
+    renderScreen({ firedAt: NOW.getTime() - 40 * 1000 });
+
+    await screen.findByText('12 + 5 = ?');
+    act(() => {
+      jest.advanceTimersByTime(5 * 1000);
+    });
+    answer('17');
+
+    await waitFor(async () => {
+      const [event] = await AlarmStorage.loadHistory();
+      expect(event).toMatchObject({
+        outcome: 'dismissed',
+        firedAt: '2026-01-15T08:59:20.000Z',
+        secondsToDismiss: 45,
+      });
+    });
+  });
+
+  it('snoozes and schedules the follow-up notification', async () => {
+    await seedAlarm();
+    renderScreen();
+
+    fireEvent.press(await screen.findByText('Snooze 5 min (3 left)'));
+
+    await waitFor(() => expect(Alert.alert).toHaveBeenCalledWith(
+      'Alarm Snoozed',
+      'The alarm will ring again in 5 minutes. 2 snoozes remaining.',
+      expect.any(Array)
+    ));
+    const snooze = await AlarmStorage.getSnoozeState('alarm-1');
+    expect(snooze.count).toBe(1);
+    expect(snooze.snoozedUntil).toBeGreaterThanOrEqual(NOW.getTime() + 5 * 60 * 1000);
+    const scheduled = await Notifications.getAllScheduledNotificationsAsync();
+    expect(scheduled.map(request => request.identifier)).toContain(snooze.notificationId);
+  });
+
+  it('hides snoozing when the alarm allows none', async () => {
+    await seedAlarm({ maxSnoozes: 0 });
+    renderScreen();
+
+    await screen.findByText('12 + 5 = ?');
+    expect(screen.queryByText(/Snooze/)).toBeNull();
+  });
+
+  it('stops by itself once the duration runs out', async () => {
+    await seedAlarm();
+    renderScreen();
+    await screen.findByText('12 + 5 = ?');
+
+    await act(async () => {
+      jest.advanceTimersByTime(60 * 1000);
+    });
+
+    expect(Alert.alert).toHaveBeenCalledWith('Alarm Timeout', expect.any(String), expect.any(Array));
+    expect(screen.getByText('Time remaining: 0:00')).toBeTruthy();
+    await waitFor(async () => {
+      const [event] = await AlarmStorage.loadHistory();
+      expect(event).toMatchObject({ alarmId: 'alarm-1', outcome: 'timed_out' });
+    });
+  });
+});
@@ -0,0 +1,102 @@
+import React from 'react';
+import { Alert } from 'react-native';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import HistoryScreen from '../HistoryScreen';
+import { AlarmStorage } from '../../services/AlarmStorage';
+
+// Thursday, 09:00 UTC (the test environment runs in UTC)
+const NOW = new Date('2026-01-15T09:00:00.000Z');
+
+const renderScreen = () => {
+  const navigation = { addListener: jest.fn(() => jest.fn()) };
+  render(<HistoryScreen navigation={navigation} />);
+  return navigation;
+};
+
+const pressAlertButton = (title, buttonText) => {
+  const call = Alert.alert.mock.calls.find(([callTitle]) => callTitle === title);
+  call[2].find(button => button.text === buttonText).onPress();
+};
+
+describe('HistoryScreen', () => {
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+    await AsyncStorage.clear();
+    Notifications.__reset();
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('shows the empty state when nothing has been recorded', async () => {
+    renderScreen();
+
+    expect(await screen.findByText('No alarm history yet')).toBeTruthy();
+    expect(screen.queryByText('Ignored Notifications')).toBeNull();
+  });
+
+  it('lists ignored alarm notifications and clears them', async () => {
+    await AlarmStorage.addAlarm({
+      id: 'alarm-1',
+      label: 'Wake up',
+      hour: 7,
+      minute: 0,
+      timeZone: null,
+      frequency: 'daily',
+      duration: 5,
+    });
+    await AlarmStorage.logRejectedTrigger({
+      alarmId: 'alarm-1',
+      type: 'alarm',
+      reason: 'outside_window',
+      receivedAt: '2026-01-15T08:10:00.000Z',
+    });
+    await AlarmStorage.logRejectedTrigger({
+      alarmId: 'alarm-9',
+      type: 'snooze',
+      reason: 'not_found',
+      receivedAt: '2026-01-15T08:20:00.000Z',
+    });
+    renderScreen();
+
+    expect(await screen.findByText('Ignored Notifications')).toBeTruthy();
+    expect(screen.getByText('No alarm history yet')).toBeTruthy();
+    expect(screen.getByText('Wake up')).toBeTruthy();
+    expect(screen.getByText(/Arrived away from the alarm time/)).toBeTruthy();
+    expect(screen.getByText('Deleted alarm (snooze)')).toBeTruthy();
+
+    fireEvent.press(screen.getByText('Clear'));
+
+    await waitFor(() => expect(screen.queryByText('Ignored Notifications')).toBeNull());
+    expect(await AlarmStorage.loadRejectedTriggers()).toEqual([]);
+  });
+
+  it('lists damaged alarms and removes them once confirmed', async () => {
+    await AsyncStorage.setItem('@alarms_quarantine', JSON.stringify([{
+      alarm: { id: 'alarm-2', label: 'Gym', hour: 'seven' },
+      problems: ['hour must be an integer from 0 to 23'],
+      quarantinedAt: '2026-01-14T09:00:00.000Z',
+    }]));
+    await AlarmStorage.logAlarmEvent({ alarmId: 'alarm-1', label: 'Wake up', firedAt: NOW.toISOString(), outcome: 'dismissed' });
+    renderScreen();
+
+    expect(await screen.findByText('Damaged Alarms')).toBeTruthy();
+    expect(screen.getByText('Overview')).toBeTruthy();
+    expect(screen.getByText('Gym')).toBeTruthy();
+    expect(screen.getByText(/hour must be an integer from 0 to 23/)).toBeTruthy();
+
+    fireEvent.press(screen.getByText('Remove'));
+    pressAlertButton('Remove Damaged Alarms', 'Remove');
+
+    await waitFor(() => expect(screen.queryByText('Damaged Alarms')).toBeNull());
+    expect(await AlarmStorage.loadQuarantinedAlarms()).toEqual([]);
+  });
+});
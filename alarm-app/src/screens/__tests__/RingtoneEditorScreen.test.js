@@ -0,0 +1,73 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react-native';
+import { Audio } from 'expo-av';
+import RingtoneEditorScreen from '../RingtoneEditorScreen';
+
+const BIRDS = { uri: 'file:///documents/ringtones/1-birds.mp3', name: 'birds.mp3' };
+
+const renderScreen = (params) => {
+  const navigation = { popTo: jest.fn() };
+  render(<RingtoneEditorScreen route={{ params }} navigation={navigation} />);
+  return navigation;
+};
+
+describe('RingtoneEditorScreen', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('moves the start and loop end and hands them back', async () => {
+    const navigation = renderScreen({ ringtone: BIRDS, durationMs: 60000 });
+
+    expect(screen.getByText('Length 1:00')).toBeTruthy();
+    expect(screen.getByText('Plays the whole file')).toBeTruthy();
+    fireEvent.press(screen.getByLabelText('Start +5s'));
+    fireEvent.press(screen.getByLabelText('Start +1s'));
+    fireEvent.press(screen.getByLabelText('Loop end −5s'));
+    expect(screen.getByText('Loops 0:06 – 0:55')).toBeTruthy();
+
+    fireEvent.press(screen.getByText('Done'));
+
+    await waitFor(() => expect(navigation.popTo).toHaveBeenCalledWith(
+      'RingtonePicker',
+      { trimmedRingtone: { ...BIRDS, startMs: 6000, endMs: 55000 } },
+      { merge: true }
+    ));
+  });
+
+  it('clears the trim when the whole file is chosen again', async () => {
+    const navigation = renderScreen({ ringtone: { ...BIRDS, startMs: 0, endMs: 30000 }, durationMs: 60000 });
+
+    fireEvent.press(screen.getByText('Play to the end of the file'));
+    fireEvent.press(screen.getByText('Done'));
+
+    await waitFor(() => expect(navigation.popTo).toHaveBeenCalledWith(
+      'RingtonePicker',
+      { trimmedRingtone: BIRDS },
+      { merge: true }
+    ));
+  });
+
+  it('previews the loop from its start offset', async () => {
+    renderScreen({ ringtone: { ...BIRDS, startMs: 8000, endMs: null }, durationMs: 60000 });
+
+    fireEvent.press(screen.getByText('Preview'));
+
+    expect(await screen.findByText('Stop Preview')).toBeTruthy();
+    const { sound } = await Audio.Sound.createAsync.mock.results[0].value;
+    expect(sound.setPositionAsync).toHaveBeenCalledWith(8000);
+    expect(sound.playAsync).toHaveBeenCalled();
+  });
+
+  it('reads the length of files imported without one', async () => {
+    renderScreen({ ringtone: BIRDS, durationMs: null });
+
+    expect(await screen.findByText('Length 0:30')).toBeTruthy();
+    expect(Audio.Sound.createAsync).toHaveBeenCalledWith({ uri: BIRDS.uri }, { shouldPlay: false });
+  });
+});
@@ -0,0 +1,147 @@
+import React from 'react';
+import { Alert } from 'react-native';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as DocumentPicker from 'expo-document-picker';
+import * as Notifications from 'expo-notifications';
+import * as FileSystem from 'expo-file-system/legacy';
+import { Audio } from 'expo-av';
+import RingtonePickerScreen from '../RingtonePickerScreen';
+import { AlarmStorage } from '../../services/AlarmStorage';
+
+jest.mock('expo-document-picker', () => ({
+  getDocumentAsync: jest.fn(),
+}));
+
+const BIRDS = { uri: 'file:///documents/ringtones/1-birds.mp3', name: 'birds.mp3' };
+const PICKED = { uri: 'file:///cache/DocumentPicker/birds.mp3', name: 'birds.mp3', mimeType: 'audio/mpeg', size: 2048 };
+
+const createNavigation = () => ({
+  navigate: jest.fn(),
+  popTo: jest.fn(),
+  setParams: jest.fn(),
+});
+
+const renderScreen = (params = {}) => {
+  const navigation = createNavigation();
+  render(<RingtonePickerScreen route={{ params: { returnTo: 'EditAlarm', ...params } }} navigation={navigation} />);
+  return navigation;
+};
+
+describe('RingtonePickerScreen', () => {
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await AsyncStorage.clear();
+    Notifications.__reset();
+    FileSystem.__reset();
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lists the built-in tones and the imported library', async () => {
+    await AlarmStorage.addToRingtoneLibrary({ ...BIRDS, format: 'mp3', size: 524288, durationMs: 32000 });
+    renderScreen({ toneId: 'chime' });
+
+    expect(await screen.findByText('birds.mp3')).toBeTruthy();
+    expect(screen.getByText('0:32 · 512 KB')).toBeTruthy();
+    expect(screen.getByText('Classic')).toBeTruthy();
+    expect(screen.getByRole('radio', { name: 'Chime', selected: true })).toBeTruthy();
+    expect(screen.getByRole('radio', { name: 'birds.mp3', selected: false })).toBeTruthy();
+  });
+
+  it('previews a tone until it is stopped', async () => {
+    renderScreen();
+    await screen.findByText('No imported ringtones yet');
+
+    fireEvent.press(screen.getByLabelText('Play Digital'));
+    const stopButton = await screen.findByLabelText('Stop Digital');
+    expect(Audio.Sound.createAsync).toHaveBeenCalledWith(expect.anything(), { shouldPlay: true });
+    const { sound } = await Audio.Sound.createAsync.mock.results[0].value;
+
+    fireEvent.press(stopButton);
+
+    expect(await screen.findByLabelText('Play Digital')).toBeTruthy();
+    expect(sound.unloadAsync).toHaveBeenCalled();
+    expect(Audio.Sound.createAsync).toHaveBeenCalledTimes(1);
+  });
+
+  it('copies an imported file into app storage and hands it back', async () => {
+    FileSystem.__addFile(PICKED.uri, PICKED.size);
+    DocumentPicker.getDocumentAsync.mockResolvedValue({ canceled: false, assets: [PICKED] });
+    const navigation = renderScreen({ toneId: 'loud' });
+
+    fireEvent.press(await screen.findByText('Import from device'));
+    expect(await screen.findByRole('radio', { name: 'birds.mp3', selected: true })).toBeTruthy();
+    expect(screen.getByText('0:30 · 2 KB')).toBeTruthy();
+    fireEvent.press(screen.getByText('Done'));
+
+    const stored = { uri: expect.stringMatching(/^file:\/\/\/documents\/ringtones\/\d+-birds\.mp3$/), name: 'birds.mp3' };
+    await waitFor(() => expect(navigation.popTo).toHaveBeenCalledWith(
+      'EditAlarm',
+      { pickedRingtone: { toneId: 'loud', customRingtone: stored } },
+      { merge: true }
+    ));
+    expect(await AlarmStorage.loadRingtoneLibrary()).toEqual([expect.objectContaining(stored)]);
+  });
+
+  it('explains why a file cannot be imported', async () => {
+    const alertSpy = jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+    DocumentPicker.getDocumentAsync.mockResolvedValue({
+      canceled: false,
+      assets: [{ uri: 'file:///cache/DocumentPicker/notes.txt', name: 'notes.txt', size: 100 }],
+    });
+    renderScreen();
+
+    fireEvent.press(await screen.findByText('Import from device'));
+
+    await waitFor(() => expect(alertSpy).toHaveBeenCalledWith(
+      'Cannot Use This File',
+      ".txt files can't be used as a ringtone; pick an MP3, M4A, AAC or WAV file"
+    ));
+    expect(FileSystem.copyAsync).not.toHaveBeenCalled();
+  });
+
+  it('opens the editor for an imported file and keeps the trim it hands back', async () => {
+    await AlarmStorage.addToRingtoneLibrary({ ...BIRDS, format: 'mp3', size: 524288, durationMs: 32000 });
+    const navigation = renderScreen({ customRingtone: BIRDS });
+
+    fireEvent.press(await screen.findByLabelText('Trim birds.mp3'));
+    await waitFor(() => expect(navigation.navigate).toHaveBeenCalledWith('RingtoneEditor', {
+      ringtone: BIRDS,
+      durationMs: 32000,
+    }));
+
+    const trimmed = { ...BIRDS, startMs: 4000, endMs: 20000 };
+    screen.rerender(
+      <RingtonePickerScreen
+        route={{ params: { returnTo: 'EditAlarm', customRingtone: BIRDS, trimmedRingtone: trimmed } }}
+        navigation={navigation}
+      />
+    );
+
+    expect(await screen.findByText('0:32 · 512 KB · plays 0:04 – 0:20')).toBeTruthy();
+    expect(navigation.setParams).toHaveBeenCalledWith({ trimmedRingtone: undefined });
+    fireEvent.press(screen.getByText('Done'));
+    await waitFor(() => expect(navigation.popTo).toHaveBeenCalledWith(
+      'EditAlarm',
+      { pickedRingtone: { toneId: 'classic', customRingtone: trimmed } },
+      { merge: true }
+    ));
+  });
+
+  it('clears the custom file when a built-in tone is picked', async () => {
+    const navigation = renderScreen({ toneId: 'classic', customRingtone: BIRDS });
+
+    fireEvent.press(await screen.findByText('Chime'));
+    fireEvent.press(screen.getByText('Done'));
+
+    await waitFor(() => expect(navigation.popTo).toHaveBeenCalledWith(
+      'EditAlarm',
+      { pickedRingtone: { toneId: 'chime', customRingtone: null } },
+      { merge: true }
+    ));
+  });
+});
@@ -0,0 +1,225 @@
+import { normalizeDays } from '../utils/weekdays';
+import {
+  ONCE_BUFFER_MS,
+  formatDateKey,
+  getZonedParts,
+  isValidTimeZone,
+  parseDateKey,
+} from '../utils/alarmTime';
+import { ringtoneFromUri } from '../utils/alarmSounds';
+
+// Version of the `@alarms` envelope written by AlarmStorage.saveAlarms. Data saved
+// before versioning existed is a bare array and counts as version 0.
+export const SCHEMA_VERSION = 5;
+
+const FREQUENCIES = ['once', 'daily', 'weekly'];
+
+export class AlarmSchemaError extends Error {
+  constructor(index, alarmId, problems) {
+    super(`Alarm #${index}${alarmId ? ` (id ${alarmId})` : ''} is invalid: ${problems.join('; ')}`);
+    this.name = 'AlarmSchemaError';
+    this.index = index;
+    this.alarmId = alarmId;
+    this.problems = problems;
+  }
+}
+
+// Ordered migrations; each upgrades every alarm from `version - 1` to `version`.
+// `context` carries data that used to be stored outside `@alarms`.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Track notifications as a list instead of a single notificationId',
+    migrate: (alarm) => {
+      const { notificationId, ...rest } = alarm;
+      return {
+        ...rest,
+        notificationIds: Array.isArray(alarm.notificationIds)
+          ? alarm.notificationIds
+          : (notificationId ? [notificationId] : []),
+      };
+    },
+  },
+  {
+    version: 2,
+    description: 'Give weekly alarms an explicit days list',
+    migrate: (alarm) => {
+      if (alarm.frequency !== 'weekly') return alarm;
+      const days = normalizeDays(alarm.days);
+      // Weekly alarms used to ring on the weekday of their stored time
+      return { ...alarm, days: days.length > 0 ? days : [new Date(alarm.time).getDay()] };
+    },
+  },
+  {
+    version: 3,
+    description: 'Fill defaults for snooze, challenge and gentle wake settings',
+    migrate: (alarm) => {
+      // Required lazily: AlarmStorage imports this module
+      const { DEFAULT_SNOOZE_INTERVAL, DEFAULT_MAX_SNOOZES } = require('./AlarmStorage');
+      return {
+        snoozeInterval: DEFAULT_SNOOZE_INTERVAL,
+        maxSnoozes: DEFAULT_MAX_SNOOZES,
+        challengeType: 'code',
+        challengeDifficulty: null,
+        gentleWake: false,
+        ...alarm,
+      };
+    },
+  },
+  {
+    version: 4,
+    description: 'Store wall-clock hour and minute instead of an ISO timestamp',
+    migrate: (alarm) => {
+      if (typeof alarm.time !== 'string') return alarm;
+      const { time, ...rest } = alarm;
+      const alarmTime = new Date(time);
+      if (isNaN(alarmTime.getTime())) return alarm;
+
+      // Older versions read the timestamp in the device zone
+      const migrated = {
+        ...rest,
+        hour: alarmTime.getHours(),
+        minute: alarmTime.getMinutes(),
+        timeZone: null,
+      };
+      if (alarm.frequency === 'once') {
+        // They also rang a day late when saved less than the buffer before the time
+        const savedAt = new Date(alarm.updatedAt || alarm.createdAt || time);
+        if (alarmTime.getTime() - savedAt.getTime() < ONCE_BUFFER_MS) {
+          alarmTime.setDate(alarmTime.getDate() + 1);
+        }
+        migrated.date = formatDateKey(getZonedParts(alarmTime));
+      }
+      return migrated;
+    },
+  },
+  {
+    version: 5,
+    description: 'Store the custom ringtone on the alarm instead of the @custom_ringtones map',
+    migrate: (alarm, { customRingtones = {} } = {}) => {
+      if (alarm.customRingtone !== undefined) return alarm;
+      const uri = customRingtones[alarm.id];
+      return { ...alarm, customRingtone: uri ? ringtoneFromUri(uri) : null };
+    },
+  },
+];
+
+// Returns a list of problems, empty when the alarm is valid for the current schema
+export const validateAlarmRecord = (alarm) => {
+  if (!alarm || typeof alarm !== 'object' || Array.isArray(alarm)) {
+    return ['not an object'];
+  }
+
+  const problems = [];
+  if (typeof alarm.id !== 'string' || !alarm.id) {
+    problems.push('id must be a non-empty string');
+  }
+  if (!Number.isInteger(alarm.hour) || alarm.hour < 0 || alarm.hour > 23) {
+    problems.push('hour must be an integer from 0 to 23');
+  }
+  if (!Number.isInteger(alarm.minute) || alarm.minute < 0 || alarm.minute > 59) {
+    problems.push('minute must be an integer from 0 to 59');
+  }
+  if (alarm.timeZone != null && !isValidTimeZone(alarm.timeZone)) {
+    problems.push(`timeZone ${JSON.stringify(alarm.timeZone)} is not a known IANA time zone`);
+  }
+  if (alarm.frequency === 'once' && !parseDateKey(alarm.date)) {
+    problems.push('one-time alarms need a date in YYYY-MM-DD form');
+  }
+  if (!FREQUENCIES.includes(alarm.frequency)) {
+    problems.push(`frequency must be one of ${FREQUENCIES.join(', ')} (got ${JSON.stringify(alarm.frequency)})`);
+  }
+  if (typeof alarm.duration !== 'number' || isNaN(alarm.duration)) {
+    problems.push('duration must be a number');
+  }
+  if (alarm.isActive !== undefined && typeof alarm.isActive !== 'boolean') {
+    problems.push('isActive must be a boolean');
+  }
+  if (!Array.isArray(alarm.notificationIds)) {
+    problems.push('notificationIds must be an array');
+  }
+  if (alarm.frequency === 'weekly' && normalizeDays(alarm.days).length === 0) {
+    problems.push('weekly alarms need at least one day');
+  }
+  if (alarm.customRingtone != null && typeof alarm.customRingtone.uri !== 'string') {
+    problems.push('customRingtone must have a uri');
+  }
+  const { startMs, endMs } = alarm.customRingtone || {};
+  if (startMs != null && !(Number.isFinite(startMs) && startMs >= 0)) {
+    problems.push('customRingtone startMs must be a non-negative number');
+  }
+  if (endMs != null && !(Number.isFinite(endMs) && endMs > (startMs || 0))) {
+    problems.push('customRingtone endMs must be after startMs');
+  }
+  if (alarm.groupId != null && (typeof alarm.groupId !== 'string' || !alarm.groupId)) {
+    problems.push('groupId must be a non-empty string');
+  }
+  if (alarm.skipDates !== undefined
+    && !(Array.isArray(alarm.skipDates) && alarm.skipDates.every(skip => skip && parseDateKey(skip.date)))) {
+    problems.push('skipDates must be a list of dates');
+  }
+  if (alarm.calendarEvent != null
+    && !(typeof alarm.calendarEvent.start === 'string' && !Number.isNaN(Date.parse(alarm.calendarEvent.start)))) {
+    problems.push('calendarEvent must have a start time');
+  }
+  return problems;
+};
+
+const readEnvelope = (raw) => {
+  if (Array.isArray(raw)) {
+    return { version: 0, alarms: raw };
+  }
+  if (raw && typeof raw === 'object' && Array.isArray(raw.alarms) && Number.isInteger(raw.schemaVersion)) {
+    return { version: raw.schemaVersion, alarms: raw.alarms };
+  }
+  throw new Error('Stored alarms are neither a list nor a versioned envelope');
+};
+
+export const buildEnvelope = (alarms) => ({ schemaVersion: SCHEMA_VERSION, alarms });
+
+// Upgrades parsed `@alarms` data to the current schema and validates each record.
+// `context.customRingtones` is the pre-version-5 ringtone map, keyed by alarm id.
+// Returns { alarms, invalid, fromVersion, migrated } where `invalid` holds
+// { alarm, error } for records that could not be used.
+export const migrateAlarmData = (raw, context = {}) => {
+  const { version, alarms } = readEnvelope(raw);
+
+  if (version > SCHEMA_VERSION) {
+    // Written by a newer app version; use it as is rather than guessing at a
+    // downgrade. AlarmStorage refuses to write over it.
+    console.warn(`Alarm data has schema version ${version}, newer than ${SCHEMA_VERSION}`);
+    return { alarms, invalid: [], fromVersion: version, migrated: false };
+  }
+
+  const pending = MIGRATIONS.filter(migration => migration.version > version);
+  const valid = [];
+  const invalid = [];
+
+  alarms.forEach((alarm, index) => {
+    let current = alarm;
+    try {
+      if (current && typeof current === 'object') {
+        pending.forEach(migration => {
+          current = migration.migrate(current, context);
+        });
+      }
+    } catch (error) {
+      invalid.push({ alarm, error: new AlarmSchemaError(index, alarm && alarm.id, [`migration failed: ${error.message}`]) });
+      return;
+    }
+
+    const problems = validateAlarmRecord(current);
+    if (problems.length > 0) {
+      invalid.push({ alarm, error: new AlarmSchemaError(index, alarm && alarm.id, problems) });
+    } else {
+      valid.push(current);
+    }
+  });
+
+  return {
+    alarms: valid,
+    invalid,
+    fromVersion: version,
+    migrated: pending.length > 0 || invalid.length > 0,
+  };
+};
@@ -1,14 +1,286 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system/legacy';
 import { NotificationService } from './NotificationService';
+import { planReconciliation } from '../utils/reconcile';
+import { createSerialQueue } from '../utils/serialQueue';
+import { getOnceDate, getOnceFireTime } from '../utils/alarmTime';
+import { getNextFireTime } from '../utils/scheduling';
+import { getUnloggedRings } from '../utils/alarmStats';
+import { getOccurrenceDate, getSkipDates, mergeSkipDates, removeSkipDate } from '../utils/skipDates';
+import { validateGroupName } from '../utils/alarmGroups';
+import { SCHEMA_VERSION, buildEnvelope, migrateAlarmData } from './AlarmMigrations';
 
 const ALARMS_STORAGE_KEY = '@alarms';
 const DISMISSAL_CODES_STORAGE_KEY = '@dismissal_codes';
-const CUSTOM_RINGTONES_STORAGE_KEY = '@custom_ringtones';
+// Custom ringtones by alarm id, moved onto the alarms by schema version 5
+const LEGACY_RINGTONES_STORAGE_KEY = '@custom_ringtones';
+const SNOOZE_STATE_STORAGE_KEY = '@snooze_state';
+const HISTORY_STORAGE_KEY = '@alarm_history';
+const REJECTED_TRIGGERS_STORAGE_KEY = '@rejected_triggers';
+// Ringtone files copied into the app's documents by RingtoneLibrary, with their metadata
+const RINGTONE_LIBRARY_STORAGE_KEY = '@ringtone_library';
+// Named groups ("Workdays", "Vacation") alarms can belong to through `groupId`
+const ALARM_GROUPS_STORAGE_KEY = '@alarm_groups';
+// Records that failed validation are kept here instead of being silently dropped
+const QUARANTINE_STORAGE_KEY = '@alarms_quarantine';
+
+// Oldest events are dropped beyond this so the log can't grow without bound
+const MAX_HISTORY_EVENTS = 1000;
+const MAX_REJECTED_TRIGGERS = 200;
+
+export const DEFAULT_SNOOZE_INTERVAL = 5; // minutes
+export const DEFAULT_MAX_SNOOZES = 3;
+
+const readJson = async (key, fallback) => {
+  const data = await AsyncStorage.getItem(key);
+  return data ? JSON.parse(data) : fallback;
+};
+
+// Parses stored alarms, upgrading older data. `migrated` means the stored value
+// should be rewritten.
+const readAlarms = async () => {
+  const raw = await readJson(ALARMS_STORAGE_KEY, null);
+  if (!raw) return { alarms: [], invalid: [], fromVersion: SCHEMA_VERSION, migrated: false };
+  // Only data from before version 5 still has its ringtones in the separate map
+  const customRingtones = raw.schemaVersion >= 5 ? {} : await readJson(LEGACY_RINGTONES_STORAGE_KEY, {});
+  return migrateAlarmData(raw, { customRingtones });
+};
+
+// Data saved by a newer version of the app is read as it is, but overwriting it
+// with this version's schema could drop fields that version depends on
+const assertAlarmsWritable = async () => {
+  const raw = await readJson(ALARMS_STORAGE_KEY, null);
+  if (raw && raw.schemaVersion > SCHEMA_VERSION) {
+    throw new Error(`Alarms were saved by a newer version of the app (schema ${raw.schemaVersion}); update the app to change them`);
+  }
+};
+
+// One-time alarms ring on the next date their time comes round, fixed whenever
+// they are saved or turned back on. Alarms made for a calendar event keep the
+// event's day while it is still ahead.
+const withOnceDate = (alarm, now = new Date()) => {
+  const { date, ...rest } = alarm;
+  if (alarm.frequency !== 'once') return rest;
+  if (alarm.calendarEvent && date) {
+    const fireTime = getOnceFireTime(alarm);
+    if (fireTime && fireTime.getTime() > now.getTime()) return alarm;
+  }
+  return { ...rest, date: getOnceDate(alarm, now) };
+};
+
+// Ids are creation times; alarms added in the same millisecond take the next free one
+const getNewAlarmId = (alarms) => {
+  const ids = new Set(alarms.map(alarm => alarm.id));
+  let id = Date.now();
+  while (ids.has(id.toString())) id += 1;
+  return id.toString();
+};
+
+// Buffers every change made during AlarmStorage.transaction and writes them in
+// one multiSet. Notifications scheduled inside the transaction are cancelled if
+// it fails; cancellations and file deletions are held back until the data has
+// been written, so a failed transaction leaves the previous ones in place.
+class StorageTransaction {
+  constructor() {
+    this.values = new Map();
+    this.dirty = new Set();
+    this.removed = new Set();
+    this.scheduledIds = [];
+    this.pendingCancels = [];
+    this.pendingFileDeletes = [];
+  }
+
+  async read(key, fallback) {
+    if (!this.values.has(key)) {
+      this.values.set(key, await readJson(key, fallback));
+    }
+    return this.values.get(key);
+  }
+
+  write(key, value) {
+    this.values.set(key, value);
+    this.dirty.add(key);
+    this.removed.delete(key);
+  }
+
+  remove(key) {
+    this.values.delete(key);
+    this.dirty.delete(key);
+    this.removed.add(key);
+  }
+
+  async getAlarms() {
+    if (!this.values.has(ALARMS_STORAGE_KEY)) {
+      const { alarms, invalid, fromVersion, migrated } = await readAlarms();
+      this.values.set(ALARMS_STORAGE_KEY, alarms);
+      if (migrated) {
+        // Persist the upgrade so migrations only run on the first load
+        this.dirty.add(ALARMS_STORAGE_KEY);
+      }
+      if (fromVersion < 5) {
+        this.remove(LEGACY_RINGTONES_STORAGE_KEY);
+      }
+      if (invalid.length > 0) {
+        invalid.forEach(({ error }) => console.error('Corrupt alarm record:', error.message));
+        const quarantined = await this.read(QUARANTINE_STORAGE_KEY, []);
+        this.write(QUARANTINE_STORAGE_KEY, [
+          ...quarantined,
+          ...invalid.map(({ alarm, error }) => ({
+            alarm,
+            problems: error.problems,
+            quarantinedAt: new Date().toISOString(),
+          })),
+        ]);
+      }
+    }
+    return this.values.get(ALARMS_STORAGE_KEY);
+  }
+
+  setAlarms(alarms) {
+    this.write(ALARMS_STORAGE_KEY, alarms);
+  }
+
+  getDismissalCodes() {
+    return this.read(DISMISSAL_CODES_STORAGE_KEY, {});
+  }
+
+  setDismissalCodes(codes) {
+    this.write(DISMISSAL_CODES_STORAGE_KEY, codes);
+  }
+
+  getSnoozeStates() {
+    return this.read(SNOOZE_STATE_STORAGE_KEY, {});
+  }
+
+  setSnoozeStates(states) {
+    this.write(SNOOZE_STATE_STORAGE_KEY, states);
+  }
+
+  getHistory() {
+    return this.read(HISTORY_STORAGE_KEY, []);
+  }
+
+  setHistory(history) {
+    this.write(HISTORY_STORAGE_KEY, history);
+  }
+
+  getRejectedTriggers() {
+    return this.read(REJECTED_TRIGGERS_STORAGE_KEY, []);
+  }
+
+  setRejectedTriggers(entries) {
+    this.write(REJECTED_TRIGGERS_STORAGE_KEY, entries);
+  }
+
+  getGroups() {
+    return this.read(ALARM_GROUPS_STORAGE_KEY, []);
+  }
+
+  setGroups(groups) {
+    this.write(ALARM_GROUPS_STORAGE_KEY, groups);
+  }
+
+  getRingtoneLibrary() {
+    return this.read(RINGTONE_LIBRARY_STORAGE_KEY, []);
+  }
+
+  setRingtoneLibrary(entries) {
+    this.write(RINGTONE_LIBRARY_STORAGE_KEY, entries);
+  }
+
+  // Also records on the alarm what its notifications were built from, so
+  // AlarmStorage.refreshSchedules can tell when they no longer match, and when
+  // the last of them is due
+  async scheduleAlarm(alarm) {
+    // The alarm being scheduled counts towards the pending-notification budget
+    const others = (await this.getAlarms()).filter(other => other.id !== alarm.id);
+    NotificationService.sizeScheduleWindow([...others, alarm]);
+    const ids = await NotificationService.scheduleAlarm(alarm);
+    this.scheduledIds.push(...ids);
+    alarm.scheduleKey = NotificationService.getScheduleKey(alarm);
+    alarm.scheduledUntil = NotificationService.getScheduledUntil(alarm);
+    return ids;
+  }
+
+  cancelOnCommit(idOrIds) {
+    const ids = Array.isArray(idOrIds) ? idOrIds : [idOrIds];
+    this.pendingCancels.push(...ids.filter(Boolean));
+  }
+
+  deleteFileOnCommit(uri) {
+    this.pendingFileDeletes.push(uri);
+  }
+
+  async commit() {
+    if (this.dirty.has(ALARMS_STORAGE_KEY)) {
+      await assertAlarmsWritable();
+    }
+    if (this.dirty.size > 0) {
+      const entries = [...this.dirty].map(key => {
+        const value = this.values.get(key);
+        return [key, JSON.stringify(key === ALARMS_STORAGE_KEY ? buildEnvelope(value) : value)];
+      });
+      await AsyncStorage.multiSet(entries);
+    }
+    if (this.removed.size > 0) {
+      await AsyncStorage.multiRemove([...this.removed]);
+    }
+
+    // The saved data no longer references these, so a failure here only leaves
+    // orphans that reconcileNotifications cleans up on the next start
+    if (this.pendingCancels.length > 0) {
+      try {
+        await NotificationService.cancelAlarm(this.pendingCancels);
+      } catch (error) {
+        console.error('Error cancelling replaced notifications:', error);
+      }
+    }
+
+    for (const uri of this.pendingFileDeletes) {
+      try {
+        await FileSystem.deleteAsync(uri, { idempotent: true });
+      } catch (error) {
+        console.error('Error deleting unused ringtone file:', uri, error);
+      }
+    }
+  }
+
+  async rollback() {
+    if (this.scheduledIds.length === 0) return;
+    try {
+      await NotificationService.cancelAlarm(this.scheduledIds);
+    } catch (error) {
+      console.error('Error rolling back scheduled notifications:', error);
+    }
+  }
+}
 
 export class AlarmStorage {
+  static enqueue = createSerialQueue();
+
+  // Runs `work(tx)` once every earlier transaction has finished. Writes made
+  // through `tx` are saved together when `work` resolves; if it throws nothing
+  // is saved and notifications scheduled through `tx.scheduleAlarm` are cancelled.
+  // Don't call other mutating AlarmStorage methods from `work`: they queue behind it.
+  static transaction(work) {
+    return this.enqueue(async () => {
+      const tx = new StorageTransaction();
+      try {
+        const result = await work(tx);
+        await tx.commit();
+        return result;
+      } catch (error) {
+        await tx.rollback();
+        throw error;
+      }
+    });
+  }
+
   static async saveAlarms(alarms) {
     try {
-      await AsyncStorage.setItem(ALARMS_STORAGE_KEY, JSON.stringify(alarms));
+      await this.transaction(async (tx) => {
+        tx.setAlarms(alarms);
+      });
     } catch (error) {
       console.error('Error saving alarms:', error);
       throw error;
@@ -17,31 +289,58 @@ export class AlarmStorage {
 
   static async loadAlarms() {
     try {
-      const alarmsData = await AsyncStorage.getItem(ALARMS_STORAGE_KEY);
-      return alarmsData ? JSON.parse(alarmsData) : [];
+      const { alarms, migrated } = await readAlarms();
+      if (!migrated) return alarms;
+      // Older or corrupt data: upgrade it in a transaction so the result is saved once
+      return await this.transaction(tx => tx.getAlarms());
     } catch (error) {
       console.error('Error loading alarms:', error);
       return [];
     }
   }
 
+  static async loadQuarantinedAlarms() {
+    try {
+      return await readJson(QUARANTINE_STORAGE_KEY, []);
+    } catch (error) {
+      console.error('Error loading quarantined alarms:', error);
+      return [];
+    }
+  }
+
+  static async clearQuarantinedAlarms() {
+    try {
+      await this.transaction(async (tx) => {
+        tx.remove(QUARANTINE_STORAGE_KEY);
+      });
+    } catch (error) {
+      console.error('Error clearing quarantined alarms:', error);
+      throw error;
+    }
+  }
+
   static async addAlarm(alarm) {
     try {
-      const alarms = await this.loadAlarms();
-      const newAlarm = {
-        id: Date.now().toString(),
-        ...alarm,
-        isActive: true,
-        createdAt: new Date().toISOString(),
-      };
-      
-      // Schedule the notification
-      const notificationId = await NotificationService.scheduleAlarm(newAlarm);
-      newAlarm.notificationId = notificationId;
-      
-      alarms.push(newAlarm);
-      await this.saveAlarms(alarms);
-      return newAlarm;
+      return await this.transaction(async (tx) => {
+        const alarms = await tx.getAlarms();
+        const newAlarm = withOnceDate({
+          id: getNewAlarmId(alarms),
+          ...alarm,
+          isActive: true,
+          createdAt: new Date().toISOString(),
+          ringsCheckedUntil: new Date().toISOString(),
+        });
+        // An alarm for a calendar event rings on the event's day or not at all
+        if (alarm.calendarEvent && newAlarm.date !== alarm.date) {
+          throw new Error(`The alarm time for "${alarm.label || 'this event'}" has passed`);
+        }
+
+        // Schedule the notifications (one per selected day for weekly alarms)
+        newAlarm.notificationIds = await tx.scheduleAlarm(newAlarm);
+
+        tx.setAlarms([...alarms, newAlarm]);
+        return newAlarm;
+      });
     } catch (error) {
       console.error('Error adding alarm:', error);
       throw error;
@@ -50,19 +349,21 @@ export class AlarmStorage {
 
   static async deleteAlarm(alarmId) {
     try {
-      const alarms = await this.loadAlarms();
-      const alarmToDelete = alarms.find(alarm => alarm.id === alarmId);
-      
-      // Cancel the notification if it exists
-      if (alarmToDelete && alarmToDelete.notificationId) {
-        await NotificationService.cancelAlarm(alarmToDelete.notificationId);
-      }
-      
-      // Remove dismissal code for this alarm
-      await this.removeDismissalCode(alarmId);
-      
-      const filteredAlarms = alarms.filter(alarm => alarm.id !== alarmId);
-      await this.saveAlarms(filteredAlarms);
+      await this.transaction(async (tx) => {
+        const alarms = await tx.getAlarms();
+        const alarmToDelete = alarms.find(alarm => alarm.id === alarmId);
+
+        // Cancel the notifications if they exist
+        if (alarmToDelete) {
+          tx.cancelOnCommit(this.getNotificationIds(alarmToDelete));
+        }
+
+        // Remove the dismissal code and any pending snooze for this alarm
+        await this.clearAlarmState(tx, alarmId);
+
+        tx.setAlarms(alarms.filter(alarm => alarm.id !== alarmId));
+        await this.releaseUnusedRingtones(tx, [alarmToDelete?.customRingtone?.uri]);
+      });
     } catch (error) {
       console.error('Error deleting alarm:', error);
       throw error;
@@ -71,49 +372,205 @@ export class AlarmStorage {
 
   static async updateAlarm(alarmId, updates) {
     try {
-      const alarms = await this.loadAlarms();
-      const updatedAlarms = alarms.map(alarm => 
-        alarm.id === alarmId ? { ...alarm, ...updates } : alarm
-      );
-      await this.saveAlarms(updatedAlarms);
+      await this.transaction(async (tx) => {
+        const alarms = await tx.getAlarms();
+        tx.setAlarms(alarms.map(alarm =>
+          alarm.id === alarmId ? { ...alarm, ...updates } : alarm
+        ));
+      });
     } catch (error) {
       console.error('Error updating alarm:', error);
       throw error;
     }
   }
 
+  static async editAlarm(alarmId, updates) {
+    try {
+      return await this.transaction(async (tx) => {
+        const alarms = await tx.getAlarms();
+        const alarmToEdit = alarms.find(alarm => alarm.id === alarmId);
+
+        if (!alarmToEdit) {
+          throw new Error(`Alarm not found: ${alarmId}`);
+        }
+
+        // The notifications for the old settings go once the edit is saved
+        tx.cancelOnCommit(this.getNotificationIds(alarmToEdit));
+
+        // Saving an edited alarm turns it back on, like creating a new one
+        const editedAlarm = withOnceDate({
+          ...alarmToEdit,
+          ...updates,
+          id: alarmToEdit.id,
+          isActive: true,
+          updatedAt: new Date().toISOString(),
+          // Rings under the old settings aren't looked for as missed
+          ringsCheckedUntil: new Date().toISOString(),
+        });
+        delete editedAlarm.notificationId;
+        editedAlarm.notificationIds = await tx.scheduleAlarm(editedAlarm);
+
+        tx.setAlarms(alarms.map(alarm =>
+          alarm.id === alarmId ? editedAlarm : alarm
+        ));
+        await this.releaseUnusedRingtones(tx, [alarmToEdit.customRingtone?.uri]);
+
+        // A code or snooze from the old settings no longer belongs to this alarm
+        await this.clearAlarmState(tx, alarmId);
+
+        return editedAlarm;
+      });
+    } catch (error) {
+      console.error('Error editing alarm:', error);
+      throw error;
+    }
+  }
+
   static async toggleAlarm(alarmId) {
     try {
-      const alarms = await this.loadAlarms();
-      const alarmToToggle = alarms.find(alarm => alarm.id === alarmId);
-      
-      if (alarmToToggle) {
-        const newActiveState = !alarmToToggle.isActive;
-        
-        if (newActiveState) {
-          // Turning alarm on - schedule notification
-          const notificationId = await NotificationService.scheduleAlarm({
-            ...alarmToToggle,
-            isActive: true
-          });
-          alarmToToggle.notificationId = notificationId;
-        } else {
-          // Turning alarm off - cancel notification
-          if (alarmToToggle.notificationId) {
-            await NotificationService.cancelAlarm(alarmToToggle.notificationId);
-          }
-          alarmToToggle.notificationId = null;
+      await this.transaction(async (tx) => {
+        const alarms = await tx.getAlarms();
+        const alarmToToggle = alarms.find(alarm => alarm.id === alarmId);
+        if (!alarmToToggle) return;
+
+        const toggled = await this.setAlarmActive(tx, alarmToToggle, !alarmToToggle.isActive);
+        tx.setAlarms(alarms.map(alarm => (alarm.id === alarmId ? toggled : alarm)));
+      });
+    } catch (error) {
+      console.error('Error toggling alarm:', error);
+      throw error;
+    }
+  }
+
+  // Returns the alarm switched on (notifications scheduled) or off (notifications
+  // and snooze cancelled) as part of a transaction
+  static async setAlarmActive(tx, alarm, isActive) {
+    let updated = { ...alarm, isActive };
+    delete updated.notificationId;
+
+    if (isActive) {
+      // Rings while it was off weren't missed
+      updated = withOnceDate({ ...updated, ringsCheckedUntil: new Date().toISOString() });
+      updated.notificationIds = await tx.scheduleAlarm(updated);
+    } else {
+      tx.cancelOnCommit(this.getNotificationIds(alarm));
+      updated.notificationIds = [];
+      await this.clearAlarmState(tx, alarm.id, { keepDismissalCode: true });
+    }
+    return updated;
+  }
+
+  // Skips the next ring of a recurring alarm, which stays on. Returns the alarm.
+  static async skipNextOccurrence(alarmId) {
+    try {
+      return await this.updateSkipDates(alarmId, (alarm, now) => {
+        const fireTime = alarm.frequency !== 'once' && getNextFireTime(alarm, now);
+        if (!fireTime) {
+          throw new Error(`Alarm ${alarmId} has no upcoming ring to skip`);
         }
-        
-        alarmToToggle.isActive = newActiveState;
-        await this.saveAlarms(alarms);
+        const date = getOccurrenceDate(alarm, fireTime);
+        return mergeSkipDates(getSkipDates(alarm), [{ date, name: null }], getOccurrenceDate(alarm, now));
+      });
+    } catch (error) {
+      console.error('Error skipping alarm:', error);
+      throw error;
+    }
+  }
+
+  // Lets the alarm ring on a date it was skipping. Returns the alarm.
+  static async unskipDate(alarmId, date) {
+    try {
+      return await this.updateSkipDates(alarmId, alarm => removeSkipDate(getSkipDates(alarm), date));
+    } catch (error) {
+      console.error('Error unskipping alarm date:', error);
+      throw error;
+    }
+  }
+
+  // Replaces the alarm's skip dates with `update(alarm, now)` and reschedules it if it is on
+  static async updateSkipDates(alarmId, update) {
+    return this.transaction(async (tx) => {
+      const alarms = await tx.getAlarms();
+      const alarm = alarms.find(item => item.id === alarmId);
+      if (!alarm) {
+        throw new Error(`Alarm not found: ${alarmId}`);
       }
+
+      const updated = { ...alarm, skipDates: update(alarm, new Date()) };
+      if (updated.isActive) {
+        tx.cancelOnCommit(this.getNotificationIds(alarm));
+        delete updated.notificationId;
+        updated.notificationIds = await tx.scheduleAlarm(updated);
+      }
+      tx.setAlarms(alarms.map(item => (item.id === alarmId ? updated : item)));
+      return updated;
+    });
+  }
+
+  // Clears the challenge and snooze once an alarm has been dismissed; one-time
+  // alarms are also switched off
+  static async markDismissed(alarmId) {
+    try {
+      await this.transaction(async (tx) => {
+        await this.clearAlarmState(tx, alarmId);
+
+        const alarms = await tx.getAlarms();
+        const alarm = alarms.find(item => item.id === alarmId);
+        if (alarm && alarm.frequency === 'once') {
+          tx.cancelOnCommit(this.getNotificationIds(alarm));
+          tx.setAlarms(alarms.map(item => (
+            item.id === alarmId ? { ...item, isActive: false, notificationIds: [] } : item
+          )));
+        }
+      });
     } catch (error) {
-      console.error('Error toggling alarm:', error);
+      console.error('Error marking alarm dismissed:', error);
       throw error;
     }
   }
 
+  // Drops the per-alarm state kept outside `@alarms` as part of a transaction
+  static async clearAlarmState(tx, alarmId, { keepDismissalCode = false } = {}) {
+    if (!keepDismissalCode) {
+      const codes = await tx.getDismissalCodes();
+      if (codes[alarmId]) {
+        delete codes[alarmId];
+        tx.setDismissalCodes(codes);
+      }
+    }
+
+    const states = await tx.getSnoozeStates();
+    if (states[alarmId]) {
+      tx.cancelOnCommit(states[alarmId].notificationId);
+      delete states[alarmId];
+      tx.setSnoozeStates(states);
+    }
+  }
+
+  // Library files are shared between alarms. Of the given ringtone URIs, those no
+  // alarm refers to any more are dropped from the library and their files deleted
+  // on commit. Files outside the library (picked before it existed) are left alone.
+  static async releaseUnusedRingtones(tx, uris) {
+    const alarms = await tx.getAlarms();
+    const inUse = new Set(alarms.map(alarm => alarm.customRingtone?.uri).filter(Boolean));
+    const unused = new Set(uris.filter(uri => uri && !inUse.has(uri)));
+    if (unused.size === 0) return;
+
+    const library = await tx.getRingtoneLibrary();
+    const released = library.filter(entry => unused.has(entry.uri));
+    if (released.length === 0) return;
+
+    tx.setRingtoneLibrary(library.filter(entry => !unused.has(entry.uri)));
+    released.forEach(entry => tx.deleteFileOnCommit(entry.uri));
+  }
+
+  // Alarms saved before multi-day scheduling stored a single notificationId
+  static getNotificationIds(alarm) {
+    if (!alarm) return [];
+    if (Array.isArray(alarm.notificationIds)) return alarm.notificationIds;
+    return alarm.notificationId ? [alarm.notificationId] : [];
+  }
+
   static async getAlarm(alarmId) {
     try {
       const alarms = await this.loadAlarms();
@@ -124,26 +581,114 @@ export class AlarmStorage {
     }
   }
 
+  // Alarm groups: { id, name, createdAt }, in the order they were created
+  static async loadGroups() {
+    try {
+      return await readJson(ALARM_GROUPS_STORAGE_KEY, []);
+    } catch (error) {
+      console.error('Error loading alarm groups:', error);
+      return [];
+    }
+  }
+
+  static async addGroup(name) {
+    try {
+      return await this.transaction(async (tx) => {
+        const groups = await tx.getGroups();
+        const problem = validateGroupName(name, groups);
+        if (problem) {
+          throw new Error(problem);
+        }
+
+        const group = { id: `group-${Date.now()}`, name: name.trim(), createdAt: new Date().toISOString() };
+        tx.setGroups([...groups, group]);
+        return group;
+      });
+    } catch (error) {
+      console.error('Error adding alarm group:', error);
+      throw error;
+    }
+  }
+
+  // The group's alarms are kept and become ungrouped
+  static async deleteGroup(groupId) {
+    try {
+      await this.transaction(async (tx) => {
+        const groups = await tx.getGroups();
+        const alarms = await tx.getAlarms();
+        tx.setGroups(groups.filter(group => group.id !== groupId));
+        if (alarms.some(alarm => alarm.groupId === groupId)) {
+          tx.setAlarms(alarms.map(alarm => (
+            alarm.groupId === groupId ? { ...alarm, groupId: null } : alarm
+          )));
+        }
+      });
+    } catch (error) {
+      console.error('Error deleting alarm group:', error);
+      throw error;
+    }
+  }
+
+  // Switches every alarm in the group on or off together. If any alarm can't be
+  // scheduled nothing changes.
+  static async setGroupActive(groupId, isActive) {
+    try {
+      await this.transaction(async (tx) => {
+        const alarms = await tx.getAlarms();
+        const updated = [];
+        for (const alarm of alarms) {
+          updated.push(alarm.groupId === groupId && alarm.isActive !== isActive
+            ? await this.setAlarmActive(tx, alarm, isActive)
+            : alarm);
+        }
+        tx.setAlarms(updated);
+      });
+    } catch (error) {
+      console.error('Error switching alarm group:', error);
+      throw error;
+    }
+  }
+
   // Dismissal code management
   static async saveDismissalCode(alarmId, codeData) {
     try {
-      const codes = await this.loadDismissalCodes();
-      codes[alarmId] = {
-        ...codeData,
-        createdAt: Date.now(),
-        attempts: 0,
-      };
-      await AsyncStorage.setItem(DISMISSAL_CODES_STORAGE_KEY, JSON.stringify(codes));
+      await this.transaction(async (tx) => {
+        const codes = await tx.getDismissalCodes();
+        codes[alarmId] = {
+          ...codeData,
+          createdAt: Date.now(),
+          attempts: 0,
+        };
+        tx.setDismissalCodes(codes);
+      });
     } catch (error) {
       console.error('Error saving dismissal code:', error);
       throw error;
     }
   }
 
+  // Replaces the challenge state for a multi-step challenge without resetting attempts
+  static async updateDismissalCode(alarmId, codeData) {
+    try {
+      await this.transaction(async (tx) => {
+        const codes = await tx.getDismissalCodes();
+        if (!codes[alarmId]) return;
+        codes[alarmId] = {
+          ...codeData,
+          createdAt: codes[alarmId].createdAt,
+          attempts: codes[alarmId].attempts || 0,
+        };
+        tx.setDismissalCodes(codes);
+      });
+    } catch (error) {
+      console.error('Error updating dismissal code:', error);
+      throw error;
+    }
+  }
+
   static async loadDismissalCodes() {
     try {
-      const codesData = await AsyncStorage.getItem(DISMISSAL_CODES_STORAGE_KEY);
-      return codesData ? JSON.parse(codesData) : {};
+      return await readJson(DISMISSAL_CODES_STORAGE_KEY, {});
     } catch (error) {
       console.error('Error loading dismissal codes:', error);
       return {};
@@ -162,9 +707,11 @@ export class AlarmStorage {
 
   static async removeDismissalCode(alarmId) {
     try {
-      const codes = await this.loadDismissalCodes();
-      delete codes[alarmId];
-      await AsyncStorage.setItem(DISMISSAL_CODES_STORAGE_KEY, JSON.stringify(codes));
+      await this.transaction(async (tx) => {
+        const codes = await tx.getDismissalCodes();
+        delete codes[alarmId];
+        tx.setDismissalCodes(codes);
+      });
     } catch (error) {
       console.error('Error removing dismissal code:', error);
     }
@@ -172,58 +719,322 @@ export class AlarmStorage {
 
   static async incrementCodeAttempts(alarmId) {
     try {
-      const codes = await this.loadDismissalCodes();
-      if (codes[alarmId]) {
+      return await this.transaction(async (tx) => {
+        const codes = await tx.getDismissalCodes();
+        if (!codes[alarmId]) return 0;
         codes[alarmId].attempts = (codes[alarmId].attempts || 0) + 1;
-        await AsyncStorage.setItem(DISMISSAL_CODES_STORAGE_KEY, JSON.stringify(codes));
+        tx.setDismissalCodes(codes);
         return codes[alarmId].attempts;
-      }
-      return 0;
+      });
     } catch (error) {
       console.error('Error incrementing code attempts:', error);
       return 0;
     }
   }
 
-  // Custom ringtone methods
-  static async loadCustomRingtones() {
+  // Imported ringtones: { uri, name, format, size, durationMs, importedAt }
+  static async loadRingtoneLibrary() {
+    try {
+      return await readJson(RINGTONE_LIBRARY_STORAGE_KEY, []);
+    } catch (error) {
+      console.error('Error loading ringtone library:', error);
+      return [];
+    }
+  }
+
+  static async addToRingtoneLibrary(entry) {
     try {
-      const ringtonesData = await AsyncStorage.getItem(CUSTOM_RINGTONES_STORAGE_KEY);
-      return ringtonesData ? JSON.parse(ringtonesData) : {};
+      await this.transaction(async (tx) => {
+        const library = await tx.getRingtoneLibrary();
+        tx.setRingtoneLibrary([...library.filter(item => item.uri !== entry.uri), entry]);
+      });
     } catch (error) {
-      console.error('Error loading custom ringtones:', error);
+      console.error('Error adding to ringtone library:', error);
+      throw error;
+    }
+  }
+
+  // Snooze state is persisted so killing the app can't reset the snooze count
+  static async loadSnoozeStates() {
+    try {
+      return await readJson(SNOOZE_STATE_STORAGE_KEY, {});
+    } catch (error) {
+      console.error('Error loading snooze state:', error);
       return {};
     }
   }
 
-  static async setCustomRingtone(alarmId, ringtoneUri) {
+  static async getSnoozeState(alarmId) {
     try {
-      const ringtones = await this.loadCustomRingtones();
-      ringtones[alarmId] = ringtoneUri;
-      await AsyncStorage.setItem(CUSTOM_RINGTONES_STORAGE_KEY, JSON.stringify(ringtones));
+      const states = await this.loadSnoozeStates();
+      return states[alarmId] || { count: 0, snoozedUntil: null, notificationId: null };
     } catch (error) {
-      console.error('Error setting custom ringtone:', error);
+      console.error('Error getting snooze state:', error);
+      return { count: 0, snoozedUntil: null, notificationId: null };
+    }
+  }
+
+  static async recordSnooze(alarmId, snoozedUntil, notificationId) {
+    try {
+      return await this.transaction(async (tx) => {
+        const states = await tx.getSnoozeStates();
+        const current = states[alarmId] || { count: 0 };
+        states[alarmId] = {
+          count: current.count + 1,
+          snoozedUntil,
+          notificationId,
+        };
+        tx.setSnoozeStates(states);
+        return states[alarmId];
+      });
+    } catch (error) {
+      console.error('Error recording snooze:', error);
       throw error;
     }
   }
 
-  static async getCustomRingtone(alarmId) {
+  // Cancels a pending snooze notification and resets the snooze count. With `before`
+  // (ms) only a snooze that was due before then is cleared, i.e. one left over from
+  // an earlier ring.
+  static async clearSnooze(alarmId, { before = Infinity } = {}) {
+    try {
+      await this.transaction(async (tx) => {
+        const states = await tx.getSnoozeStates();
+        const state = states[alarmId];
+        if (!state || state.snoozedUntil >= before) return;
+
+        tx.cancelOnCommit(state.notificationId);
+        delete states[alarmId];
+        tx.setSnoozeStates(states);
+      });
+    } catch (error) {
+      console.error('Error clearing snooze state:', error);
+    }
+  }
+
+  // Alarm history: one event per time an alarm rang and how it ended
+  static async loadHistory() {
+    try {
+      return await readJson(HISTORY_STORAGE_KEY, []);
+    } catch (error) {
+      console.error('Error loading alarm history:', error);
+      return [];
+    }
+  }
+
+  // event: { alarmId, label, firedAt, outcome: 'dismissed' | 'timed_out' | 'snoozed',
+  //          secondsToDismiss, attempts, codesRegenerated, challengeType }
+  static async logAlarmEvent(event) {
+    try {
+      return await this.transaction(async (tx) => {
+        const history = await tx.getHistory();
+        const entry = {
+          id: `${event.alarmId}-${Date.now()}`,
+          ...event,
+          endedAt: new Date().toISOString(),
+        };
+        tx.setHistory([...history, entry].slice(-MAX_HISTORY_EVENTS));
+        return entry;
+      });
+    } catch (error) {
+      // History is informational, so never let it break dismissing an alarm
+      console.error('Error logging alarm event:', error);
+      return null;
+    }
+  }
+
+  static async clearHistory() {
+    try {
+      await this.transaction(async (tx) => {
+        tx.setHistory([]);
+      });
+    } catch (error) {
+      console.error('Error clearing alarm history:', error);
+      throw error;
+    }
+  }
+
+  // Logs a 'missed' event for each ring of an active alarm that has stopped ringing
+  // with nothing in the history for it: the app was never opened to handle it.
+  // Rings are looked for from the alarm's ringsCheckedUntil, which then moves on;
+  // alarms saved before it existed just start from now. Part of a transaction that
+  // saves `alarms` when this returns true.
+  static async logMissedRings(tx, alarms, now = new Date()) {
+    const history = await tx.getHistory();
+    const missed = [];
+    let changed = false;
+
+    alarms.filter(alarm => alarm.isActive).forEach(alarm => {
+      const ringingMs = NotificationService.getRingingMs(alarm);
+      const until = new Date(now.getTime() - ringingMs);
+      const after = alarm.ringsCheckedUntil ? new Date(alarm.ringsCheckedUntil) : null;
+      if (after && after >= until) return;
+
+      if (after) {
+        const rings = getUnloggedRings(alarm, history, {
+          after,
+          until,
+          earlyMs: NotificationService.timingWindow.earlyMs,
+          ringingMs,
+        });
+        rings.forEach(fireTime => missed.push({
+          id: `${alarm.id}-${fireTime.getTime()}`,
+          alarmId: alarm.id,
+          label: alarm.label || null,
+          firedAt: fireTime.toISOString(),
+          outcome: 'missed',
+          secondsToDismiss: null,
+          attempts: 0,
+          codesRegenerated: 0,
+          challengeType: alarm.challengeType,
+          endedAt: new Date(fireTime.getTime() + ringingMs).toISOString(),
+        }));
+      }
+      alarm.ringsCheckedUntil = until.toISOString();
+      changed = true;
+    });
+
+    if (missed.length > 0) {
+      console.log('Alarms missed while the app was closed:', missed.length);
+      tx.setHistory([...history, ...missed].slice(-MAX_HISTORY_EVENTS));
+    }
+    return changed;
+  }
+
+  // Diagnostics: alarm notifications that arrived but were not treated as the alarm
+  // ringing, so a missed alarm can be traced back to why it was ignored
+  static async loadRejectedTriggers() {
+    try {
+      return await readJson(REJECTED_TRIGGERS_STORAGE_KEY, []);
+    } catch (error) {
+      console.error('Error loading rejected triggers:', error);
+      return [];
+    }
+  }
+
+  // entry: { alarmId, type, reason, receivedAt, window, ...details }
+  static async logRejectedTrigger(entry) {
     try {
-      const ringtones = await this.loadCustomRingtones();
-      return ringtones[alarmId] || null;
+      return await this.transaction(async (tx) => {
+        const entries = await tx.getRejectedTriggers();
+        const logged = { id: `${entry.alarmId}-${Date.now()}`, ...entry };
+        tx.setRejectedTriggers([...entries, logged].slice(-MAX_REJECTED_TRIGGERS));
+        return logged;
+      });
     } catch (error) {
-      console.error('Error getting custom ringtone:', error);
+      // Diagnostics must never get in the way of handling the notification
+      console.error('Error logging rejected trigger:', error);
       return null;
     }
   }
 
-  static async removeCustomRingtone(alarmId) {
+  static async clearRejectedTriggers() {
     try {
-      const ringtones = await this.loadCustomRingtones();
-      delete ringtones[alarmId];
-      await AsyncStorage.setItem(CUSTOM_RINGTONES_STORAGE_KEY, JSON.stringify(ringtones));
+      await this.transaction(async (tx) => {
+        tx.setRejectedTriggers([]);
+      });
     } catch (error) {
-      console.error('Error removing custom ringtone:', error);
+      console.error('Error clearing rejected triggers:', error);
+      throw error;
+    }
+  }
+
+  // Repairs drift between stored alarms and OS-scheduled notifications, e.g. after
+  // a reinstall, the OS clearing notifications or a crash mid-update.
+  // Returns { orphansCancelled, rescheduled, expired, failed } with alarm labels.
+  static async reconcileNotifications() {
+    const summary = { orphansCancelled: 0, rescheduled: [], expired: [], failed: [] };
+    try {
+      await this.transaction(async (tx) => {
+        const alarms = await tx.getAlarms();
+        // Before fired one-time alarms are switched off below
+        const loggedMissed = await this.logMissedRings(tx, alarms);
+        const scheduled = await NotificationService.getScheduledNotifications();
+        const snoozeStates = await tx.getSnoozeStates();
+        const { orphans, toReschedule, expired } = planReconciliation(alarms, scheduled, snoozeStates);
+
+        for (const notificationId of orphans) {
+          try {
+            await NotificationService.cancelAlarm(notificationId);
+            summary.orphansCancelled += 1;
+          } catch (error) {
+            console.error('Error cancelling orphan notification:', notificationId, error);
+          }
+        }
+
+        const scheduledIds = new Set(scheduled.map(request => request.identifier));
+        for (const alarm of toReschedule) {
+          try {
+            const stillScheduled = this.getNotificationIds(alarm).filter(id => scheduledIds.has(id));
+            alarm.notificationIds = await tx.scheduleAlarm(alarm);
+            // Whatever part of the alarm was still scheduled is replaced by the new set
+            tx.cancelOnCommit(stillScheduled);
+            delete alarm.notificationId;
+            summary.rescheduled.push(alarm.label || 'Alarm');
+          } catch (error) {
+            console.error('Error rescheduling alarm:', alarm.id, error);
+            summary.failed.push(alarm.label || 'Alarm');
+          }
+        }
+
+        for (const alarm of expired) {
+          alarm.isActive = false;
+          alarm.notificationIds = [];
+          delete alarm.notificationId;
+          summary.expired.push(alarm.label || 'Alarm');
+        }
+
+        if (loggedMissed || toReschedule.length > 0 || expired.length > 0) {
+          tx.setAlarms(alarms);
+        }
+      });
+
+      console.log('Notification reconciliation complete:', summary);
+      return summary;
+    } catch (error) {
+      console.error('Error reconciling notifications:', error);
+      throw error;
+    }
+  }
+
+  // Reschedules alarms whose notifications no longer match: a ring has passed so
+  // the window of a recurring alarm moves on, the window was resized to fit the
+  // pending-notification budget, or they were built for a different device time
+  // zone or UTC offset, e.g. after travelling or a DST change. Returns their labels.
+  // Rings that went by without the app are logged as missed first.
+  static async refreshSchedules() {
+    const rescheduled = [];
+    try {
+      await this.transaction(async (tx) => {
+        const alarms = await tx.getAlarms();
+        NotificationService.sizeScheduleWindow(alarms);
+        let changed = await this.logMissedRings(tx, alarms);
+
+        for (const alarm of alarms) {
+          if (!alarm.isActive) continue;
+          // No key means there is nothing left to schedule; reconcileNotifications handles those
+          const scheduleKey = NotificationService.getScheduleKey(alarm);
+          if (!scheduleKey || scheduleKey === alarm.scheduleKey) continue;
+
+          try {
+            const previousIds = this.getNotificationIds(alarm);
+            alarm.notificationIds = await tx.scheduleAlarm(alarm);
+            tx.cancelOnCommit(previousIds);
+            rescheduled.push(alarm.label || 'Alarm');
+            changed = true;
+          } catch (error) {
+            console.error('Error refreshing alarm schedule:', alarm.id, error);
+          }
+        }
+
+        if (changed) {
+          tx.setAlarms(alarms);
+        }
+      });
+      return rescheduled;
+    } catch (error) {
+      console.error('Error refreshing alarm schedules:', error);
+      throw error;
     }
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,45 @@
+import * as TaskManager from 'expo-task-manager';
+import * as BackgroundTask from 'expo-background-task';
+import { AlarmStorage } from './AlarmStorage';
+
+export const SCHEDULE_REFRESH_TASK = 'refresh-alarm-schedules';
+
+// The shortest gap asked of the OS; it decides when the task actually runs
+const REFRESH_INTERVAL_MINUTES = 6 * 60;
+
+// Recurring alarms only have a window of notifications scheduled, so they would
+// stop ringing if the app wasn't opened for longer than that. Task definitions
+// must be made when the module loads, including when the OS starts the app in
+// the background just to run one.
+TaskManager.defineTask(SCHEDULE_REFRESH_TASK, async () => {
+  try {
+    const rescheduled = await AlarmStorage.refreshSchedules();
+    console.log('Background schedule refresh:', rescheduled);
+    return BackgroundTask.BackgroundTaskResult.Success;
+  } catch (error) {
+    console.error('Background schedule refresh failed:', error);
+    return BackgroundTask.BackgroundTaskResult.Failed;
+  }
+});
+
+export class BackgroundRefresh {
+  // Returns false when the device doesn't allow background tasks (e.g. Low Power
+  // Mode or Background App Refresh turned off)
+  static async register() {
+    try {
+      const status = await BackgroundTask.getStatusAsync();
+      if (status === BackgroundTask.BackgroundTaskStatus.Restricted) {
+        return false;
+      }
+      if (!(await TaskManager.isTaskRegisteredAsync(SCHEDULE_REFRESH_TASK))) {
+        await BackgroundTask.registerTaskAsync(SCHEDULE_REFRESH_TASK, {
+          minimumInterval: REFRESH_INTERVAL_MINUTES,
+        });
+      }
+      return true;
+    } catch (error) {
+      console.error('Error registering background refresh:', error);
+      return false;
+    }
+  }
+}
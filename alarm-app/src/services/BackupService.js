@@ -0,0 +1,145 @@
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+import { AlarmStorage } from './AlarmStorage';
+import { migrateAlarmData } from './AlarmMigrations';
+import { buildBackup, validateBackup, planImport, planGroupImport } from '../utils/backupFormat';
+
+export class BackupService {
+  static async exportAlarms() {
+    try {
+      const alarms = await AlarmStorage.loadAlarms();
+      const groups = await AlarmStorage.loadGroups();
+      const backup = buildBackup(alarms, new Date(), groups);
+
+      const date = backup.exportedAt.slice(0, 10);
+      const fileUri = `${FileSystem.cacheDirectory}alarms-backup-${date}.json`;
+      await FileSystem.writeAsStringAsync(fileUri, JSON.stringify(backup, null, 2));
+
+      if (!(await Sharing.isAvailableAsync())) {
+        throw new Error('Sharing is not available on this device');
+      }
+      await Sharing.shareAsync(fileUri, {
+        mimeType: 'application/json',
+        dialogTitle: 'Export alarms',
+        UTI: 'public.json',
+      });
+
+      return { alarmCount: backup.alarms.length };
+    } catch (error) {
+      console.error('Error exporting alarms:', error);
+      throw error;
+    }
+  }
+
+  // Lets the user pick a backup file. Returns null if the picker was cancelled.
+  static async importFromFile() {
+    const result = await DocumentPicker.getDocumentAsync({
+      type: ['application/json', 'text/plain', '*/*'],
+      copyToCacheDirectory: true,
+    });
+    if (result.canceled || !result.assets || result.assets.length === 0) {
+      return null;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(await FileSystem.readAsStringAsync(result.assets[0].uri));
+    } catch (error) {
+      console.error('Error reading backup file:', error);
+      return { imported: 0, duplicates: 0, conflicts: [], warnings: [], errors: ['File is not valid JSON'] };
+    }
+    return this.importBackup(data);
+  }
+
+  // Returns a report: { imported, duplicates, conflicts, warnings, errors }
+  static async importBackup(data) {
+    const { valid, errors } = validateBackup(data);
+    if (!valid) {
+      return { imported: 0, duplicates: 0, conflicts: [], warnings: [], errors };
+    }
+
+    // Backed-up alarms have the shape of the app that exported them; the migrations
+    // are safe to rerun on alarms that already have a newer field
+    const { alarms: upgradedAlarms, invalid } = migrateAlarmData(data.alarms, {
+      customRingtones: data.customRingtones || {},
+    });
+    if (invalid.length > 0) {
+      return {
+        imported: 0,
+        duplicates: 0,
+        conflicts: [],
+        warnings: [],
+        errors: invalid.map(({ error }) => error.message),
+      };
+    }
+    const backup = { ...data, alarms: upgradedAlarms };
+
+    try {
+      // Ringtone files live on the exporting device, so only keep ones that exist here
+      const missingRingtones = new Set();
+      for (const alarm of backup.alarms) {
+        if (!alarm.customRingtone) continue;
+        const info = await FileSystem.getInfoAsync(alarm.customRingtone.uri).catch(() => ({ exists: false }));
+        if (!info.exists) {
+          missingRingtones.add(alarm.id);
+        }
+      }
+
+      const warnings = [];
+      // Rings before the import didn't happen on this device, so none of them was missed
+      const importedAt = new Date().toISOString();
+      const { importedAlarms, duplicates, conflicts } = await AlarmStorage.transaction(async (tx) => {
+        const existingAlarms = await tx.getAlarms();
+
+        // Alarms follow their group to its id on this device; unknown groups are dropped
+        const existingGroups = await tx.getGroups();
+        const groupPlan = planGroupImport(existingGroups, backup.groups);
+        if (groupPlan.toAdd.length > 0) {
+          const createdAt = new Date().toISOString();
+          tx.setGroups([...existingGroups, ...groupPlan.toAdd.map(group => ({ ...group, createdAt }))]);
+        }
+        const plan = planImport(existingAlarms, {
+          ...backup,
+          alarms: backup.alarms.map(alarm => (
+            alarm.groupId ? { ...alarm, groupId: groupPlan.groupIds[alarm.groupId] ?? null } : alarm
+          )),
+        });
+        const added = [];
+
+        for (const alarm of plan.toAdd) {
+          const imported = { ...alarm, notificationIds: [], ringsCheckedUntil: importedAt };
+          if (missingRingtones.has(alarm.id)) {
+            imported.customRingtone = null;
+            warnings.push(`Ringtone for "${alarm.label || 'Alarm'}" is not on this device; its alarm tone will be used`);
+          }
+          if (imported.isActive) {
+            try {
+              imported.notificationIds = await tx.scheduleAlarm(imported);
+            } catch (error) {
+              // Keep the alarm but leave it off rather than failing the whole import
+              imported.isActive = false;
+              warnings.push(`"${imported.label || 'Alarm'}" could not be scheduled and was turned off`);
+            }
+          }
+          added.push(imported);
+        }
+
+        tx.setAlarms([...existingAlarms, ...added]);
+
+        return { importedAlarms: added, duplicates: plan.duplicates, conflicts: plan.conflicts };
+      });
+
+      return {
+        imported: importedAlarms.length,
+        duplicates: duplicates.length,
+        conflicts,
+        warnings,
+        errors: [],
+      };
+    } catch (error) {
+      console.error('Error importing alarms:', error);
+      throw error;
+    }
+  }
+}
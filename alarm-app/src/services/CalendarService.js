@@ -0,0 +1,39 @@
+import * as FileSystem from 'expo-file-system/legacy';
+import * as DocumentPicker from 'expo-document-picker';
+import { getHolidayDates, parseIcsEvents } from '../utils/icsCalendar';
+
+export class CalendarService {
+  // Lets the user pick an .ics file. Returns null if the picker was cancelled,
+  // else the parsed events.
+  static async pickEvents() {
+    const result = await DocumentPicker.getDocumentAsync({
+      type: ['text/calendar', 'text/plain', '*/*'],
+      copyToCacheDirectory: true,
+    });
+    if (result.canceled || !result.assets || result.assets.length === 0) {
+      return null;
+    }
+
+    const text = await FileSystem.readAsStringAsync(result.assets[0].uri);
+    return parseIcsEvents(text);
+  }
+
+  // Reads a holiday calendar picked by the user. Returns null if the picker was
+  // cancelled, else { holidays, errors } with holidays from `today` on.
+  static async importHolidays(today) {
+    let events;
+    try {
+      events = await this.pickEvents();
+    } catch (error) {
+      console.error('Error reading holiday calendar:', error);
+      return { holidays: [], errors: [error.message] };
+    }
+    if (!events) return null;
+
+    const holidays = getHolidayDates(events, today);
+    if (holidays.length === 0) {
+      return { holidays, errors: ['This calendar has no upcoming dates'] };
+    }
+    return { holidays, errors: [] };
+  }
+}
@@ -1,16 +1,24 @@
-// Note: In production, this should be replaced with a backend service
-// that securely calls the Mistral AI API to prevent API key exposure
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { generateSecureCode, UNAMBIGUOUS_ALPHANUMERIC } from '../utils/secureRandom';
+
+// Dismissal challenges come from the backend in /server, which calls the Mistral
+// API (or any compatible LLM endpoint) with a server-side API key. When no backend
+// is configured, or it fails, codes are generated locally.
+//
+// Configure with EXPO_PUBLIC_DISMISSAL_API_URL (e.g. http://192.168.1.10:3001)
+// and EXPO_PUBLIC_DISMISSAL_API_TOKEN matching the server's API_TOKEN.
+
+const BACKEND_URL = process.env.EXPO_PUBLIC_DISMISSAL_API_URL || '';
+const BACKEND_TOKEN = process.env.EXPO_PUBLIC_DISMISSAL_API_TOKEN || '';
+const BACKEND_TIMEOUT_MS = 8000;
+const CODE_LENGTH = 8;
+const DEVICE_ID_STORAGE_KEY = '@device_id';
 
 export class MistralService {
   static async generateDismissalCode() {
     try {
-      // For development and demo purposes, we generate codes locally
-      // In production, this would make a secure backend API call
       const code = this.generateSecureCode();
       
-      // Simulate API delay to match real Mistral API behavior
-      await new Promise(resolve => setTimeout(resolve, 1500));
-      
       return {
         code: code,
         timestamp: Date.now(),
@@ -22,65 +30,44 @@ export class MistralService {
     }
   }
 
-  // Secure local code generation with entropy from multiple sources
-  static generateSecureCode() {
-    const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    let code = '';
-    
-    // Use multiple entropy sources for better randomness
-    const timestamp = Date.now().toString();
-    const random1 = Math.random().toString(36);
-    const random2 = Math.random().toString(36);
-    
-    // Combine entropy sources
-    const entropy = timestamp + random1 + random2;
-    
-    for (let i = 0; i < 8; i++) {
-      // Use entropy to seed character selection
-      const seedIndex = (entropy.charCodeAt(i % entropy.length) + i) % characters.length;
-      const randomIndex = Math.floor(Math.random() * characters.length);
-      const finalIndex = (seedIndex + randomIndex) % characters.length;
-      code += characters.charAt(finalIndex);
-    }
-    
-    return code;
+  // Local code generation backed by the platform CSPRNG. Defaults to 8 characters
+  // without the easily confused 0/O/1/I.
+  static generateSecureCode({ length = CODE_LENGTH, alphabet = UNAMBIGUOUS_ALPHANUMERIC } = {}) {
+    return generateSecureCode({ length, alphabet });
+  }
+
+  static isBackendConfigured() {
+    return !!BACKEND_URL;
   }
 
-  /* 
-   * Production Implementation:
-   * 
-   * This would be implemented as a backend service that:
-   * 1. Receives a request for a dismissal code
-   * 2. Calls Mistral AI API securely with server-side API key
-   * 3. Validates and sanitizes the response to ensure 8-char alphanumeric
-   * 4. Returns the code with expiration timestamp
-   * 
-   * Example backend endpoint:
-   * 
+  /*
    * POST /api/generate-dismissal-code
-   * Headers: Authorization: Bearer <user-jwt-token>
-   * Body: { alarmId: string }
-   * Response: { code: string, expiresAt: number }
-   * 
-   * The backend would:
-   * - Authenticate the user
-   * - Rate limit requests
-   * - Log attempts for security monitoring
-   * - Use environment variables for API keys
-   * - Implement retry logic for API failures
-   * - Validate code format before returning
+   * Headers: Authorization: Bearer <token>, X-Device-Id: <id>
+   * Body: { alarmId: string, kind: 'code' | 'riddle' | 'trivia' }
+   * Response: { kind, code, expiresAt, question? }
+   *
+   * For riddles and trivia `code` holds the expected answer. Any failure
+   * (timeout, HTTP error, malformed response) falls back to a locally
+   * generated code, so callers must handle data without a `question`.
    */
+  static async generateCodeWithBackend(alarmId, kind = 'code') {
+    if (!this.isBackendConfigured()) {
+      return this.generateDismissalCode();
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), BACKEND_TIMEOUT_MS);
 
-  static async generateCodeWithBackend(alarmId) {
-    // This would be the production implementation
     try {
-      const response = await fetch('/api/generate-dismissal-code', {
+      const response = await fetch(`${BACKEND_URL}/api/generate-dismissal-code`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${await this.getUserToken()}`,
+          'X-Device-Id': await this.getDeviceId(),
         },
-        body: JSON.stringify({ alarmId }),
+        body: JSON.stringify({ alarmId, kind }),
+        signal: controller.signal,
       });
 
       if (!response.ok) {
@@ -90,27 +77,55 @@ export class MistralService {
       const data = await response.json();
       
       // Validate response format
-      if (!data.code || !data.expiresAt || !this.isValidCode(data.code)) {
+      if (!this.isValidBackendResponse(data, kind)) {
         throw new Error('Invalid response format from backend');
       }
 
-      return data;
+      return {
+        code: data.code,
+        question: data.question,
+        kind,
+        timestamp: Date.now(),
+        expiresAt: data.expiresAt,
+      };
     } catch (error) {
       console.error('Backend code generation failed:', error);
-      // Fallback to local generation for demo purposes
+      // Fallback to local generation
       return this.generateDismissalCode();
+    } finally {
+      clearTimeout(timeout);
     }
   }
 
+  static isValidBackendResponse(data, kind) {
+    if (!data || typeof data.expiresAt !== 'number') return false;
+    if (kind === 'code') return this.isValidCode(data.code);
+    return typeof data.question === 'string' && this.isValidAnswer(data.code);
+  }
+
   static isValidCode(code) {
     // Validate that the code is exactly 8 alphanumeric characters
     const codeRegex = /^[A-Z0-9]{8}$/;
     return codeRegex.test(code);
   }
 
+  static isValidAnswer(answer) {
+    // Riddle and trivia answers are a single short word or number
+    return /^[A-Z0-9]{3,12}$/.test(answer);
+  }
+
   static async getUserToken() {
-    // This would retrieve the user's authentication token
-    // For demo purposes, return a placeholder
-    return 'demo-user-token';
+    return BACKEND_TOKEN;
+  }
+
+  // Random id for this install. Every install sends the same token, so the
+  // backend rate limits by this instead.
+  static async getDeviceId() {
+    let deviceId = await AsyncStorage.getItem(DEVICE_ID_STORAGE_KEY);
+    if (!deviceId) {
+      deviceId = generateSecureCode({ length: 24 });
+      await AsyncStorage.setItem(DEVICE_ID_STORAGE_KEY, deviceId);
+    }
+    return deviceId;
   }
-}
\ No newline at end of file
+}
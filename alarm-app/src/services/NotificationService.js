@@ -1,103 +1,278 @@
 import * as Notifications from 'expo-notifications';
 import { Platform } from 'react-native';
+import { normalizeDays } from '../utils/weekdays';
+import { getFireTimeInWindow, getNextFireTime, getScheduleWindow, getUpcomingFireTimes } from '../utils/scheduling';
+import { getSoundProfile } from '../utils/alarmSounds';
+
+// How far from its expected time an alarm notification is still accepted. The OS
+// delivers notifications late (Doze, a busy device) far more often than early.
+export const DEFAULT_TIMING_WINDOW = {
+  earlyMs: 60 * 1000,
+  lateMs: 2 * 60 * 1000,
+};
+
+// Recurring alarms have a notification for each ring this far ahead, or less when
+// the active alarms' rings wouldn't fit in the pending-notification budget
+export const SCHEDULE_WINDOW_DAYS = 7;
+
+// iOS keeps at most 64 pending notifications across the app and silently drops the rest
+export const MAX_PENDING_NOTIFICATIONS = 64;
+
+// Left free for snoozes, which are scheduled as they happen
+const SNOOZE_RESERVE = 4;
+
+// Action buttons on alarm notifications. Dismissing only opens the challenge
+// screen; the alarm still has to be dismissed there.
+export const ALARM_ACTIONS = {
+  SNOOZE: 'snooze',
+  DISMISS: 'dismiss',
+};
+
+// When the OS delivered a notification; falls back to now if it doesn't say
+const getDeliveredAt = (notification) => new Date(notification.date || Date.now());
+
+// An alarm stops ringing after its duration, so a tap after that is stale
+const getRingingMs = (durationMinutes) => (durationMinutes || 5) * 60 * 1000;
 
 export class NotificationService {
   // In-memory map to prevent duplicate navigation
   static navigationInFlight = new Map();
 
-  static async setupNotificationChannels() {
-    if (Platform.OS === 'android') {
-      await Notifications.setNotificationChannelAsync('alarm-channel', {
-        name: 'Alarm Notifications',
-        importance: Notifications.AndroidImportance.MAX,
-        vibrationPattern: [0, 250, 250, 250],
-        lightColor: '#FF231F7C',
-        sound: 'default',
-        enableVibrate: true,
+  // Notification channels and categories registered since launch
+  static registeredChannels = new Set();
+  static registeredCategories = new Set();
+
+  // Used by validateAlarmTiming unless a window is passed in
+  static timingWindow = DEFAULT_TIMING_WINDOW;
+
+  // Days of rings buildTriggers schedules; set by sizeScheduleWindow
+  static windowDays = SCHEDULE_WINDOW_DAYS;
+
+  // Creates the Android channel for the alarm's tone and vibration preset. A
+  // channel's settings can't be changed once it exists, hence one per combination.
+  static async setupNotificationChannel(alarm) {
+    const { tone, vibration, channelId } = getSoundProfile(alarm);
+    if (Platform.OS !== 'android' || this.registeredChannels.has(channelId)) return channelId;
+
+    const settings = {
+      name: `Alarm: ${tone.label}, ${vibration.label.toLowerCase()} vibration`,
+      importance: Notifications.AndroidImportance.MAX,
+      lightColor: '#FF231F7C',
+      sound: tone.file,
+      enableVibrate: !!vibration.pattern,
+    };
+    if (vibration.pattern) {
+      settings.vibrationPattern = vibration.pattern;
+    }
+
+    await Notifications.setNotificationChannelAsync(channelId, settings);
+    this.registeredChannels.add(channelId);
+    return channelId;
+  }
+
+  static getSnoozeSettings(alarm) {
+    // Required lazily to avoid circular imports
+    const { DEFAULT_SNOOZE_INTERVAL, DEFAULT_MAX_SNOOZES } = require('./AlarmStorage');
+    return {
+      interval: alarm.snoozeInterval ?? DEFAULT_SNOOZE_INTERVAL,
+      maxSnoozes: alarm.maxSnoozes ?? DEFAULT_MAX_SNOOZES,
+    };
+  }
+
+  // Categories decide which buttons a notification shows. The snooze button names
+  // the alarm's interval, so there is one category per interval in use.
+  static getCategoryId(alarm) {
+    const { interval, maxSnoozes } = this.getSnoozeSettings(alarm);
+    return maxSnoozes > 0 ? `alarm-snooze-${interval}` : 'alarm';
+  }
+
+  static async setupNotificationCategory(alarm) {
+    const categoryId = this.getCategoryId(alarm);
+    if (this.registeredCategories.has(categoryId)) return categoryId;
+
+    // Snooze opens the app too: there is no background task to handle the press,
+    // so a killed app would otherwise only see it at its next launch
+    const actions = [];
+    if (categoryId !== 'alarm') {
+      actions.push({
+        identifier: ALARM_ACTIONS.SNOOZE,
+        buttonTitle: `Snooze ${this.getSnoozeSettings(alarm).interval} min`,
+        options: { opensAppToForeground: true },
       });
     }
+    actions.push({
+      identifier: ALARM_ACTIONS.DISMISS,
+      buttonTitle: 'Dismiss…',
+      options: { opensAppToForeground: true },
+    });
+
+    await Notifications.setNotificationCategoryAsync(categoryId, actions);
+    this.registeredCategories.add(categoryId);
+    return categoryId;
+  }
+
+  // Days a weekly alarm rings on; migrations give every weekly alarm at least one
+  static getAlarmDays(alarm) {
+    return normalizeDays(alarm.days);
+  }
+
+  // Notifications always use a built-in tone; a custom ringtone file only plays
+  // on the dismiss screen
+  static buildAlarmContent(alarm, type) {
+    const { tone, vibration } = getSoundProfile(alarm);
+    return {
+      title: type === 'snooze' ? '🚨 Alarm! (snoozed)' : '🚨 Alarm!',
+      body: alarm.label || 'Time to wake up!',
+      sound: tone.file,
+      priority: Notifications.AndroidNotificationPriority.MAX,
+      vibrate: vibration.pattern || undefined,
+      categoryIdentifier: this.getCategoryId(alarm),
+      data: {
+        alarmId: alarm.id,
+        type,
+        duration: alarm.duration,
+      },
+    };
+  }
+
+  static withChannel(trigger, alarm) {
+    return Platform.OS === 'android'
+      ? { ...trigger, channelId: getSoundProfile(alarm).channelId }
+      : trigger;
+  }
+
+  // How many days of rings the active alarms can have scheduled, as
+  // { days, pending, fits } (see getScheduleWindow)
+  static getScheduleWindow(alarms, now = new Date()) {
+    return getScheduleWindow(alarms.filter(alarm => alarm.isActive), now, {
+      maxDays: SCHEDULE_WINDOW_DAYS,
+      budget: MAX_PENDING_NOTIFICATIONS - SNOOZE_RESERVE,
+    });
+  }
+
+  // Shortens or restores the window buildTriggers uses to suit the active alarms
+  static sizeScheduleWindow(alarms, now = new Date()) {
+    const window = this.getScheduleWindow(alarms, now);
+    this.windowDays = window.days;
+    return window;
   }
 
+  // One DATE trigger per ring. A one-time alarm rings on the date fixed when it
+  // was saved, including the 3-minute buffer rule. Recurring alarms get their rings in the next
+  // windowDays rather than a repeating trigger, so skipped dates can be left out;
+  // AlarmStorage.refreshSchedules tops the window up whenever the app comes to the
+  // foreground or runs its background task. Being instants, the triggers don't follow the device
+  // zone by themselves: getScheduleKey changes after travel or a DST change and
+  // refreshSchedules moves them.
+  static buildTriggers(alarm, now = new Date()) {
+    if (!['once', 'daily', 'weekly'].includes(alarm.frequency)) {
+      throw new Error(`Unsupported alarm frequency: ${alarm.frequency}`);
+    }
+
+    const until = new Date(now.getTime() + this.windowDays * 24 * 60 * 60 * 1000);
+    const fireTimes = getUpcomingFireTimes(alarm, now, until);
+    if (fireTimes.length === 0) {
+      const kind = alarm.frequency === 'once' ? 'One-time alarm' : 'Alarm';
+      throw new Error(`${kind} ${alarm.id} has no upcoming date`);
+    }
+
+    return fireTimes.map(date => ({
+      type: Notifications.SchedulableTriggerInputTypes.DATE,
+      date,
+    }));
+  }
+
+  // How long the alarm rings once its notification is delivered
+  static getRingingMs(alarm) {
+    return getRingingMs(alarm.duration);
+  }
+
+  // Identifies what the alarm's notifications were built from. It changes when a
+  // ring passes and the window moves on, the device zone or a pinned zone's offset
+  // changes, or the notification's buttons, tone or vibration change, which is
+  // when the alarm needs rescheduling.
+  static getScheduleKey(alarm, now = new Date()) {
+    try {
+      return JSON.stringify({
+        triggers: this.buildTriggers(alarm, now),
+        category: this.getCategoryId(alarm),
+        channel: getSoundProfile(alarm).channelId,
+      });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // When the last of the alarm's notifications is due, or null when it has none
+  static getScheduledUntil(alarm, now = new Date()) {
+    try {
+      const triggers = this.buildTriggers(alarm, now);
+      return triggers[triggers.length - 1].date.toISOString();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Schedules every trigger for the alarm and returns the list of notification IDs
   static async scheduleAlarm(alarm) {
+    const notificationIds = [];
     try {
-      await this.setupNotificationChannels();
-      
-      const alarmTime = new Date(alarm.time);
-      const now = new Date();
-      
-      console.log('Scheduling alarm for:', alarmTime.toISOString());
-      console.log('Current time:', now.toISOString());
+      await this.setupNotificationChannel(alarm);
+      await this.setupNotificationCategory(alarm);
       
-      let trigger;
+      console.log('Scheduling alarm', alarm.id, 'for', `${alarm.hour}:${alarm.minute}`, alarm.timeZone || '(device time zone)');
+      console.log('Current time:', new Date().toISOString());
       
-      if (alarm.frequency === 'once') {
-        // For one-time alarms, calculate the next occurrence
-        let scheduledTime = new Date(alarmTime);
-        
-        // If the alarm time has passed today OR is less than 3 minutes in the future, schedule for tomorrow
-        const minBufferMs = 3 * 60 * 1000; // 3 minutes minimum buffer
-        const timeUntilAlarm = scheduledTime.getTime() - now.getTime();
-        
-        if (scheduledTime <= now || timeUntilAlarm < minBufferMs) {
-          scheduledTime.setDate(scheduledTime.getDate() + 1);
-          console.log('Alarm time too soon or in past, scheduling for next day');
-        }
-        
-        console.log('Scheduling one-time alarm for:', scheduledTime.toISOString());
-        trigger = { date: scheduledTime };
-      } else if (alarm.frequency === 'daily') {
-        // For daily alarms, use calendar trigger
-        const hour = alarmTime.getHours();
-        const minute = alarmTime.getMinutes();
-        
-        console.log('Scheduling daily alarm for:', hour + ':' + minute);
-        trigger = {
-          hour: hour,
-          minute: minute,
-          repeats: true,
-        };
-      } else if (alarm.frequency === 'weekly') {
-        // For weekly alarms, schedule for the specific day
-        const hour = alarmTime.getHours();
-        const minute = alarmTime.getMinutes();
-        const weekday = alarmTime.getDay() + 1; // 1-7, Sunday is 1
-        
-        console.log('Scheduling weekly alarm for weekday:', weekday, 'at', hour + ':' + minute);
-        trigger = {
-          weekday: weekday,
-          hour: hour,
-          minute: minute,
-          repeats: true,
-        };
+      const triggers = this.buildTriggers(alarm);
+      console.log('Scheduling', alarm.frequency, 'alarm for:', triggers.map(trigger => trigger.date.toISOString()).join(', '));
+
+      for (const trigger of triggers) {
+        const notificationId = await Notifications.scheduleNotificationAsync({
+          content: this.buildAlarmContent(alarm, 'alarm'),
+          trigger: this.withChannel(trigger, alarm),
+        });
+        notificationIds.push(notificationId);
       }
 
+      return notificationIds;
+    } catch (error) {
+      console.error('Error scheduling alarm:', error);
+      // Don't leave part of a multi-day alarm behind
+      await this.cancelAlarm(notificationIds).catch(() => {});
+      throw error;
+    }
+  }
+
+  // Schedules a one-off follow-up notification for the same alarm
+  static async scheduleSnooze(alarm, minutes) {
+    try {
+      await this.setupNotificationChannel(alarm);
+      await this.setupNotificationCategory(alarm);
+
+      const snoozedUntil = Date.now() + minutes * 60 * 1000;
+      console.log('Snoozing alarm', alarm.id, 'until:', new Date(snoozedUntil).toISOString());
+
       const notificationId = await Notifications.scheduleNotificationAsync({
-        content: {
-          title: '🚨 Alarm!',
-          body: alarm.label || 'Time to wake up!',
-          sound: true,
-          priority: Notifications.AndroidNotificationPriority.MAX,
-          vibrate: [0, 250, 250, 250],
-          data: {
-            alarmId: alarm.id,
-            type: 'alarm',
-            duration: alarm.duration,
-          },
-        },
-        trigger,
+        content: this.buildAlarmContent(alarm, 'snooze'),
+        trigger: this.withChannel({
+          type: Notifications.SchedulableTriggerInputTypes.DATE,
+          date: new Date(snoozedUntil),
+        }, alarm),
       });
 
-      return notificationId;
+      return { notificationId, snoozedUntil };
     } catch (error) {
-      console.error('Error scheduling alarm:', error);
+      console.error('Error scheduling snooze:', error);
       throw error;
     }
   }
 
-  static async cancelAlarm(notificationId) {
+  // Accepts a single notification ID or a list of them
+  static async cancelAlarm(notificationIds) {
     try {
-      if (notificationId) {
-        await Notifications.cancelScheduledNotificationAsync(notificationId);
+      const ids = [].concat(notificationIds || []).filter(Boolean);
+      for (const id of ids) {
+        await Notifications.cancelScheduledNotificationAsync(id);
       }
     } catch (error) {
       console.error('Error cancelling alarm:', error);
@@ -123,66 +298,160 @@ export class NotificationService {
     }
   }
 
+  // Marks navigation to an alarm's dismiss screen as in progress for a few seconds.
+  // Returns false when it already is, so the same alarm isn't opened twice.
+  static claimNavigation(alarmId) {
+    if (this.navigationInFlight.has(alarmId)) {
+      console.log('Navigation already in flight for alarm:', alarmId);
+      return false;
+    }
+
+    // Set navigation in flight with TTL
+    this.navigationInFlight.set(alarmId, `${alarmId}-${Date.now()}`);
+    setTimeout(() => {
+      this.navigationInFlight.delete(alarmId);
+    }, 5000); // 5 second TTL
+    return true;
+  }
+
+  // Navigates to DismissAlarm when the notification matches an expected ring. Timing
+  // is checked against when it was delivered, so pressing it on the lock screen a
+  // minute later still counts, up until the alarm would have stopped ringing.
+  // DismissAlarm gets the delivery time as `firedAt` for the history log.
+  static async openIfDue(navigation, notification) {
+    const { alarmId, duration, type } = notification.request.content.data || {};
+    if (!alarmId || !this.claimNavigation(alarmId)) return;
+
+    // Validate that this alarm should actually be triggering now
+    const deliveredAt = getDeliveredAt(notification);
+    const shouldTrigger = Date.now() - deliveredAt.getTime() <= getRingingMs(duration)
+      && await this.validateAlarmTiming(alarmId, type, { receivedAt: deliveredAt });
+
+    if (shouldTrigger) {
+      console.log('Alarm is due, navigating to dismiss screen');
+      navigation.navigate('DismissAlarm', { alarmId, duration, firedAt: deliveredAt.getTime() });
+    } else {
+      this.navigationInFlight.delete(alarmId); // Remove if not navigating
+    }
+  }
+
+  // Opens DismissAlarm for the notification tap that launched the app from a killed
+  // state (Notifications.getLastNotificationResponseAsync). Starting up can take
+  // longer than the timing window, and reconciliation may already have switched a
+  // fired one-time alarm off, so this only checks that the alarm still exists and
+  // is still within its ringing duration. Returns true when it navigated.
+  static async openFromLaunchResponse(navigation, response) {
+    try {
+      // The last response is kept across launches until it is cleared
+      await Notifications.clearLastNotificationResponseAsync();
+
+      const { notification } = response;
+      if (response.actionIdentifier === ALARM_ACTIONS.SNOOZE) {
+        await this.snoozeFromNotification(navigation, notification);
+        return false;
+      }
+
+      const { alarmId, duration, type } = notification.request.content.data || {};
+      if (!alarmId || !this.claimNavigation(alarmId)) return false;
+
+      const { AlarmStorage } = require('./AlarmStorage');
+      const alarm = await AlarmStorage.getAlarm(alarmId);
+      const deliveredAt = getDeliveredAt(notification);
+      const ageMs = Date.now() - deliveredAt.getTime();
+
+      if (!alarm || ageMs > getRingingMs(alarm.duration || duration)) {
+        this.navigationInFlight.delete(alarmId);
+        await AlarmStorage.logRejectedTrigger({
+          alarmId,
+          type: type || 'alarm',
+          reason: alarm ? 'stale_launch_response' : 'not_found',
+          receivedAt: deliveredAt.toISOString(),
+          ageMs,
+        });
+        return false;
+      }
+
+      console.log('App launched from alarm notification, navigating to dismiss screen');
+      navigation.navigate('DismissAlarm', {
+        alarmId,
+        duration: alarm.duration,
+        firedAt: deliveredAt.getTime(),
+      });
+      return true;
+    } catch (error) {
+      console.error('Error handling launch notification:', error);
+      return false;
+    }
+  }
+
+  // The "Snooze" button. Once the alarm has no snoozes left it opens the
+  // challenge instead, so the button can't be used to avoid dismissing. A press
+  // handled late (the app was starting up, or the alarm had stopped ringing)
+  // still snoozes from now or opens the challenge; it is never dropped. Returns
+  // true when the alarm was snoozed.
+  static async snoozeFromNotification(navigation, notification) {
+    const { AlarmStorage } = require('./AlarmStorage');
+    const { alarmId, type } = notification.request.content.data || {};
+    if (!alarmId) return false;
+
+    try {
+      const deliveredAt = getDeliveredAt(notification);
+      const isDue = await this.validateAlarmTiming(alarmId, type, { receivedAt: deliveredAt });
+      const alarm = isDue && await AlarmStorage.getAlarm(alarmId);
+      if (!alarm) {
+        return false;
+      }
+
+      const { interval, maxSnoozes } = this.getSnoozeSettings(alarm);
+      const snoozeState = await AlarmStorage.getSnoozeState(alarmId);
+      if (snoozeState.count >= maxSnoozes) {
+        if (this.claimNavigation(alarmId)) {
+          navigation.navigate('DismissAlarm', {
+            alarmId,
+            duration: alarm.duration,
+            firedAt: deliveredAt.getTime(),
+          });
+        }
+        return false;
+      }
+
+      const { notificationId, snoozedUntil } = await this.scheduleSnooze(alarm, interval);
+      await AlarmStorage.recordSnooze(alarmId, snoozedUntil, notificationId);
+      await AlarmStorage.logAlarmEvent({
+        alarmId,
+        label: alarm.label || null,
+        firedAt: deliveredAt.toISOString(),
+        outcome: 'snoozed',
+        secondsToDismiss: null,
+        attempts: 0,
+        codesRegenerated: 0,
+        challengeType: alarm.challengeType,
+      });
+      await Notifications.dismissNotificationAsync(notification.request.identifier).catch(() => {});
+      return true;
+    } catch (error) {
+      console.error('Error snoozing from notification:', error);
+      return false;
+    }
+  }
+
   static setupNotificationListener(navigation) {
     // Listen for notifications when app is in foreground
-    const foregroundSubscription = Notifications.addNotificationReceivedListener(async notification => {
+    const foregroundSubscription = Notifications.addNotificationReceivedListener(notification => {
       console.log('Notification received in foreground:', notification);
-      
-      const { alarmId, duration } = notification.request.content.data;
-      if (alarmId) {
-        // Prevent duplicate navigation
-        const navigationKey = `${alarmId}-${Date.now()}`;
-        if (this.navigationInFlight.has(alarmId)) {
-          console.log('Navigation already in flight for alarm:', alarmId);
-          return;
-        }
-        
-        // Set navigation in flight with TTL
-        this.navigationInFlight.set(alarmId, navigationKey);
-        setTimeout(() => {
-          this.navigationInFlight.delete(alarmId);
-        }, 5000); // 5 second TTL
-        
-        // Validate that this alarm should actually be triggering now
-        const shouldTrigger = await this.validateAlarmTiming(alarmId);
-        
-        if (shouldTrigger) {
-          console.log('Alarm is due, navigating to dismiss screen');
-          navigation.navigate('DismissAlarm', { alarmId, duration });
-        } else {
-          console.log('Alarm received but not due yet, ignoring');
-          this.navigationInFlight.delete(alarmId); // Remove if not navigating
-        }
-      }
+      return this.openIfDue(navigation, notification);
     });
 
-    // Listen for notification responses (when user taps notification)
-    const responseSubscription = Notifications.addNotificationResponseReceivedListener(async response => {
-      const { alarmId, duration } = response.notification.request.content.data;
-      if (alarmId) {
-        // Prevent duplicate navigation
-        if (this.navigationInFlight.has(alarmId)) {
-          console.log('Navigation already in flight for alarm:', alarmId);
-          return;
-        }
-        
-        // Set navigation in flight with TTL
-        this.navigationInFlight.set(alarmId, `${alarmId}-${Date.now()}`);
-        setTimeout(() => {
-          this.navigationInFlight.delete(alarmId);
-        }, 5000); // 5 second TTL
-        
-        // Validate that this alarm should actually be triggering now
-        const shouldTrigger = await this.validateAlarmTiming(alarmId);
-        
-        if (shouldTrigger) {
-          console.log('Alarm is due, navigating to dismiss screen');
-          navigation.navigate('DismissAlarm', { alarmId, duration });
-        } else {
-          console.log('Alarm tapped but not due yet, ignoring');
-          this.navigationInFlight.delete(alarmId); // Remove if not navigating
-        }
+    // Listen for notification responses (when user taps notification or a button)
+    const responseSubscription = Notifications.addNotificationResponseReceivedListener(response => {
+      // Handled here, so a later launch must not open it again
+      Notifications.clearLastNotificationResponseAsync().catch(() => {});
+
+      if (response.actionIdentifier === ALARM_ACTIONS.SNOOZE) {
+        return this.snoozeFromNotification(navigation, response.notification);
       }
+      // Tapping the notification or its "Dismiss…" button opens the challenge
+      return this.openIfDue(navigation, response.notification);
     });
 
     return () => {
@@ -191,69 +460,62 @@ export class NotificationService {
     };
   }
 
-  static async validateAlarmTiming(alarmId) {
+  // Whether a notification delivered at `receivedAt` is one of the alarm's expected
+  // rings, within `window` either side of it. Rejections are recorded with
+  // AlarmStorage.logRejectedTrigger so an ignored alarm can be diagnosed later.
+  static async validateAlarmTiming(alarmId, type = 'alarm', {
+    window = this.timingWindow,
+    receivedAt = new Date(),
+  } = {}) {
+    // Required lazily to avoid circular imports; a dynamic import() needs ESM
+    // support that Jest doesn't have
+    const { AlarmStorage } = require('./AlarmStorage');
+
+    const reject = async (reason, details = {}) => {
+      await AlarmStorage.logRejectedTrigger({
+        alarmId,
+        type,
+        reason,
+        receivedAt: receivedAt.toISOString(),
+        window,
+        ...details,
+      });
+      return false;
+    };
+
     try {
-      // Import AlarmStorage dynamically to avoid circular imports
-      const { AlarmStorage } = await import('./AlarmStorage');
       const alarm = await AlarmStorage.getAlarm(alarmId);
-      
-      if (!alarm || !alarm.isActive) {
-        console.log('Alarm not found or inactive:', alarmId);
-        return false;
-      }
-      
-      const now = new Date();
-      const alarmTime = new Date(alarm.time);
-      
-      console.log('Validating alarm timing for alarm:', alarmId);
-      console.log('Current time:', now.toISOString());
-      console.log('Alarm time:', alarmTime.toISOString());
-      console.log('Alarm frequency:', alarm.frequency);
-      
-      // Validate based on frequency
-      if (alarm.frequency === 'once') {
-        // For one-time alarms, verify the time is approximately correct
-        // Allow some tolerance for OS scheduling variations
-        const scheduledTime = new Date(alarm.time);
-        const createdAt = new Date(alarm.createdAt);
-        
-        // Determine if alarm was scheduled for next day due to timing rules
-        const minBufferMs = 3 * 60 * 1000; // 3 minutes minimum buffer
-        const timeUntilAlarmAtCreation = scheduledTime.getTime() - createdAt.getTime();
-        
-        if (scheduledTime <= createdAt || timeUntilAlarmAtCreation < minBufferMs) {
-          scheduledTime.setDate(scheduledTime.getDate() + 1);
+      if (!alarm) return await reject('not_found');
+      if (!alarm.isActive) return await reject('inactive');
+
+      // Snoozed alarms fire relative to when they were snoozed, not the alarm time
+      if (type === 'snooze') {
+        const { snoozedUntil } = await AlarmStorage.getSnoozeState(alarmId);
+        if (!snoozedUntil) return await reject('no_snooze_pending');
+
+        const offsetMs = receivedAt.getTime() - snoozedUntil;
+        if (offsetMs < -window.earlyMs || offsetMs > window.lateMs) {
+          return await reject('outside_window', {
+            expectedAt: new Date(snoozedUntil).toISOString(),
+            offsetMs,
+          });
         }
-        
-        const timeDiff = Math.abs(now.getTime() - scheduledTime.getTime());
-        const toleranceMs = 2 * 60 * 1000; // 2 minutes tolerance
-        
-        console.log('One-time alarm validation:', {
-          scheduled: scheduledTime.toISOString(),
-          current: now.toISOString(),
-          diffMinutes: timeDiff / (60 * 1000),
-          withinTolerance: timeDiff <= toleranceMs,
-          wasScheduledForNextDay: scheduledTime.getDate() !== new Date(alarm.time).getDate()
-        });
-        
-        return timeDiff <= toleranceMs;
-      } else if (alarm.frequency === 'daily') {
-        // For daily alarms, check if hour and minute match (within 90 seconds)
-        const nowMinutes = now.getHours() * 60 + now.getMinutes();
-        const alarmMinutes = alarmTime.getHours() * 60 + alarmTime.getMinutes();
-        const diff = Math.abs(nowMinutes - alarmMinutes);
-        return diff <= 1.5; // 1.5 minutes tolerance
-      } else if (alarm.frequency === 'weekly') {
-        // For weekly alarms, check weekday, hour, and minute
-        const nowDay = now.getDay();
-        const alarmDay = alarmTime.getDay();
-        const nowMinutes = now.getHours() * 60 + now.getMinutes();
-        const alarmMinutes = alarmTime.getHours() * 60 + alarmTime.getMinutes();
-        const timeDiff = Math.abs(nowMinutes - alarmMinutes);
-        return nowDay === alarmDay && timeDiff <= 1.5;
+        return true;
       }
-      
-      return false;
+
+      const fireTime = getFireTimeInWindow(alarm, receivedAt, window);
+      if (fireTime) {
+        // A snooze chain abandoned at an earlier ring doesn't carry over to this one
+        await AlarmStorage.clearSnooze(alarmId, { before: fireTime.getTime() });
+        return true;
+      }
+
+      const nextFireTime = getNextFireTime(alarm, receivedAt);
+      return await reject('outside_window', {
+        frequency: alarm.frequency,
+        alarmTime: { hour: alarm.hour, minute: alarm.minute, timeZone: alarm.timeZone || null },
+        nextFireAt: nextFireTime ? nextFireTime.toISOString() : null,
+      });
     } catch (error) {
       console.error('Error validating alarm timing:', error);
       // In case of error, be conservative and don't allow the alarm
@@ -0,0 +1,146 @@
+import * as FileSystem from 'expo-file-system/legacy';
+import { Audio } from 'expo-av';
+import { AlarmStorage } from './AlarmStorage';
+import { getRingtoneFormat, getStoredFileName, validateRingtoneFile } from '../utils/ringtoneFiles';
+import { LOOP_CHECK_INTERVAL_MS, shouldRestartLoop } from '../utils/ringtoneTrim';
+
+// Picked files are copied here; the document picker's cache copy can be purged by the OS
+export const RINGTONES_DIRECTORY = `${FileSystem.documentDirectory}ringtones/`;
+
+export class RingtoneImportError extends Error {
+  constructor(problems) {
+    super(problems.join('; '));
+    this.name = 'RingtoneImportError';
+    this.problems = problems;
+  }
+}
+
+export class RingtoneLibrary {
+  // Copies a DocumentPicker asset into the ringtones directory and adds it to the
+  // library. Throws RingtoneImportError when the file can't be used as a ringtone.
+  static async importRingtone(asset) {
+    const problems = validateRingtoneFile(asset);
+    if (problems.length > 0) {
+      throw new RingtoneImportError(problems);
+    }
+
+    const format = getRingtoneFormat(asset.name, asset.mimeType);
+    const uri = `${RINGTONES_DIRECTORY}${getStoredFileName(asset.name, format)}`;
+    try {
+      await FileSystem.makeDirectoryAsync(RINGTONES_DIRECTORY, { intermediates: true });
+      await FileSystem.copyAsync({ from: asset.uri, to: uri });
+      const durationMs = await this.readDuration(uri);
+      const info = await FileSystem.getInfoAsync(uri);
+
+      const entry = {
+        uri,
+        name: asset.name || 'Custom ringtone',
+        format,
+        size: info.size ?? asset.size ?? null,
+        durationMs,
+        importedAt: new Date().toISOString(),
+      };
+      await AlarmStorage.addToRingtoneLibrary(entry);
+      return entry;
+    } catch (error) {
+      console.error('Error importing ringtone:', error);
+      await FileSystem.deleteAsync(uri, { idempotent: true }).catch(() => {});
+      throw error;
+    }
+  }
+
+  // Loading the file is also the check that it really is playable audio
+  static async readDuration(uri) {
+    let sound = null;
+    try {
+      const result = await Audio.Sound.createAsync({ uri }, { shouldPlay: false });
+      sound = result.sound;
+      return result.status.durationMillis ?? null;
+    } catch (error) {
+      throw new RingtoneImportError(['The file could not be played as audio']);
+    } finally {
+      if (sound) {
+        await sound.unloadAsync().catch(() => {});
+      }
+    }
+  }
+
+  // Starts a loaded, paused sound at trim.startMs and keeps it looping between
+  // startMs and trim.endMs (or the end of the file). Used for alarms and previews.
+  static async playLoopWindow(sound, trim) {
+    sound.setOnPlaybackStatusUpdate(status => {
+      if (!shouldRestartLoop(status, trim)) return;
+      sound.setPositionAsync(trim.startMs)
+        .then(() => (status.didJustFinish ? sound.playAsync() : null))
+        .catch(error => console.log('Error restarting ringtone loop:', error));
+    });
+    await sound.setProgressUpdateIntervalAsync(LOOP_CHECK_INTERVAL_MS);
+    await sound.setPositionAsync(trim.startMs);
+    await sound.playAsync();
+  }
+
+  static async isAvailable(ringtone) {
+    if (!ringtone) return false;
+    try {
+      const info = await FileSystem.getInfoAsync(ringtone.uri);
+      return info.exists;
+    } catch (error) {
+      console.error('Error checking ringtone file:', error);
+      return false;
+    }
+  }
+
+  // Alarms whose ringtone was picked before files were copied still point at the
+  // picker's cache. Copies the ones that still exist into the library and returns
+  // { missing, unusable }: the labels of alarms whose file is already gone, and
+  // { label, reason } for files that are there but can't be copied (too large, no
+  // known format, ...). Each is reported once: a missing file is cleared, so the
+  // built-in tone rings, and an uncopied one is marked `notCopied` and kept for as
+  // long as the cache keeps it.
+  static async adoptAlarmRingtones() {
+    const missing = [];
+    const unusable = [];
+    try {
+      const alarms = await AlarmStorage.loadAlarms();
+      const library = await AlarmStorage.loadRingtoneLibrary();
+      const libraryUris = new Set(library.map(entry => entry.uri));
+      const adopted = new Map();
+
+      for (const alarm of alarms) {
+        const ringtone = alarm.customRingtone;
+        if (!ringtone || ringtone.notCopied || libraryUris.has(ringtone.uri)) continue;
+
+        if (!adopted.has(ringtone.uri)) {
+          adopted.set(ringtone.uri, await this.adoptRingtone(ringtone));
+        }
+
+        const { entry, reason } = adopted.get(ringtone.uri);
+        const label = alarm.label || 'Alarm';
+        if (entry) {
+          await AlarmStorage.updateAlarm(alarm.id, { customRingtone: { ...ringtone, uri: entry.uri, name: entry.name } });
+        } else if (reason) {
+          unusable.push({ label, reason });
+          await AlarmStorage.updateAlarm(alarm.id, { customRingtone: { ...ringtone, notCopied: true } });
+        } else {
+          missing.push(label);
+          await AlarmStorage.updateAlarm(alarm.id, { customRingtone: null });
+        }
+      }
+      return { missing, unusable };
+    } catch (error) {
+      console.error('Error adopting alarm ringtones:', error);
+      return { missing, unusable };
+    }
+  }
+
+  // { entry } once copied, { reason } when the file can't be copied, or {} when it is gone
+  static async adoptRingtone(ringtone) {
+    const info = await FileSystem.getInfoAsync(ringtone.uri).catch(() => ({ exists: false }));
+    if (!info.exists) return {};
+    try {
+      return { entry: await this.importRingtone({ uri: ringtone.uri, name: ringtone.name, size: info.size }) };
+    } catch (error) {
+      return { reason: error instanceof RingtoneImportError ? error.message : 'The file could not be copied' };
+    }
+  }
+}
@@ -0,0 +1,221 @@
+import {
+  SCHEMA_VERSION,
+  MIGRATIONS,
+  buildEnvelope,
+  migrateAlarmData,
+  validateAlarmRecord,
+} from '../AlarmMigrations';
+import originalShape from './fixtures/alarms-v0-original.json';
+import weekdaysShape from './fixtures/alarms-v0-weekdays.json';
+import challengesShape from './fixtures/alarms-v0-challenges.json';
+import envelopeV3Shape from './fixtures/alarms-v3-envelope.json';
+import envelopeV4Shape from './fixtures/alarms-v4-envelope.json';
+import envelopeShape from './fixtures/alarms-v5-envelope.json';
+
+// Versions before 4 read the ISO time in the device zone
+const localTime = (iso) => {
+  const date = new Date(iso);
+  return { hour: date.getHours(), minute: date.getMinutes() };
+};
+
+const localDate = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+describe('MIGRATIONS', () => {
+  it('are ordered and end at the current schema version', () => {
+    const versions = MIGRATIONS.map(migration => migration.version);
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+    expect(versions[versions.length - 1]).toBe(SCHEMA_VERSION);
+  });
+});
+
+describe('migrateAlarmData', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  it('upgrades the original single-notification shape', () => {
+    const { alarms, invalid, fromVersion, migrated } = migrateAlarmData(originalShape);
+
+    expect(fromVersion).toBe(0);
+    expect(migrated).toBe(true);
+    expect(invalid).toEqual([]);
+    expect(alarms[0].notificationIds).toEqual(['notif-daily']);
+    expect(alarms[0]).not.toHaveProperty('notificationId');
+    expect(alarms[1].notificationIds).toEqual([]);
+    // Weekly alarms without days rang on the weekday of their time
+    expect(alarms[1].days).toEqual([new Date('2024-03-06T09:00:00.000Z').getDay()]);
+    expect(alarms[0]).toMatchObject({
+      snoozeInterval: 5,
+      maxSnoozes: 3,
+      challengeType: 'code',
+      gentleWake: false,
+    });
+    expect(alarms[0]).toMatchObject({ ...localTime('2024-03-05T07:30:00.000Z'), timeZone: null });
+    expect(alarms[0]).not.toHaveProperty('time');
+    expect(alarms[0]).not.toHaveProperty('date');
+    expect(alarms[0].customRingtone).toBeNull();
+  });
+
+  it('keeps existing weekday and snooze settings', () => {
+    const { alarms, invalid } = migrateAlarmData(weekdaysShape);
+
+    expect(invalid).toEqual([]);
+    expect(alarms[0]).toMatchObject({
+      days: [1, 3, 5],
+      notificationIds: ['notif-mon', 'notif-wed', 'notif-fri'],
+      snoozeInterval: 10,
+      maxSnoozes: 1,
+      challengeType: 'code',
+    });
+  });
+
+  it('keeps challenge and gentle wake settings', () => {
+    const { alarms } = migrateAlarmData(challengesShape);
+    const { time, ...rest } = challengesShape[0];
+
+    expect(alarms[0]).toEqual({
+      ...rest,
+      ...localTime(time),
+      timeZone: null,
+      date: localDate(new Date(time)),
+      customRingtone: null,
+    });
+  });
+
+  it('dates one-time alarms saved just before their time for the next day', () => {
+    const [alarm] = challengesShape;
+    const { alarms } = migrateAlarmData([{ ...alarm, updatedAt: '2024-05-10T05:14:00.000Z' }]);
+
+    const nextDay = new Date(alarm.time);
+    nextDay.setDate(nextDay.getDate() + 1);
+    expect(alarms[0].date).toBe(localDate(nextDay));
+  });
+
+  it('upgrades version 3 envelopes and flags invalid records', () => {
+    const { alarms, invalid, fromVersion } = migrateAlarmData(envelopeV3Shape);
+
+    expect(fromVersion).toBe(3);
+    expect(alarms).toHaveLength(1);
+    expect(alarms[0]).toMatchObject({ ...localTime('2024-06-01T08:00:00.000Z'), days: [0, 6] });
+    expect(invalid).toHaveLength(1);
+    expect(invalid[0].alarm).toBe(envelopeV3Shape.alarms[1]);
+    expect(invalid[0].error.name).toBe('AlarmSchemaError');
+    expect(invalid[0].error.message).toContain('id 1730000000001');
+    expect(invalid[0].error.problems).toEqual([
+      'hour must be an integer from 0 to 23',
+      'minute must be an integer from 0 to 59',
+      'frequency must be one of once, daily, weekly (got "hourly")',
+      'duration must be a number',
+    ]);
+  });
+
+  it('moves custom ringtones from the separate map onto the alarm', () => {
+    const customRingtones = { 1740000000001: 'file:///data/user/0/app/files/My%20Tone.mp3' };
+    const { alarms, fromVersion, migrated } = migrateAlarmData(envelopeV4Shape, { customRingtones });
+
+    expect(fromVersion).toBe(4);
+    expect(migrated).toBe(true);
+    expect(alarms[0].customRingtone).toBeNull();
+    expect(alarms[1].customRingtone).toEqual({
+      uri: 'file:///data/user/0/app/files/My%20Tone.mp3',
+      name: 'My Tone.mp3',
+    });
+  });
+
+  it('leaves current envelopes alone', () => {
+    const { alarms, invalid, fromVersion, migrated } = migrateAlarmData(envelopeShape);
+
+    expect(fromVersion).toBe(SCHEMA_VERSION);
+    expect(alarms).toEqual(envelopeShape.alarms);
+    expect(invalid).toEqual([]);
+    expect(migrated).toBe(false);
+  });
+
+  it('reruns safely on alarms that already have the newer fields', () => {
+    const { alarms, invalid } = migrateAlarmData(envelopeShape.alarms);
+
+    expect(invalid).toEqual([]);
+    expect(alarms).toEqual(envelopeShape.alarms);
+  });
+
+  it('reports migrated as false when nothing changed', () => {
+    const clean = buildEnvelope([envelopeShape.alarms[0]]);
+    expect(migrateAlarmData(clean).migrated).toBe(false);
+  });
+
+  it('does not migrate data from a newer schema', () => {
+    const future = { schemaVersion: SCHEMA_VERSION + 1, alarms: [{ id: 'x' }] };
+    const { alarms, migrated } = migrateAlarmData(future);
+
+    expect(alarms).toEqual([{ id: 'x' }]);
+    expect(migrated).toBe(false);
+  });
+
+  it('rejects data that is neither a list nor an envelope', () => {
+    expect(() => migrateAlarmData({ alarms: 'nope' })).toThrow('versioned envelope');
+  });
+
+  it('flags non-object records without failing the rest', () => {
+    const { alarms, invalid } = migrateAlarmData([null, ...weekdaysShape]);
+
+    expect(alarms).toHaveLength(1);
+    expect(invalid[0].error.problems).toEqual(['not an object']);
+    expect(invalid[0].error.message).toContain('Alarm #0');
+  });
+});
+
+describe('validateAlarmRecord', () => {
+  it('requires at least one day for weekly alarms', () => {
+    const alarm = { ...envelopeShape.alarms[0], days: [] };
+    expect(validateAlarmRecord(alarm)).toEqual(['weekly alarms need at least one day']);
+  });
+
+  it('accepts current records', () => {
+    envelopeShape.alarms.forEach(alarm => {
+      expect(validateAlarmRecord(alarm)).toEqual([]);
+    });
+  });
+
+  it('rejects unknown time zones and undated one-time alarms', () => {
+    const alarm = { ...envelopeShape.alarms[1], timeZone: 'Nowhere/Special', date: undefined };
+    expect(validateAlarmRecord(alarm)).toEqual([
+      'timeZone "Nowhere/Special" is not a known IANA time zone',
+      'one-time alarms need a date in YYYY-MM-DD form',
+    ]);
+  });
+
+  it('rejects a custom ringtone without a file', () => {
+    const alarm = { ...envelopeShape.alarms[0], customRingtone: { name: 'Tone' } };
+    expect(validateAlarmRecord(alarm)).toEqual(['customRingtone must have a uri']);
+  });
+
+  it('rejects a ringtone loop that ends before it starts', () => {
+    const customRingtone = { uri: 'file:///tone.mp3', name: 'Tone', startMs: 5000, endMs: 4000 };
+    expect(validateAlarmRecord({ ...envelopeShape.alarms[0], customRingtone })).toEqual([
+      'customRingtone endMs must be after startMs',
+    ]);
+    expect(validateAlarmRecord({ ...envelopeShape.alarms[0], customRingtone: { ...customRingtone, startMs: -1, endMs: null } }))
+      .toEqual(['customRingtone startMs must be a non-negative number']);
+  });
+
+  it('rejects skip dates that are not dates', () => {
+    const alarm = { ...envelopeShape.alarms[0], skipDates: [{ date: '2026-12-25', name: 'Christmas' }] };
+    expect(validateAlarmRecord(alarm)).toEqual([]);
+    expect(validateAlarmRecord({ ...alarm, skipDates: [{ date: 'Dec 25' }] })).toEqual(['skipDates must be a list of dates']);
+    expect(validateAlarmRecord({ ...alarm, skipDates: '2026-12-25' })).toEqual(['skipDates must be a list of dates']);
+  });
+
+  it('rejects a calendar event without a start time', () => {
+    const alarm = { ...envelopeShape.alarms[0], frequency: 'once', date: '2026-03-04', calendarEvent: { uid: 'flight', start: '2026-03-04T06:30:00.000Z' } };
+    expect(validateAlarmRecord(alarm)).toEqual([]);
+    expect(validateAlarmRecord({ ...alarm, calendarEvent: { uid: 'flight' } })).toEqual(['calendarEvent must have a start time']);
+  });
+});
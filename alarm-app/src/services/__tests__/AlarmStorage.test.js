@@ -0,0 +1,471 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import * as FileSystem from 'expo-file-system/legacy';
+import { AlarmStorage } from '../AlarmStorage';
+import { SCHEMA_VERSION } from '../AlarmMigrations';
+
+// Thursday, 09:00 UTC (the test environment runs in UTC)
+const NOW = new Date('2026-01-15T09:00:00.000Z');
+
+const alarmInput = (overrides = {}) => ({
+  id: 'alarm-1',
+  label: 'Wake up',
+  hour: 7,
+  minute: 30,
+  timeZone: null,
+  frequency: 'daily',
+  duration: 5,
+  ...overrides,
+});
+
+const scheduledIds = async () =>
+  (await Notifications.getAllScheduledNotificationsAsync()).map(request => request.identifier);
+
+const storedEnvelope = async () => JSON.parse(await AsyncStorage.getItem('@alarms'));
+
+describe('AlarmStorage', () => {
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await AsyncStorage.clear();
+    Notifications.__reset();
+    FileSystem.__reset();
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('addAlarm', () => {
+    it('saves the alarm in a versioned envelope with its notifications', async () => {
+      const alarm = await AlarmStorage.addAlarm(alarmInput());
+
+      expect(alarm).toMatchObject({ id: 'alarm-1', isActive: true, createdAt: NOW.toISOString() });
+      // A daily alarm has a notification for each day of the coming week
+      expect(alarm.notificationIds).toHaveLength(7);
+      expect(alarm.scheduleKey).toEqual(expect.any(String));
+      expect(alarm.scheduledUntil).toBe('2026-01-22T07:30:00.000Z');
+
+      const envelope = await storedEnvelope();
+      expect(envelope.schemaVersion).toBe(SCHEMA_VERSION);
+      expect(envelope.alarms).toEqual([alarm]);
+      expect(await scheduledIds()).toEqual(alarm.notificationIds);
+    });
+
+    it('fixes the date of a one-time alarm when it is saved', async () => {
+      const later = await AlarmStorage.addAlarm(alarmInput({ id: 'later', frequency: 'once', hour: 10 }));
+      const passed = await AlarmStorage.addAlarm(alarmInput({ id: 'passed', frequency: 'once', hour: 8 }));
+
+      expect(later.date).toBe('2026-01-15');
+      expect(passed.date).toBe('2026-01-16');
+    });
+
+    it('keeps the day of an alarm made for a calendar event', async () => {
+      const calendarEvent = { uid: 'flight', summary: 'Flight', start: '2026-01-20T07:00:00.000Z', offsetMinutes: 60 };
+      const alarm = await AlarmStorage.addAlarm(alarmInput({ frequency: 'once', hour: 6, minute: 0, date: '2026-01-20', calendarEvent }));
+
+      expect(alarm.date).toBe('2026-01-20');
+      expect(alarm.scheduledUntil).toBe('2026-01-20T06:00:00.000Z');
+
+      // Editing the time keeps the day; one that has passed moves on like any one-time alarm
+      expect((await AlarmStorage.editAlarm(alarm.id, { hour: 5 })).date).toBe('2026-01-20');
+      jest.setSystemTime(new Date('2026-01-21T09:00:00.000Z'));
+      expect((await AlarmStorage.editAlarm(alarm.id, { hour: 5 })).date).toBe('2026-01-22');
+    });
+
+    it('refuses an alarm for a calendar event whose time has passed', async () => {
+      const calendarEvent = { uid: 'standup', summary: 'Standup', start: '2026-01-15T09:30:00.000Z', offsetMinutes: 60 };
+
+      await expect(AlarmStorage.addAlarm(alarmInput({ frequency: 'once', hour: 8, minute: 30, date: '2026-01-15', calendarEvent })))
+        .rejects.toThrow('The alarm time for "Wake up" has passed');
+      expect(await AlarmStorage.loadAlarms()).toEqual([]);
+    });
+
+    it('gives alarms added in the same millisecond their own ids', async () => {
+      const { id: _id, ...input } = alarmInput();
+      const first = await AlarmStorage.addAlarm(input);
+      const second = await AlarmStorage.addAlarm(input);
+
+      expect(first.id).toBe(String(NOW.getTime()));
+      expect(second.id).toBe(String(NOW.getTime() + 1));
+    });
+
+    it('schedules one notification per ring in the coming week', async () => {
+      const alarm = await AlarmStorage.addAlarm(alarmInput({ frequency: 'weekly', days: [1, 3, 5] }));
+
+      expect(alarm.notificationIds).toHaveLength(3);
+      expect(await scheduledIds()).toEqual(alarm.notificationIds);
+    });
+
+    it('saves nothing and cancels what it scheduled when scheduling fails', async () => {
+      Notifications.scheduleNotificationAsync
+        .mockImplementationOnce(async () => 'partial-1')
+        .mockRejectedValueOnce(new Error('Scheduling failed'));
+
+      await expect(
+        AlarmStorage.addAlarm(alarmInput({ frequency: 'weekly', days: [1, 3] }))
+      ).rejects.toThrow('Scheduling failed');
+
+      expect(await AlarmStorage.loadAlarms()).toEqual([]);
+      expect(Notifications.cancelScheduledNotificationAsync).toHaveBeenCalledWith('partial-1');
+    });
+  });
+
+  describe('deleteAlarm', () => {
+    it('cancels the notifications and drops the per-alarm state', async () => {
+      await AlarmStorage.addAlarm(alarmInput());
+      const other = await AlarmStorage.addAlarm(alarmInput({ id: 'alarm-2' }));
+      await AlarmStorage.saveDismissalCode('alarm-1', { code: 'ABCD1234' });
+      await AlarmStorage.recordSnooze('alarm-1', NOW.getTime() + 5 * 60 * 1000, 'snooze-1');
+
+      await AlarmStorage.deleteAlarm('alarm-1');
+
+      expect((await AlarmStorage.loadAlarms()).map(alarm => alarm.id)).toEqual(['alarm-2']);
+      expect(await scheduledIds()).toEqual(other.notificationIds);
+      expect(Notifications.cancelScheduledNotificationAsync).toHaveBeenCalledWith('snooze-1');
+      expect(await AlarmStorage.getDismissalCode('alarm-1')).toBeNull();
+      expect((await AlarmStorage.getSnoozeState('alarm-1')).count).toBe(0);
+    });
+  });
+
+  describe('editAlarm', () => {
+    it('replaces the notifications and turns the alarm back on', async () => {
+      await AlarmStorage.addAlarm(alarmInput());
+      await AlarmStorage.toggleAlarm('alarm-1');
+
+      const customRingtone = { uri: 'file:///tone.mp3', name: 'tone.mp3' };
+      const edited = await AlarmStorage.editAlarm('alarm-1', { hour: 6, label: 'Earlier', customRingtone });
+
+      expect(edited).toMatchObject({ id: 'alarm-1', hour: 6, label: 'Earlier', isActive: true, customRingtone });
+      expect(edited.notificationIds).toHaveLength(7);
+      expect(await scheduledIds()).toEqual(edited.notificationIds);
+      expect(await AlarmStorage.loadAlarms()).toEqual([edited]);
+    });
+
+    it('keeps the previous alarm and notifications when rescheduling fails', async () => {
+      const original = await AlarmStorage.addAlarm(alarmInput());
+      Notifications.scheduleNotificationAsync.mockRejectedValueOnce(new Error('Scheduling failed'));
+
+      await expect(AlarmStorage.editAlarm('alarm-1', { hour: 6 })).rejects.toThrow('Scheduling failed');
+
+      expect(await AlarmStorage.loadAlarms()).toEqual([original]);
+      expect(await scheduledIds()).toEqual(original.notificationIds);
+    });
+
+    it('rejects an unknown alarm', async () => {
+      await expect(AlarmStorage.editAlarm('missing', { hour: 6 })).rejects.toThrow('Alarm not found: missing');
+    });
+  });
+
+  describe('toggleAlarm', () => {
+    it('cancels notifications and a pending snooze when turned off, keeping the code', async () => {
+      await AlarmStorage.addAlarm(alarmInput());
+      await AlarmStorage.saveDismissalCode('alarm-1', { code: 'ABCD1234' });
+      await AlarmStorage.recordSnooze('alarm-1', NOW.getTime() + 5 * 60 * 1000, 'snooze-1');
+
+      await AlarmStorage.toggleAlarm('alarm-1');
+
+      const [alarm] = await AlarmStorage.loadAlarms();
+      expect(alarm.isActive).toBe(false);
+      expect(alarm.notificationIds).toEqual([]);
+      expect(await scheduledIds()).toEqual([]);
+      expect(Notifications.cancelScheduledNotificationAsync).toHaveBeenCalledWith('snooze-1');
+      expect(await AlarmStorage.getDismissalCode('alarm-1')).toMatchObject({ code: 'ABCD1234' });
+    });
+
+    it('reschedules when turned back on', async () => {
+      await AlarmStorage.addAlarm(alarmInput());
+      await AlarmStorage.toggleAlarm('alarm-1');
+      await AlarmStorage.toggleAlarm('alarm-1');
+
+      const [alarm] = await AlarmStorage.loadAlarms();
+      expect(alarm.isActive).toBe(true);
+      expect(alarm.notificationIds).toHaveLength(7);
+      expect(await scheduledIds()).toEqual(alarm.notificationIds);
+    });
+
+    it('moves a one-time alarm to its next date when turned back on', async () => {
+      await AlarmStorage.addAlarm(alarmInput({ frequency: 'once', hour: 10 }));
+      await AlarmStorage.toggleAlarm('alarm-1');
+
+      jest.setSystemTime(new Date('2026-01-15T11:00:00.000Z'));
+      await AlarmStorage.toggleAlarm('alarm-1');
+
+      const [alarm] = await AlarmStorage.loadAlarms();
+      expect(alarm.date).toBe('2026-01-16');
+    });
+
+    it('applies concurrent toggles one after the other', async () => {
+      await AlarmStorage.addAlarm(alarmInput());
+
+      await Promise.all([
+        AlarmStorage.toggleAlarm('alarm-1'),
+        AlarmStorage.toggleAlarm('alarm-1'),
+        AlarmStorage.toggleAlarm('alarm-1'),
+      ]);
+
+      const [alarm] = await AlarmStorage.loadAlarms();
+      expect(alarm.isActive).toBe(false);
+      expect(await scheduledIds()).toEqual([]);
+    });
+  });
+
+  describe('skipping', () => {
+    const firstRing = async () => (await Notifications.getAllScheduledNotificationsAsync())
+      .map(request => request.trigger.date.toISOString())
+      .sort()[0];
+
+    it('skips the next ring and keeps the alarm on', async () => {
+      await AlarmStorage.addAlarm(alarmInput());
+
+      const alarm = await AlarmStorage.skipNextOccurrence('alarm-1');
+
+      expect(alarm).toMatchObject({ isActive: true, skipDates: [{ date: '2026-01-16', name: null }] });
+      expect(await AlarmStorage.loadAlarms()).toEqual([alarm]);
+      expect(await scheduledIds()).toEqual(alarm.notificationIds);
+      expect(alarm.notificationIds).toHaveLength(6);
+      expect(await firstRing()).toBe('2026-01-17T07:30:00.000Z');
+    });
+
+    it('skips the ring after an already skipped one', async () => {
+      await AlarmStorage.addAlarm(alarmInput());
+      await AlarmStorage.skipNextOccurrence('alarm-1');
+
+      const alarm = await AlarmStorage.skipNextOccurrence('alarm-1');
+
+      expect(alarm.skipDates.map(skip => skip.date)).toEqual(['2026-01-16', '2026-01-17']);
+    });
+
+    it('rings again on an unskipped date', async () => {
+      await AlarmStorage.addAlarm(alarmInput());
+      await AlarmStorage.skipNextOccurrence('alarm-1');
+
+      const alarm = await AlarmStorage.unskipDate('alarm-1', '2026-01-16');
+
+      expect(alarm.skipDates).toEqual([]);
+      expect(await firstRing()).toBe('2026-01-16T07:30:00.000Z');
+    });
+
+    it('refuses to skip a one-time alarm', async () => {
+      await AlarmStorage.addAlarm(alarmInput({ frequency: 'once', hour: 10 }));
+
+      await expect(AlarmStorage.skipNextOccurrence('alarm-1')).rejects.toThrow('has no upcoming ring to skip');
+    });
+  });
+
+  describe('refreshSchedules', () => {
+    it('moves the window on once a ring has passed', async () => {
+      const original = await AlarmStorage.addAlarm(alarmInput());
+      expect(await AlarmStorage.refreshSchedules()).toEqual([]);
+
+      jest.setSystemTime(new Date('2026-01-16T08:00:00.000Z'));
+      expect(await AlarmStorage.refreshSchedules()).toEqual(['Wake up']);
+
+      const [alarm] = await AlarmStorage.loadAlarms();
+      expect(alarm.scheduledUntil).toBe('2026-01-23T07:30:00.000Z');
+      expect(await scheduledIds()).toEqual(alarm.notificationIds);
+      expect(alarm.notificationIds).not.toEqual(original.notificationIds);
+    });
+
+    it('shortens every window once the alarms would go past the notification budget', async () => {
+      for (let i = 1; i <= 9; i++) {
+        await AlarmStorage.addAlarm(alarmInput({ id: `alarm-${i}`, label: `Alarm ${i}` }));
+      }
+
+      expect(await AlarmStorage.refreshSchedules()).toHaveLength(8);
+
+      const alarms = await AlarmStorage.loadAlarms();
+      expect(alarms.map(alarm => alarm.notificationIds.length)).toEqual([6, 6, 6, 6, 6, 6, 6, 6, 6]);
+      expect(await scheduledIds()).toHaveLength(54);
+    });
+
+    it('logs rings that went by without the app as missed, once each', async () => {
+      await AlarmStorage.addAlarm(alarmInput());
+      await AlarmStorage.logAlarmEvent({ alarmId: 'alarm-1', firedAt: '2026-01-16T07:30:10.000Z', outcome: 'dismissed' });
+
+      jest.setSystemTime(new Date('2026-01-18T07:32:00.000Z'));
+      await AlarmStorage.refreshSchedules();
+      jest.setSystemTime(new Date('2026-01-18T08:00:00.000Z'));
+      await AlarmStorage.refreshSchedules();
+
+      const history = await AlarmStorage.loadHistory();
+      expect(history.map(event => [event.firedAt, event.outcome])).toEqual([
+        ['2026-01-16T07:30:10.000Z', 'dismissed'],
+        ['2026-01-17T07:30:00.000Z', 'missed'],
+        ['2026-01-18T07:30:00.000Z', 'missed'],
+      ]);
+      expect(history[2]).toMatchObject({ id: 'alarm-1-1768721400000', label: 'Wake up' });
+    });
+
+    it('does not count rings while the alarm was off as missed', async () => {
+      await AlarmStorage.addAlarm(alarmInput());
+      await AlarmStorage.toggleAlarm('alarm-1');
+      jest.setSystemTime(new Date('2026-01-17T09:00:00.000Z'));
+      await AlarmStorage.toggleAlarm('alarm-1');
+
+      await AlarmStorage.refreshSchedules();
+
+      expect(await AlarmStorage.loadHistory()).toEqual([]);
+    });
+  });
+
+  describe('reconcileNotifications', () => {
+    it('logs a missed one-time alarm before switching it off', async () => {
+      await AlarmStorage.addAlarm(alarmInput({ frequency: 'once', hour: 10, minute: 0 }));
+      jest.setSystemTime(new Date('2026-01-15T11:00:00.000Z'));
+      await Notifications.cancelAllScheduledNotificationsAsync();
+
+      const summary = await AlarmStorage.reconcileNotifications();
+
+      expect(summary.expired).toEqual(['Wake up']);
+      expect(await AlarmStorage.loadHistory()).toEqual([
+        expect.objectContaining({ alarmId: 'alarm-1', firedAt: '2026-01-15T10:00:00.000Z', outcome: 'missed' }),
+      ]);
+    });
+  });
+
+  describe('groups', () => {
+    it('adds groups and refuses a name that is taken', async () => {
+      const group = await AlarmStorage.addGroup(' Workdays ');
+
+      expect(group).toEqual({ id: `group-${NOW.getTime()}`, name: 'Workdays', createdAt: NOW.toISOString() });
+      await expect(AlarmStorage.addGroup('workdays')).rejects.toThrow('There is already a group called "workdays"');
+      expect(await AlarmStorage.loadGroups()).toEqual([group]);
+    });
+
+    it('keeps the alarms of a deleted group as ungrouped', async () => {
+      const group = await AlarmStorage.addGroup('Workdays');
+      await AlarmStorage.addAlarm(alarmInput({ groupId: group.id }));
+
+      await AlarmStorage.deleteGroup(group.id);
+
+      expect(await AlarmStorage.loadGroups()).toEqual([]);
+      const [alarm] = await AlarmStorage.loadAlarms();
+      expect(alarm).toMatchObject({ groupId: null, isActive: true });
+    });
+
+    it('switches every alarm in the group and leaves the others alone', async () => {
+      const group = await AlarmStorage.addGroup('Workdays');
+      await AlarmStorage.addAlarm(alarmInput({ id: 'a', groupId: group.id }));
+      await AlarmStorage.addAlarm(alarmInput({ id: 'b', groupId: group.id }));
+      const other = await AlarmStorage.addAlarm(alarmInput({ id: 'c' }));
+
+      await AlarmStorage.setGroupActive(group.id, false);
+
+      let alarms = await AlarmStorage.loadAlarms();
+      expect(alarms.map(alarm => [alarm.id, alarm.isActive])).toEqual([['a', false], ['b', false], ['c', true]]);
+      expect(await scheduledIds()).toEqual(other.notificationIds);
+
+      await AlarmStorage.setGroupActive(group.id, true);
+
+      alarms = await AlarmStorage.loadAlarms();
+      expect(alarms.every(alarm => alarm.isActive)).toBe(true);
+      expect((await scheduledIds()).sort()).toEqual(alarms.flatMap(alarm => alarm.notificationIds).sort());
+    });
+  });
+
+  describe('markDismissed', () => {
+    it('switches off a one-time alarm and clears its code', async () => {
+      await AlarmStorage.addAlarm(alarmInput({ frequency: 'once', hour: 10 }));
+      await AlarmStorage.saveDismissalCode('alarm-1', { code: 'ABCD1234' });
+
+      await AlarmStorage.markDismissed('alarm-1');
+
+      const [alarm] = await AlarmStorage.loadAlarms();
+      expect(alarm.isActive).toBe(false);
+      expect(await scheduledIds()).toEqual([]);
+      expect(await AlarmStorage.getDismissalCode('alarm-1')).toBeNull();
+    });
+
+    it('leaves a recurring alarm scheduled', async () => {
+      const original = await AlarmStorage.addAlarm(alarmInput());
+
+      await AlarmStorage.markDismissed('alarm-1');
+
+      expect(await AlarmStorage.loadAlarms()).toEqual([original]);
+      expect(await scheduledIds()).toEqual(original.notificationIds);
+    });
+  });
+
+  describe('custom ringtones', () => {
+    it('moves ringtones saved by older versions onto their alarms', async () => {
+      const legacy = { schemaVersion: 4, alarms: [{ ...alarmInput(), isActive: true, notificationIds: [] }] };
+      await AsyncStorage.setItem('@alarms', JSON.stringify(legacy));
+      await AsyncStorage.setItem('@custom_ringtones', JSON.stringify({ 'alarm-1': 'file:///tone.mp3' }));
+
+      const [alarm] = await AlarmStorage.loadAlarms();
+
+      expect(alarm.customRingtone).toEqual({ uri: 'file:///tone.mp3', name: 'tone.mp3' });
+      expect((await storedEnvelope()).schemaVersion).toBe(SCHEMA_VERSION);
+      expect(await AsyncStorage.getItem('@custom_ringtones')).toBeNull();
+    });
+
+    it('reads alarms saved by a newer version but refuses to overwrite them', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const future = { schemaVersion: SCHEMA_VERSION + 1, alarms: [{ ...alarmInput(), isActive: true, notificationIds: [] }] };
+      await AsyncStorage.setItem('@alarms', JSON.stringify(future));
+
+      expect(await AlarmStorage.loadAlarms()).toEqual(future.alarms);
+      await expect(AlarmStorage.addAlarm(alarmInput({ id: 'alarm-2' }))).rejects.toThrow('newer version of the app');
+
+      expect(await storedEnvelope()).toEqual(future);
+      expect(await scheduledIds()).toEqual([]);
+    });
+
+    const libraryEntry = {
+      uri: 'file:///documents/ringtones/1-tone.mp3',
+      name: 'tone.mp3',
+      format: 'mp3',
+      size: 1024,
+      durationMs: 30000,
+      importedAt: NOW.toISOString(),
+    };
+    const customRingtone = { uri: libraryEntry.uri, name: libraryEntry.name };
+
+    it('keeps one library entry per file', async () => {
+      await AlarmStorage.addToRingtoneLibrary(libraryEntry);
+      await AlarmStorage.addToRingtoneLibrary({ ...libraryEntry, durationMs: 31000 });
+
+      expect(await AlarmStorage.loadRingtoneLibrary()).toEqual([{ ...libraryEntry, durationMs: 31000 }]);
+    });
+
+    it('deletes a library file only once no alarm uses it', async () => {
+      FileSystem.__addFile(libraryEntry.uri);
+      await AlarmStorage.addToRingtoneLibrary(libraryEntry);
+      await AlarmStorage.addAlarm(alarmInput({ customRingtone }));
+      await AlarmStorage.addAlarm(alarmInput({ id: 'alarm-2', customRingtone }));
+
+      await AlarmStorage.deleteAlarm('alarm-1');
+      expect(await AlarmStorage.loadRingtoneLibrary()).toEqual([libraryEntry]);
+      expect((await FileSystem.getInfoAsync(libraryEntry.uri)).exists).toBe(true);
+
+      await AlarmStorage.deleteAlarm('alarm-2');
+      expect(await AlarmStorage.loadRingtoneLibrary()).toEqual([]);
+      expect((await FileSystem.getInfoAsync(libraryEntry.uri)).exists).toBe(false);
+    });
+
+    it('releases the old file when an edit switches ringtones', async () => {
+      FileSystem.__addFile(libraryEntry.uri);
+      await AlarmStorage.addToRingtoneLibrary(libraryEntry);
+      await AlarmStorage.addAlarm(alarmInput({ customRingtone }));
+
+      await AlarmStorage.editAlarm('alarm-1', { customRingtone: null });
+
+      expect(await AlarmStorage.loadRingtoneLibrary()).toEqual([]);
+      expect(FileSystem.deleteAsync).toHaveBeenCalledWith(libraryEntry.uri, { idempotent: true });
+    });
+
+    it('leaves files outside the library alone', async () => {
+      const cached = { uri: 'file:///cache/tone.mp3', name: 'tone.mp3' };
+      FileSystem.__addFile(cached.uri);
+      await AlarmStorage.addAlarm(alarmInput({ customRingtone: cached }));
+
+      await AlarmStorage.deleteAlarm('alarm-1');
+
+      expect(FileSystem.deleteAsync).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,59 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import * as TaskManager from 'expo-task-manager';
+import * as BackgroundTask from 'expo-background-task';
+import { BackgroundRefresh, SCHEDULE_REFRESH_TASK } from '../BackgroundRefresh';
+import { AlarmStorage } from '../AlarmStorage';
+
+// Thursday, 09:00 UTC (the test environment runs in UTC)
+const NOW = new Date('2026-01-15T09:00:00.000Z');
+
+describe('BackgroundRefresh', () => {
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await AsyncStorage.clear();
+    Notifications.__reset();
+    TaskManager.__reset();
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('registers the refresh task once', async () => {
+    expect(await BackgroundRefresh.register()).toBe(true);
+    expect(await BackgroundRefresh.register()).toBe(true);
+
+    expect(BackgroundTask.registerTaskAsync).toHaveBeenCalledTimes(1);
+    expect(BackgroundTask.registerTaskAsync).toHaveBeenCalledWith(SCHEDULE_REFRESH_TASK, { minimumInterval: 360 });
+  });
+
+  it('does not register when the device restricts background tasks', async () => {
+    BackgroundTask.getStatusAsync.mockResolvedValueOnce(BackgroundTask.BackgroundTaskStatus.Restricted);
+
+    expect(await BackgroundRefresh.register()).toBe(false);
+    expect(BackgroundTask.registerTaskAsync).not.toHaveBeenCalled();
+  });
+
+  it('moves recurring alarms\' windows on while the app stays closed', async () => {
+    await AlarmStorage.addAlarm({
+      id: 'alarm-1',
+      label: 'Wake up',
+      hour: 7,
+      minute: 30,
+      timeZone: null,
+      frequency: 'daily',
+      duration: 5,
+    });
+    jest.setSystemTime(new Date('2026-01-21T09:00:00.000Z'));
+
+    expect(await TaskManager.__runTask(SCHEDULE_REFRESH_TASK)).toBe(BackgroundTask.BackgroundTaskResult.Success);
+
+    const [alarm] = await AlarmStorage.loadAlarms();
+    expect(alarm.scheduledUntil).toBe('2026-01-28T07:30:00.000Z');
+  });
+});
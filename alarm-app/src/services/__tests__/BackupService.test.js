@@ -0,0 +1,78 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import * as FileSystem from 'expo-file-system/legacy';
+import { BackupService } from '../BackupService';
+import { AlarmStorage } from '../AlarmStorage';
+import { buildBackup } from '../../utils/backupFormat';
+
+jest.mock('expo-sharing', () => ({
+  isAvailableAsync: jest.fn(),
+  shareAsync: jest.fn(),
+}));
+
+jest.mock('expo-document-picker', () => ({
+  getDocumentAsync: jest.fn(),
+}));
+
+// Thursday, 09:00 UTC (the test environment runs in UTC)
+const NOW = new Date('2026-01-15T09:00:00.000Z');
+
+// With every field CreateAlarmScreen saves, so a backup of it reads back unchanged
+const alarmInput = (overrides = {}) => ({
+  id: 'alarm-1',
+  label: 'Wake up',
+  hour: 7,
+  minute: 30,
+  timeZone: null,
+  frequency: 'daily',
+  duration: 5,
+  snoozeInterval: 5,
+  maxSnoozes: 3,
+  challengeType: 'code',
+  challengeDifficulty: null,
+  gentleWake: false,
+  customRingtone: null,
+  ...overrides,
+});
+
+describe('BackupService.importBackup', () => {
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await AsyncStorage.clear();
+    Notifications.__reset();
+    FileSystem.__reset();
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('does not count rings from before a restore as missed', async () => {
+    // Saved by a version that still exported the device's missed-ring marker
+    const backup = buildBackup([], new Date('2026-01-05T12:00:00.000Z'));
+    backup.alarms = [{ ...alarmInput(), isActive: true, ringsCheckedUntil: '2026-01-05T12:00:00.000Z' }];
+
+    expect(await BackupService.importBackup(backup)).toMatchObject({ imported: 1, errors: [] });
+    const [alarm] = await AlarmStorage.loadAlarms();
+    expect(alarm.ringsCheckedUntil).toBe(NOW.toISOString());
+
+    jest.setSystemTime(new Date('2026-01-16T09:00:00.000Z'));
+    await AlarmStorage.refreshSchedules();
+
+    expect((await AlarmStorage.loadHistory()).map(event => event.firedAt)).toEqual(['2026-01-16T07:30:00.000Z']);
+  });
+
+  it('skips an unchanged alarm exported before its missed-ring check moved on', async () => {
+    await AlarmStorage.addAlarm(alarmInput());
+    const backup = buildBackup(await AlarmStorage.loadAlarms(), NOW);
+
+    jest.setSystemTime(new Date('2026-01-16T09:00:00.000Z'));
+    await AlarmStorage.refreshSchedules();
+
+    expect(await BackupService.importBackup(backup)).toMatchObject({ imported: 0, duplicates: 1, conflicts: [] });
+  });
+});
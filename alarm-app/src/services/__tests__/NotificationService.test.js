@@ -0,0 +1,518 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import { Platform } from 'react-native';
+import { ALARM_ACTIONS, DEFAULT_TIMING_WINDOW, NotificationService } from '../NotificationService';
+import { AlarmStorage } from '../AlarmStorage';
+
+const { DATE } = Notifications.SchedulableTriggerInputTypes;
+
+// Thursday, 09:00 UTC (the test environment runs in UTC)
+const NOW = new Date('2026-01-15T09:00:00.000Z');
+
+const triggerTimes = (triggers) => triggers.map(trigger => {
+  expect(trigger.type).toBe(DATE);
+  return trigger.date.toISOString();
+});
+
+const alarm = (overrides = {}) => ({
+  id: 'alarm-1',
+  label: 'Wake up',
+  hour: 7,
+  minute: 30,
+  timeZone: null,
+  frequency: 'daily',
+  duration: 5,
+  isActive: true,
+  notificationIds: [],
+  ...overrides,
+});
+
+describe('NotificationService', () => {
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await AsyncStorage.clear();
+    Notifications.__reset();
+    NotificationService.registeredChannels.clear();
+    NotificationService.registeredCategories.clear();
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('buildTriggers', () => {
+    it('schedules a one-time alarm at its date', () => {
+      const triggers = NotificationService.buildTriggers(alarm({ frequency: 'once', date: '2026-01-16' }), NOW);
+
+      expect(triggers).toEqual([{ type: DATE, date: new Date('2026-01-16T07:30:00.000Z') }]);
+    });
+
+    it('rejects a one-time alarm whose time has passed', () => {
+      expect(() => NotificationService.buildTriggers(alarm({ frequency: 'once', date: '2026-01-15' }), NOW))
+        .toThrow('One-time alarm alarm-1 has no upcoming date');
+    });
+
+    it('schedules each ring of a daily alarm in the coming week', () => {
+      expect(triggerTimes(NotificationService.buildTriggers(alarm(), NOW))).toEqual([
+        '2026-01-16T07:30:00.000Z',
+        '2026-01-17T07:30:00.000Z',
+        '2026-01-18T07:30:00.000Z',
+        '2026-01-19T07:30:00.000Z',
+        '2026-01-20T07:30:00.000Z',
+        '2026-01-21T07:30:00.000Z',
+        '2026-01-22T07:30:00.000Z',
+      ]);
+    });
+
+    it('converts a daily alarm pinned to another zone to device time', () => {
+      const triggers = NotificationService.buildTriggers(alarm({ timeZone: 'Asia/Tokyo' }), NOW);
+
+      expect(triggerTimes(triggers)[0]).toBe('2026-01-15T22:30:00.000Z');
+      expect(triggers).toHaveLength(7);
+    });
+
+    it('schedules the selected days of a weekly alarm', () => {
+      const triggers = NotificationService.buildTriggers(alarm({ frequency: 'weekly', days: [0, 1, 6] }), NOW);
+
+      expect(triggerTimes(triggers)).toEqual([
+        '2026-01-17T07:30:00.000Z',
+        '2026-01-18T07:30:00.000Z',
+        '2026-01-19T07:30:00.000Z',
+      ]);
+    });
+
+    it('moves a pinned weekly alarm to the device day it falls on', () => {
+      // Monday 07:30 in Tokyo is Sunday 22:30 UTC
+      const triggers = NotificationService.buildTriggers(
+        alarm({ frequency: 'weekly', days: [1], timeZone: 'Asia/Tokyo' }),
+        NOW
+      );
+
+      expect(triggerTimes(triggers)).toEqual(['2026-01-18T22:30:00.000Z']);
+    });
+
+    it('leaves out skipped dates', () => {
+      const triggers = NotificationService.buildTriggers(alarm({
+        skipDates: [{ date: '2026-01-16', name: null }, { date: '2026-01-18', name: 'Holiday' }],
+      }), NOW);
+
+      expect(triggerTimes(triggers)).toEqual([
+        '2026-01-17T07:30:00.000Z',
+        '2026-01-19T07:30:00.000Z',
+        '2026-01-20T07:30:00.000Z',
+        '2026-01-21T07:30:00.000Z',
+        '2026-01-22T07:30:00.000Z',
+      ]);
+    });
+
+    it('keeps the first ring after the window when every ring in it is skipped', () => {
+      const triggers = NotificationService.buildTriggers(alarm({
+        frequency: 'weekly',
+        days: [1],
+        skipDates: [{ date: '2026-01-19', name: null }],
+      }), NOW);
+
+      expect(triggerTimes(triggers)).toEqual(['2026-01-26T07:30:00.000Z']);
+    });
+
+    it('rejects an unknown frequency', () => {
+      expect(() => NotificationService.buildTriggers(alarm({ frequency: 'hourly' }), NOW))
+        .toThrow('Unsupported alarm frequency: hourly');
+    });
+  });
+
+  describe('scheduleAlarm', () => {
+    it('schedules a notification carrying the alarm details', async () => {
+      const ids = await NotificationService.scheduleAlarm(alarm({ frequency: 'weekly', days: [1, 2] }));
+
+      expect(ids).toEqual(['notification-1', 'notification-2']);
+      const [request] = Notifications.scheduleNotificationAsync.mock.calls[0];
+      expect(request.content.data).toEqual({ alarmId: 'alarm-1', type: 'alarm', duration: 5 });
+      expect(request.trigger).toEqual({ type: DATE, date: new Date('2026-01-19T07:30:00.000Z') });
+    });
+
+    it('adds snooze and dismiss buttons named after the snooze interval', async () => {
+      await NotificationService.scheduleAlarm(alarm({ snoozeInterval: 10 }));
+      await NotificationService.scheduleAlarm(alarm({ id: 'alarm-2', snoozeInterval: 10 }));
+
+      expect(Notifications.setNotificationCategoryAsync).toHaveBeenCalledTimes(1);
+      expect(Notifications.setNotificationCategoryAsync).toHaveBeenCalledWith('alarm-snooze-10', [
+        expect.objectContaining({ identifier: ALARM_ACTIONS.SNOOZE, buttonTitle: 'Snooze 10 min' }),
+        expect.objectContaining({ identifier: ALARM_ACTIONS.DISMISS, buttonTitle: 'Dismiss…' }),
+      ]);
+      const [request] = Notifications.scheduleNotificationAsync.mock.calls[0];
+      expect(request.content.categoryIdentifier).toBe('alarm-snooze-10');
+    });
+
+    it('leaves out the snooze button when the alarm allows no snoozes', async () => {
+      await NotificationService.scheduleAlarm(alarm({ maxSnoozes: 0 }));
+
+      expect(Notifications.setNotificationCategoryAsync).toHaveBeenCalledWith('alarm', [
+        expect.objectContaining({ identifier: ALARM_ACTIONS.DISMISS }),
+      ]);
+    });
+
+    it('plays the default tone and vibration on Android', async () => {
+      jest.replaceProperty(Platform, 'OS', 'android');
+
+      await NotificationService.scheduleAlarm(alarm());
+
+      expect(Notifications.setNotificationChannelAsync).toHaveBeenCalledWith('alarm-classic-standard', expect.objectContaining({
+        sound: 'alarm_classic.wav',
+        enableVibrate: true,
+        vibrationPattern: [0, 1000, 1000],
+      }));
+      const [request] = Notifications.scheduleNotificationAsync.mock.calls[0];
+      expect(request.trigger.channelId).toBe('alarm-classic-standard');
+      expect(request.content.sound).toBe('alarm_classic.wav');
+    });
+
+    it('creates one channel per tone and vibration preset', async () => {
+      jest.replaceProperty(Platform, 'OS', 'android');
+
+      const weekly = { frequency: 'weekly', days: [1], toneId: 'chime', vibrationPreset: 'none' };
+      await NotificationService.scheduleAlarm(alarm(weekly));
+      await NotificationService.scheduleAlarm(alarm({ ...weekly, id: 'alarm-2' }));
+      await NotificationService.scheduleSnooze(alarm({ toneId: 'digital', vibrationPreset: 'pulse' }), 5);
+
+      expect(Notifications.setNotificationChannelAsync).toHaveBeenCalledTimes(2);
+      expect(Notifications.setNotificationChannelAsync).toHaveBeenCalledWith('alarm-chime-none', expect.objectContaining({
+        sound: 'alarm_chime.wav',
+        enableVibrate: false,
+      }));
+      const requests = Notifications.scheduleNotificationAsync.mock.calls.map(([request]) => request);
+      expect(requests.map(request => request.trigger.channelId))
+        .toEqual(['alarm-chime-none', 'alarm-chime-none', 'alarm-digital-pulse']);
+      expect(requests[2].content.vibrate).toEqual([0, 300, 300, 300, 300, 300, 1200]);
+    });
+
+    it('reschedules when the tone changes', () => {
+      expect(NotificationService.getScheduleKey(alarm({ toneId: 'chime' }), NOW))
+        .not.toBe(NotificationService.getScheduleKey(alarm(), NOW));
+    });
+
+    it('cancels the days already scheduled when one fails', async () => {
+      Notifications.scheduleNotificationAsync
+        .mockImplementationOnce(async () => 'partial-1')
+        .mockRejectedValueOnce(new Error('Scheduling failed'));
+
+      await expect(NotificationService.scheduleAlarm(alarm({ frequency: 'weekly', days: [1, 2] })))
+        .rejects.toThrow('Scheduling failed');
+      expect(Notifications.cancelScheduledNotificationAsync).toHaveBeenCalledWith('partial-1');
+    });
+  });
+
+  describe('validateAlarmTiming', () => {
+    const at = (iso) => jest.setSystemTime(new Date(iso));
+
+    it('accepts a daily alarm that fires just before midnight and arrives just after', async () => {
+      await AlarmStorage.saveAlarms([alarm({ hour: 23, minute: 59 })]);
+      at('2026-01-16T00:00:30.000Z');
+
+      expect(await NotificationService.validateAlarmTiming('alarm-1')).toBe(true);
+    });
+
+    it('accepts a midnight alarm that arrives a little early', async () => {
+      await AlarmStorage.saveAlarms([alarm({ hour: 0, minute: 0 })]);
+      at('2026-01-15T23:59:15.000Z');
+
+      expect(await NotificationService.validateAlarmTiming('alarm-1')).toBe(true);
+    });
+
+    it('rejects a daily alarm that arrives too late and records why', async () => {
+      await AlarmStorage.saveAlarms([alarm({ hour: 23, minute: 59 })]);
+      at('2026-01-16T00:01:30.000Z');
+
+      expect(await NotificationService.validateAlarmTiming('alarm-1')).toBe(false);
+      expect(await AlarmStorage.loadRejectedTriggers()).toEqual([expect.objectContaining({
+        alarmId: 'alarm-1',
+        type: 'alarm',
+        reason: 'outside_window',
+        receivedAt: '2026-01-16T00:01:30.000Z',
+        window: DEFAULT_TIMING_WINDOW,
+        nextFireAt: '2026-01-16T23:59:00.000Z',
+      })]);
+    });
+
+    it('uses the window it is given', async () => {
+      await AlarmStorage.saveAlarms([alarm({ hour: 23, minute: 59 })]);
+      at('2026-01-16T00:01:30.000Z');
+
+      const window = { earlyMs: 0, lateMs: 5 * 60 * 1000 };
+      expect(await NotificationService.validateAlarmTiming('alarm-1', 'alarm', { window })).toBe(true);
+
+      at('2026-01-15T23:58:30.000Z');
+      expect(await NotificationService.validateAlarmTiming('alarm-1', 'alarm', { window })).toBe(false);
+    });
+
+    it('matches a one-time alarm on its own date across midnight', async () => {
+      await AlarmStorage.saveAlarms([alarm({ frequency: 'once', hour: 23, minute: 59, date: '2026-01-15' })]);
+
+      at('2026-01-16T00:01:00.000Z');
+      expect(await NotificationService.validateAlarmTiming('alarm-1')).toBe(true);
+
+      // The same time a day early is not this alarm's occurrence
+      at('2026-01-14T23:59:00.000Z');
+      expect(await NotificationService.validateAlarmTiming('alarm-1')).toBe(false);
+    });
+
+    it('only accepts a weekly alarm on its days', async () => {
+      // Friday 00:00 UTC
+      await AlarmStorage.saveAlarms([alarm({ frequency: 'weekly', days: [5], hour: 0, minute: 0 })]);
+
+      at('2026-01-15T23:59:30.000Z');
+      expect(await NotificationService.validateAlarmTiming('alarm-1')).toBe(true);
+
+      at('2026-01-14T23:59:30.000Z');
+      expect(await NotificationService.validateAlarmTiming('alarm-1')).toBe(false);
+    });
+
+    it('rejects inactive and unknown alarms', async () => {
+      await AlarmStorage.saveAlarms([alarm({ isActive: false })]);
+      at('2026-01-16T07:30:00.000Z');
+
+      expect(await NotificationService.validateAlarmTiming('alarm-1')).toBe(false);
+      expect(await NotificationService.validateAlarmTiming('missing')).toBe(false);
+      expect((await AlarmStorage.loadRejectedTriggers()).map(entry => entry.reason))
+        .toEqual(['inactive', 'not_found']);
+    });
+
+    it('checks a snooze against when it was snoozed until', async () => {
+      await AlarmStorage.saveAlarms([alarm()]);
+      await AlarmStorage.recordSnooze('alarm-1', new Date('2026-01-16T00:02:00.000Z').getTime(), 'snooze-1');
+
+      at('2026-01-16T00:03:00.000Z');
+      expect(await NotificationService.validateAlarmTiming('alarm-1', 'snooze')).toBe(true);
+
+      at('2026-01-16T00:05:00.000Z');
+      expect(await NotificationService.validateAlarmTiming('alarm-1', 'snooze')).toBe(false);
+      expect(await AlarmStorage.loadRejectedTriggers()).toEqual([expect.objectContaining({
+        type: 'snooze',
+        reason: 'outside_window',
+        expectedAt: '2026-01-16T00:02:00.000Z',
+        offsetMs: 3 * 60 * 1000,
+      })]);
+    });
+
+    it('rejects a snooze notification when no snooze is pending', async () => {
+      await AlarmStorage.saveAlarms([alarm()]);
+
+      expect(await NotificationService.validateAlarmTiming('alarm-1', 'snooze')).toBe(false);
+      expect((await AlarmStorage.loadRejectedTriggers())[0].reason).toBe('no_snooze_pending');
+    });
+  });
+
+  describe('notification taps', () => {
+    const navigation = { navigate: jest.fn() };
+
+    const tapResponse = (
+      deliveredAt,
+      data = { alarmId: 'alarm-1', type: 'alarm', duration: 5 },
+      actionIdentifier = Notifications.DEFAULT_ACTION_IDENTIFIER
+    ) => ({
+      actionIdentifier,
+      notification: {
+        date: new Date(deliveredAt).getTime(),
+        request: { identifier: 'notification-1', content: { data } },
+      },
+    });
+
+    beforeEach(() => {
+      NotificationService.navigationInFlight.clear();
+    });
+
+    it('opens the dismiss screen for the tap that launched the app', async () => {
+      await AlarmStorage.saveAlarms([alarm({ hour: 9, minute: 0 })]);
+      // Launched three minutes after the alarm rang, outside the timing window
+      jest.setSystemTime(new Date('2026-01-15T09:03:00.000Z'));
+
+      const opened = await NotificationService.openFromLaunchResponse(navigation, tapResponse('2026-01-15T09:00:00.000Z'));
+
+      expect(opened).toBe(true);
+      expect(navigation.navigate).toHaveBeenCalledWith('DismissAlarm', {
+        alarmId: 'alarm-1',
+        duration: 5,
+        firedAt: NOW.getTime(),
+      });
+      expect(Notifications.clearLastNotificationResponseAsync).toHaveBeenCalled();
+    });
+
+    it('opens a one-time alarm that startup already switched off', async () => {
+      await AlarmStorage.saveAlarms([alarm({ frequency: 'once', date: '2026-01-15', hour: 9, minute: 0, isActive: false })]);
+      jest.setSystemTime(new Date('2026-01-15T09:01:00.000Z'));
+
+      expect(await NotificationService.openFromLaunchResponse(navigation, tapResponse('2026-01-15T09:00:00.000Z')))
+        .toBe(true);
+      expect(navigation.navigate).toHaveBeenCalledWith('DismissAlarm', {
+        alarmId: 'alarm-1',
+        duration: 5,
+        firedAt: NOW.getTime(),
+      });
+    });
+
+    it('ignores a launch tap once the alarm would have stopped ringing', async () => {
+      await AlarmStorage.saveAlarms([alarm({ hour: 9, minute: 0 })]);
+      jest.setSystemTime(new Date('2026-01-15T09:10:00.000Z'));
+
+      expect(await NotificationService.openFromLaunchResponse(navigation, tapResponse('2026-01-15T09:00:00.000Z')))
+        .toBe(false);
+      expect(navigation.navigate).not.toHaveBeenCalled();
+      expect(await AlarmStorage.loadRejectedTriggers()).toEqual([expect.objectContaining({
+        alarmId: 'alarm-1',
+        reason: 'stale_launch_response',
+        ageMs: 10 * 60 * 1000,
+      })]);
+      expect(NotificationService.navigationInFlight.has('alarm-1')).toBe(false);
+    });
+
+    it('ignores a launch tap for a deleted alarm', async () => {
+      expect(await NotificationService.openFromLaunchResponse(navigation, tapResponse(NOW))).toBe(false);
+      expect(navigation.navigate).not.toHaveBeenCalled();
+    });
+
+    it('opens the dismiss screen once when the listener sees the launch tap too', async () => {
+      await AlarmStorage.saveAlarms([alarm({ hour: 9, minute: 0 })]);
+      NotificationService.setupNotificationListener(navigation);
+      const [[onResponse]] = Notifications.addNotificationResponseReceivedListener.mock.calls;
+      const response = tapResponse(NOW);
+
+      await Promise.all([
+        onResponse(response),
+        NotificationService.openFromLaunchResponse(navigation, response),
+      ]);
+
+      expect(navigation.navigate).toHaveBeenCalledTimes(1);
+      expect(Notifications.clearLastNotificationResponseAsync).toHaveBeenCalled();
+    });
+
+    describe('action buttons', () => {
+      const respond = (response) => {
+        NotificationService.setupNotificationListener(navigation);
+        const [[onResponse]] = Notifications.addNotificationResponseReceivedListener.mock.calls;
+        return onResponse(response);
+      };
+
+      beforeEach(async () => {
+        await AlarmStorage.saveAlarms([alarm({ hour: 9, minute: 0, snoozeInterval: 5, maxSnoozes: 1 })]);
+      });
+
+      it('snoozes without opening the challenge', async () => {
+        jest.setSystemTime(new Date('2026-01-15T09:01:00.000Z'));
+
+        await respond(tapResponse(NOW, undefined, ALARM_ACTIONS.SNOOZE));
+
+        expect(navigation.navigate).not.toHaveBeenCalled();
+        const snooze = await AlarmStorage.getSnoozeState('alarm-1');
+        expect(snooze).toMatchObject({ count: 1, snoozedUntil: new Date('2026-01-15T09:06:00.000Z').getTime() });
+        expect((await Notifications.getAllScheduledNotificationsAsync()).map(request => request.identifier))
+          .toContain(snooze.notificationId);
+        expect(Notifications.dismissNotificationAsync).toHaveBeenCalledWith('notification-1');
+        expect(await AlarmStorage.loadHistory()).toEqual([expect.objectContaining({
+          alarmId: 'alarm-1',
+          outcome: 'snoozed',
+          firedAt: NOW.toISOString(),
+        })]);
+      });
+
+      it('starts a fresh snooze count when the next day\'s ring is delivered', async () => {
+        // Snoozed yesterday and never dismissed
+        const yesterday = new Date('2026-01-14T09:00:00.000Z').getTime();
+        await AlarmStorage.recordSnooze('alarm-1', yesterday, 'snooze-1');
+        const onReceived = () => {
+          NotificationService.setupNotificationListener(navigation);
+          const [[listener]] = Notifications.addNotificationReceivedListener.mock.calls;
+          return listener(tapResponse(NOW).notification);
+        };
+
+        await onReceived();
+
+        expect(await AlarmStorage.getSnoozeState('alarm-1')).toEqual({ count: 0, snoozedUntil: null, notificationId: null });
+        expect(navigation.navigate).toHaveBeenCalledWith('DismissAlarm', expect.objectContaining({ alarmId: 'alarm-1' }));
+
+        NotificationService.navigationInFlight.clear();
+        await respond(tapResponse(NOW, undefined, ALARM_ACTIONS.SNOOZE));
+        expect((await AlarmStorage.getSnoozeState('alarm-1')).count).toBe(1);
+      });
+
+      it('opens the challenge instead once no snoozes are left', async () => {
+        await AlarmStorage.recordSnooze('alarm-1', NOW.getTime(), 'snooze-1');
+
+        await respond(tapResponse(NOW, undefined, ALARM_ACTIONS.SNOOZE));
+
+        expect(navigation.navigate).toHaveBeenCalledWith('DismissAlarm', {
+          alarmId: 'alarm-1',
+          duration: 5,
+          firedAt: NOW.getTime(),
+        });
+        expect((await AlarmStorage.getSnoozeState('alarm-1')).count).toBe(1);
+      });
+
+      it('snoozes from now when pressed after the alarm stopped ringing', async () => {
+        jest.setSystemTime(new Date('2026-01-15T09:30:00.000Z'));
+
+        await respond(tapResponse(NOW, undefined, ALARM_ACTIONS.SNOOZE));
+
+        expect(await AlarmStorage.getSnoozeState('alarm-1')).toMatchObject({
+          count: 1,
+          snoozedUntil: new Date('2026-01-15T09:35:00.000Z').getTime(),
+        });
+        expect(navigation.navigate).not.toHaveBeenCalled();
+      });
+
+      it('opens the challenge for a late snooze once no snoozes are left', async () => {
+        await AlarmStorage.recordSnooze('alarm-1', NOW.getTime(), 'snooze-1');
+        jest.setSystemTime(new Date('2026-01-15T09:30:00.000Z'));
+
+        await respond(tapResponse(NOW, undefined, ALARM_ACTIONS.SNOOZE));
+
+        expect(navigation.navigate).toHaveBeenCalledWith('DismissAlarm', {
+          alarmId: 'alarm-1',
+          duration: 5,
+          firedAt: NOW.getTime(),
+        });
+      });
+
+      it('handles a snooze that launched the app after the alarm stopped ringing', async () => {
+        jest.setSystemTime(new Date('2026-01-15T09:12:00.000Z'));
+
+        await NotificationService.openFromLaunchResponse(navigation, tapResponse(NOW, undefined, ALARM_ACTIONS.SNOOZE));
+
+        expect((await AlarmStorage.getSnoozeState('alarm-1')).count).toBe(1);
+        expect(Notifications.clearLastNotificationResponseAsync).toHaveBeenCalled();
+      });
+
+      it('opens the app from the snooze button', async () => {
+        await NotificationService.scheduleAlarm(alarm({ id: 'alarm-2', snoozeInterval: 7 }));
+
+        expect(Notifications.setNotificationCategoryAsync).toHaveBeenCalledWith('alarm-snooze-7', [
+          expect.objectContaining({ identifier: ALARM_ACTIONS.SNOOZE, options: { opensAppToForeground: true } }),
+          expect.objectContaining({ identifier: ALARM_ACTIONS.DISMISS, options: { opensAppToForeground: true } }),
+        ]);
+      });
+
+      it('opens the challenge from "Dismiss…" pressed a while after delivery', async () => {
+        jest.setSystemTime(new Date('2026-01-15T09:04:00.000Z'));
+
+        await respond(tapResponse(NOW, undefined, ALARM_ACTIONS.DISMISS));
+
+        expect(navigation.navigate).toHaveBeenCalledWith('DismissAlarm', {
+          alarmId: 'alarm-1',
+          duration: 5,
+          firedAt: NOW.getTime(),
+        });
+      });
+
+      it('ignores a tap once the alarm would have stopped ringing', async () => {
+        jest.setSystemTime(new Date('2026-01-15T09:30:00.000Z'));
+
+        await respond(tapResponse(NOW));
+
+        expect(navigation.navigate).not.toHaveBeenCalled();
+      });
+    });
+  });
+});
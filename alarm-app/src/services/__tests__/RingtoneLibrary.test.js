@@ -0,0 +1,166 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import * as FileSystem from 'expo-file-system/legacy';
+import { Audio } from 'expo-av';
+import { AlarmStorage } from '../AlarmStorage';
+import { RingtoneLibrary, RingtoneImportError, RINGTONES_DIRECTORY } from '../RingtoneLibrary';
+
+const NOW = new Date('2026-01-15T09:00:00.000Z');
+
+const PICKED = { uri: 'file:///cache/DocumentPicker/birds.mp3', name: 'birds.mp3', mimeType: 'audio/mpeg', size: 2048 };
+
+const alarmInput = (overrides = {}) => ({
+  id: 'alarm-1',
+  label: 'Wake up',
+  hour: 7,
+  minute: 30,
+  timeZone: null,
+  frequency: 'daily',
+  duration: 5,
+  ...overrides,
+});
+
+// Lets the restart's promise chain settle
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+describe('RingtoneLibrary', () => {
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await AsyncStorage.clear();
+    Notifications.__reset();
+    FileSystem.__reset();
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('importRingtone', () => {
+    it('copies the file into the ringtones directory and records it', async () => {
+      FileSystem.__addFile(PICKED.uri, PICKED.size);
+
+      const entry = await RingtoneLibrary.importRingtone(PICKED);
+
+      expect(entry).toEqual({
+        uri: `${RINGTONES_DIRECTORY}${NOW.getTime()}-birds.mp3`,
+        name: 'birds.mp3',
+        format: 'mp3',
+        size: 2048,
+        durationMs: 30000,
+        importedAt: NOW.toISOString(),
+      });
+      expect((await FileSystem.getInfoAsync(entry.uri)).exists).toBe(true);
+      expect(await AlarmStorage.loadRingtoneLibrary()).toEqual([entry]);
+    });
+
+    it('rejects unsupported files before copying them', async () => {
+      const error = await RingtoneLibrary.importRingtone({ ...PICKED, name: 'song.flac', mimeType: 'audio/flac' })
+        .catch(e => e);
+
+      expect(error).toBeInstanceOf(RingtoneImportError);
+      expect(error.problems).toHaveLength(1);
+      expect(FileSystem.copyAsync).not.toHaveBeenCalled();
+    });
+
+    it('removes the copy when the file is not playable audio', async () => {
+      FileSystem.__addFile(PICKED.uri, PICKED.size);
+      Audio.Sound.createAsync.mockRejectedValueOnce(new Error('Unsupported format'));
+
+      const error = await RingtoneLibrary.importRingtone(PICKED).catch(e => e);
+
+      expect(error.problems).toEqual(['The file could not be played as audio']);
+      const copy = FileSystem.copyAsync.mock.calls[0][0].to;
+      expect((await FileSystem.getInfoAsync(copy)).exists).toBe(false);
+      expect(await AlarmStorage.loadRingtoneLibrary()).toEqual([]);
+    });
+  });
+
+  describe('playLoopWindow', () => {
+    it('starts at the offset and jumps back at the loop end', async () => {
+      const { sound } = await Audio.Sound.createAsync({ uri: 'file:///tone.mp3' }, { shouldPlay: false });
+
+      await RingtoneLibrary.playLoopWindow(sound, { startMs: 5000, endMs: 20000 });
+
+      expect(sound.setPositionAsync).toHaveBeenCalledWith(5000);
+      expect(sound.playAsync).toHaveBeenCalledTimes(1);
+      const onStatus = sound.setOnPlaybackStatusUpdate.mock.calls[0][0];
+      sound.setPositionAsync.mockClear();
+
+      onStatus({ isLoaded: true, positionMillis: 12000 });
+      expect(sound.setPositionAsync).not.toHaveBeenCalled();
+
+      onStatus({ isLoaded: true, positionMillis: 20200 });
+      expect(sound.setPositionAsync).toHaveBeenCalledWith(5000);
+    });
+
+    it('resumes from the offset when the file finishes', async () => {
+      const { sound } = await Audio.Sound.createAsync({ uri: 'file:///tone.mp3' }, { shouldPlay: false });
+      await RingtoneLibrary.playLoopWindow(sound, { startMs: 5000, endMs: null });
+      const onStatus = sound.setOnPlaybackStatusUpdate.mock.calls[0][0];
+
+      onStatus({ isLoaded: true, positionMillis: 30000, didJustFinish: true });
+
+      await flushPromises();
+      expect(sound.playAsync).toHaveBeenCalledTimes(2);
+      expect(sound.setPositionAsync).toHaveBeenLastCalledWith(5000);
+    });
+  });
+
+  describe('adoptAlarmRingtones', () => {
+    it('copies files still in the picker cache and points the alarms at the copy', async () => {
+      FileSystem.__addFile(PICKED.uri, PICKED.size);
+      const cached = { uri: PICKED.uri, name: PICKED.name };
+      await AlarmStorage.addAlarm(alarmInput({ customRingtone: cached }));
+      await AlarmStorage.addAlarm(alarmInput({ id: 'alarm-2', customRingtone: cached }));
+
+      expect(await RingtoneLibrary.adoptAlarmRingtones()).toEqual({ missing: [], unusable: [] });
+
+      const [entry] = await AlarmStorage.loadRingtoneLibrary();
+      expect(entry.uri.startsWith(RINGTONES_DIRECTORY)).toBe(true);
+      const alarms = await AlarmStorage.loadAlarms();
+      expect(alarms.map(alarm => alarm.customRingtone)).toEqual([
+        { uri: entry.uri, name: 'birds.mp3' },
+        { uri: entry.uri, name: 'birds.mp3' },
+      ]);
+      expect(FileSystem.copyAsync).toHaveBeenCalledTimes(1);
+    });
+
+    it('reports alarms whose file is already gone once and clears their ringtone', async () => {
+      await AlarmStorage.addAlarm(alarmInput({ customRingtone: { uri: PICKED.uri, name: PICKED.name } }));
+
+      expect(await RingtoneLibrary.adoptAlarmRingtones()).toEqual({ missing: ['Wake up'], unusable: [] });
+      expect((await AlarmStorage.getAlarm('alarm-1')).customRingtone).toBeNull();
+      expect(await RingtoneLibrary.adoptAlarmRingtones()).toEqual({ missing: [], unusable: [] });
+    });
+
+    it('tells files that fail the checks apart from missing ones', async () => {
+      const cached = { uri: 'file:///cache/DocumentPicker/recording', name: 'recording' };
+      FileSystem.__addFile(cached.uri, 2048);
+      await AlarmStorage.addAlarm(alarmInput({ customRingtone: cached }));
+
+      const { missing, unusable } = await RingtoneLibrary.adoptAlarmRingtones();
+
+      expect(missing).toEqual([]);
+      expect(unusable).toEqual([{ label: 'Wake up', reason: expect.stringContaining("This file can't be used as a ringtone") }]);
+      expect((await AlarmStorage.getAlarm('alarm-1')).customRingtone).toEqual({ ...cached, notCopied: true });
+      expect(FileSystem.copyAsync).not.toHaveBeenCalled();
+
+      // Reported once; the alarm keeps the cached file
+      expect(await RingtoneLibrary.adoptAlarmRingtones()).toEqual({ missing: [], unusable: [] });
+    });
+
+    it('leaves library ringtones alone', async () => {
+      FileSystem.__addFile(PICKED.uri, PICKED.size);
+      const entry = await RingtoneLibrary.importRingtone(PICKED);
+      await AlarmStorage.addAlarm(alarmInput({ customRingtone: { uri: entry.uri, name: entry.name } }));
+      FileSystem.copyAsync.mockClear();
+
+      expect(await RingtoneLibrary.adoptAlarmRingtones()).toEqual({ missing: [], unusable: [] });
+      expect(FileSystem.copyAsync).not.toHaveBeenCalled();
+    });
+  });
+});
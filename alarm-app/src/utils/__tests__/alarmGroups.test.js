@@ -0,0 +1,57 @@
+import { getGroupId, groupAlarms, summarizeGroup, validateGroupName } from '../alarmGroups';
+
+const WORKDAYS = { id: 'g1', name: 'Workdays' };
+const VACATION = { id: 'g2', name: 'Vacation' };
+
+const alarm = (id, overrides = {}) => ({ id, isActive: true, groupId: null, ...overrides });
+
+describe('getGroupId', () => {
+  it('treats alarms of a deleted group as ungrouped', () => {
+    expect(getGroupId(alarm('1', { groupId: 'g1' }), [WORKDAYS])).toBe('g1');
+    expect(getGroupId(alarm('1', { groupId: 'gone' }), [WORKDAYS])).toBeNull();
+    expect(getGroupId({ id: '1' }, [WORKDAYS])).toBeNull();
+  });
+});
+
+describe('groupAlarms', () => {
+  it('has one untitled section without groups', () => {
+    const alarms = [alarm('1'), alarm('2')];
+    expect(groupAlarms(alarms, [])).toEqual([{ key: 'ungrouped', group: null, data: alarms }]);
+  });
+
+  it('lists each group, empty ones included, then the ungrouped alarms', () => {
+    const alarms = [alarm('1', { groupId: 'g1' }), alarm('2'), alarm('3', { groupId: 'g1' })];
+    const sections = groupAlarms(alarms, [WORKDAYS, VACATION]);
+
+    expect(sections.map(section => [section.key, section.data.map(item => item.id)])).toEqual([
+      ['g1', ['1', '3']],
+      ['g2', []],
+      ['ungrouped', ['2']],
+    ]);
+  });
+
+  it('leaves out the ungrouped section when every alarm has a group', () => {
+    const sections = groupAlarms([alarm('1', { groupId: 'g1' })], [WORKDAYS]);
+    expect(sections.map(section => section.key)).toEqual(['g1']);
+  });
+});
+
+describe('summarizeGroup', () => {
+  it('counts a group as on while any alarm in it is', () => {
+    expect(summarizeGroup([alarm('1'), alarm('2', { isActive: false })])).toEqual({ active: 1, total: 2, isActive: true });
+    expect(summarizeGroup([alarm('1', { isActive: false })]).isActive).toBe(false);
+    expect(summarizeGroup([])).toEqual({ active: 0, total: 0, isActive: false });
+  });
+});
+
+describe('validateGroupName', () => {
+  it('accepts a new name', () => {
+    expect(validateGroupName('Night shift', [WORKDAYS])).toBeNull();
+  });
+
+  it('rejects empty, overlong and taken names', () => {
+    expect(validateGroupName('  ', [])).toBe('Enter a name for the group');
+    expect(validateGroupName('x'.repeat(31), [])).toBe('Group names can be at most 30 characters');
+    expect(validateGroupName(' workdays', [WORKDAYS])).toBe('There is already a group called "workdays"');
+  });
+});
@@ -0,0 +1,39 @@
+import {
+  DEFAULT_TONE_ID,
+  DEFAULT_VIBRATION_PRESET,
+  getAlarmTone,
+  getSoundProfile,
+  getVibrationPreset,
+} from '../alarmSounds';
+
+describe('getAlarmTone', () => {
+  it('finds a built-in tone by id', () => {
+    expect(getAlarmTone('chime')).toMatchObject({ id: 'chime', file: 'alarm_chime.wav' });
+  });
+
+  it('falls back to the default tone', () => {
+    expect(getAlarmTone(undefined).id).toBe(DEFAULT_TONE_ID);
+    expect(getAlarmTone('removed-tone').id).toBe(DEFAULT_TONE_ID);
+  });
+});
+
+describe('getVibrationPreset', () => {
+  it('falls back to the default preset', () => {
+    expect(getVibrationPreset('unknown').id).toBe(DEFAULT_VIBRATION_PRESET);
+  });
+
+  it('has no pattern when vibration is off', () => {
+    expect(getVibrationPreset('none').pattern).toBeNull();
+  });
+});
+
+describe('getSoundProfile', () => {
+  it('names the channel after the tone and vibration preset', () => {
+    expect(getSoundProfile({ toneId: 'digital', vibrationPreset: 'heartbeat' }).channelId)
+      .toBe('alarm-digital-heartbeat');
+  });
+
+  it('uses the defaults for alarms saved without the options', () => {
+    expect(getSoundProfile({}).channelId).toBe(`alarm-${DEFAULT_TONE_ID}-${DEFAULT_VIBRATION_PRESET}`);
+  });
+});
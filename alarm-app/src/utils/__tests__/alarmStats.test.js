@@ -0,0 +1,159 @@
+import {
+  formatSeconds,
+  getUnloggedRings,
+  getWeekStart,
+  summarizeByAlarm,
+  summarizeByWeek,
+  summarizeEvents,
+} from '../alarmStats';
+
+const event = (alarmId, firedAt, outcome, extra = {}) => ({
+  id: `${alarmId}-${firedAt}`,
+  alarmId,
+  label: `Alarm ${alarmId}`,
+  firedAt,
+  outcome,
+  secondsToDismiss: null,
+  attempts: 0,
+  codesRegenerated: 0,
+  ...extra,
+});
+
+describe('summarizeEvents', () => {
+  it('returns empty totals for no events', () => {
+    expect(summarizeEvents([])).toEqual({
+      total: 0,
+      dismissed: 0,
+      timedOut: 0,
+      snoozed: 0,
+      averageSecondsToDismiss: null,
+      currentMissedStreak: 0,
+      longestMissedStreak: 0,
+      totalAttempts: 0,
+      codesRegenerated: 0,
+    });
+  });
+
+  it('averages wake-up latency over dismissed events only', () => {
+    const summary = summarizeEvents([
+      event('1', '2026-03-02T07:00:00.000Z', 'dismissed', { secondsToDismiss: 30 }),
+      event('1', '2026-03-03T07:00:00.000Z', 'dismissed', { secondsToDismiss: 91 }),
+      event('1', '2026-03-04T07:00:00.000Z', 'timed_out'),
+    ]);
+    expect(summary.averageSecondsToDismiss).toBe(61);
+    expect(summary.dismissed).toBe(2);
+    expect(summary.timedOut).toBe(1);
+  });
+
+  it('tracks current and longest missed streaks in firing order, ignoring snoozes', () => {
+    const summary = summarizeEvents([
+      // Deliberately out of order
+      event('1', '2026-03-05T07:00:00.000Z', 'timed_out'),
+      event('1', '2026-03-01T07:00:00.000Z', 'timed_out'),
+      event('1', '2026-03-02T07:00:00.000Z', 'timed_out'),
+      event('1', '2026-03-03T07:00:00.000Z', 'timed_out'),
+      event('1', '2026-03-04T07:00:00.000Z', 'dismissed', { secondsToDismiss: 10 }),
+      event('1', '2026-03-05T07:10:00.000Z', 'snoozed'),
+      event('1', '2026-03-06T07:00:00.000Z', 'timed_out'),
+    ]);
+    expect(summary.longestMissedStreak).toBe(3);
+    expect(summary.currentMissedStreak).toBe(2);
+    expect(summary.snoozed).toBe(1);
+  });
+
+  it('counts alarms that rang without the app as missed', () => {
+    const summary = summarizeEvents([
+      event('1', '2026-03-02T07:00:00.000Z', 'timed_out'),
+      event('1', '2026-03-03T07:00:00.000Z', 'missed'),
+    ]);
+    expect(summary.timedOut).toBe(2);
+    expect(summary.currentMissedStreak).toBe(2);
+  });
+
+  it('totals attempts and regenerated codes', () => {
+    const summary = summarizeEvents([
+      event('1', '2026-03-02T07:00:00.000Z', 'dismissed', { attempts: 2, codesRegenerated: 1 }),
+      event('2', '2026-03-02T08:00:00.000Z', 'timed_out', { attempts: 5 }),
+    ]);
+    expect(summary.totalAttempts).toBe(7);
+    expect(summary.codesRegenerated).toBe(1);
+  });
+});
+
+describe('getUnloggedRings', () => {
+  const alarm = { id: '1', hour: 7, minute: 0, timeZone: 'UTC', frequency: 'daily', isActive: true };
+  const window = {
+    after: new Date('2026-03-01T12:00:00.000Z'),
+    until: new Date('2026-03-04T12:00:00.000Z'),
+    earlyMs: 60 * 1000,
+    ringingMs: 5 * 60 * 1000,
+  };
+
+  it('returns the rings no event fired for', () => {
+    const rings = getUnloggedRings(alarm, [
+      event('1', '2026-03-02T06:59:30.000Z', 'snoozed'),
+      event('1', '2026-03-03T07:06:00.000Z', 'dismissed'),
+      event('2', '2026-03-04T07:00:00.000Z', 'dismissed'),
+    ], window);
+    expect(rings.map(ring => ring.toISOString())).toEqual([
+      '2026-03-03T07:00:00.000Z',
+      '2026-03-04T07:00:00.000Z',
+    ]);
+  });
+
+  it('looks back over a one-time alarm', () => {
+    const once = { ...alarm, frequency: 'once', date: '2026-03-02' };
+    expect(getUnloggedRings(once, [], window).map(ring => ring.toISOString())).toEqual(['2026-03-02T07:00:00.000Z']);
+    expect(getUnloggedRings(once, [], { ...window, after: new Date('2026-03-02T07:00:00.000Z') })).toEqual([]);
+  });
+});
+
+describe('summarizeByAlarm', () => {
+  it('groups by alarm, newest activity first, labelled from the latest event', () => {
+    const groups = summarizeByAlarm([
+      event('1', '2026-03-02T07:00:00.000Z', 'dismissed'),
+      event('2', '2026-03-03T07:00:00.000Z', 'timed_out'),
+      event('1', '2026-03-01T07:00:00.000Z', 'timed_out', { label: 'Old label' }),
+    ]);
+    expect(groups.map(g => g.alarmId)).toEqual(['2', '1']);
+    expect(groups[1].label).toBe('Alarm 1');
+    expect(groups[1].summary.total).toBe(2);
+  });
+});
+
+describe('getWeekStart', () => {
+  it('returns local midnight on Monday', () => {
+    const start = getWeekStart(new Date(2026, 2, 8, 15, 30)); // Sunday 8 March 2026
+    expect(start.getDay()).toBe(1);
+    expect(start.getDate()).toBe(2);
+    expect(start.getHours()).toBe(0);
+  });
+
+  it('keeps Monday in the same week', () => {
+    expect(getWeekStart(new Date(2026, 2, 9, 0, 5)).getDate()).toBe(9);
+  });
+});
+
+describe('summarizeByWeek', () => {
+  it('buckets events into weeks, newest first, including empty weeks', () => {
+    const now = new Date(2026, 2, 11, 12, 0); // Wednesday
+    const weeks = summarizeByWeek([
+      event('1', new Date(2026, 2, 10, 7, 0).toISOString(), 'dismissed'),
+      event('1', new Date(2026, 2, 3, 7, 0).toISOString(), 'timed_out'),
+      event('1', new Date(2026, 1, 1, 7, 0).toISOString(), 'timed_out'),
+    ], 3, now);
+
+    expect(weeks).toHaveLength(3);
+    expect(weeks[0].summary.dismissed).toBe(1);
+    expect(weeks[1].summary.timedOut).toBe(1);
+    expect(weeks[2].summary.total).toBe(0);
+  });
+});
+
+describe('formatSeconds', () => {
+  it('formats durations', () => {
+    expect(formatSeconds(null)).toBe('–');
+    expect(formatSeconds(42)).toBe('42s');
+    expect(formatSeconds(125)).toBe('2m 5s');
+  });
+});
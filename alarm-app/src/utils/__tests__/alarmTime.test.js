@@ -0,0 +1,124 @@
+import {
+  addDays,
+  getNextWallClockTime,
+  getOnceDate,
+  getOnceFireTime,
+  getZonedParts,
+  isValidTimeZone,
+  parseDateKey,
+  zonedTimeToInstant,
+} from '../alarmTime';
+
+const NEW_YORK = 'America/New_York';
+
+describe('getZonedParts', () => {
+  it('reads the calendar in the given zone', () => {
+    const parts = getZonedParts(new Date('2026-03-02T03:30:00.000Z'), NEW_YORK);
+    expect(parts).toEqual({ year: 2026, month: 3, day: 1, hour: 22, minute: 30, second: 0, weekday: 0 });
+  });
+
+  it('reports midnight as hour 0', () => {
+    expect(getZonedParts(new Date('2026-03-02T05:00:00.000Z'), NEW_YORK).hour).toBe(0);
+  });
+});
+
+describe('zonedTimeToInstant', () => {
+  it('converts a plain wall-clock time', () => {
+    const instant = zonedTimeToInstant({ year: 2026, month: 1, day: 15, hour: 7, minute: 0 }, NEW_YORK);
+    expect(instant.toISOString()).toBe('2026-01-15T12:00:00.000Z');
+  });
+
+  it('moves times in a spring-forward gap forward by the gap', () => {
+    // Clocks in New York jump from 02:00 to 03:00 on 8 March 2026
+    const instant = zonedTimeToInstant({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, NEW_YORK);
+    expect(instant.toISOString()).toBe('2026-03-08T07:30:00.000Z');
+    expect(getZonedParts(instant, NEW_YORK)).toMatchObject({ hour: 3, minute: 30 });
+  });
+
+  it('picks the first of two repeated times when clocks go back', () => {
+    // 01:30 happens twice on 1 November 2026, first in EDT (UTC-4)
+    const instant = zonedTimeToInstant({ year: 2026, month: 11, day: 1, hour: 1, minute: 30 }, NEW_YORK);
+    expect(instant.toISOString()).toBe('2026-11-01T05:30:00.000Z');
+  });
+
+  it('uses the device zone when no zone is given', () => {
+    const instant = zonedTimeToInstant({ year: 2026, month: 1, day: 15, hour: 7, minute: 0 });
+    expect(instant.getTime()).toBe(new Date(2026, 0, 15, 7, 0).getTime());
+  });
+});
+
+describe('getNextWallClockTime', () => {
+  it('returns today when the time is still ahead', () => {
+    const next = getNextWallClockTime(
+      { hour: 7, minute: 0, timeZone: NEW_YORK },
+      new Date('2026-01-15T11:00:00.000Z')
+    );
+    expect(next.toISOString()).toBe('2026-01-15T12:00:00.000Z');
+  });
+
+  it('keeps the wall-clock time across a DST change', () => {
+    const next = getNextWallClockTime(
+      { hour: 7, minute: 0, timeZone: NEW_YORK },
+      new Date('2026-03-07T13:00:00.000Z')
+    );
+    // 07:00 EDT is one hour earlier in UTC than 07:00 EST the day before
+    expect(next.toISOString()).toBe('2026-03-08T11:00:00.000Z');
+  });
+
+  it('only lands on the requested weekdays', () => {
+    // Thursday 15 January 2026, after 07:00; next Monday is the 19th
+    const next = getNextWallClockTime(
+      { hour: 7, minute: 0, timeZone: NEW_YORK, days: [1] },
+      new Date('2026-01-15T13:00:00.000Z')
+    );
+    expect(next.toISOString()).toBe('2026-01-19T12:00:00.000Z');
+  });
+
+  it('waits a full week for a single day whose time has passed', () => {
+    const next = getNextWallClockTime(
+      { hour: 7, minute: 0, timeZone: NEW_YORK, days: [4] },
+      new Date('2026-01-15T13:00:00.000Z')
+    );
+    expect(next.toISOString()).toBe('2026-01-22T12:00:00.000Z');
+  });
+});
+
+describe('one-time alarms', () => {
+  const alarm = { hour: 7, minute: 0, timeZone: NEW_YORK };
+
+  it('ring today when saved well before the time', () => {
+    expect(getOnceDate(alarm, new Date('2026-01-15T11:00:00.000Z'))).toBe('2026-01-15');
+  });
+
+  it('roll over to the next day when saved less than 3 minutes before the time', () => {
+    expect(getOnceDate(alarm, new Date('2026-01-15T11:58:30.000Z'))).toBe('2026-01-16');
+    expect(getOnceDate(alarm, new Date('2026-01-15T11:57:00.000Z'))).toBe('2026-01-15');
+  });
+
+  it('fire on their stored date in their zone', () => {
+    const fireTime = getOnceFireTime({ ...alarm, date: '2026-07-01' });
+    expect(fireTime.toISOString()).toBe('2026-07-01T11:00:00.000Z');
+  });
+
+  it('have no fire time without a valid date', () => {
+    expect(getOnceFireTime({ ...alarm, date: 'tomorrow' })).toBeNull();
+  });
+});
+
+describe('helpers', () => {
+  it('adds days across month and year ends', () => {
+    expect(addDays({ year: 2026, month: 12, day: 31 }, 1)).toEqual({ year: 2027, month: 1, day: 1 });
+    expect(addDays({ year: 2028, month: 2, day: 28 }, 1)).toEqual({ year: 2028, month: 2, day: 29 });
+  });
+
+  it('parses date keys', () => {
+    expect(parseDateKey('2026-03-08')).toEqual({ year: 2026, month: 3, day: 8 });
+    expect(parseDateKey('2026-3-8')).toBeNull();
+  });
+
+  it('recognises IANA zones', () => {
+    expect(isValidTimeZone('Europe/London')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+    expect(isValidTimeZone(null)).toBe(false);
+  });
+});
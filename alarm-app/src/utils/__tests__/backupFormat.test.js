@@ -0,0 +1,163 @@
+import {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  buildBackup,
+  planGroupImport,
+  planImport,
+  validateBackup,
+} from '../backupFormat';
+
+const alarm = (id, overrides = {}) => ({
+  id,
+  hour: 7,
+  minute: 0,
+  timeZone: null,
+  label: `Alarm ${id}`,
+  frequency: 'daily',
+  duration: 5,
+  isActive: true,
+  createdAt: '2026-03-01T20:00:00.000Z',
+  notificationIds: ['n1'],
+  scheduleKey: '[]',
+  ...overrides,
+});
+
+describe('buildBackup', () => {
+  it('versions the backup and strips notification ids', () => {
+    const backup = buildBackup([alarm('1')], new Date('2026-03-05T10:00:00.000Z'));
+    expect(backup.format).toBe(BACKUP_FORMAT);
+    expect(backup.version).toBe(BACKUP_VERSION);
+    expect(backup.exportedAt).toBe('2026-03-05T10:00:00.000Z');
+    expect(backup.alarms[0].notificationIds).toBeUndefined();
+    expect(backup.alarms[0].scheduleKey).toBeUndefined();
+    expect(backup.alarms[0].label).toBe('Alarm 1');
+    expect(buildBackup([alarm('1', { ringsCheckedUntil: '2026-03-04T07:05:00.000Z' })]).alarms[0])
+      .not.toHaveProperty('ringsCheckedUntil');
+  });
+
+  it('keeps each alarm\'s custom ringtone on the alarm', () => {
+    const customRingtone = { uri: 'file:///a.mp3', name: 'a.mp3' };
+    const backup = buildBackup([alarm('1', { customRingtone })]);
+    expect(backup.alarms[0].customRingtone).toEqual(customRingtone);
+    expect(backup).not.toHaveProperty('customRingtones');
+  });
+
+  it('includes the groups without their device state', () => {
+    const groups = [{ id: 'g1', name: 'Workdays', createdAt: '2026-03-01T20:00:00.000Z' }];
+    const backup = buildBackup([alarm('1', { groupId: 'g1' })], new Date(), groups);
+    expect(backup.groups).toEqual([{ id: 'g1', name: 'Workdays' }]);
+    expect(backup.alarms[0].groupId).toBe('g1');
+  });
+});
+
+describe('validateBackup', () => {
+  const valid = () => buildBackup([alarm('1'), alarm('2')]);
+
+  it('accepts a backup it built', () => {
+    expect(validateBackup(valid())).toEqual({ valid: true, errors: [] });
+  });
+
+  it('rejects files that are not backups', () => {
+    expect(validateBackup(null).valid).toBe(false);
+    expect(validateBackup({ alarms: [] }).errors).toEqual(['File is not an alarm backup']);
+  });
+
+  it('rejects newer versions', () => {
+    const backup = { ...valid(), version: BACKUP_VERSION + 1 };
+    expect(validateBackup(backup).errors[0]).toMatch(/Unsupported backup version/);
+  });
+
+  it('reports each invalid field', () => {
+    const backup = valid();
+    backup.alarms[1] = { id: '', hour: 24, minute: 1.5, frequency: 'hourly', duration: 0 };
+    const { valid: isValid, errors } = validateBackup(backup);
+    expect(isValid).toBe(false);
+    expect(errors).toEqual([
+      'alarms[1].id must be a non-empty string',
+      'alarms[1].hour must be an integer from 0 to 23',
+      'alarms[1].minute must be an integer from 0 to 59',
+      'alarms[1].frequency must be one of once, daily, weekly',
+      'alarms[1].duration must be a number between 1 and 60',
+    ]);
+  });
+
+  it('reads version 1 backups, which store an ISO time', () => {
+    const backup = {
+      ...valid(),
+      version: 1,
+      alarms: [{ id: '1', time: '2026-03-02T07:00:00.000Z', frequency: 'daily', duration: 5 }],
+    };
+    expect(validateBackup(backup).valid).toBe(true);
+
+    backup.alarms[0].time = 'not a date';
+    expect(validateBackup(backup).errors).toEqual(['alarms[0].time must be an ISO date string']);
+  });
+
+  it('reads version 2 backups, which keep ringtones in a separate map', () => {
+    const backup = { ...valid(), version: 2, customRingtones: { 1: 'file:///a.mp3' } };
+    expect(validateBackup(backup).valid).toBe(true);
+
+    backup.customRingtones = ['file:///a.mp3'];
+    expect(validateBackup(backup).errors).toEqual(['customRingtones must be an object']);
+  });
+
+  it('reports duplicate ids inside the backup', () => {
+    const backup = buildBackup([alarm('1'), alarm('1')]);
+    expect(validateBackup(backup).errors).toEqual(['Duplicate alarm ids in backup: 1']);
+  });
+
+  it('checks the groups when there are any', () => {
+    const backup = { ...valid(), groups: [{ id: 'g1', name: 'Workdays' }, { id: 'g2', name: ' ' }] };
+    expect(validateBackup(backup).errors).toEqual(['groups[1] must have an id and a name']);
+    expect(validateBackup({ ...valid(), groups: {} }).errors).toEqual(['groups must be a list']);
+  });
+});
+
+describe('planImport', () => {
+  it('adds new alarms, skips identical ones and reports conflicts', () => {
+    const existing = [alarm('1'), alarm('2')];
+    const backup = buildBackup([
+      alarm('1', { notificationIds: ['other-device'] }),
+      alarm('2', { label: 'Changed' }),
+      alarm('3'),
+    ]);
+
+    const { toAdd, duplicates, conflicts } = planImport(existing, backup);
+
+    expect(toAdd.map(a => a.id)).toEqual(['3']);
+    expect(duplicates.map(a => a.id)).toEqual(['1']);
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0]).toMatchObject({ id: '2', label: 'Changed' });
+  });
+
+  it('ignores key order when comparing alarms', () => {
+    const { id, ...rest } = alarm('1');
+    const reordered = { ...rest, id };
+    const { duplicates } = planImport([alarm('1')], buildBackup([reordered]));
+    expect(duplicates).toHaveLength(1);
+  });
+});
+
+describe('planGroupImport', () => {
+  it('reuses groups with the same name and adds the rest', () => {
+    const existing = [{ id: 'local-1', name: 'Workdays' }];
+    const { toAdd, groupIds } = planGroupImport(existing, [
+      { id: 'g1', name: 'workdays' },
+      { id: 'g2', name: 'Vacation' },
+    ]);
+
+    expect(toAdd).toEqual([{ id: 'g2', name: 'Vacation' }]);
+    expect(groupIds).toEqual({ g1: 'local-1', g2: 'g2' });
+  });
+
+  it('renames the id of a new group that clashes with a local one', () => {
+    const { toAdd, groupIds } = planGroupImport([{ id: 'g1', name: 'Workdays' }], [{ id: 'g1', name: 'Night shift' }]);
+
+    expect(toAdd).toEqual([{ id: 'g1-imported', name: 'Night shift' }]);
+    expect(groupIds).toEqual({ g1: 'g1-imported' });
+  });
+
+  it('handles backups without groups', () => {
+    expect(planGroupImport([], undefined)).toEqual({ toAdd: [], groupIds: {} });
+  });
+});
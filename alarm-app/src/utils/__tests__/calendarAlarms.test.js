@@ -0,0 +1,93 @@
+import { buildCalendarAlarm, formatOffset, planCalendarAlarms } from '../calendarAlarms';
+import { parseIcsEvents } from '../icsCalendar';
+
+// The test environment runs in UTC
+const NOW = new Date('2026-03-02T06:00:00.000Z');
+
+const EVENTS = parseIcsEvents([
+  'BEGIN:VCALENDAR',
+  'BEGIN:VEVENT',
+  'UID:flight@example.com',
+  'DTSTART:20260304T063000Z',
+  'SUMMARY:Flight to Berlin',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:standup@example.com',
+  'DTSTART:20260302T063000Z',
+  'RRULE:FREQ=DAILY;COUNT=2',
+  'SUMMARY:Standup',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:offsite@example.com',
+  'DTSTART;VALUE=DATE:20260305',
+  'SUMMARY:Offsite',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:later@example.com',
+  'DTSTART:20260501T090000Z',
+  'SUMMARY:Too far ahead',
+  'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n'));
+
+describe('formatOffset', () => {
+  it('writes minutes and hours', () => {
+    expect(formatOffset(15)).toBe('15 min');
+    expect(formatOffset(60)).toBe('1 hr');
+    expect(formatOffset(90)).toBe('1 hr 30 min');
+  });
+});
+
+describe('planCalendarAlarms', () => {
+  it('lists upcoming occurrences in order with why they cannot become alarms', () => {
+    const rows = planCalendarAlarms(EVENTS, { now: NOW, offsetMinutes: 60 });
+
+    expect(rows.map(row => [row.summary, row.start.toISOString(), row.status])).toEqual([
+      ['Standup', '2026-03-02T06:30:00.000Z', 'passed'],
+      ['Standup', '2026-03-03T06:30:00.000Z', 'new'],
+      ['Flight to Berlin', '2026-03-04T06:30:00.000Z', 'new'],
+      ['Offsite', '2026-03-05T00:00:00.000Z', 'allDay'],
+    ]);
+    expect(rows[1].alarmAt).toEqual(new Date('2026-03-03T05:30:00.000Z'));
+  });
+
+  it('marks occurrences that already have an alarm', () => {
+    const [, standup] = planCalendarAlarms(EVENTS, { now: NOW, offsetMinutes: 60 });
+    const existingAlarms = [{ id: 'a', ...buildCalendarAlarm(standup, 30) }];
+
+    const rows = planCalendarAlarms(EVENTS, { now: NOW, offsetMinutes: 60, existingAlarms });
+
+    expect(rows[1].status).toBe('existing');
+    expect(rows[2].status).toBe('new');
+  });
+});
+
+describe('buildCalendarAlarm', () => {
+  it('makes a one-time alarm the offset before the event', () => {
+    const flight = planCalendarAlarms(EVENTS, { now: NOW, offsetMinutes: 90 })[2];
+
+    expect(buildCalendarAlarm(flight, 90)).toEqual({
+      label: 'Flight to Berlin',
+      hour: 5,
+      minute: 0,
+      timeZone: null,
+      frequency: 'once',
+      date: '2026-03-04',
+      calendarEvent: {
+        uid: 'flight@example.com',
+        summary: 'Flight to Berlin',
+        start: '2026-03-04T06:30:00.000Z',
+        offsetMinutes: 90,
+      },
+    });
+  });
+
+  it('moves to the day before when the offset crosses midnight', () => {
+    const row = { uid: 'x', summary: 'x'.repeat(60), start: new Date('2026-03-04T00:30:00.000Z') };
+
+    const alarm = buildCalendarAlarm(row, 45);
+
+    expect(alarm).toMatchObject({ hour: 23, minute: 45, date: '2026-03-03' });
+    expect(alarm.label).toHaveLength(50);
+  });
+});
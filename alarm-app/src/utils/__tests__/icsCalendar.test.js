@@ -0,0 +1,245 @@
+import {
+  getEventOccurrences,
+  getHolidayDates,
+  parseIcsDate,
+  parseIcsEvents,
+  parseRrule,
+  toInstant,
+} from '../icsCalendar';
+
+const calendar = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+const HOLIDAYS = calendar(
+  'BEGIN:VEVENT',
+  'UID:christmas@example.com',
+  'DTSTART;VALUE=DATE:20261225',
+  'DTEND;VALUE=DATE:20261226',
+  'SUMMARY:Christmas Day',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'DTSTART;VALUE=DATE:20261231',
+  'DTEND;VALUE=DATE:20270102',
+  'SUMMARY:New Year\\, observed',
+  'BEGIN:VALARM',
+  'SUMMARY:Reminder',
+  'TRIGGER:-PT15M',
+  'END:VALARM',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'DTSTART;VALUE=DATE:20260101',
+  'SUMMARY:Last year',
+  'END:VEVENT'
+);
+
+describe('parseIcsDate', () => {
+  it('reads dates and times', () => {
+    expect(parseIcsDate('20261225')).toEqual({ year: 2026, month: 12, day: 25, allDay: true });
+    expect(parseIcsDate('20261225T073000Z')).toEqual({
+      year: 2026, month: 12, day: 25, hour: 7, minute: 30, allDay: false, utc: true, tzid: null,
+    });
+    expect(parseIcsDate('20261225T0730', { TZID: 'Europe/Paris' })).toMatchObject({ utc: false, tzid: 'Europe/Paris' });
+    expect(parseIcsDate('tomorrow')).toBeNull();
+  });
+});
+
+describe('parseIcsEvents', () => {
+  it('reads each event, ignoring nested components', () => {
+    const events = parseIcsEvents(HOLIDAYS);
+
+    expect(events.map(event => event.summary)).toEqual(['Christmas Day', 'New Year, observed', 'Last year']);
+    expect(events[0]).toMatchObject({ uid: 'christmas@example.com', rrule: null });
+    expect(events[1].end).toEqual({ year: 2027, month: 1, day: 2, allDay: true });
+  });
+
+  it('unfolds long lines', () => {
+    const [event] = parseIcsEvents(calendar(
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20261225',
+      'SUMMARY:Christmas',
+      '  Day',
+      'RRULE:FREQ=YEARLY',
+      'END:VEVENT'
+    ));
+    expect(event).toMatchObject({ summary: 'Christmas Day', rrule: 'FREQ=YEARLY' });
+  });
+
+  it('skips events without a start', () => {
+    expect(parseIcsEvents(calendar('BEGIN:VEVENT', 'SUMMARY:Someday', 'END:VEVENT'))).toEqual([]);
+  });
+
+  it('rejects text that is not a calendar', () => {
+    expect(() => parseIcsEvents('{"alarms": []}')).toThrow('File is not an iCalendar (.ics) file');
+  });
+});
+
+describe('getHolidayDates', () => {
+  it('lists each upcoming date an event covers', () => {
+    expect(getHolidayDates(parseIcsEvents(HOLIDAYS), '2026-01-15')).toEqual([
+      { date: '2026-12-25', name: 'Christmas Day' },
+      { date: '2026-12-31', name: 'New Year, observed' },
+      { date: '2027-01-01', name: 'New Year, observed' },
+    ]);
+  });
+
+  it('limits how many dates one event covers', () => {
+    const [event] = parseIcsEvents(calendar(
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20260101',
+      'DTEND;VALUE=DATE:20270101',
+      'END:VEVENT'
+    ));
+    const dates = getHolidayDates([event], '2026-01-01');
+    expect(dates).toHaveLength(31);
+    expect(dates[0]).toEqual({ date: '2026-01-01', name: 'Holiday' });
+  });
+
+  it('follows yearly holidays from a past start, leaving out EXDATEs', () => {
+    const events = parseIcsEvents(calendar(
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20101225',
+      'DTEND;VALUE=DATE:20101227',
+      'RRULE:FREQ=YEARLY',
+      'EXDATE;VALUE=DATE:20261225',
+      'SUMMARY:Christmas',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20150704',
+      'RRULE:FREQ=YEARLY',
+      'SUMMARY:Independence Day',
+      'END:VEVENT'
+    ));
+
+    expect(getHolidayDates(events, '2026-07-04')).toEqual([
+      { date: '2026-07-04', name: 'Independence Day' },
+      { date: '2027-07-04', name: 'Independence Day' },
+    ]);
+    expect(getHolidayDates(events, '2026-12-26')).toEqual([
+      { date: '2027-07-04', name: 'Independence Day' },
+      { date: '2027-12-25', name: 'Christmas' },
+      { date: '2027-12-26', name: 'Christmas' },
+    ]);
+  });
+
+  it('counts a recurring span that started before today', () => {
+    const [event] = parseIcsEvents(calendar(
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20201224',
+      'DTEND;VALUE=DATE:20201227',
+      'RRULE:FREQ=YEARLY;COUNT=10',
+      'SUMMARY:Winter break',
+      'END:VEVENT'
+    ));
+
+    expect(getHolidayDates([event], '2026-12-25').slice(0, 2)).toEqual([
+      { date: '2026-12-25', name: 'Winter break' },
+      { date: '2026-12-26', name: 'Winter break' },
+    ]);
+  });
+});
+
+describe('toInstant', () => {
+  it('reads UTC, zoned and floating times', () => {
+    expect(toInstant(parseIcsDate('20261225T073000Z'))).toEqual(new Date('2026-12-25T07:30:00.000Z'));
+    expect(toInstant(parseIcsDate('20261225T0730', { TZID: 'Europe/Paris' })))
+      .toEqual(new Date('2026-12-25T06:30:00.000Z'));
+    // Floating times and unknown zones follow the device zone (UTC in tests)
+    expect(toInstant(parseIcsDate('20261225T0730'))).toEqual(new Date('2026-12-25T07:30:00.000Z'));
+    expect(toInstant(parseIcsDate('20261225T0730', { TZID: 'W. Europe Standard Time' })))
+      .toEqual(new Date('2026-12-25T07:30:00.000Z'));
+  });
+});
+
+describe('parseRrule', () => {
+  it('reads the parts the app follows', () => {
+    expect(parseRrule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=6')).toEqual({
+      freq: 'WEEKLY', interval: 2, count: 6, until: null, byDay: [1, 3],
+    });
+    expect(parseRrule('FREQ=DAILY;UNTIL=20260131T235959Z').until).toMatchObject({ year: 2026, month: 1, day: 31 });
+  });
+
+  it('gives null for rules it cannot follow', () => {
+    expect(parseRrule('FREQ=MONTHLY;BYDAY=1MO')).toBeNull();
+    expect(parseRrule('FREQ=MONTHLY;BYMONTHDAY=15')).toBeNull();
+    expect(parseRrule('FREQ=HOURLY')).toBeNull();
+    expect(parseRrule('FREQ=DAILY;INTERVAL=0')).toBeNull();
+  });
+});
+
+describe('getEventOccurrences', () => {
+  const event = (...lines) => parseIcsEvents(calendar('BEGIN:VEVENT', ...lines, 'END:VEVENT'))[0];
+  const from = new Date('2026-03-01T00:00:00.000Z');
+  const until = new Date('2026-03-31T00:00:00.000Z');
+  const isoStarts = ({ starts }) => starts.map(start => start.toISOString());
+
+  it('gives a single event when it falls in range', () => {
+    expect(isoStarts(getEventOccurrences(event('DTSTART:20260305T083000Z'), from, until)))
+      .toEqual(['2026-03-05T08:30:00.000Z']);
+    expect(isoStarts(getEventOccurrences(event('DTSTART:20260405T083000Z'), from, until))).toEqual([]);
+  });
+
+  it('follows weekly rules with days, from an old start', () => {
+    const standup = event('DTSTART:20250106T090000Z', 'RRULE:FREQ=WEEKLY;BYDAY=MO,TH');
+    expect(isoStarts(getEventOccurrences(standup, from, new Date('2026-03-10T00:00:00.000Z')))).toEqual([
+      '2026-03-02T09:00:00.000Z',
+      '2026-03-05T09:00:00.000Z',
+      '2026-03-09T09:00:00.000Z',
+    ]);
+  });
+
+  it('counts occurrences from the first one', () => {
+    const course = event('DTSTART:20260226T070000Z', 'RRULE:FREQ=DAILY;INTERVAL=2;COUNT=4');
+    expect(isoStarts(getEventOccurrences(course, from, until))).toEqual([
+      '2026-03-02T07:00:00.000Z',
+      '2026-03-04T07:00:00.000Z',
+    ]);
+  });
+
+  it('stops at UNTIL and leaves out EXDATEs', () => {
+    const review = event(
+      'DTSTART;TZID=Europe/Paris:20260302T080000',
+      'RRULE:FREQ=DAILY;UNTIL=20260305',
+      'EXDATE;TZID=Europe/Paris:20260303T080000'
+    );
+    expect(isoStarts(getEventOccurrences(review, from, until))).toEqual([
+      '2026-03-02T07:00:00.000Z',
+      '2026-03-04T07:00:00.000Z',
+      '2026-03-05T07:00:00.000Z',
+    ]);
+  });
+
+  it('leaves out a date-only EXDATE of an event with a time zone', () => {
+    const review = event(
+      'DTSTART;TZID=Europe/Paris:20260302T080000',
+      'RRULE:FREQ=DAILY;COUNT=3',
+      'EXDATE;VALUE=DATE:20260303'
+    );
+    expect(isoStarts(getEventOccurrences(review, from, until))).toEqual([
+      '2026-03-02T07:00:00.000Z',
+      '2026-03-04T07:00:00.000Z',
+    ]);
+  });
+
+  it('keeps the wall-clock time across a DST change', () => {
+    const flight = event('DTSTART;TZID=Europe/Paris:20260327T060000', 'RRULE:FREQ=DAILY;COUNT=3');
+    expect(isoStarts(getEventOccurrences(flight, from, until))).toEqual([
+      '2026-03-27T05:00:00.000Z',
+      '2026-03-28T05:00:00.000Z',
+      '2026-03-29T04:00:00.000Z',
+    ]);
+  });
+
+  it('passes over months without the day', () => {
+    const rent = event('DTSTART:20260131T080000Z', 'RRULE:FREQ=MONTHLY');
+    expect(isoStarts(getEventOccurrences(rent, from, new Date('2026-06-01T00:00:00.000Z')))).toEqual([
+      '2026-03-31T08:00:00.000Z',
+      '2026-05-31T08:00:00.000Z',
+    ]);
+  });
+
+  it('gives only the first occurrence of rules it cannot follow', () => {
+    const board = event('DTSTART:20260302T100000Z', 'RRULE:FREQ=MONTHLY;BYDAY=1MO');
+    const occurrences = getEventOccurrences(board, from, until);
+    expect(isoStarts(occurrences)).toEqual(['2026-03-02T10:00:00.000Z']);
+    expect(occurrences.approximate).toBe(true);
+  });
+});
@@ -0,0 +1,107 @@
+import { planReconciliation } from '../reconcile';
+
+const request = (identifier, alarmId, type = 'alarm') => ({
+  identifier,
+  content: { data: alarmId ? { alarmId, type } : {} },
+  trigger: {},
+});
+
+const alarm = (id, overrides = {}) => ({
+  id,
+  label: `Alarm ${id}`,
+  hour: 7,
+  minute: 0,
+  timeZone: 'UTC',
+  frequency: 'daily',
+  duration: 5,
+  isActive: true,
+  createdAt: '2026-03-01T20:00:00.000Z',
+  notificationIds: [`n-${id}`],
+  ...overrides,
+});
+
+const NOW = new Date('2026-03-02T12:00:00.000Z');
+
+describe('planReconciliation', () => {
+  it('does nothing when storage and the OS agree', () => {
+    const plan = planReconciliation([alarm('1')], [request('n-1', '1')], {}, NOW);
+    expect(plan).toEqual({ orphans: [], toReschedule: [], expired: [] });
+  });
+
+  it('cancels notifications for deleted or inactive alarms', () => {
+    const plan = planReconciliation(
+      [alarm('1', { isActive: false })],
+      [request('n-1', '1'), request('n-gone', '99')],
+      {},
+      NOW
+    );
+    expect(plan.orphans).toEqual(['n-1', 'n-gone']);
+  });
+
+  it('leaves notifications without an alarmId alone', () => {
+    const plan = planReconciliation([], [request('other', null)], {}, NOW);
+    expect(plan.orphans).toEqual([]);
+  });
+
+  it('keeps pending snooze notifications', () => {
+    const plan = planReconciliation(
+      [alarm('1')],
+      [request('n-1', '1'), request('snooze-1', '1', 'snooze')],
+      { 1: { count: 1, notificationId: 'snooze-1' } },
+      NOW
+    );
+    expect(plan.orphans).toEqual([]);
+  });
+
+  it('reschedules active alarms with missing or partially missing notifications', () => {
+    const plan = planReconciliation(
+      [
+        alarm('1'),
+        alarm('2', { frequency: 'weekly', days: [1, 3], notificationIds: ['n-2a', 'n-2b'] }),
+        alarm('3', { notificationIds: undefined, notificationId: 'legacy-3' }),
+      ],
+      [request('n-2a', '2'), request('legacy-3', '3')],
+      {},
+      NOW
+    );
+    expect(plan.toReschedule.map(a => a.id)).toEqual(['1', '2']);
+  });
+
+  it('turns off one-time alarms whose time has passed instead of rescheduling them', () => {
+    const plan = planReconciliation(
+      [
+        alarm('past', { frequency: 'once', date: '2026-03-02' }),
+        alarm('future', { frequency: 'once', date: '2026-03-02', hour: 18 }),
+        alarm('undated', { frequency: 'once' }),
+      ],
+      [],
+      {},
+      NOW
+    );
+    expect(plan.expired.map(a => a.id)).toEqual(['past', 'undated']);
+    expect(plan.toReschedule.map(a => a.id)).toEqual(['future']);
+  });
+
+  describe('recurring alarms scheduled a week at a time', () => {
+    const windowed = (id, overrides = {}) => alarm(id, {
+      notificationIds: [`n-${id}a`, `n-${id}b`],
+      scheduledUntil: '2026-03-04T07:00:00.000Z',
+      ...overrides,
+    });
+
+    it('expects notifications that already rang to be gone', () => {
+      const plan = planReconciliation([windowed('1')], [request('n-1b', '1')], {}, NOW);
+      expect(plan.toReschedule).toEqual([]);
+    });
+
+    it('reschedules when none are left before the window ends', () => {
+      const plan = planReconciliation([windowed('1')], [], {}, NOW);
+      expect(plan.toReschedule.map(a => a.id)).toEqual(['1']);
+    });
+
+    it('leaves an ended window for refreshSchedules to move on', () => {
+      const plan = planReconciliation([windowed('1', { scheduledUntil: '2026-03-02T07:00:00.000Z' })], [], {}, NOW);
+      expect(plan).toEqual({ orphans: [], toReschedule: [], expired: [] });
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import {
+  MAX_RINGTONE_BYTES,
+  describeRingtone,
+  getRingtoneFormat,
+  getStoredFileName,
+  validateRingtoneFile,
+} from '../ringtoneFiles';
+
+describe('getRingtoneFormat', () => {
+  it('reads the format from the extension', () => {
+    expect(getRingtoneFormat('Morning.MP3', 'audio/mpeg')).toBe('mp3');
+    expect(getRingtoneFormat('voice.m4a')).toBe('m4a');
+  });
+
+  it('uses the MIME type when the name has no extension', () => {
+    expect(getRingtoneFormat('recording', 'audio/x-wav')).toBe('wav');
+  });
+
+  it('rejects unsupported formats', () => {
+    expect(getRingtoneFormat('song.flac', 'audio/mpeg')).toBeNull();
+    expect(getRingtoneFormat('recording', 'audio/ogg')).toBeNull();
+  });
+});
+
+describe('validateRingtoneFile', () => {
+  it('accepts a supported file within the size limit', () => {
+    expect(validateRingtoneFile({ name: 'birds.mp3', size: 2048 })).toEqual([]);
+  });
+
+  it('accepts a file whose size is unknown', () => {
+    expect(validateRingtoneFile({ name: 'birds.mp3' })).toEqual([]);
+  });
+
+  it('reports every problem with the file', () => {
+    expect(validateRingtoneFile({ name: 'song.flac', size: MAX_RINGTONE_BYTES + 5 * 1024 * 1024 })).toEqual([
+      ".flac files can't be used as a ringtone; pick an MP3, M4A, AAC or WAV file",
+      'The file is 25.0 MB; ringtones can be at most 20.0 MB',
+    ]);
+    expect(validateRingtoneFile({ name: 'silence.wav', size: 0 })).toEqual(['The file is empty']);
+  });
+});
+
+describe('getStoredFileName', () => {
+  it('makes a unique, filesystem-safe name', () => {
+    expect(getStoredFileName('My Song (live).mp3', 'mp3', 1700000000000)).toBe('1700000000000-My_Song_live.mp3');
+  });
+
+  it('names files that lose their whole name', () => {
+    expect(getStoredFileName('☀☀.wav', 'wav', 1)).toBe('1-ringtone.wav');
+  });
+});
+
+describe('describeRingtone', () => {
+  it('shows the duration and size', () => {
+    expect(describeRingtone({ durationMs: 32400, size: 524288 })).toBe('0:32 · 512 KB');
+    expect(describeRingtone({ durationMs: 125000, size: 3 * 1024 * 1024 })).toBe('2:05 · 3.0 MB');
+  });
+
+  it('leaves out what is unknown', () => {
+    expect(describeRingtone({ size: 100 })).toBe('100 B');
+    expect(describeRingtone({})).toBe('');
+  });
+});
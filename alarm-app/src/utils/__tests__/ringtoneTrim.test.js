@@ -0,0 +1,65 @@
+import {
+  MIN_LOOP_MS,
+  describeTrim,
+  getTrim,
+  normalizeTrim,
+  shouldRestartLoop,
+  withTrim,
+} from '../ringtoneTrim';
+
+describe('getTrim', () => {
+  it('plays the whole file when the ringtone has no trim', () => {
+    expect(getTrim({ uri: 'file:///tone.mp3', name: 'tone.mp3' })).toEqual({ startMs: 0, endMs: null });
+    expect(getTrim(null)).toEqual({ startMs: 0, endMs: null });
+  });
+});
+
+describe('normalizeTrim', () => {
+  it('keeps the segment inside the file', () => {
+    expect(normalizeTrim({ startMs: -1000, endMs: 40000 }, 30000)).toEqual({ startMs: 0, endMs: null });
+    expect(normalizeTrim({ startMs: 29000, endMs: null }, 30000)).toEqual({ startMs: 30000 - MIN_LOOP_MS, endMs: null });
+  });
+
+  it('keeps the loop at least the minimum length', () => {
+    expect(normalizeTrim({ startMs: 10000, endMs: 10500 }, 30000)).toEqual({ startMs: 10000, endMs: 10000 + MIN_LOOP_MS });
+  });
+
+  it('only orders the segment when the duration is unknown', () => {
+    expect(normalizeTrim({ startMs: 90000, endMs: 5000 })).toEqual({ startMs: 90000, endMs: 90000 + MIN_LOOP_MS });
+  });
+});
+
+describe('withTrim', () => {
+  const ringtone = { uri: 'file:///tone.mp3', name: 'tone.mp3', startMs: 4000, endMs: 9000 };
+
+  it('stores the trim on the ringtone', () => {
+    expect(withTrim(ringtone, { startMs: 5000, endMs: null })).toEqual({ ...ringtone, startMs: 5000, endMs: null });
+  });
+
+  it('drops the trim fields for the whole file', () => {
+    expect(withTrim(ringtone, { startMs: 0, endMs: null })).toEqual({ uri: 'file:///tone.mp3', name: 'tone.mp3' });
+  });
+});
+
+describe('shouldRestartLoop', () => {
+  const trim = { startMs: 5000, endMs: 20000 };
+
+  it('restarts at the loop end or when the file finishes', () => {
+    expect(shouldRestartLoop({ isLoaded: true, positionMillis: 19000 }, trim)).toBe(false);
+    expect(shouldRestartLoop({ isLoaded: true, positionMillis: 20100 }, trim)).toBe(true);
+    expect(shouldRestartLoop({ isLoaded: true, positionMillis: 30000, didJustFinish: true }, { startMs: 5000, endMs: null }))
+      .toBe(true);
+  });
+
+  it('ignores unloaded sounds', () => {
+    expect(shouldRestartLoop({ isLoaded: false }, trim)).toBe(false);
+  });
+});
+
+describe('describeTrim', () => {
+  it('describes the segment that plays', () => {
+    expect(describeTrim({ startMs: 12000, endMs: 45000 })).toBe('0:12 – 0:45');
+    expect(describeTrim({ startMs: 12000, endMs: null })).toBe('from 0:12');
+    expect(describeTrim({ startMs: 0, endMs: null })).toBe('');
+  });
+});
@@ -0,0 +1,162 @@
+import {
+  formatTimeUntil,
+  getFireTimeInWindow,
+  getFireTimesBetween,
+  getNextFireTime,
+  getNextFireTimesByDay,
+  getNextSkippedDate,
+  getScheduleWindow,
+  getUpcomingFireTimes,
+} from '../scheduling';
+
+const alarm = (overrides = {}) => ({
+  id: '1',
+  hour: 7,
+  minute: 0,
+  timeZone: 'UTC',
+  frequency: 'daily',
+  isActive: true,
+  ...overrides,
+});
+
+// Thursday
+const NOW = new Date('2026-01-15T09:00:00.000Z');
+
+describe('getNextFireTime', () => {
+  it('rolls daily alarms to tomorrow once today has passed', () => {
+    expect(getNextFireTime(alarm(), NOW).toISOString()).toBe('2026-01-16T07:00:00.000Z');
+    expect(getNextFireTime(alarm({ hour: 10 }), NOW).toISOString()).toBe('2026-01-15T10:00:00.000Z');
+  });
+
+  it('picks the soonest selected day for weekly alarms', () => {
+    const weekly = alarm({ frequency: 'weekly', days: [1, 5] });
+    expect(getNextFireTime(weekly, NOW).toISOString()).toBe('2026-01-16T07:00:00.000Z');
+    expect(getNextFireTimesByDay(weekly, NOW).map(time => time.toISOString())).toEqual([
+      '2026-01-19T07:00:00.000Z',
+      '2026-01-16T07:00:00.000Z',
+    ]);
+  });
+
+  it('returns the stored date for upcoming one-time alarms and null once passed', () => {
+    expect(getNextFireTime(alarm({ frequency: 'once', date: '2026-01-15', hour: 18 }), NOW).toISOString())
+      .toBe('2026-01-15T18:00:00.000Z');
+    expect(getNextFireTime(alarm({ frequency: 'once', date: '2026-01-15' }), NOW)).toBeNull();
+  });
+
+  it('returns null for unknown frequencies', () => {
+    expect(getNextFireTime(alarm({ frequency: 'hourly' }), NOW)).toBeNull();
+  });
+});
+
+describe('skipped dates', () => {
+  const skip = (...dates) => dates.map(date => ({ date, name: null }));
+
+  it('passes over skipped dates of recurring alarms', () => {
+    const skipping = alarm({ skipDates: skip('2026-01-16', '2026-01-17') });
+    expect(getNextFireTime(skipping, NOW).toISOString()).toBe('2026-01-18T07:00:00.000Z');
+    expect(getNextSkippedDate(skipping, NOW)).toBe('2026-01-16');
+    expect(getNextSkippedDate(alarm(), NOW)).toBeNull();
+  });
+
+  it('uses the date in the alarm zone', () => {
+    // 07:00 in Tokyo on the 16th is 22:00 UTC on the 15th
+    const tokyo = alarm({ timeZone: 'Asia/Tokyo', skipDates: skip('2026-01-16') });
+    expect(getNextFireTime(tokyo, NOW).toISOString()).toBe('2026-01-16T22:00:00.000Z');
+  });
+
+  it('ignores skip dates on one-time alarms', () => {
+    const once = alarm({ frequency: 'once', date: '2026-01-16', skipDates: skip('2026-01-16') });
+    expect(getNextFireTime(once, NOW).toISOString()).toBe('2026-01-16T07:00:00.000Z');
+    expect(getNextSkippedDate(once, NOW)).toBeNull();
+  });
+
+  it('lists the rings up to a time, with at least the first one', () => {
+    const until = new Date('2026-01-18T12:00:00.000Z');
+    expect(getUpcomingFireTimes(alarm({ skipDates: skip('2026-01-17') }), NOW, until).map(time => time.toISOString()))
+      .toEqual(['2026-01-16T07:00:00.000Z', '2026-01-18T07:00:00.000Z']);
+
+    const weekly = alarm({ frequency: 'weekly', days: [1], skipDates: skip('2026-01-19') });
+    expect(getUpcomingFireTimes(weekly, NOW, until).map(time => time.toISOString()))
+      .toEqual(['2026-01-26T07:00:00.000Z']);
+  });
+});
+
+describe('getFireTimesBetween', () => {
+  it('lists past rings, passing over skipped dates', () => {
+    const skipping = alarm({ skipDates: [{ date: '2026-01-13', name: null }] });
+    const times = getFireTimesBetween(skipping, new Date('2026-01-12T07:00:00.000Z'), NOW);
+    expect(times.map(time => time.toISOString())).toEqual(['2026-01-14T07:00:00.000Z', '2026-01-15T07:00:00.000Z']);
+  });
+});
+
+describe('getFireTimeInWindow', () => {
+  const window = { earlyMs: 30 * 1000, lateMs: 2 * 60 * 1000 };
+
+  it('matches a notification that arrives a little late', () => {
+    const late = new Date('2026-01-15T07:01:00.000Z');
+    expect(getFireTimeInWindow(alarm(), late, window).toISOString()).toBe('2026-01-15T07:00:00.000Z');
+  });
+
+  it('matches a 23:59 alarm delivered just after midnight', () => {
+    const justAfterMidnight = new Date('2026-01-16T00:00:30.000Z');
+    const fireTime = getFireTimeInWindow(alarm({ hour: 23, minute: 59 }), justAfterMidnight, window);
+    expect(fireTime.toISOString()).toBe('2026-01-15T23:59:00.000Z');
+  });
+
+  it('matches a midnight weekly alarm delivered early, before the day rolls over', () => {
+    // Friday 00:00, delivered on Thursday evening
+    const fireTime = getFireTimeInWindow(
+      alarm({ frequency: 'weekly', days: [5], hour: 0 }),
+      new Date('2026-01-15T23:59:45.000Z'),
+      window
+    );
+    expect(fireTime.toISOString()).toBe('2026-01-16T00:00:00.000Z');
+  });
+
+  it('does not match a weekly alarm on the wrong day', () => {
+    const thursdayMorning = new Date('2026-01-15T07:00:30.000Z');
+    expect(getFireTimeInWindow(alarm({ frequency: 'weekly', days: [1] }), thursdayMorning, window)).toBeNull();
+  });
+
+  it('applies the early and late limits separately', () => {
+    expect(getFireTimeInWindow(alarm(), new Date('2026-01-15T06:59:30.000Z'), window)).not.toBeNull();
+    expect(getFireTimeInWindow(alarm(), new Date('2026-01-15T06:59:00.000Z'), window)).toBeNull();
+    expect(getFireTimeInWindow(alarm(), new Date('2026-01-15T07:02:00.000Z'), window)).not.toBeNull();
+    expect(getFireTimeInWindow(alarm(), new Date('2026-01-15T07:02:01.000Z'), window)).toBeNull();
+  });
+});
+
+describe('getScheduleWindow', () => {
+  const dailyAlarms = (count) => Array.from({ length: count }, (_, i) => alarm({ id: String(i) }));
+
+  it('keeps the full window while the rings fit', () => {
+    expect(getScheduleWindow(dailyAlarms(8), NOW, { maxDays: 7, budget: 60 }))
+      .toEqual({ days: 7, pending: 56, fits: true });
+  });
+
+  it('shortens the window to fit the budget', () => {
+    expect(getScheduleWindow(dailyAlarms(9), NOW, { maxDays: 7, budget: 60 }))
+      .toEqual({ days: 6, pending: 54, fits: true });
+  });
+
+  it('says when even a day of rings goes over budget', () => {
+    expect(getScheduleWindow(dailyAlarms(61), NOW, { maxDays: 7, budget: 60 }))
+      .toEqual({ days: 1, pending: 61, fits: false });
+  });
+});
+
+describe('formatTimeUntil', () => {
+  const at = (minutes) => new Date(NOW.getTime() + minutes * 60 * 1000);
+
+  it('formats days, hours and minutes', () => {
+    expect(formatTimeUntil(at(7 * 60 + 12), NOW)).toBe('7h 12m');
+    expect(formatTimeUntil(at(3 * 60), NOW)).toBe('3h');
+    expect(formatTimeUntil(at(45), NOW)).toBe('45m');
+    expect(formatTimeUntil(at(2 * 24 * 60 + 3 * 60 + 5), NOW)).toBe('2d 3h');
+    expect(formatTimeUntil(at(24 * 60), NOW)).toBe('1d');
+  });
+
+  it('says less than a minute for imminent alarms', () => {
+    expect(formatTimeUntil(new Date(NOW.getTime() + 30 * 1000), NOW)).toBe('less than a minute');
+  });
+});
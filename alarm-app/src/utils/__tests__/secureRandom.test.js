@@ -0,0 +1,139 @@
+import {
+  ALPHANUMERIC,
+  UNAMBIGUOUS_ALPHANUMERIC,
+  generateSecureCode,
+  secureRandomInt,
+  secureRandomIntBetween,
+} from '../secureRandom';
+
+// Pearson's chi-squared statistic for observed counts against a uniform expectation
+const chiSquared = (counts, total) => {
+  const expected = total / counts.length;
+  return counts.reduce((sum, count) => sum + ((count - expected) ** 2) / expected, 0);
+};
+
+// Critical values at p = 0.0001, so a correct generator fails about once in 10,000 runs
+const CHI_SQUARED_CRITICAL = {
+  31: 69.3, // 32 symbols
+  35: 75.1, // 36 symbols
+  9: 34.1,  // 10 symbols
+};
+
+describe('secureRandomInt', () => {
+  it('stays within range', () => {
+    for (let i = 0; i < 1000; i++) {
+      const value = secureRandomInt(7);
+      expect(Number.isInteger(value)).toBe(true);
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(7);
+    }
+  });
+
+  it('is uniform over a range that does not divide 2^32', () => {
+    const samples = 50000;
+    const counts = new Array(10).fill(0);
+    for (let i = 0; i < samples; i++) {
+      counts[secureRandomInt(10)]++;
+    }
+    expect(chiSquared(counts, samples)).toBeLessThan(CHI_SQUARED_CRITICAL[9]);
+  });
+
+  it('rejects values from the biased top of the 32-bit range', () => {
+    // For n = 3, 2^32 % 3 = 1, so only 0xFFFFFFFF must be rejected
+    const values = [0xFFFFFFFF, 0xFFFFFFFF, 5];
+    const spy = jest.spyOn(globalThis.crypto, 'getRandomValues').mockImplementation((array) => {
+      array[0] = values.shift();
+      return array;
+    });
+
+    expect(secureRandomInt(3)).toBe(5 % 3);
+    expect(spy).toHaveBeenCalledTimes(3);
+    spy.mockRestore();
+  });
+
+  it('accepts the largest unbiased value', () => {
+    const spy = jest.spyOn(globalThis.crypto, 'getRandomValues').mockImplementation((array) => {
+      array[0] = 0xFFFFFFFE;
+      return array;
+    });
+
+    expect(secureRandomInt(3)).toBe(0xFFFFFFFE % 3);
+    expect(spy).toHaveBeenCalledTimes(1);
+    spy.mockRestore();
+  });
+
+  it('rejects invalid ranges', () => {
+    expect(() => secureRandomInt(0)).toThrow(RangeError);
+    expect(() => secureRandomInt(2.5)).toThrow(RangeError);
+    expect(() => secureRandomInt(2 ** 33)).toThrow(RangeError);
+  });
+});
+
+describe('secureRandomIntBetween', () => {
+  it('is inclusive on both ends', () => {
+    const seen = new Set();
+    for (let i = 0; i < 2000; i++) {
+      seen.add(secureRandomIntBetween(3, 5));
+    }
+    expect([...seen].sort()).toEqual([3, 4, 5]);
+  });
+});
+
+describe('generateSecureCode', () => {
+  it('defaults to 8 alphanumeric characters', () => {
+    expect(generateSecureCode()).toMatch(/^[A-Z0-9]{8}$/);
+  });
+
+  it('honours a custom length and alphabet', () => {
+    const code = generateSecureCode({ length: 12, alphabet: 'AB' });
+    expect(code).toMatch(/^[AB]{12}$/);
+  });
+
+  it('never uses ambiguous characters with the unambiguous alphabet', () => {
+    const codes = Array.from({ length: 500 }, () =>
+      generateSecureCode({ alphabet: UNAMBIGUOUS_ALPHANUMERIC })
+    ).join('');
+    expect(codes).not.toMatch(/[01OI]/);
+  });
+
+  it('rejects invalid options', () => {
+    expect(() => generateSecureCode({ length: 0 })).toThrow(RangeError);
+    expect(() => generateSecureCode({ alphabet: 'A' })).toThrow(RangeError);
+    expect(() => generateSecureCode({ alphabet: 'AAB' })).toThrow(RangeError);
+  });
+
+  it.each([
+    ['alphanumeric', ALPHANUMERIC, 35],
+    ['unambiguous', UNAMBIGUOUS_ALPHANUMERIC, 31],
+  ])('produces uniformly distributed characters (%s)', (name, alphabet, degreesOfFreedom) => {
+    const codes = 5000;
+    const length = 8;
+    const counts = new Array(alphabet.length).fill(0);
+    for (let i = 0; i < codes; i++) {
+      for (const char of generateSecureCode({ length, alphabet })) {
+        counts[alphabet.indexOf(char)]++;
+      }
+    }
+    expect(chiSquared(counts, codes * length)).toBeLessThan(CHI_SQUARED_CRITICAL[degreesOfFreedom]);
+  });
+
+  it('produces uniformly distributed characters at every position', () => {
+    const codes = 20000;
+    const alphabet = UNAMBIGUOUS_ALPHANUMERIC;
+    const positions = Array.from({ length: 8 }, () => new Array(alphabet.length).fill(0));
+    for (let i = 0; i < codes; i++) {
+      const code = generateSecureCode({ alphabet });
+      for (let p = 0; p < code.length; p++) {
+        positions[p][alphabet.indexOf(code[p])]++;
+      }
+    }
+    positions.forEach(counts => {
+      expect(chiSquared(counts, codes)).toBeLessThan(CHI_SQUARED_CRITICAL[31]);
+    });
+  });
+
+  it('does not repeat codes', () => {
+    const codes = new Set(Array.from({ length: 10000 }, () => generateSecureCode()));
+    expect(codes.size).toBe(10000);
+  });
+});
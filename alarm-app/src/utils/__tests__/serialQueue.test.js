@@ -0,0 +1,56 @@
+import { createSerialQueue } from '../serialQueue';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('createSerialQueue', () => {
+  it('runs tasks one at a time in queue order', async () => {
+    const enqueue = createSerialQueue();
+    const log = [];
+    let running = 0;
+
+    const task = (name, ms) => async () => {
+      running += 1;
+      expect(running).toBe(1);
+      log.push(`start ${name}`);
+      await delay(ms);
+      log.push(`end ${name}`);
+      running -= 1;
+      return name;
+    };
+
+    const results = await Promise.all([
+      enqueue(task('a', 20)),
+      enqueue(task('b', 0)),
+      enqueue(task('c', 5)),
+    ]);
+
+    expect(results).toEqual(['a', 'b', 'c']);
+    expect(log).toEqual(['start a', 'end a', 'start b', 'end b', 'start c', 'end c']);
+  });
+
+  it('keeps going after a task fails', async () => {
+    const enqueue = createSerialQueue();
+
+    const failed = enqueue(async () => {
+      throw new Error('boom');
+    });
+    const next = enqueue(async () => 'still runs');
+
+    await expect(failed).rejects.toThrow('boom');
+    await expect(next).resolves.toBe('still runs');
+  });
+
+  it('does not lose read-modify-write updates', async () => {
+    const enqueue = createSerialQueue();
+    let stored = 0;
+
+    const increment = () => enqueue(async () => {
+      const value = stored;
+      await delay(1);
+      stored = value + 1;
+    });
+
+    await Promise.all([increment(), increment(), increment(), increment()]);
+    expect(stored).toBe(4);
+  });
+});
@@ -0,0 +1,47 @@
+import { formatSkipDate, getOccurrenceDate, isSkippedDate, mergeSkipDates, removeSkipDate } from '../skipDates';
+
+const christmas = { date: '2026-12-25', name: 'Christmas Day' };
+
+describe('getOccurrenceDate', () => {
+  it('reads the date in the alarm zone', () => {
+    const fireTime = new Date('2026-01-15T22:00:00.000Z');
+    expect(getOccurrenceDate({ timeZone: 'UTC' }, fireTime)).toBe('2026-01-15');
+    expect(getOccurrenceDate({ timeZone: 'Asia/Tokyo' }, fireTime)).toBe('2026-01-16');
+  });
+});
+
+describe('isSkippedDate', () => {
+  it('matches the listed dates only', () => {
+    expect(isSkippedDate({ skipDates: [christmas] }, '2026-12-25')).toBe(true);
+    expect(isSkippedDate({ skipDates: [christmas] }, '2026-12-26')).toBe(false);
+    expect(isSkippedDate({}, '2026-12-25')).toBe(false);
+  });
+});
+
+describe('mergeSkipDates', () => {
+  it('keeps the first entry for a date, in date order', () => {
+    const merged = mergeSkipDates(
+      [christmas],
+      [{ date: '2026-12-25', name: 'Christmas' }, { date: '2026-01-01', name: "New Year's Day" }],
+      '2026-01-01'
+    );
+    expect(merged).toEqual([{ date: '2026-01-01', name: "New Year's Day" }, christmas]);
+  });
+
+  it('drops dates that have passed', () => {
+    expect(mergeSkipDates([{ date: '2026-01-14', name: null }], [christmas], '2026-01-15')).toEqual([christmas]);
+  });
+});
+
+describe('removeSkipDate', () => {
+  it('removes the date', () => {
+    expect(removeSkipDate([christmas, { date: '2026-12-26', name: null }], '2026-12-25'))
+      .toEqual([{ date: '2026-12-26', name: null }]);
+  });
+});
+
+describe('formatSkipDate', () => {
+  it('names the weekday and date', () => {
+    expect(formatSkipDate('2026-12-25')).toBe('Fri, Dec 25');
+  });
+});
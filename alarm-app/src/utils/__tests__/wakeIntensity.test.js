@@ -0,0 +1,63 @@
+import {
+  GENTLE_WAKE_DEFAULTS,
+  MAX_ESCALATION_LEVEL,
+  getEscalationLevel,
+  getGentleWakeSettings,
+  getRampVolume,
+  getVibrationPattern,
+} from '../wakeIntensity';
+
+describe('getRampVolume', () => {
+  it('starts at the start volume and reaches full volume at the end of the ramp', () => {
+    expect(getRampVolume(0, 60, 0.1)).toBeCloseTo(0.1);
+    expect(getRampVolume(30, 60, 0.1)).toBeCloseTo(0.55);
+    expect(getRampVolume(60, 60, 0.1)).toBe(1.0);
+    expect(getRampVolume(600, 60, 0.1)).toBe(1.0);
+  });
+
+  it('plays at full volume without a ramp window', () => {
+    expect(getRampVolume(0, 0)).toBe(1.0);
+  });
+});
+
+describe('getEscalationLevel', () => {
+  it('stays at level 0 until the threshold', () => {
+    expect(getEscalationLevel(0, 180)).toBe(0);
+    expect(getEscalationLevel(179, 180)).toBe(0);
+  });
+
+  it('raises one level per threshold period and caps at the maximum', () => {
+    expect(getEscalationLevel(180, 180)).toBe(1);
+    expect(getEscalationLevel(360, 180)).toBe(2);
+    expect(getEscalationLevel(10000, 180)).toBe(MAX_ESCALATION_LEVEL);
+  });
+});
+
+describe('getVibrationPattern', () => {
+  it('clamps out-of-range levels', () => {
+    expect(getVibrationPattern(-1)).toEqual(getVibrationPattern(0));
+    expect(getVibrationPattern(99)).toEqual(getVibrationPattern(MAX_ESCALATION_LEVEL));
+  });
+
+  it('uses the preset pattern until the alarm escalates', () => {
+    const preset = [0, 150, 150, 400, 1000];
+    expect(getVibrationPattern(0, preset)).toBe(preset);
+    expect(getVibrationPattern(1, preset)).toEqual(getVibrationPattern(1));
+  });
+
+  it('never vibrates when the preset is off', () => {
+    expect(getVibrationPattern(0, null)).toBeNull();
+    expect(getVibrationPattern(MAX_ESCALATION_LEVEL, null)).toBeNull();
+  });
+});
+
+describe('getGentleWakeSettings', () => {
+  it('is disabled with defaults for alarms saved without the option', () => {
+    expect(getGentleWakeSettings({})).toEqual({ enabled: false, ...GENTLE_WAKE_DEFAULTS });
+  });
+
+  it('reads the alarm settings', () => {
+    expect(getGentleWakeSettings({ gentleWake: true, rampSeconds: 30, escalateAfterSeconds: 120 }))
+      .toEqual({ enabled: true, rampSeconds: 30, escalateAfterSeconds: 120 });
+  });
+});
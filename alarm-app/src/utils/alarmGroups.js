@@ -0,0 +1,40 @@
+// Names offered when creating the first groups
+export const GROUP_SUGGESTIONS = ['Workdays', 'Vacation', 'Night shift'];
+
+export const MAX_GROUP_NAME_LENGTH = 30;
+
+// Alarms whose group no longer exists count as ungrouped
+export const getGroupId = (alarm, groups) =>
+  (alarm.groupId && groups.some(group => group.id === alarm.groupId) ? alarm.groupId : null);
+
+// Sections for the alarm list: one per group in the order they were created,
+// then the ungrouped alarms. Without any groups there is a single untitled section.
+export const groupAlarms = (alarms, groups) => {
+  const sections = groups.map(group => ({
+    key: group.id,
+    group,
+    data: alarms.filter(alarm => getGroupId(alarm, groups) === group.id),
+  }));
+  const ungrouped = alarms.filter(alarm => getGroupId(alarm, groups) === null);
+  if (groups.length === 0 || ungrouped.length > 0) {
+    sections.push({ key: 'ungrouped', group: null, data: ungrouped });
+  }
+  return sections;
+};
+
+// A group counts as on while any of its alarms is
+export const summarizeGroup = (groupAlarmList) => {
+  const active = groupAlarmList.filter(alarm => alarm.isActive).length;
+  return { active, total: groupAlarmList.length, isActive: active > 0 };
+};
+
+// Returns a problem with the name, or null when it can be used
+export const validateGroupName = (name, groups) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return 'Enter a name for the group';
+  if (trimmed.length > MAX_GROUP_NAME_LENGTH) {
+    return `Group names can be at most ${MAX_GROUP_NAME_LENGTH} characters`;
+  }
+  const taken = groups.some(group => group.name.toLowerCase() === trimmed.toLowerCase());
+  return taken ? `There is already a group called "${trimmed}"` : null;
+};
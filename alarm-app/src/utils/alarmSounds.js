@@ -0,0 +1,48 @@
+// Built-in alarm tones. `file` is the name the OS plays the notification sound by;
+// the files are bundled through the expo-notifications plugin in app.json, and
+// Android only accepts lowercase letters, digits and underscores in them.
+export const ALARM_TONES = [
+  { id: 'classic', label: 'Classic', file: 'alarm_classic.wav', source: require('../../assets/sounds/alarm_classic.wav') },
+  { id: 'chime', label: 'Chime', file: 'alarm_chime.wav', source: require('../../assets/sounds/alarm_chime.wav') },
+  { id: 'digital', label: 'Digital', file: 'alarm_digital.wav', source: require('../../assets/sounds/alarm_digital.wav') },
+  { id: 'loud', label: 'Loud', file: 'alarm_loud.wav', source: require('../../assets/sounds/alarm_loud.wav') },
+];
+
+export const DEFAULT_TONE_ID = 'classic';
+
+// Played when gentle wake escalates, whatever the alarm's own tone
+export const ESCALATION_TONE_ID = 'loud';
+
+// Imported files have no label of their own, so they go by their file name
+export const ringtoneFromUri = (uri, name = null) => ({
+  uri,
+  name: name || decodeURIComponent(uri.split('/').pop()) || 'Custom ringtone',
+});
+
+// Vibration presets as [wait, vibrate, wait, vibrate, ...] in milliseconds; the
+// same pattern is used by the notification and the dismiss screen
+export const VIBRATION_PRESETS = [
+  { id: 'standard', label: 'Standard', pattern: [0, 1000, 1000] },
+  { id: 'pulse', label: 'Pulse', pattern: [0, 300, 300, 300, 300, 300, 1200] },
+  { id: 'heartbeat', label: 'Heartbeat', pattern: [0, 150, 150, 400, 1000] },
+  { id: 'long', label: 'Long', pattern: [0, 2000, 500] },
+  { id: 'none', label: 'Off', pattern: null },
+];
+
+export const DEFAULT_VIBRATION_PRESET = 'standard';
+
+// Unknown ids fall back to the defaults, so alarms saved before these options existed still ring
+export const getAlarmTone = (id) =>
+  ALARM_TONES.find(tone => tone.id === id) || ALARM_TONES.find(tone => tone.id === DEFAULT_TONE_ID);
+
+export const getVibrationPreset = (id) =>
+  VIBRATION_PRESETS.find(preset => preset.id === id)
+    || VIBRATION_PRESETS.find(preset => preset.id === DEFAULT_VIBRATION_PRESET);
+
+// Android fixes a channel's sound and vibration when it is created, so every
+// combination in use gets its own notification channel
+export const getSoundProfile = (alarm) => {
+  const tone = getAlarmTone(alarm?.toneId);
+  const vibration = getVibrationPreset(alarm?.vibrationPreset);
+  return { tone, vibration, channelId: `alarm-${tone.id}-${vibration.id}` };
+};
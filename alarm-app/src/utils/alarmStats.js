@@ -0,0 +1,124 @@
+import { getFireTimesBetween } from './scheduling';
+
+// Summaries over the alarm history log recorded by AlarmStorage.logAlarmEvent.
+// A snooze is an intermediate step, so only dismissed and missed events count as
+// wake-ups. An alarm is missed when it times out on the dismiss screen ('timed_out')
+// or rings without the app ever being opened for it ('missed').
+
+const isMissed = (event) => event.outcome === 'timed_out' || event.outcome === 'missed';
+
+const isWakeUp = (event) => event.outcome === 'dismissed' || isMissed(event);
+
+const byFiredAt = (a, b) => new Date(a.firedAt) - new Date(b.firedAt);
+
+export const summarizeEvents = (events) => {
+  const sorted = [...events].sort(byFiredAt);
+  const dismissed = sorted.filter(e => e.outcome === 'dismissed');
+  const timedOut = sorted.filter(isMissed);
+  const snoozed = sorted.filter(e => e.outcome === 'snoozed');
+
+  const latencies = dismissed
+    .map(e => e.secondsToDismiss)
+    .filter(seconds => typeof seconds === 'number');
+  const averageSecondsToDismiss = latencies.length > 0
+    ? Math.round(latencies.reduce((sum, seconds) => sum + seconds, 0) / latencies.length)
+    : null;
+
+  // Missed-alarm streaks over consecutive wake-ups
+  let currentMissedStreak = 0;
+  let longestMissedStreak = 0;
+  sorted.filter(isWakeUp).forEach(event => {
+    if (isMissed(event)) {
+      currentMissedStreak += 1;
+      longestMissedStreak = Math.max(longestMissedStreak, currentMissedStreak);
+    } else {
+      currentMissedStreak = 0;
+    }
+  });
+
+  const totalAttempts = sorted.reduce((sum, e) => sum + (e.attempts || 0), 0);
+  const codesRegenerated = sorted.reduce((sum, e) => sum + (e.codesRegenerated || 0), 0);
+
+  return {
+    total: sorted.length,
+    dismissed: dismissed.length,
+    timedOut: timedOut.length,
+    snoozed: snoozed.length,
+    averageSecondsToDismiss,
+    currentMissedStreak,
+    longestMissedStreak,
+    totalAttempts,
+    codesRegenerated,
+  };
+};
+
+// Rings of `alarm` after `after` up to `until` that left no event in the history,
+// i.e. ones the app never handled. An event belongs to a ring when it fired from
+// `earlyMs` before the ring until it stopped ringing, `ringingMs` after.
+export const getUnloggedRings = (alarm, events, { after, until, earlyMs, ringingMs }) => {
+  const firedTimes = events
+    .filter(event => event.alarmId === alarm.id)
+    .map(event => new Date(event.firedAt).getTime());
+  return getFireTimesBetween(alarm, after, until).filter(fireTime => !firedTimes.some(firedAt => (
+    firedAt >= fireTime.getTime() - earlyMs && firedAt <= fireTime.getTime() + ringingMs
+  )));
+};
+
+// Returns [{ alarmId, label, summary }] ordered by most recent activity
+export const summarizeByAlarm = (events) => {
+  const groups = new Map();
+  events.forEach(event => {
+    if (!groups.has(event.alarmId)) {
+      groups.set(event.alarmId, []);
+    }
+    groups.get(event.alarmId).push(event);
+  });
+
+  return Array.from(groups.entries())
+    .map(([alarmId, alarmEvents]) => {
+      const sorted = [...alarmEvents].sort(byFiredAt);
+      const latest = sorted[sorted.length - 1];
+      return {
+        alarmId,
+        label: latest.label || 'Alarm',
+        lastFiredAt: latest.firedAt,
+        summary: summarizeEvents(sorted),
+      };
+    })
+    .sort((a, b) => new Date(b.lastFiredAt) - new Date(a.lastFiredAt));
+};
+
+// Local midnight on the Monday starting the week that contains `date`
+export const getWeekStart = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  const daysSinceMonday = (start.getDay() + 6) % 7;
+  start.setDate(start.getDate() - daysSinceMonday);
+  return start;
+};
+
+// Returns the last `weeks` weeks, newest first, including weeks without events
+export const summarizeByWeek = (events, weeks = 4, now = new Date()) => {
+  const currentWeekStart = getWeekStart(now);
+
+  return Array.from({ length: weeks }, (_, index) => {
+    const weekStart = new Date(currentWeekStart);
+    weekStart.setDate(weekStart.getDate() - index * 7);
+    const weekEnd = new Date(weekStart);
+    weekEnd.setDate(weekEnd.getDate() + 7);
+
+    const weekEvents = events.filter(event => {
+      const firedAt = new Date(event.firedAt);
+      return firedAt >= weekStart && firedAt < weekEnd;
+    });
+
+    return { weekStart, summary: summarizeEvents(weekEvents) };
+  });
+};
+
+export const formatSeconds = (seconds) => {
+  if (seconds === null || seconds === undefined) return '–';
+  const mins = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return mins > 0 ? `${mins}m ${secs}s` : `${secs}s`;
+};
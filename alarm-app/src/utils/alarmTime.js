@@ -0,0 +1,192 @@
+// Alarms are stored as a wall-clock time (hour, minute) rather than an instant.
+// `timeZone` pins the alarm to an IANA zone; without it the alarm follows the
+// device, so 07:00 stays 07:00 after travelling or a DST change. One-time alarms
+// also keep the calendar `date` ('YYYY-MM-DD') they ring on.
+
+// Saving a one-time alarm less than this far ahead makes it ring the next day
+export const ONCE_BUFFER_MS = 3 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Offered when pinning an alarm; the device zone is added in front when missing
+export const COMMON_TIME_ZONES = [
+  'UTC',
+  'America/Los_Angeles',
+  'America/Denver',
+  'America/Chicago',
+  'America/New_York',
+  'America/Sao_Paulo',
+  'Europe/London',
+  'Europe/Paris',
+  'Europe/Berlin',
+  'Europe/Moscow',
+  'Africa/Lagos',
+  'Africa/Johannesburg',
+  'Asia/Dubai',
+  'Asia/Kolkata',
+  'Asia/Singapore',
+  'Asia/Shanghai',
+  'Asia/Tokyo',
+  'Australia/Sydney',
+  'Pacific/Auckland',
+];
+
+export const getDeviceTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// Calendar fields of an instant as seen in `timeZone` (the device zone when null).
+// month is 1-12 and weekday follows Date#getDay().
+export const getZonedParts = (instant, timeZone = null) => {
+  const date = new Date(instant);
+  if (!timeZone) {
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+      second: date.getSeconds(),
+      weekday: date.getDay(),
+    };
+  }
+
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = parseInt(value, 10);
+  });
+  const { year, month, day } = parts;
+  return {
+    year,
+    month,
+    day,
+    hour: parts.hour % 24,
+    minute: parts.minute,
+    second: parts.second,
+    weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay(),
+  };
+};
+
+const getOffsetMs = (instant, timeZone) => {
+  const parts = getZonedParts(instant, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(instant / 1000) * 1000;
+};
+
+// The instant a wall-clock time happens in `timeZone`. A time skipped by a DST
+// gap moves forward by the size of the gap (02:30 becomes 03:30); a time that
+// happens twice when clocks go back resolves to the first one. Both match what
+// the Date constructor does for the device zone.
+export const zonedTimeToInstant = ({ year, month, day, hour, minute }, timeZone = null) => {
+  if (!timeZone) {
+    return new Date(year, month - 1, day, hour, minute, 0, 0);
+  }
+
+  const wallMs = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetBefore = getOffsetMs(wallMs - DAY_MS, timeZone);
+  const offsetAfter = getOffsetMs(wallMs + DAY_MS, timeZone);
+
+  const matches = [wallMs - offsetBefore, wallMs - offsetAfter].filter(candidate => {
+    const parts = getZonedParts(candidate, timeZone);
+    return parts.year === year && parts.month === month && parts.day === day
+      && parts.hour === hour && parts.minute === minute;
+  });
+  if (matches.length > 0) {
+    return new Date(Math.min(...matches));
+  }
+  return new Date(wallMs - offsetBefore);
+};
+
+export const addDays = ({ year, month, day }, days) => {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+export const formatDateKey = ({ year, month, day }) => `${year}-${pad(month)}-${pad(day)}`;
+
+export const parseDateKey = (key) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(key || '');
+  if (!match) return null;
+  return { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+};
+
+const weekdayOf = ({ year, month, day }) => new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+// The first time after `after` that an alarm's wall-clock time comes round on one
+// of `days` (every day when omitted)
+export const getNextWallClockTime = ({ hour, minute, timeZone = null, days = null }, after = new Date()) => {
+  const afterMs = new Date(after).getTime();
+  const today = getZonedParts(afterMs, timeZone);
+
+  // Eight days covers a weekly alarm whose only day is today but whose time has passed
+  for (let offset = 0; offset <= 7; offset++) {
+    const date = addDays(today, offset);
+    if (days && !days.includes(weekdayOf(date))) continue;
+
+    const instant = zonedTimeToInstant({ ...date, hour, minute }, timeZone);
+    if (instant.getTime() > afterMs) {
+      return instant;
+    }
+  }
+  return null;
+};
+
+// The calendar date a one-time alarm saved at `savedAt` rings on
+export const getOnceDate = ({ hour, minute, timeZone = null }, savedAt = new Date()) => {
+  const fireTime = getNextWallClockTime(
+    { hour, minute, timeZone },
+    new Date(savedAt).getTime() + ONCE_BUFFER_MS - 1
+  );
+  return formatDateKey(getZonedParts(fireTime, timeZone));
+};
+
+// When a one-time alarm rings, or null when it has no valid date
+export const getOnceFireTime = (alarm) => {
+  const date = parseDateKey(alarm.date);
+  if (!date) return null;
+  return zonedTimeToInstant({ ...date, hour: alarm.hour, minute: alarm.minute }, alarm.timeZone || null);
+};
+
+// Hour and minute of `date` in the device zone, for building an alarm from a time picker
+export const toWallClock = (date) => ({ hour: date.getHours(), minute: date.getMinutes() });
+
+// A Date today at the alarm's wall-clock time, for prefilling a time picker
+export const wallClockToDate = ({ hour, minute }, base = new Date()) => {
+  const date = new Date(base);
+  date.setHours(hour, minute, 0, 0);
+  return date;
+};
@@ -0,0 +1,171 @@
+// Versioned JSON format for alarm backups. Bump BACKUP_VERSION when the shape
+// changes and teach validateBackup to read older versions.
+export const BACKUP_FORMAT = 'alarm-genie-backup';
+// 1: alarms carry an ISO `time`; 2: wall-clock `hour`/`minute` with optional `timeZone`;
+// 3: each alarm carries its `customRingtone` instead of a top-level `customRingtones` map
+export const BACKUP_VERSION = 3;
+
+const FREQUENCIES = ['once', 'daily', 'weekly'];
+
+// Device-specific fields that must not travel between devices
+const stripDeviceState = (alarm) => {
+  const {
+    notificationId,
+    notificationIds,
+    scheduleKey,
+    scheduledUntil,
+    ringsCheckedUntil,
+    ...portable
+  } = alarm;
+  return portable;
+};
+
+// `groups` is optional, so backups without it read the same in any version
+export const buildBackup = (alarms, now = new Date(), groups = []) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: now.toISOString(),
+  alarms: alarms.map(stripDeviceState),
+  groups: groups.map(({ id, name }) => ({ id, name })),
+});
+
+const validateAlarm = (alarm, index, version) => {
+  const errors = [];
+  const where = `alarms[${index}]`;
+
+  if (!alarm || typeof alarm !== 'object') {
+    return [`${where} is not an object`];
+  }
+  if (typeof alarm.id !== 'string' || !alarm.id) {
+    errors.push(`${where}.id must be a non-empty string`);
+  }
+  if (version < 2) {
+    if (typeof alarm.time !== 'string' || isNaN(new Date(alarm.time).getTime())) {
+      errors.push(`${where}.time must be an ISO date string`);
+    }
+  } else {
+    if (!Number.isInteger(alarm.hour) || alarm.hour < 0 || alarm.hour > 23) {
+      errors.push(`${where}.hour must be an integer from 0 to 23`);
+    }
+    if (!Number.isInteger(alarm.minute) || alarm.minute < 0 || alarm.minute > 59) {
+      errors.push(`${where}.minute must be an integer from 0 to 59`);
+    }
+    if (alarm.timeZone != null && typeof alarm.timeZone !== 'string') {
+      errors.push(`${where}.timeZone must be a time zone name`);
+    }
+  }
+  if (!FREQUENCIES.includes(alarm.frequency)) {
+    errors.push(`${where}.frequency must be one of ${FREQUENCIES.join(', ')}`);
+  }
+  if (typeof alarm.duration !== 'number' || alarm.duration < 1 || alarm.duration > 60) {
+    errors.push(`${where}.duration must be a number between 1 and 60`);
+  }
+  if (alarm.days !== undefined && !Array.isArray(alarm.days)) {
+    errors.push(`${where}.days must be an array`);
+  }
+  if (alarm.customRingtone != null
+    && (typeof alarm.customRingtone !== 'object' || typeof alarm.customRingtone.uri !== 'string')) {
+    errors.push(`${where}.customRingtone must have a uri`);
+  }
+  return errors;
+};
+
+// Returns { valid, errors } with one message per problem found
+export const validateBackup = (data) => {
+  if (!data || typeof data !== 'object') {
+    return { valid: false, errors: ['Backup is not a JSON object'] };
+  }
+  if (data.format !== BACKUP_FORMAT) {
+    return { valid: false, errors: ['File is not an alarm backup'] };
+  }
+  if (typeof data.version !== 'number' || data.version > BACKUP_VERSION) {
+    return { valid: false, errors: [`Unsupported backup version: ${data.version}`] };
+  }
+  if (!Array.isArray(data.alarms)) {
+    return { valid: false, errors: ['Backup has no alarms list'] };
+  }
+
+  const errors = [];
+  data.alarms.forEach((alarm, index) => errors.push(...validateAlarm(alarm, index, data.version)));
+
+  const ids = data.alarms.map(alarm => alarm && alarm.id);
+  const duplicateIds = ids.filter((id, index) => id && ids.indexOf(id) !== index);
+  if (duplicateIds.length > 0) {
+    errors.push(`Duplicate alarm ids in backup: ${[...new Set(duplicateIds)].join(', ')}`);
+  }
+
+  // Backups before version 3 keep ringtones in a map by alarm id
+  if (data.customRingtones !== undefined
+    && (typeof data.customRingtones !== 'object' || Array.isArray(data.customRingtones))) {
+    errors.push('customRingtones must be an object');
+  }
+
+  if (data.groups !== undefined) {
+    if (!Array.isArray(data.groups)) {
+      errors.push('groups must be a list');
+    } else {
+      data.groups.forEach((group, index) => {
+        if (!group || typeof group.id !== 'string' || typeof group.name !== 'string' || !group.name.trim()) {
+          errors.push(`groups[${index}] must have an id and a name`);
+        }
+      });
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+// Key order differs between alarms that went through different migrations
+const sortedJson = (alarm) => {
+  const portable = stripDeviceState(alarm);
+  return JSON.stringify(Object.keys(portable).sort().map(key => [key, portable[key]]));
+};
+
+const sameAlarm = (a, b) => sortedJson(a) === sortedJson(b);
+
+// Decides what happens to each backed-up alarm. Alarms already on the device win:
+// an identical copy is skipped, a different alarm with the same id is a conflict.
+export const planImport = (existingAlarms, backup) => {
+  const existingById = new Map(existingAlarms.map(alarm => [alarm.id, alarm]));
+  const toAdd = [];
+  const duplicates = [];
+  const conflicts = [];
+
+  backup.alarms.forEach(alarm => {
+    const existing = existingById.get(alarm.id);
+    if (!existing) {
+      toAdd.push(stripDeviceState(alarm));
+    } else if (sameAlarm(existing, alarm)) {
+      duplicates.push(alarm);
+    } else {
+      conflicts.push({
+        id: alarm.id,
+        label: alarm.label || 'Alarm',
+        reason: `An alarm with this id already exists ("${existing.label || 'Alarm'}"); kept the existing one`,
+      });
+    }
+  });
+
+  return { toAdd, duplicates, conflicts };
+};
+
+// Matches backed-up groups to the device's by name, so restoring twice doesn't
+// create a second "Workdays". Returns the groups to add and `groupIds`, mapping
+// each backed-up group id to the id its alarms should use here.
+export const planGroupImport = (existingGroups, backupGroups = []) => {
+  const toAdd = [];
+  const groupIds = {};
+  backupGroups.forEach(group => {
+    const name = group.name.trim();
+    const match = [...existingGroups, ...toAdd].find(item => item.name.toLowerCase() === name.toLowerCase());
+    if (match) {
+      groupIds[group.id] = match.id;
+    } else {
+      const taken = [...existingGroups, ...toAdd].some(item => item.id === group.id);
+      const added = { id: taken ? `${group.id}-imported` : group.id, name };
+      toAdd.push(added);
+      groupIds[group.id] = added.id;
+    }
+  });
+  return { toAdd, groupIds };
+};
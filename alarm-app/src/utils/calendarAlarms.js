@@ -0,0 +1,78 @@
+import { formatDateKey, getZonedParts } from './alarmTime';
+import { getEventOccurrences } from './icsCalendar';
+
+// Turns calendar events (see icsCalendar) into one-time alarms that ring a set
+// number of minutes before each occurrence. The alarms follow the device zone
+// like any other, and remember the occurrence in `calendarEvent` so importing
+// the same calendar again doesn't add them twice.
+
+export const CALENDAR_OFFSETS = [15, 30, 45, 60, 90, 120];
+export const DEFAULT_CALENDAR_OFFSET = 60;
+
+// How far ahead event occurrences are listed
+export const CALENDAR_IMPORT_DAYS = 30;
+
+// Labels are cut to the length the alarm editor allows
+const MAX_LABEL_LENGTH = 50;
+
+const MINUTE_MS = 60 * 1000;
+
+// "15 min", "1 hr", "1 hr 30 min"
+export const formatOffset = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `${rest} min`;
+  return rest === 0 ? `${hours} hr` : `${hours} hr ${rest} min`;
+};
+
+export const getAlarmTime = (start, offsetMinutes) => new Date(start.getTime() - offsetMinutes * MINUTE_MS);
+
+const getOccurrenceKey = (uid, start) => `${uid}@${start.toISOString()}`;
+
+// One row per occurrence from `now` until CALENDAR_IMPORT_DAYS ahead, by start
+// time, with the reason it can't become an alarm when it can't:
+// 'allDay' (no time to ring before), 'passed' (the alarm time has gone) or
+// 'existing' (an alarm was already made for it)
+export const planCalendarAlarms = (events, { now, offsetMinutes, existingAlarms = [] }) => {
+  const until = new Date(now.getTime() + CALENDAR_IMPORT_DAYS * 24 * 60 * MINUTE_MS);
+  const existing = new Set(existingAlarms
+    .filter(alarm => alarm.calendarEvent)
+    .map(({ calendarEvent }) => getOccurrenceKey(calendarEvent.uid, new Date(calendarEvent.start))));
+
+  const rows = [];
+  events.forEach((event, index) => {
+    // Events without a UID are told apart by their title
+    const uid = event.uid || event.summary || `event-${index}`;
+    const { starts, approximate } = getEventOccurrences(event, now, until);
+    starts.forEach(start => {
+      const key = getOccurrenceKey(uid, start);
+      const alarmAt = getAlarmTime(start, offsetMinutes);
+      let status = 'new';
+      if (event.start.allDay) status = 'allDay';
+      else if (existing.has(key)) status = 'existing';
+      else if (alarmAt <= now) status = 'passed';
+      rows.push({ key, uid, summary: event.summary, start, alarmAt, approximate, status });
+    });
+  });
+  return rows.sort((a, b) => a.start - b.start || a.summary.localeCompare(b.summary));
+};
+
+// The alarm fields for a planned row; the caller adds the ringing settings
+export const buildCalendarAlarm = (row, offsetMinutes) => {
+  const alarmAt = getAlarmTime(row.start, offsetMinutes);
+  const parts = getZonedParts(alarmAt);
+  return {
+    label: (row.summary || 'Calendar event').slice(0, MAX_LABEL_LENGTH),
+    hour: parts.hour,
+    minute: parts.minute,
+    timeZone: null,
+    frequency: 'once',
+    date: formatDateKey(parts),
+    calendarEvent: {
+      uid: row.uid,
+      summary: row.summary,
+      start: row.start.toISOString(),
+      offsetMinutes,
+    },
+  };
+};
@@ -0,0 +1,291 @@
+import {
+  addDays,
+  formatDateKey,
+  getZonedParts,
+  isValidTimeZone,
+  parseDateKey,
+  zonedTimeToInstant,
+} from './alarmTime';
+
+// Reads the parts of iCalendar (.ics, RFC 5545) files the app uses: the events'
+// summary, start, end and recurrence. Dates are kept as calendar fields
+// ({ year, month, day, hour, minute }) rather than instants; `utc` marks times
+// ending in Z and `tzid` carries a TZID parameter.
+
+// Longest event spread over separate dates, so a stray year-long event can't
+// skip a year of alarms
+export const MAX_EVENT_DAYS = 31;
+
+// Long lines are folded onto following lines that start with a space or tab
+const unfoldLines = (text) => text
+  .split(/\r\n|\n|\r/)
+  .reduce((lines, line) => {
+    if (/^[ \t]/.test(line) && lines.length > 0) {
+      lines[lines.length - 1] += line.slice(1);
+    } else if (line) {
+      lines.push(line);
+    }
+    return lines;
+  }, []);
+
+// "DTSTART;TZID=Europe/Paris:20261225T073000" -> { name, params, value }
+const parseContentLine = (line) => {
+  let quoted = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    if (line[i] === ':' && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...paramList] = line.slice(0, colon).split(';');
+  const params = {};
+  paramList.forEach(param => {
+    const [key, value = ''] = param.split('=');
+    params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+  });
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+const unescapeText = (value) => value
+  .replace(/\\[nN]/g, '\n')
+  .replace(/\\([,;\\])/g, '$1')
+  .trim();
+
+// "20261225" or "20261225T073000Z"; null when the value isn't a date
+export const parseIcsDate = (value, params = {}) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value || '');
+  if (!match) return null;
+
+  const date = { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+  if (!match[4] || params.VALUE === 'DATE') {
+    return { ...date, allDay: true };
+  }
+  return {
+    ...date,
+    hour: Number(match[4]),
+    minute: Number(match[5]),
+    allDay: false,
+    utc: !!match[7],
+    tzid: params.TZID || null,
+  };
+};
+
+// Events as { uid, summary, start, end, rrule, exdates }, skipping any without a usable
+// DTSTART. Throws when the text isn't a calendar at all.
+export const parseIcsEvents = (text) => {
+  const lines = unfoldLines(typeof text === 'string' ? text : '');
+  if (!lines.some(line => line.toUpperCase() === 'BEGIN:VCALENDAR')) {
+    throw new Error('File is not an iCalendar (.ics) file');
+  }
+
+  const events = [];
+  let event = null;
+  // Alarms and other components nested in an event have properties of their own
+  let nested = 0;
+
+  lines.forEach(line => {
+    const property = parseContentLine(line);
+    if (!property) return;
+    const { name, params, value } = property;
+
+    if (name === 'BEGIN') {
+      if (value.toUpperCase() === 'VEVENT' && !event) {
+        event = { uid: null, summary: '', start: null, end: null, rrule: null, exdates: [] };
+      } else if (event) {
+        nested += 1;
+      }
+      return;
+    }
+    if (name === 'END') {
+      if (event && nested > 0) {
+        nested -= 1;
+      } else if (event && value.toUpperCase() === 'VEVENT') {
+        if (event.start) events.push(event);
+        event = null;
+      }
+      return;
+    }
+    if (!event || nested > 0) return;
+
+    if (name === 'UID') event.uid = value;
+    if (name === 'SUMMARY') event.summary = unescapeText(value);
+    if (name === 'DTSTART') event.start = parseIcsDate(value, params);
+    if (name === 'DTEND') event.end = parseIcsDate(value, params);
+    if (name === 'RRULE') event.rrule = value;
+    if (name === 'EXDATE') {
+      event.exdates.push(...value.split(',').map(date => parseIcsDate(date, params)).filter(Boolean));
+    }
+  });
+
+  return events;
+};
+
+// Recurring holidays are listed this far ahead of `today`
+export const HOLIDAY_HORIZON_DAYS = 366;
+
+const dayNumber = (date) => Date.UTC(date.year, date.month - 1, date.day) / (24 * 60 * 60 * 1000);
+
+// One { date, name } per date an event covers from `today` on, in date order,
+// following RRULEs (up to HOLIDAY_HORIZON_DAYS ahead) and EXDATEs. An all-day
+// event's DTEND is the day after it ends; timed events count on the date they
+// start in the device zone.
+export const getHolidayDates = (events, today) => {
+  const todayDate = parseDateKey(today);
+  const horizon = toInstant({ ...addDays(todayDate, HOLIDAY_HORIZON_DAYS), allDay: true });
+  const byDate = new Map();
+  events.forEach(event => {
+    const last = event.start.allDay && event.end
+      ? addDays(event.end, -1)
+      : event.start;
+    const spanDays = Math.min(Math.max(dayNumber(last) - dayNumber(event.start), 0), MAX_EVENT_DAYS - 1);
+    // Occurrences that started a few days ago may still cover today
+    const from = toInstant({ ...addDays(todayDate, -spanDays), allDay: true });
+    const until = event.rrule ? horizon : new Date(8.64e15);
+
+    getEventOccurrences(event, from, until).starts.forEach(start => {
+      const first = getZonedParts(start);
+      for (let i = 0; i <= spanDays; i++) {
+        const key = formatDateKey(addDays(first, i));
+        if (key >= today && !byDate.has(key)) {
+          byDate.set(key, { date: key, name: event.summary || 'Holiday' });
+        }
+      }
+    });
+  });
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// The instant a parsed date stands for. All-day dates start at midnight; floating
+// times and zones the device doesn't know are read in the device zone.
+export const toInstant = (date) => {
+  const { year, month, day, hour = 0, minute = 0 } = date;
+  if (date.utc) {
+    return new Date(Date.UTC(year, month - 1, day, hour, minute));
+  }
+  const timeZone = !date.allDay && isValidTimeZone(date.tzid) ? date.tzid : null;
+  return zonedTimeToInstant({ year, month, day, hour, minute }, timeZone);
+};
+
+const RRULE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const RRULE_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'WKST'];
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Most recurrence periods followed for one event
+const MAX_RRULE_PERIODS = 1000;
+
+// "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE" -> { freq, interval, count, until, byDay },
+// or null when the rule uses parts the app doesn't follow (BYMONTHDAY, BYSETPOS,
+// ordinal days like 1MO, ...)
+export const parseRrule = (value) => {
+  const parts = {};
+  (value || '').split(';').forEach(part => {
+    const [key, partValue = ''] = part.split('=');
+    if (key) parts[key.toUpperCase()] = partValue.toUpperCase();
+  });
+  if (!RRULE_FREQUENCIES.includes(parts.FREQ)) return null;
+  if (Object.keys(parts).some(key => !RRULE_PARTS.includes(key))) return null;
+
+  const interval = parts.INTERVAL ? Number(parts.INTERVAL) : 1;
+  const count = parts.COUNT ? Number(parts.COUNT) : null;
+  const until = parts.UNTIL ? parseIcsDate(parts.UNTIL) : null;
+  if (!Number.isInteger(interval) || interval < 1) return null;
+  if (count !== null && (!Number.isInteger(count) || count < 1)) return null;
+  if (parts.UNTIL && !until) return null;
+
+  let byDay = null;
+  if (parts.BYDAY) {
+    if (!['DAILY', 'WEEKLY'].includes(parts.FREQ)) return null;
+    byDay = parts.BYDAY.split(',').map(code => WEEKDAY_CODES.indexOf(code));
+    if (byDay.some(day => day === -1)) return null;
+  }
+  return { freq: parts.FREQ, interval, count, until, byDay };
+};
+
+const weekdayOf = ({ year, month, day }) => new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// Calendar dates the rule gives in its `period`th period (day, week, month or
+// year, counted in intervals from DTSTART), in order
+const getPeriodDates = (start, rule, period) => {
+  const step = period * rule.interval;
+  if (rule.freq === 'DAILY') {
+    const date = addDays(start, step);
+    return !rule.byDay || rule.byDay.includes(weekdayOf(date)) ? [date] : [];
+  }
+  if (rule.freq === 'WEEKLY') {
+    // Weeks start on Monday, the RFC's default WKST
+    const monday = addDays(start, step * 7 - ((weekdayOf(start) + 6) % 7));
+    const days = rule.byDay || [weekdayOf(start)];
+    return [...new Set(days)]
+      .sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7))
+      .map(day => addDays(monday, (day + 6) % 7));
+  }
+  const months = rule.freq === 'MONTHLY' ? start.month - 1 + step : start.month - 1 + step * 12;
+  const year = start.year + Math.floor(months / 12);
+  const month = (months % 12) + 1;
+  // Months without the day (the 31st, February 29) are passed over
+  return start.day <= daysInMonth(year, month) ? [{ year, month, day: start.day }] : [];
+};
+
+// Periods before `from` that can be passed over without counting occurrences
+const getFirstPeriod = (start, rule, from) => {
+  if (rule.count) return 0;
+  const fromDate = { year: from.getUTCFullYear(), month: from.getUTCMonth() + 1, day: from.getUTCDate() };
+  const days = (Date.UTC(fromDate.year, fromDate.month - 1, fromDate.day)
+    - Date.UTC(start.year, start.month - 1, start.day)) / (24 * 60 * 60 * 1000);
+  const months = (fromDate.year - start.year) * 12 + fromDate.month - start.month;
+  const units = {
+    DAILY: days,
+    WEEKLY: days / 7,
+    MONTHLY: months,
+    YEARLY: months / 12,
+  }[rule.freq];
+  // Two periods of slack cover the difference between UTC and the event's zone
+  return Math.max(0, Math.floor(units / rule.interval) - 2);
+};
+
+// Start times of an event's occurrences from `from` to `until`, following its
+// RRULE and leaving out its EXDATEs. When the rule can't be followed only the
+// first occurrence is given and `approximate` is set.
+export const getEventOccurrences = (event, from, until) => {
+  const first = toInstant(event.start);
+  const inRange = (start) => start >= from && start <= until;
+
+  const rule = event.rrule ? parseRrule(event.rrule) : null;
+  if (!rule) {
+    return { starts: inRange(first) ? [first] : [], approximate: !!event.rrule };
+  }
+
+  // An EXDATE without its own zone is in the event's, and a date-only one removes
+  // the occurrence at the event's start time that day
+  const excluded = new Set(event.exdates.map(date => toInstant(date.allDay
+    ? { ...event.start, year: date.year, month: date.month, day: date.day }
+    : { ...event.start, ...date, tzid: date.tzid || event.start.tzid }).getTime()));
+  // A date-only UNTIL includes the whole day
+  const lastMs = !rule.until ? Infinity : rule.until.allDay
+    ? toInstant({ ...addDays(rule.until, 1), allDay: true }).getTime() - 1
+    : toInstant(rule.until).getTime();
+
+  const starts = [];
+  let count = 0;
+  const firstPeriod = getFirstPeriod(event.start, rule, from);
+  for (let period = firstPeriod; period < firstPeriod + MAX_RRULE_PERIODS; period++) {
+    for (const date of getPeriodDates(event.start, rule, period)) {
+      const start = toInstant({ ...event.start, ...date });
+      if (start < first) continue;
+      count += 1;
+      if (start.getTime() > lastMs || (rule.count && count > rule.count) || start > until) {
+        return { starts, approximate: false };
+      }
+      if (inRange(start) && !excluded.has(start.getTime())) {
+        starts.push(start);
+      }
+    }
+  }
+  return { starts, approximate: false };
+};
@@ -0,0 +1,62 @@
+import { getOnceFireTime } from './alarmTime';
+
+// Compares stored alarms with the notifications the OS actually has scheduled.
+// Only notifications carrying an alarmId are considered ours; anything else is left alone.
+
+const getIds = (alarm) => {
+  if (Array.isArray(alarm.notificationIds)) return alarm.notificationIds;
+  return alarm.notificationId ? [alarm.notificationId] : [];
+};
+
+// scheduled: NotificationRequest[] from getAllScheduledNotificationsAsync
+// snoozeStates: { [alarmId]: { notificationId } } from AlarmStorage
+export const planReconciliation = (alarms, scheduled, snoozeStates = {}, now = new Date()) => {
+  const scheduledIds = new Set(scheduled.map(request => request.identifier));
+
+  const expectedIds = new Set();
+  alarms.filter(alarm => alarm.isActive).forEach(alarm => {
+    getIds(alarm).forEach(id => expectedIds.add(id));
+  });
+  Object.values(snoozeStates).forEach(state => {
+    if (state && state.notificationId) expectedIds.add(state.notificationId);
+  });
+
+  const orphans = scheduled
+    .filter(request => {
+      const data = request.content && request.content.data;
+      return data && data.alarmId && !expectedIds.has(request.identifier);
+    })
+    .map(request => request.identifier);
+
+  const toReschedule = [];
+  const expired = [];
+  alarms.filter(alarm => alarm.isActive).forEach(alarm => {
+    const ids = getIds(alarm);
+
+    // A recurring alarm's notifications go as they ring, so it only lost them when
+    // none are left before its window ends. After that refreshSchedules moves the
+    // window on. Alarms scheduled before windows kept every notification.
+    if (alarm.frequency !== 'once' && alarm.scheduledUntil) {
+      const windowEnded = new Date(alarm.scheduledUntil) <= now;
+      if (!windowEnded && !ids.some(id => scheduledIds.has(id))) {
+        toReschedule.push(alarm);
+      }
+      return;
+    }
+
+    const allScheduled = ids.length > 0 && ids.every(id => scheduledIds.has(id));
+    if (allScheduled) return;
+
+    // A fired one-time alarm is no longer scheduled; don't bring it back for tomorrow
+    if (alarm.frequency === 'once') {
+      const fireTime = getOnceFireTime(alarm);
+      if (!fireTime || fireTime <= now) {
+        expired.push(alarm);
+        return;
+      }
+    }
+    toReschedule.push(alarm);
+  });
+
+  return { orphans, toReschedule, expired };
+};
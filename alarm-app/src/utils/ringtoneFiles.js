@@ -0,0 +1,72 @@
+// Audio formats that play from a file on both Android and iOS
+export const RINGTONE_FORMATS = ['mp3', 'm4a', 'aac', 'wav'];
+
+const FORMAT_NAMES = RINGTONE_FORMATS.map(format => format.toUpperCase());
+const FORMAT_LIST = `${FORMAT_NAMES.slice(0, -1).join(', ')} or ${FORMAT_NAMES[FORMAT_NAMES.length - 1]}`;
+
+export const MAX_RINGTONE_BYTES = 20 * 1024 * 1024;
+
+const MIME_FORMATS = {
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/aac': 'aac',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+};
+
+const getExtension = (name) => {
+  const match = /\.([a-z0-9]+)$/i.exec(name || '');
+  return match ? match[1].toLowerCase() : null;
+};
+
+// The file's format from its extension, or its MIME type when the name has none.
+// Returns null for formats that can't be used as a ringtone.
+export const getRingtoneFormat = (name, mimeType) => {
+  const extension = getExtension(name);
+  if (extension) return RINGTONE_FORMATS.includes(extension) ? extension : null;
+  return MIME_FORMATS[mimeType] || null;
+};
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+export const formatDuration = (ms) => {
+  const totalSeconds = Math.round(ms / 1000);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+// Returns a list of problems, empty when the picked file can be imported
+export const validateRingtoneFile = ({ name, size, mimeType }) => {
+  const problems = [];
+  if (!getRingtoneFormat(name, mimeType)) {
+    const kind = getExtension(name) ? `.${getExtension(name)} files` : 'This file';
+    problems.push(`${kind} can't be used as a ringtone; pick an ${FORMAT_LIST} file`);
+  }
+  if (size === 0) {
+    problems.push('The file is empty');
+  } else if (size > MAX_RINGTONE_BYTES) {
+    problems.push(`The file is ${formatBytes(size)}; ringtones can be at most ${formatBytes(MAX_RINGTONE_BYTES)}`);
+  }
+  return problems;
+};
+
+// Copies get a unique, filesystem-safe name so two files called "alarm.mp3" can coexist
+export const getStoredFileName = (name, format, now = Date.now()) => {
+  const base = (name || 'ringtone').replace(/\.[^.]*$/, '')
+    .replace(/[^a-z0-9_-]+/gi, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 40);
+  return `${now}-${base || 'ringtone'}.${format}`;
+};
+
+// Summary shown under an imported ringtone's name, e.g. "0:32 · 512 KB"
+export const describeRingtone = ({ durationMs, size }) =>
+  [durationMs != null && formatDuration(durationMs), size != null && formatBytes(size)]
+    .filter(Boolean)
+    .join(' · ');
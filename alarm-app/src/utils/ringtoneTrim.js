@@ -0,0 +1,51 @@
+import { formatDuration } from './ringtoneFiles';
+
+// Shorter loops sound like a stutter rather than a ringtone
+export const MIN_LOOP_MS = 2000;
+
+// Step buttons in the ringtone editor, in milliseconds
+export const TRIM_STEPS_MS = [-5000, -1000, 1000, 5000];
+
+// How often a looping ringtone reports its position, so the loop end is overshot by at most this much
+export const LOOP_CHECK_INTERVAL_MS = 250;
+
+// The segment of a custom ringtone that plays: from startMs to endMs, or to the
+// end of the file when endMs is null
+export const getTrim = (ringtone) => ({
+  startMs: ringtone?.startMs || 0,
+  endMs: ringtone?.endMs ?? null,
+});
+
+export const isTrimmed = (trim) => trim.startMs > 0 || trim.endMs != null;
+
+// Keeps the segment inside the file and at least MIN_LOOP_MS long. An end at the
+// end of the file is stored as null. Without a known duration only the order is checked.
+export const normalizeTrim = ({ startMs = 0, endMs = null }, durationMs = null) => {
+  const latestStart = durationMs == null ? Infinity : Math.max(durationMs - MIN_LOOP_MS, 0);
+  const start = Math.round(Math.min(Math.max(startMs, 0), latestStart));
+  if (endMs == null) return { startMs: start, endMs: null };
+
+  const end = Math.round(Math.max(endMs, start + MIN_LOOP_MS));
+  if (durationMs != null && end >= durationMs) return { startMs: start, endMs: null };
+  return { startMs: start, endMs: end };
+};
+
+// Alarms only carry the trim fields when the ringtone is actually trimmed
+export const withTrim = (ringtone, trim) => {
+  const { startMs, endMs, ...rest } = ringtone;
+  return isTrimmed(trim) ? { ...rest, startMs: trim.startMs, endMs: trim.endMs } : rest;
+};
+
+// True when a playback status update means the loop should jump back to its start
+export const shouldRestartLoop = (status, trim) => {
+  if (!status?.isLoaded) return false;
+  if (status.didJustFinish) return true;
+  return trim.endMs != null && status.positionMillis >= trim.endMs;
+};
+
+// "0:12 – 0:45", "from 0:12" or "" for an untrimmed ringtone
+export const describeTrim = (trim) => {
+  if (!isTrimmed(trim)) return '';
+  if (trim.endMs == null) return `from ${formatDuration(trim.startMs)}`;
+  return `${formatDuration(trim.startMs)} – ${formatDuration(trim.endMs)}`;
+};
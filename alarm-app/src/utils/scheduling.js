@@ -0,0 +1,129 @@
+import { normalizeDays } from './weekdays';
+import { getNextWallClockTime, getOnceFireTime } from './alarmTime';
+import { getOccurrenceDate, getSkipDates, isSkippedDate } from './skipDates';
+
+// Single source of truth for when an alarm rings. NotificationService builds its
+// triggers from these times and checks incoming notifications against them, and
+// the UI uses them for "rings in" labels.
+
+// Next time each selected day of a weekly alarm comes round, in `days` order
+export const getNextFireTimesByDay = (alarm, now = new Date()) =>
+  normalizeDays(alarm.days).map(day => getNextWallClockTime({
+    hour: alarm.hour,
+    minute: alarm.minute,
+    timeZone: alarm.timeZone || null,
+    days: [day],
+  }, now));
+
+// The next ring of a recurring alarm after `now`, counting skipped dates
+const getNextOccurrence = (alarm, now) => {
+  if (alarm.frequency === 'daily') {
+    return getNextWallClockTime({
+      hour: alarm.hour,
+      minute: alarm.minute,
+      timeZone: alarm.timeZone || null,
+    }, now);
+  }
+
+  if (alarm.frequency === 'weekly') {
+    const times = getNextFireTimesByDay(alarm, now).filter(Boolean);
+    if (times.length === 0) return null;
+    return new Date(Math.min(...times.map(time => time.getTime())));
+  }
+
+  return null;
+};
+
+// The first time after `now` the alarm rings, or null when it never will again.
+// Recurring alarms pass over their skipped dates. Ignores isActive so the edit
+// screen can preview a switched-off alarm.
+export const getNextFireTime = (alarm, now = new Date()) => {
+  if (alarm.frequency === 'once') {
+    const fireTime = getOnceFireTime(alarm);
+    return fireTime && fireTime > now ? fireTime : null;
+  }
+
+  let fireTime = getNextOccurrence(alarm, now);
+  // Each skipped date can only cover one ring
+  let skipped = 0;
+  while (fireTime && isSkippedDate(alarm, getOccurrenceDate(alarm, fireTime))) {
+    if (++skipped > getSkipDates(alarm).length) return null;
+    fireTime = getNextOccurrence(alarm, fireTime);
+  }
+  return fireTime;
+};
+
+// Every ring after `now` up to `until`. The first ring is included however far
+// off it is, so an alarm with a run of skipped dates still has one.
+export const getUpcomingFireTimes = (alarm, now, until) => {
+  const fireTimes = [];
+  let fireTime = getNextFireTime(alarm, now);
+  while (fireTime && (fireTimes.length === 0 || fireTime <= until)) {
+    fireTimes.push(fireTime);
+    fireTime = getNextFireTime(alarm, fireTime);
+  }
+  return fireTimes;
+};
+
+// Every ring after `after` up to `until`, a one-time alarm's included, for looking
+// back over rings that have already happened
+export const getFireTimesBetween = (alarm, after, until) => {
+  if (alarm.frequency === 'once') {
+    const fireTime = getOnceFireTime(alarm);
+    return fireTime && fireTime > after && fireTime <= until ? [fireTime] : [];
+  }
+
+  const fireTimes = [];
+  let fireTime = getNextFireTime(alarm, after);
+  while (fireTime && fireTime <= until) {
+    fireTimes.push(fireTime);
+    fireTime = getNextFireTime(alarm, fireTime);
+  }
+  return fireTimes;
+};
+
+// The longest window of at most `maxDays` days in which the alarms' rings take no
+// more than `budget` notifications, as { days, pending, fits }. It is never
+// shorter than a day; `fits` is false when even a day's rings go over budget.
+export const getScheduleWindow = (alarms, now, { maxDays, budget }) => {
+  let pending = 0;
+  for (let days = maxDays; days >= 1; days--) {
+    const until = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+    pending = alarms.reduce((sum, alarm) => sum + getUpcomingFireTimes(alarm, now, until).length, 0);
+    if (pending <= budget) return { days, pending, fits: true };
+  }
+  return { days: 1, pending, fits: false };
+};
+
+// The date of the ring a recurring alarm is about to skip, or null when its next
+// ring isn't skipped
+export const getNextSkippedDate = (alarm, now = new Date()) => {
+  if (alarm.frequency === 'once') return null;
+  const fireTime = getNextOccurrence(alarm, now);
+  if (!fireTime) return null;
+  const date = getOccurrenceDate(alarm, fireTime);
+  return isSkippedDate(alarm, date) ? date : null;
+};
+
+// The ring time a notification received at `now` belongs to: one at most
+// `earlyMs` after `now` or at most `lateMs` before it, else null. Works on absolute
+// instants, so a 23:59 alarm delivered at 00:00 still matches the day before.
+export const getFireTimeInWindow = (alarm, now = new Date(), { earlyMs, lateMs }) => {
+  const fireTime = getNextFireTime(alarm, new Date(now.getTime() - lateMs - 1));
+  if (!fireTime) return null;
+  return fireTime.getTime() <= now.getTime() + earlyMs ? fireTime : null;
+};
+
+// "7h 12m", "2d 3h", "45m" or "less than a minute"
+export const formatTimeUntil = (fireTime, now = new Date()) => {
+  const totalMinutes = Math.floor((fireTime.getTime() - now.getTime()) / 60000);
+  if (totalMinutes < 1) return 'less than a minute';
+
+  const days = Math.floor(totalMinutes / (24 * 60));
+  const hours = Math.floor((totalMinutes % (24 * 60)) / 60);
+  const minutes = totalMinutes % 60;
+
+  if (days > 0) return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+  if (hours > 0) return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+  return `${minutes}m`;
+};
@@ -0,0 +1,52 @@
+import * as ExpoCrypto from 'expo-crypto';
+
+export const ALPHANUMERIC = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+// Drops characters that are easy to confuse when retyping: 0/O and 1/I
+export const UNAMBIGUOUS_ALPHANUMERIC = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const UINT32_RANGE = 0x100000000;
+
+// Prefers the Web Crypto API and falls back to expo-crypto on native runtimes without it
+const fillRandomValues = (array) => {
+  if (globalThis.crypto && typeof globalThis.crypto.getRandomValues === 'function') {
+    return globalThis.crypto.getRandomValues(array);
+  }
+  return ExpoCrypto.getRandomValues(array);
+};
+
+// Uniform integer in [0, maxExclusive). Values from the top of the 32-bit range
+// that would make `value % maxExclusive` favour small results are rejected and redrawn.
+export const secureRandomInt = (maxExclusive) => {
+  if (!Number.isInteger(maxExclusive) || maxExclusive < 1 || maxExclusive > UINT32_RANGE) {
+    throw new RangeError(`maxExclusive must be an integer between 1 and 2^32, got ${maxExclusive}`);
+  }
+
+  const limit = UINT32_RANGE - (UINT32_RANGE % maxExclusive);
+  const buffer = new Uint32Array(1);
+  let value;
+  do {
+    fillRandomValues(buffer);
+    value = buffer[0];
+  } while (value >= limit);
+
+  return value % maxExclusive;
+};
+
+// Uniform integer in [min, max], inclusive on both ends
+export const secureRandomIntBetween = (min, max) => min + secureRandomInt(max - min + 1);
+
+export const generateSecureCode = ({ length = 8, alphabet = ALPHANUMERIC } = {}) => {
+  if (!Number.isInteger(length) || length < 1) {
+    throw new RangeError(`length must be a positive integer, got ${length}`);
+  }
+  if (typeof alphabet !== 'string' || new Set(alphabet).size !== alphabet.length || alphabet.length < 2) {
+    throw new RangeError('alphabet must contain at least two distinct characters and no duplicates');
+  }
+
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += alphabet.charAt(secureRandomInt(alphabet.length));
+  }
+  return code;
+};
@@ -0,0 +1,11 @@
+// Runs async tasks one at a time in the order they were queued. A failing task
+// rejects its own promise without stopping the tasks queued after it.
+export const createSerialQueue = () => {
+  let tail = Promise.resolve();
+
+  return (task) => {
+    const run = tail.then(() => task());
+    tail = run.catch(() => {});
+    return run;
+  };
+};
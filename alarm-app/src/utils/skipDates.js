@@ -0,0 +1,38 @@
+import { formatDateKey, getZonedParts, parseDateKey } from './alarmTime';
+
+// Recurring alarms can skip single dates without being switched off. `skipDates`
+// holds { date: 'YYYY-MM-DD', name } entries in the alarm's zone (the device zone
+// when it isn't pinned); `name` is the holiday a date was imported for, or null
+// for a ring skipped by hand.
+
+export const getSkipDates = (alarm) => (Array.isArray(alarm.skipDates) ? alarm.skipDates : []);
+
+// The calendar date a ring falls on in the alarm's zone
+export const getOccurrenceDate = (alarm, fireTime) =>
+  formatDateKey(getZonedParts(fireTime, alarm.timeZone || null));
+
+export const isSkippedDate = (alarm, date) => getSkipDates(alarm).some(skip => skip.date === date);
+
+// Adds the dates not already skipped and drops those before `today`, in date order
+export const mergeSkipDates = (skipDates, additions, today) => {
+  const byDate = new Map();
+  [...skipDates, ...additions].forEach(skip => {
+    if (skip.date >= today && !byDate.has(skip.date)) {
+      byDate.set(skip.date, skip);
+    }
+  });
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+};
+
+export const removeSkipDate = (skipDates, date) => skipDates.filter(skip => skip.date !== date);
+
+// "Thu, Dec 25"
+export const formatSkipDate = (date) => {
+  const { year, month, day } = parseDateKey(date);
+  return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString([], {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+};
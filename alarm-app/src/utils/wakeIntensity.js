@@ -0,0 +1,42 @@
+export const GENTLE_WAKE_DEFAULTS = {
+  rampSeconds: 60,
+  escalateAfterSeconds: 180,
+};
+
+export const GENTLE_WAKE_START_VOLUME = 0.1;
+
+// Vibration patterns by escalation level: longer pulses with shorter gaps as the level rises
+const VIBRATION_PATTERNS = [
+  [1000, 1000],
+  [0, 1500, 500],
+  [0, 2000, 200],
+];
+
+export const MAX_ESCALATION_LEVEL = VIBRATION_PATTERNS.length - 1;
+
+// Linear ramp from the start volume to full volume over rampSeconds
+export const getRampVolume = (elapsedSeconds, rampSeconds, startVolume = GENTLE_WAKE_START_VOLUME) => {
+  if (rampSeconds <= 0 || elapsedSeconds >= rampSeconds) return 1.0;
+  if (elapsedSeconds <= 0) return startVolume;
+  return startVolume + (1.0 - startVolume) * (elapsedSeconds / rampSeconds);
+};
+
+// Level 0 until the threshold, then one level up per further threshold period
+export const getEscalationLevel = (elapsedSeconds, escalateAfterSeconds) => {
+  if (escalateAfterSeconds <= 0 || elapsedSeconds < escalateAfterSeconds) return 0;
+  return Math.min(Math.floor(elapsedSeconds / escalateAfterSeconds), MAX_ESCALATION_LEVEL);
+};
+
+// Level 0 uses the alarm's own preset pattern when given. A null preset means the
+// alarm doesn't vibrate, and escalating doesn't change that.
+export const getVibrationPattern = (level, presetPattern = VIBRATION_PATTERNS[0]) => {
+  if (!presetPattern) return null;
+  const clamped = Math.max(0, Math.min(level, MAX_ESCALATION_LEVEL));
+  return clamped === 0 ? presetPattern : VIBRATION_PATTERNS[clamped];
+};
+
+export const getGentleWakeSettings = (alarm) => ({
+  enabled: !!alarm?.gentleWake,
+  rampSeconds: alarm?.rampSeconds ?? GENTLE_WAKE_DEFAULTS.rampSeconds,
+  escalateAfterSeconds: alarm?.escalateAfterSeconds ?? GENTLE_WAKE_DEFAULTS.escalateAfterSeconds,
+});
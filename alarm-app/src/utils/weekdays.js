@@ -0,0 +1,41 @@
+// Weekdays use JavaScript's Date#getDay() numbering: 0 = Sunday ... 6 = Saturday
+export const WEEKDAYS = [
+  { value: 0, short: 'Sun', initial: 'S' },
+  { value: 1, short: 'Mon', initial: 'M' },
+  { value: 2, short: 'Tue', initial: 'T' },
+  { value: 3, short: 'Wed', initial: 'W' },
+  { value: 4, short: 'Thu', initial: 'T' },
+  { value: 5, short: 'Fri', initial: 'F' },
+  { value: 6, short: 'Sat', initial: 'S' },
+];
+
+export const WEEKDAY_PRESETS = [
+  { label: 'Weekdays', days: [1, 2, 3, 4, 5] },
+  { label: 'Weekends', days: [0, 6] },
+  { label: 'Every day', days: [0, 1, 2, 3, 4, 5, 6] },
+];
+
+export const normalizeDays = (days) => {
+  if (!Array.isArray(days)) return [];
+  const unique = new Set(
+    days
+      .map(day => parseInt(day, 10))
+      .filter(day => !isNaN(day) && day >= 0 && day <= 6)
+  );
+  return Array.from(unique).sort((a, b) => a - b);
+};
+
+const sameDays = (a, b) => a.length === b.length && a.every((day, i) => day === b[i]);
+
+export const formatDays = (days) => {
+  const normalized = normalizeDays(days);
+  const preset = WEEKDAY_PRESETS.find(p => sameDays(p.days, normalized));
+  if (preset) return preset.label;
+
+  // List Monday first, which reads more naturally than Sunday first
+  return normalized
+    .slice()
+    .sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7))
+    .map(day => WEEKDAYS[day].short)
+    .join(', ');
+};
@@ -0,0 +1,175 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createServer } = require('../index');
+const { createMockLlmServer } = require('../mockLlmServer');
+const { loadConfig } = require('../config');
+const { RateLimiter } = require('../rateLimiter');
+
+const TOKEN = 'test-token';
+
+const listen = (server) => new Promise((resolve) => {
+  server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+
+// fetch keeps connections alive, which would hold close() open
+const close = (server) => new Promise((resolve) => {
+  server.close(resolve);
+  server.closeAllConnections();
+});
+
+// Starts the mock LLM and the challenge server on ephemeral ports. `llmCalls`
+// counts the requests that reached the mock.
+async function startServers({ mode = 'ok', env = {} } = {}) {
+  const llm = createMockLlmServer({ mode });
+  const servers = { llm, llmCalls: 0 };
+  llm.on('request', () => { servers.llmCalls += 1; });
+  const llmUrl = await listen(llm);
+
+  servers.app = createServer(loadConfig({
+    API_TOKEN: TOKEN,
+    LLM_API_URL: `${llmUrl}/v1/chat/completions`,
+    LLM_TIMEOUT_MS: '2000',
+    ...env,
+  }));
+  servers.url = await listen(servers.app);
+  return servers;
+}
+
+const stopServers = async ({ app, llm }) => {
+  await close(app);
+  await close(llm);
+};
+
+const generate = (url, body = { alarmId: 'alarm-1' }, token = TOKEN, headers = {}) => fetch(`${url}/api/generate-dismissal-code`, {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json',
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    ...headers,
+  },
+  body: JSON.stringify(body),
+});
+
+describe('POST /api/generate-dismissal-code', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  describe('with a working LLM', () => {
+    let servers;
+    before(async () => {
+      servers = await startServers({ env: { RATE_LIMIT_MAX: '100' } });
+    });
+    after(() => stopServers(servers));
+
+    it('returns a validated code', async () => {
+      const response = await generate(servers.url);
+
+      assert.equal(response.status, 200);
+      const body = await response.json();
+      assert.equal(body.kind, 'code');
+      assert.match(body.code, /^[A-Z0-9]{8}$/);
+      assert.equal(typeof body.expiresAt, 'number');
+    });
+
+    it('returns a riddle with its answer as the code', async () => {
+      const body = await (await generate(servers.url, { alarmId: 'alarm-1', kind: 'riddle' })).json();
+
+      assert.equal(body.kind, 'riddle');
+      assert.ok(body.question.length >= 10);
+      assert.match(body.code, /^[A-Z0-9]{3,12}$/);
+    });
+
+    it('rejects requests without the token', async () => {
+      assert.equal((await generate(servers.url, undefined, null)).status, 401);
+      assert.equal((await generate(servers.url, undefined, 'wrong-token')).status, 401);
+    });
+
+    it('rejects an unknown kind', async () => {
+      const response = await generate(servers.url, { alarmId: 'alarm-1', kind: 'poem' });
+
+      assert.equal(response.status, 400);
+      assert.deepEqual(await response.json(), { error: 'kind must be one of: code, riddle, trivia' });
+    });
+
+    it('rejects a missing or empty alarmId', async () => {
+      assert.equal((await generate(servers.url, {})).status, 400);
+      assert.equal((await generate(servers.url, { alarmId: '' })).status, 400);
+      assert.equal((await generate(servers.url, { alarmId: 42 })).status, 400);
+    });
+  });
+
+  it('answers 429 with Retry-After once the limit is passed', async () => {
+    const servers = await startServers({ env: { RATE_LIMIT_MAX: '2' } });
+    try {
+      assert.equal((await generate(servers.url)).status, 200);
+      assert.equal((await generate(servers.url)).status, 200);
+
+      const limited = await generate(servers.url);
+      assert.equal(limited.status, 429);
+      assert.equal(limited.headers.get('retry-after'), '60');
+      assert.equal(servers.llmCalls, 2);
+    } finally {
+      await stopServers(servers);
+    }
+  });
+
+  it('limits each device separately although they share the token', async () => {
+    const servers = await startServers({ env: { RATE_LIMIT_MAX: '1' } });
+    const asDevice = (deviceId) => generate(servers.url, undefined, TOKEN, { 'X-Device-Id': deviceId });
+    try {
+      assert.equal((await asDevice('device-aaaa-1111')).status, 200);
+      assert.equal((await asDevice('device-aaaa-1111')).status, 429);
+      assert.equal((await asDevice('device-bbbb-2222')).status, 200);
+      // Without a usable id the caller's address is the key
+      assert.equal((await asDevice('bad id')).status, 200);
+      assert.equal((await generate(servers.url)).status, 429);
+    } finally {
+      await stopServers(servers);
+    }
+  });
+
+  it('limits an address however many device ids it sends', async () => {
+    const servers = await startServers({ env: { RATE_LIMIT_MAX: '1', RATE_LIMIT_ADDRESS_MAX: '2' } });
+    const asDevice = (deviceId) => generate(servers.url, undefined, TOKEN, { 'X-Device-Id': deviceId });
+    try {
+      assert.equal((await asDevice('device-aaaa-1111')).status, 200);
+      assert.equal((await asDevice('device-bbbb-2222')).status, 200);
+      assert.equal((await asDevice('device-cccc-3333')).status, 429);
+      assert.equal(servers.llmCalls, 2);
+    } finally {
+      await stopServers(servers);
+    }
+  });
+
+  for (const mode of ['invalid', 'error']) {
+    it(`answers 502 after retrying when the mock LLM runs in ${mode} mode`, async () => {
+      const servers = await startServers({ mode, env: { LLM_RETRIES: '2' } });
+      try {
+        const response = await generate(servers.url);
+
+        assert.equal(response.status, 502);
+        assert.deepEqual(await response.json(), { error: 'Failed to generate challenge' });
+        assert.equal(servers.llmCalls, 3);
+      } finally {
+        await stopServers(servers);
+      }
+    });
+  }
+});
+
+describe('RateLimiter', () => {
+  it('stops tracking new keys once full until old windows expire', () => {
+    const limiter = new RateLimiter({ windowMs: 1000, max: 5, maxKeys: 2 });
+
+    assert.equal(limiter.check('a', 0).allowed, true);
+    assert.equal(limiter.check('b', 0).allowed, true);
+    assert.deepEqual(limiter.check('c', 500), { allowed: false, retryAfterMs: 1000 });
+    assert.equal(limiter.check('a', 500).allowed, true);
+    assert.equal(limiter.windows.size, 2);
+
+    assert.equal(limiter.check('c', 1000).allowed, true);
+    assert.deepEqual([...limiter.windows.keys()], ['c']);
+  });
+});
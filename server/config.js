@@ -0,0 +1,32 @@
+// All settings come from environment variables so no secrets live in the repo
+
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) ? fallback : parsed;
+};
+
+function loadConfig(env = process.env) {
+  return {
+    port: toInt(env.PORT, 3001),
+    // Bearer token the app must send; requests are rejected when unset
+    apiToken: env.API_TOKEN || '',
+    llm: {
+      url: env.LLM_API_URL || 'https://api.mistral.ai/v1/chat/completions',
+      apiKey: env.LLM_API_KEY || '',
+      model: env.LLM_MODEL || 'mistral-small-latest',
+      timeoutMs: toInt(env.LLM_TIMEOUT_MS, 8000),
+      retries: toInt(env.LLM_RETRIES, 1),
+    },
+    rateLimit: {
+      windowMs: toInt(env.RATE_LIMIT_WINDOW_MS, 60 * 1000),
+      max: toInt(env.RATE_LIMIT_MAX, 10),
+      // Device ids are picked by the caller, so each address also gets a shared
+      // budget (several installs can sit behind one NAT)
+      addressMax: toInt(env.RATE_LIMIT_ADDRESS_MAX, 60),
+      maxKeys: toInt(env.RATE_LIMIT_MAX_KEYS, 10000),
+    },
+    codeTtlMs: toInt(env.CODE_TTL_MS, 10 * 60 * 1000),
+  };
+}
+
+module.exports = { loadConfig };
@@ -0,0 +1,151 @@
+const http = require('http');
+const crypto = require('crypto');
+const { loadConfig } = require('./config');
+const { RateLimiter } = require('./rateLimiter');
+const { generateChallenge } = require('./llmClient');
+const { CHALLENGE_KINDS } = require('./validation');
+
+const MAX_BODY_BYTES = 10 * 1024;
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(new Error('Request body too large'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    try {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      resolve(raw ? JSON.parse(raw) : {});
+    } catch (error) {
+      reject(new Error('Request body is not valid JSON'));
+    }
+  });
+  req.on('error', reject);
+});
+
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+};
+
+// Hashing first gives timingSafeEqual equal-length inputs without leaking the token length
+const tokenMatches = (token, expected) => {
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(token), digest(expected));
+};
+
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+// Every install shares the API token, so callers are told apart by the random id
+// the app sends in X-Device-Id, or by their address when there is none. The id
+// isn't trusted on its own: every address also has its own limit.
+const getClientKey = (req) => {
+  const deviceId = req.headers['x-device-id'];
+  return typeof deviceId === 'string' && DEVICE_ID_PATTERN.test(deviceId)
+    ? `device:${deviceId}`
+    : `address:${req.socket.remoteAddress}`;
+};
+
+function createServer(config = loadConfig()) {
+  const { windowMs, max, addressMax, maxKeys } = config.rateLimit;
+  const rateLimiter = new RateLimiter({ windowMs, max, maxKeys });
+  const addressLimiter = new RateLimiter({ windowMs, max: addressMax, maxKeys });
+  const pruneInterval = setInterval(() => {
+    rateLimiter.prune();
+    addressLimiter.prune();
+  }, windowMs);
+  pruneInterval.unref();
+
+  const handleGenerate = async (req, res) => {
+    const token = getBearerToken(req);
+    if (!config.apiToken || !tokenMatches(token, config.apiToken)) {
+      sendJson(res, 401, { error: 'Unauthorized' });
+      return;
+    }
+
+    const byAddress = addressLimiter.check(req.socket.remoteAddress);
+    const { allowed, retryAfterMs } = byAddress.allowed ? rateLimiter.check(getClientKey(req)) : byAddress;
+    if (!allowed) {
+      sendJson(res, 429, { error: 'Too many requests' }, {
+        'Retry-After': String(Math.ceil(retryAfterMs / 1000)),
+      });
+      return;
+    }
+
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (error) {
+      sendJson(res, 400, { error: error.message });
+      return;
+    }
+
+    const kind = body.kind || 'code';
+    if (typeof body.alarmId !== 'string' || !body.alarmId) {
+      sendJson(res, 400, { error: 'alarmId is required' });
+      return;
+    }
+    if (!CHALLENGE_KINDS.includes(kind)) {
+      sendJson(res, 400, { error: `kind must be one of: ${CHALLENGE_KINDS.join(', ')}` });
+      return;
+    }
+
+    try {
+      const challenge = await generateChallenge(config.llm, kind);
+      console.log(`Generated ${kind} challenge for alarm ${body.alarmId}`);
+      sendJson(res, 200, {
+        kind,
+        ...challenge,
+        expiresAt: Date.now() + config.codeTtlMs,
+      });
+    } catch (error) {
+      console.error('Failed to generate challenge:', error.message);
+      sendJson(res, 502, { error: 'Failed to generate challenge' });
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    if (req.method === 'POST' && req.url === '/api/generate-dismissal-code') {
+      handleGenerate(req, res).catch((error) => {
+        console.error('Unhandled error:', error);
+        sendJson(res, 500, { error: 'Internal server error' });
+      });
+      return;
+    }
+
+    if (req.method === 'GET' && req.url === '/health') {
+      sendJson(res, 200, { status: 'ok' });
+      return;
+    }
+
+    sendJson(res, 404, { error: 'Not found' });
+  });
+
+  server.on('close', () => clearInterval(pruneInterval));
+  return server;
+}
+
+if (require.main === module) {
+  const config = loadConfig();
+  if (!config.apiToken) {
+    console.warn('API_TOKEN is not set; every request will be rejected');
+  }
+  createServer(config).listen(config.port, () => {
+    console.log(`Dismissal challenge server listening on port ${config.port}`);
+    console.log(`Using LLM endpoint: ${config.llm.url}`);
+  });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,85 @@
+const { validateChallenge } = require('./validation');
+
+const PROMPTS = {
+  code: 'Generate a random dismissal code of exactly 8 characters using only uppercase letters A-Z and digits 0-9. '
+    + 'Respond with JSON: {"code": "<8 characters>"}',
+  riddle: 'Write a short riddle for someone who just woke up. The answer must be a single common English word '
+    + 'of 3 to 12 letters. Respond with JSON: {"question": "<riddle>", "answer": "<one word>"}',
+  trivia: 'Write an easy general-knowledge trivia question. The answer must be a single word or number '
+    + 'of 3 to 12 characters. Respond with JSON: {"question": "<question>", "answer": "<one word>"}',
+};
+
+class LlmError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LlmError';
+  }
+}
+
+// Calls an OpenAI/Mistral-compatible chat completions endpoint
+async function requestCompletion(llmConfig, prompt) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), llmConfig.timeoutMs);
+
+  try {
+    const response = await fetch(llmConfig.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(llmConfig.apiKey ? { Authorization: `Bearer ${llmConfig.apiKey}` } : {}),
+      },
+      body: JSON.stringify({
+        model: llmConfig.model,
+        messages: [
+          { role: 'system', content: 'You generate alarm dismissal challenges. Reply with JSON only.' },
+          { role: 'user', content: prompt },
+        ],
+        response_format: { type: 'json_object' },
+        temperature: 0.9,
+      }),
+      signal: controller.signal,
+    });
+
+    if (!response.ok) {
+      throw new LlmError(`LLM request failed: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const content = data && data.choices && data.choices[0] && data.choices[0].message
+      ? data.choices[0].message.content
+      : null;
+    if (typeof content !== 'string') {
+      throw new LlmError('LLM response has no message content');
+    }
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new LlmError('LLM message content is not valid JSON');
+    }
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new LlmError(`LLM request timed out after ${llmConfig.timeoutMs}ms`);
+    }
+    throw error instanceof LlmError ? error : new LlmError(error.message);
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Generates and validates a challenge, retrying on failures or invalid output
+async function generateChallenge(llmConfig, kind) {
+  let lastError;
+  for (let attempt = 0; attempt <= llmConfig.retries; attempt++) {
+    try {
+      const output = await requestCompletion(llmConfig, PROMPTS[kind]);
+      return validateChallenge(kind, output);
+    } catch (error) {
+      lastError = error;
+      console.error(`Challenge generation attempt ${attempt + 1} failed:`, error.message);
+    }
+  }
+  throw new LlmError(lastError ? lastError.message : 'Challenge generation failed');
+}
+
+module.exports = { generateChallenge, LlmError };
@@ -0,0 +1,87 @@
+// Minimal stand-in for an OpenAI/Mistral-compatible chat completions API, for
+// running the challenge server locally without an API key:
+//
+//   node mockLlmServer.js
+//   LLM_API_URL=http://localhost:3002/v1/chat/completions API_TOKEN=dev node index.js
+//
+// Set MOCK_LLM_MODE=invalid to return malformed output, or MOCK_LLM_MODE=error
+// to return HTTP 500, to exercise the server's validation and retry paths.
+const http = require('http');
+
+const RIDDLES = [
+  { question: 'What has hands but cannot clap?', answer: 'clock' },
+  { question: 'What gets wetter the more it dries?', answer: 'towel' },
+  { question: 'What has keys but can\'t open locks?', answer: 'piano' },
+];
+
+const TRIVIA = [
+  { question: 'What is the largest planet in our solar system?', answer: 'Jupiter' },
+  { question: 'How many minutes are there in two hours?', answer: '120' },
+  { question: 'Which gas do plants absorb from the air?', answer: 'CO2' },
+];
+
+const pick = (items) => items[Math.floor(Math.random() * items.length)];
+
+const randomCode = () => {
+  const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+  return Array.from({ length: 8 }, () => pick(characters)).join('');
+};
+
+const buildContent = (prompt, mode) => {
+  if (mode === 'invalid') {
+    return 'this is not json';
+  }
+  if (prompt.includes('riddle')) return JSON.stringify(pick(RIDDLES));
+  if (prompt.includes('trivia')) return JSON.stringify(pick(TRIVIA));
+  return JSON.stringify({ code: randomCode() });
+};
+
+function createMockLlmServer({ mode = 'ok' } = {}) {
+  return http.createServer((req, res) => {
+    if (req.method !== 'POST' || req.url !== '/v1/chat/completions') {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Not found' }));
+      return;
+    }
+
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      if (mode === 'error') {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Mock failure' }));
+        return;
+      }
+
+      let prompt = '';
+      try {
+        const body = JSON.parse(raw);
+        prompt = body.messages[body.messages.length - 1].content;
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Invalid request body' }));
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        id: `mock-${Date.now()}`,
+        object: 'chat.completion',
+        choices: [{
+          index: 0,
+          message: { role: 'assistant', content: buildContent(prompt, mode) },
+          finish_reason: 'stop',
+        }],
+      }));
+    });
+  });
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_LLM_PORT, 10) || 3002;
+  createMockLlmServer({ mode: process.env.MOCK_LLM_MODE || 'ok' }).listen(port, () => {
+    console.log(`Mock LLM server listening on port ${port}`);
+  });
+}
+
+module.exports = { createMockLlmServer };
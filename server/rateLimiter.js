@@ -0,0 +1,43 @@
+// Fixed-window rate limiter keyed by caller (device id or IP). In-memory, so limits
+// reset when the server restarts and are per-process.
+class RateLimiter {
+  constructor({ windowMs, max, maxKeys = Infinity }) {
+    this.windowMs = windowMs;
+    this.max = max;
+    // Keys are chosen by callers, so the number tracked at once is capped
+    this.maxKeys = maxKeys;
+    this.windows = new Map();
+  }
+
+  // Returns { allowed, retryAfterMs }
+  check(key, now = Date.now()) {
+    let window = this.windows.get(key);
+    if (!window && this.windows.size >= this.maxKeys) {
+      this.prune(now);
+      if (this.windows.size >= this.maxKeys) {
+        return { allowed: false, retryAfterMs: this.windowMs };
+      }
+    }
+    if (!window || now - window.start >= this.windowMs) {
+      window = { start: now, count: 0 };
+      this.windows.set(key, window);
+    }
+
+    window.count += 1;
+    if (window.count > this.max) {
+      return { allowed: false, retryAfterMs: window.start + this.windowMs - now };
+    }
+    return { allowed: true, retryAfterMs: 0 };
+  }
+
+  // Drops expired windows so the map doesn't grow without bound
+  prune(now = Date.now()) {
+    for (const [key, window] of this.windows) {
+      if (now - window.start >= this.windowMs) {
+        this.windows.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = { RateLimiter };
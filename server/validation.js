@@ -0,0 +1,51 @@
+const CHALLENGE_KINDS = ['code', 'riddle', 'trivia'];
+
+// Same rule as MistralService.isValidCode in the app: exactly 8 uppercase alphanumerics
+function isValidCode(code) {
+  return typeof code === 'string' && /^[A-Z0-9]{8}$/.test(code);
+}
+
+// Riddle and trivia answers are typed by a half-awake user, so keep them to one short word
+function isValidAnswer(answer) {
+  return typeof answer === 'string' && /^[A-Z0-9]{3,12}$/.test(answer);
+}
+
+function normalizeAnswer(answer) {
+  return String(answer || '').trim().toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function isValidQuestion(question) {
+  return typeof question === 'string' && question.trim().length >= 10 && question.length <= 300;
+}
+
+// Validates the parsed LLM output for a challenge kind and returns the response body fields
+function validateChallenge(kind, output) {
+  if (!output || typeof output !== 'object') {
+    throw new Error('LLM output is not an object');
+  }
+
+  if (kind === 'code') {
+    const code = String(output.code || '').trim().toUpperCase();
+    if (!isValidCode(code)) {
+      throw new Error('LLM returned an invalid code');
+    }
+    return { code };
+  }
+
+  const code = normalizeAnswer(output.answer);
+  if (!isValidQuestion(output.question)) {
+    throw new Error('LLM returned an invalid question');
+  }
+  if (!isValidAnswer(code)) {
+    throw new Error('LLM returned an invalid answer');
+  }
+  return { question: output.question.trim(), code };
+}
+
+module.exports = {
+  CHALLENGE_KINDS,
+  isValidCode,
+  isValidAnswer,
+  normalizeAnswer,
+  validateChallenge,
+};